@@ -0,0 +1,16 @@
+import { buildExport } from '../../lib/export.js';
+import { sendError } from '../../lib/errors.js';
+
+export default async function handler(req, res) {
+  const { ticker } = req.query;
+  if (!ticker) return res.status(400).json({ error: 'Missing ticker', code: 'INVALID_REQUEST' });
+  try {
+    const { contentType, filename, body } = await buildExport(ticker, req.query);
+    res.setHeader('Content-Type', contentType);
+    if (req.query.download !== undefined) res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Cache-Control', 's-maxage=300');
+    res.send(body);
+  } catch (err) {
+    sendError(res, err, 'Failed to build export');
+  }
+}
@@ -0,0 +1,6 @@
+import { openApiSpec } from '../lib/openapi.js';
+
+export default function handler(req, res) {
+  res.setHeader('Cache-Control', 's-maxage=3600');
+  res.json(openApiSpec);
+}
@@ -0,0 +1,14 @@
+import { signalReport } from '../../lib/statsApi.js';
+import { sendError } from '../../lib/errors.js';
+
+export default async function handler(req, res) {
+  const { ticker } = req.query;
+  if (!ticker) return res.status(400).json({ error: 'Missing ticker', code: 'INVALID_REQUEST' });
+  try {
+    const data = await signalReport(ticker, req.query);
+    res.setHeader('Cache-Control', 's-maxage=300');
+    res.json(data);
+  } catch (err) {
+    sendError(res, err, 'Failed to compute signals');
+  }
+}
@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+// Headless deviation reports with the same stats code as the UI:
+//   sigma scan SPY QQQ TLT --threshold 2 --window 60
+//   sigma signals AAPL --from 2024-01-01 --format csv
+//   sigma vol BTC-USD --format json
+// Exit codes: 0 = no signals, 1 = signals fired, 2 = usage or data errors.
+import { parseArgs } from 'node:util';
+import { createHistoryCache } from '../lib/cache.js';
+import { createUploadStore } from '../lib/uploads.js';
+import { statsOptions } from '../lib/statsOptions.js';
+import { signalReport, volatilityReport } from '../lib/statsApi.js';
+import { describeSettings } from '../src/export.js';
+import { mapLimit } from '../src/async.js';
+
+const USAGE = `Usage: sigma <command> [options]
+
+Commands:
+  scan <ticker…>     latest z-score, σ, vol and regime for each ticker
+  signals <ticker>   every bar beyond the threshold
+  vol <ticker>       realized volatility panel and regime
+
+Options:
+  --threshold <σ>        signal threshold (default 2)
+  --window <bars>        rolling σ window (default 60)
+  --mode <mode>          rolling | full (default rolling)
+  --period <period>      daily | weekly | monthly | quarterly | yearly
+  --return-type <type>   simple | log
+  --estimator <name>     stdev | mad | ewma | garch | parkinson | garman-klass
+  --lambda <λ>           EWMA decay (default 0.94)
+  --interval <iv>        1d | 1h | 15m | 5m | 1m (default 1d)
+  --raw                  unadjusted prices
+  --from <date>          signals: first date to list
+  --to <date>            signals: last date to list
+  --format <fmt>         table | json | csv (default table)
+
+Exits 1 when a signal fires (scan: a latest bar beyond the threshold;
+signals: any event in the range), 2 on errors. Data comes from
+DATA_PROVIDER, through the history cache (CACHE_DIR) and uploads (UPLOADS_DIR).`;
+
+const FORMATS = ['table', 'json', 'csv'];
+const CONCURRENCY = 4;
+
+const cache = process.env.CACHE_DIR === 'off' ? null : createHistoryCache({
+  dir: process.env.CACHE_DIR || '.cache/history',
+  ttl: Number(process.env.CACHE_TTL) || 15 * 60,
+  staleTtl: Number(process.env.CACHE_STALE_TTL) || 24 * 60 * 60
+});
+const uploads = createUploadStore({ dir: process.env.UPLOADS_DIR || '.data/uploads' });
+
+class UsageError extends Error {}
+
+// ── Formatting ────────────────────────────────────────────
+
+const pct = (v, digits = 2) => (v == null ? '' : `${v >= 0 ? '+' : ''}${(v * 100).toFixed(digits)}%`);
+const num = (v, digits = 2) => (v == null ? '' : v.toFixed(digits));
+const sigma = v => (v == null ? '' : `${v >= 0 ? '+' : ''}${v.toFixed(2)}σ`);
+
+// columns: [{ label, get, format? }]; numbers right-aligned in tables
+function render(rows, columns, format) {
+  if (format === 'csv') {
+    const cell = v => (v == null ? '' : /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+    return [columns.map(c => c.key).join(','), ...rows.map(r => columns.map(c => cell(c.get(r))).join(','))].join('\n');
+  }
+  const cells = rows.map(r => columns.map(c => (c.format ? c.format(c.get(r)) : c.get(r) ?? '')));
+  const widths = columns.map((c, i) => Math.max(c.label.length, ...cells.map(row => String(row[i]).length)));
+  const line = row => row.map((v, i) => (columns[i].align === 'right' ? String(v).padStart(widths[i]) : String(v).padEnd(widths[i]))).join('  ').trimEnd();
+  return [line(columns.map(c => c.label)), line(widths.map(w => '─'.repeat(w))), ...cells.map(line)].join('\n');
+}
+
+const flag = (z, threshold) => (z == null || Math.abs(z) < threshold ? '' : z > 0 ? '▲' : '▼');
+
+// ── Commands ──────────────────────────────────────────────
+
+async function scan(tickers, { threshold, query, format }) {
+  if (tickers.length === 0) throw new UsageError('scan needs at least one ticker');
+  const rows = [];
+  await mapLimit(tickers, CONCURRENCY, async (ticker, i) => {
+    try {
+      const { name, latest } = await signalReport(ticker, query, { cache, uploads });
+      if (!latest) throw new Error('not enough bars');
+      rows[i] = { ticker: ticker.toUpperCase(), name, ...latest, signal: Math.abs(latest.z) >= threshold };
+    } catch (err) {
+      rows[i] = { ticker: ticker.toUpperCase(), error: err.message };
+    }
+  });
+
+  const columns = [
+    { key: 'ticker', label: 'Ticker', get: r => r.ticker },
+    { key: 'date', label: 'Date', get: r => r.date },
+    { key: 'close', label: 'Close', get: r => r.close, format: num, align: 'right' },
+    { key: 'ret', label: 'Return', get: r => r.ret, format: pct, align: 'right' },
+    { key: 'z', label: 'z', get: r => r.z, format: sigma, align: 'right' },
+    { key: 'signal', label: '', get: r => (format === 'table' ? flag(r.z, threshold) : r.signal ?? '') },
+    { key: 'sigma', label: 'σ', get: r => r.sigma, format: v => (v == null ? '' : `${(v * 100).toFixed(2)}%`), align: 'right' },
+    { key: 'vol20', label: 'Vol 20d', get: r => r.vol20, format: v => (v == null ? '' : `${v.toFixed(1)}%`), align: 'right' },
+    { key: 'vol252', label: 'Vol 252d', get: r => r.vol252, format: v => (v == null ? '' : `${v.toFixed(1)}%`), align: 'right' },
+    { key: 'regime', label: 'Regime', get: r => r.regime },
+    { key: 'lastSignalDate', label: 'Last ≥σ', get: r => r.lastSignalDate },
+    { key: 'daysSinceSignal', label: 'Days', get: r => r.daysSinceSignal, align: 'right' },
+    { key: 'error', label: 'Error', get: r => r.error }
+  ].filter(c => c.key !== 'error' || rows.some(r => r.error));
+
+  return {
+    data: rows,
+    columns,
+    signals: rows.filter(r => r.signal).length,
+    errors: rows.filter(r => r.error).length
+  };
+}
+
+async function signals([ticker, ...rest], { threshold, query, format }) {
+  if (!ticker || rest.length) throw new UsageError('signals takes exactly one ticker');
+  const report = await signalReport(ticker, query, { cache, uploads });
+  const rows = report.signals;
+  const columns = [
+    { key: 'date', label: 'Date', get: r => r.date },
+    { key: 'periodKey', label: 'Period', get: r => r.periodKey },
+    { key: 'close', label: 'Close', get: r => r.close, format: num, align: 'right' },
+    { key: 'ret', label: 'Return', get: r => r.ret, format: pct, align: 'right' },
+    { key: 'z', label: 'z', get: r => r.z, format: sigma, align: 'right' },
+    { key: 'direction', label: '', get: r => (format === 'table' ? flag(r.z, threshold) : r.direction) }
+  ];
+  return { ticker: report.ticker, name: report.name, data: rows, columns, signals: rows.length, errors: 0 };
+}
+
+async function vol([ticker, ...rest], { query }) {
+  if (!ticker || rest.length) throw new UsageError('vol takes exactly one ticker');
+  const { name, date, volatility, regime } = await volatilityReport(ticker, query, { cache, uploads });
+  const columns = [
+    { key: 'label', label: 'Window', get: r => r.label },
+    { key: 'desc', label: '', get: r => r.desc },
+    { key: 'vol', label: 'Ann. vol', get: r => r.vol, format: v => (v == null ? '' : `${v.toFixed(2)}%`), align: 'right' }
+  ];
+  return {
+    ticker: ticker.toUpperCase(),
+    name,
+    date,
+    regime,
+    data: volatility,
+    columns,
+    signals: 0,
+    errors: 0,
+    footer: regime ? `Regime: ${regime.key} (20d/252d = ${regime.ratio.toFixed(2)})` : 'Regime: not enough history'
+  };
+}
+
+const COMMANDS = { scan, signals, vol };
+
+// ── Main ──────────────────────────────────────────────────
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      threshold: { type: 'string', default: '2' },
+      window: { type: 'string' },
+      mode: { type: 'string' },
+      period: { type: 'string' },
+      'return-type': { type: 'string' },
+      estimator: { type: 'string' },
+      lambda: { type: 'string' },
+      interval: { type: 'string' },
+      raw: { type: 'boolean', default: false },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      format: { type: 'string', default: 'table' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+  const [command, ...args] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return values.help ? 0 : 2;
+  }
+  if (!COMMANDS[command]) throw new UsageError(`unknown command "${command}"`);
+  if (!FORMATS.includes(values.format)) throw new UsageError(`--format must be one of: ${FORMATS.join(', ')}`);
+  const threshold = Number(values.threshold);
+  if (!(threshold > 0)) throw new UsageError('--threshold must be a positive number');
+
+  // The same query the stats API takes; validated up front so a bad option
+  // isn't reported once per ticker
+  const query = { ...values, returnType: values['return-type'], adjusted: !values.raw };
+  const options = statsOptions(query);
+  const result = await COMMANDS[command](args, { threshold, query, format: values.format });
+  const description = describeSettings({ ...options, threshold, adjusted: !values.raw });
+
+  if (values.format === 'json') {
+    const { columns, footer, ...rest } = result;
+    console.log(JSON.stringify({ command, settings: { ...options, threshold, adjusted: !values.raw }, description, ...rest }, null, 2));
+  } else if (values.format === 'csv') {
+    console.log(render(result.data, result.columns, 'csv'));
+  } else {
+    if (result.name) console.log(`${result.name} (${result.ticker})`);
+    if (command !== 'vol') console.log(description);
+    console.log('');
+    console.log(result.data.length ? render(result.data, result.columns, 'table') : 'No signals.');
+    if (result.footer) console.log(`\n${result.footer}`);
+    if (command !== 'vol') console.log(`\n${result.signals} signal${result.signals === 1 ? '' : 's'}${result.errors ? `, ${result.errors} error${result.errors === 1 ? '' : 's'}` : ''}`);
+  }
+  return result.errors ? 2 : result.signals ? 1 : 0;
+}
+
+try {
+  process.exitCode = await main(process.argv.slice(2));
+} catch (err) {
+  console.error(`sigma: ${err.message}`);
+  if (err instanceof UsageError || err.code?.startsWith?.('ERR_PARSE_ARGS')) console.error('Run "sigma --help" for usage.');
+  process.exitCode = 2;
+}
@@ -0,0 +1,71 @@
+// Split / dividend adjustment of price histories.
+//
+// Providers return bars as { date, open, high, low, close, adjClose, volume }
+// plus events { splits: [{ date, numerator, denominator }], dividends: [{ date, amount }] }.
+// `adjClose` is used when the provider supplies it; otherwise it is
+// back-computed from the events so a 4:1 split doesn't look like a −75% day.
+
+// Multiplicative adjustment factor for every bar (1 on/after the last event)
+function adjustmentFactors(prices, events) {
+  const splitAt = new Map();
+  for (const s of events?.splits || []) {
+    if (s.numerator > 0 && s.denominator > 0) {
+      splitAt.set(s.date, (splitAt.get(s.date) || 1) * (s.numerator / s.denominator));
+    }
+  }
+  const divAt = new Map();
+  for (const d of events?.dividends || []) {
+    if (d.amount > 0) divAt.set(d.date, (divAt.get(d.date) || 0) + d.amount);
+  }
+
+  const priceFactor = new Array(prices.length).fill(1);
+  const splitFactor = new Array(prices.length).fill(1);
+  let pf = 1;
+  let sf = 1;
+  let nextSplit = 1;
+  let nextDiv = 0;
+  // Events are keyed by ex-date, so they adjust every bar strictly before it
+  const splitDates = [...splitAt.keys()].sort();
+  const divDates = [...divAt.keys()].sort();
+  let si = splitDates.length - 1;
+  let di = divDates.length - 1;
+  for (let i = prices.length - 1; i >= 0; i--) {
+    const date = prices[i].date;
+    while (si >= 0 && splitDates[si] > date) { nextSplit *= splitAt.get(splitDates[si]); si--; }
+    while (di >= 0 && divDates[di] > date) { nextDiv += divAt.get(divDates[di]); di--; }
+    if (nextSplit !== 1) { pf /= nextSplit; sf *= nextSplit; nextSplit = 1; }
+    if (nextDiv > 0) {
+      const close = prices[i].close;
+      if (close > nextDiv) pf *= 1 - nextDiv / close;
+      nextDiv = 0;
+    }
+    priceFactor[i] = pf;
+    splitFactor[i] = sf;
+  }
+  return { priceFactor, splitFactor };
+}
+
+// Fill in adjClose for providers that only know raw closes + events
+export function withAdjClose(prices, events) {
+  if (prices.every(p => p.adjClose != null)) return prices;
+  const { priceFactor } = adjustmentFactors(prices, events);
+  return prices.map((p, i) => (p.adjClose != null ? p : { ...p, adjClose: p.close * priceFactor[i] }));
+}
+
+// Rescale a whole bar so that close === adjClose. Open/high/low keep their
+// intrabar shape. Volume is scaled by splits only, and only when the provider
+// reports raw bars (`splitAdjusted: false`); Yahoo's volume already is
+export function adjustPrices(prices, events, { splitAdjusted } = {}) {
+  const splitFactor = splitAdjusted === false ? adjustmentFactors(prices, events).splitFactor : null;
+  return prices.map((p, i) => {
+    const k = p.adjClose != null && p.close ? p.adjClose / p.close : 1;
+    return {
+      ...p,
+      open: p.open != null ? p.open * k : null,
+      high: p.high != null ? p.high * k : null,
+      low: p.low != null ? p.low * k : null,
+      close: p.close * k,
+      volume: p.volume == null ? null : splitFactor ? Math.round(p.volume * splitFactor[i]) : p.volume
+    };
+  });
+}
@@ -0,0 +1,85 @@
+// Alert delivery channels. Each is async (alert, rule) → void and throws on
+// failure; the engine records the outcome per channel.
+import nodemailer from 'nodemailer';
+import { allowedWebhooks, allowedEmails } from './rules.js';
+
+// Rules saved before the allowlist existed may still name other destinations
+function destination(value, list, what) {
+  if (!value) return list[0];
+  if (!list.includes(what === 'email' ? value.toLowerCase() : value)) {
+    throw new Error(`${what} ${value} is no longer allowed by the server`);
+  }
+  return value;
+}
+
+// POST the alert as JSON to the rule's URL, which must be one of ALERT_WEBHOOK_URL
+export function webhookChannel({ urls = allowedWebhooks(), timeoutMs = 10000 } = {}) {
+  return async (alert, rule) => {
+    const target = destination(rule.webhookUrl, urls, 'webhook URL');
+    if (!target) throw new Error('No webhook URL configured');
+    const response = await fetch(target, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(alert),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    if (!response.ok) throw new Error(`Webhook returned ${response.status}`);
+  };
+}
+
+// SMTP email. Point SMTP_HOST/SMTP_PORT at `npm run mock-smtp` to test locally
+export function emailChannel({
+  host = process.env.SMTP_HOST,
+  port = Number(process.env.SMTP_PORT) || 587,
+  secure = process.env.SMTP_SECURE === 'true',
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASS,
+  from = process.env.ALERT_EMAIL_FROM || 'sigma-tracker@localhost',
+  to = allowedEmails()
+} = {}) {
+  let transport = null;
+  return async (alert, rule) => {
+    if (!host) throw new Error('SMTP_HOST is not configured');
+    const recipient = destination(rule.email, to, 'email');
+    if (!recipient) throw new Error('No email recipient configured');
+    transport ??= nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined,
+      // Local mock servers don't speak TLS
+      ignoreTLS: !secure && ['localhost', '127.0.0.1'].includes(host)
+    });
+    await transport.sendMail({
+      from,
+      to: recipient,
+      subject: `σ Tracker alert: ${alert.ticker}`,
+      text: `${alert.message}\n\nRule: ${alert.rule}\nTriggered: ${alert.triggeredAt}\n`
+    });
+  };
+}
+
+// Server-sent events to open browser tabs, which raise a Notification
+export function browserChannel() {
+  const clients = new Set();
+
+  const deliver = async (alert) => {
+    const frame = `event: alert\ndata: ${JSON.stringify(alert)}\n\n`;
+    for (const res of clients) res.write(frame);
+  };
+
+  // Express handler for GET /api/alerts/stream
+  deliver.subscribe = (req, res) => {
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.flushHeaders();
+    res.write(': connected\n\n');
+    clients.add(res);
+    const ping = setInterval(() => res.write(': ping\n\n'), 25000);
+    req.on('close', () => {
+      clearInterval(ping);
+      clients.delete(res);
+    });
+  };
+
+  return deliver;
+}
@@ -0,0 +1,139 @@
+// Periodically evaluates every enabled rule and delivers new matches.
+//
+// State lives in a JSON store: { rules: [...], history: [...] }. History
+// entries record the match, and per-channel delivery results; a rule never
+// fires twice for the same bar (or calendar period, on weekly and longer bars).
+import { randomUUID } from 'node:crypto';
+import { normalizeRule, evaluateRule, describeRule } from './rules.js';
+import { httpError } from '../errors.js';
+
+const HISTORY_LIMIT = 1000;
+
+export function createAlertEngine({ store, channels, loadPrices, intervalMs = 5 * 60 * 1000 }) {
+  let timer = null;
+  let running = null;
+
+  async function listRules() {
+    return (await store.read()).rules;
+  }
+
+  async function addRule(input) {
+    const rule = { id: randomUUID(), ...normalizeRule(input), createdAt: new Date().toISOString() };
+    rule.description = describeRule(rule);
+    await store.update(doc => { doc.rules.push(rule); });
+    return rule;
+  }
+
+  async function updateRule(id, input) {
+    return store.update(doc => {
+      const i = doc.rules.findIndex(r => r.id === id);
+      if (i === -1) throw httpError(404, 'Rule not found');
+      const rule = { ...doc.rules[i], ...normalizeRule({ ...doc.rules[i], ...input }) };
+      rule.description = describeRule(rule);
+      doc.rules[i] = rule;
+      return rule;
+    });
+  }
+
+  async function removeRule(id) {
+    return store.update(doc => {
+      const before = doc.rules.length;
+      doc.rules = doc.rules.filter(r => r.id !== id);
+      if (doc.rules.length === before) throw httpError(404, 'Rule not found');
+    });
+  }
+
+  async function listHistory({ ruleId, limit = 100 } = {}) {
+    const { history } = await store.read();
+    return history.filter(h => !ruleId || h.ruleId === ruleId).slice(-limit).reverse();
+  }
+
+  async function deliver(alert, rule) {
+    const results = {};
+    for (const name of rule.channels) {
+      const channel = channels[name];
+      try {
+        if (!channel) throw new Error(`Channel "${name}" is not enabled on this server`);
+        await channel(alert, rule);
+        results[name] = { ok: true };
+      } catch (err) {
+        console.error(`Alert delivery via ${name} failed:`, err.message);
+        results[name] = { ok: false, error: err.message };
+      }
+    }
+    return results;
+  }
+
+  async function evaluateOne(rule) {
+    const prices = await loadPrices(rule.ticker);
+    const match = evaluateRule(rule, prices);
+    if (!match) return null;
+
+    const dedupeKey = `${rule.id}:${match.periodKey}`;
+    const { history } = await store.read();
+    if (history.some(h => h.dedupeKey === dedupeKey)) return null;
+
+    const alert = {
+      id: randomUUID(),
+      ruleId: rule.id,
+      rule: rule.description,
+      ticker: rule.ticker,
+      triggeredAt: new Date().toISOString(),
+      dedupeKey,
+      ...match
+    };
+    // Record before delivering so a slow channel can't cause a double fire
+    await store.update(doc => {
+      doc.history.push(alert);
+      if (doc.history.length > HISTORY_LIMIT) doc.history.splice(0, doc.history.length - HISTORY_LIMIT);
+    });
+    const delivery = await deliver(alert, rule);
+    await store.update(doc => {
+      const entry = doc.history.find(h => h.id === alert.id);
+      if (entry) entry.delivery = delivery;
+    });
+    return { ...alert, delivery };
+  }
+
+  // Evaluate all enabled rules once; overlapping calls share the same run
+  function runOnce() {
+    if (running) return running;
+    running = (async () => {
+      const fired = [];
+      const errors = [];
+      let rules;
+      try {
+        rules = await listRules();
+      } catch (err) {
+        console.error('Alert rules could not be read:', err.message);
+        errors.push({ error: `Could not read rules: ${err.message}` });
+        return { evaluatedAt: new Date().toISOString(), fired, errors };
+      }
+      for (const rule of rules.filter(r => r.enabled)) {
+        try {
+          const alert = await evaluateOne(rule);
+          if (alert) fired.push(alert);
+        } catch (err) {
+          console.error(`Alert rule ${rule.id} (${rule.description}) failed:`, err.message);
+          errors.push({ ruleId: rule.id, error: err.message });
+        }
+      }
+      return { evaluatedAt: new Date().toISOString(), fired, errors };
+    })().finally(() => { running = null; });
+    return running;
+  }
+
+  function start() {
+    if (timer) return;
+    const run = () => runOnce().catch(err => console.error('Alert run failed:', err.message));
+    timer = setInterval(run, intervalMs);
+    run();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { listRules, addRule, updateRule, removeRule, listHistory, runOnce, start, stop };
+}
@@ -0,0 +1,112 @@
+// Alert rules, evaluated with the same stats pipeline the UI runs.
+//
+//   { id, ticker, type: 'zscore', threshold: 3, direction: 'both' | 'up' | 'down',
+//     period: 'daily', mode: 'rolling', window: 60, estimator: 'stdev', ... }
+//   { id, ticker, type: 'regime', regime: 'expanding' | 'contracting' | 'stable' }
+//
+// Both kinds look at the latest bar only, so a rule fires at most once per
+// bar and the (rule, period key) pair is the de-duplication key. A weekly or
+// monthly bar's date moves as the period fills in; its key does not.
+import { runPipeline, classifyRegime, computeVolatility } from '../../src/stats.js';
+import { httpError } from '../errors.js';
+import { oneOf, statsOptions } from '../statsOptions.js';
+
+const TYPES = ['zscore', 'regime'];
+const DIRECTIONS = ['both', 'up', 'down'];
+const REGIMES = ['expanding', 'contracting', 'stable'];
+export const CHANNELS = ['webhook', 'email', 'browser'];
+
+// Alerts only go where the server operator allows: ALERT_WEBHOOK_URL and
+// ALERT_EMAIL_TO are comma-separated allowlists whose first entry is the
+// default, so a rule can't point webhooks at internal hosts or mail anyone
+const splitList = value => (value || '').split(',').map(v => v.trim()).filter(Boolean);
+export const allowedWebhooks = () => splitList(process.env.ALERT_WEBHOOK_URL);
+export const allowedEmails = () => splitList(process.env.ALERT_EMAIL_TO).map(v => v.toLowerCase());
+
+function allowed(value, list, name, env) {
+  if (!value) return null;
+  const v = String(value).trim();
+  if (!list.includes(name === 'email' ? v.toLowerCase() : v)) {
+    throw httpError(400, `${name} must be one of the destinations in ${env} on the server`);
+  }
+  return v;
+}
+
+// Fill defaults and reject anything the engine can't evaluate
+export function normalizeRule(input) {
+  if (!input || typeof input.ticker !== 'string' || !input.ticker.trim()) {
+    throw httpError(400, 'ticker is required');
+  }
+  const type = oneOf(input.type || 'zscore', TYPES, 'type');
+  if (input.channels != null && !Array.isArray(input.channels)) {
+    throw httpError(400, `channels must be an array of: ${CHANNELS.join(', ')}`);
+  }
+  const rule = {
+    ticker: input.ticker.trim().toUpperCase(),
+    type,
+    ...statsOptions(input),
+    channels: (input.channels || ['browser']).map(c => oneOf(c, CHANNELS, 'channel')),
+    webhookUrl: allowed(input.webhookUrl, allowedWebhooks(), 'webhookUrl', 'ALERT_WEBHOOK_URL'),
+    email: allowed(input.email, allowedEmails(), 'email', 'ALERT_EMAIL_TO'),
+    enabled: input.enabled !== false
+  };
+  if (type === 'zscore') {
+    rule.threshold = Number(input.threshold);
+    if (!(rule.threshold > 0)) throw httpError(400, 'threshold must be a positive number');
+    rule.direction = oneOf(input.direction || 'both', DIRECTIONS, 'direction');
+  } else {
+    rule.regime = oneOf(input.regime || 'expanding', REGIMES, 'regime');
+  }
+  if (rule.channels.includes('webhook') && !allowedWebhooks().length) {
+    throw httpError(400, 'webhook channel needs ALERT_WEBHOOK_URL on the server');
+  }
+  if (rule.channels.includes('email') && !allowedEmails().length) {
+    throw httpError(400, 'email channel needs ALERT_EMAIL_TO on the server');
+  }
+  return rule;
+}
+
+export function describeRule(rule) {
+  if (rule.type === 'regime') return `${rule.ticker} regime flips to ${rule.regime}`;
+  const cmp = rule.direction === 'up' ? 'z ≥ ' : rule.direction === 'down' ? 'z ≤ −' : '|z| ≥ ';
+  const sigma = ['ewma', 'garch'].includes(rule.estimator)
+    ? `${rule.estimator.toUpperCase()} σ`
+    : rule.mode === 'rolling' ? `${rule.window}-bar rolling σ` : 'full-sample σ';
+  return `${rule.ticker} ${rule.period} ${cmp}${rule.threshold} on ${sigma}`;
+}
+
+// Returns a match { date, periodKey, message, ... } for the latest bar, or null
+export function evaluateRule(rule, prices) {
+  if (!prices || prices.length < 2) return null;
+
+  if (rule.type === 'regime') {
+    const now = classifyRegime(computeVolatility(prices));
+    const before = classifyRegime(computeVolatility(prices.slice(0, -1)));
+    if (!now || now.key !== rule.regime || before?.key === rule.regime) return null;
+    const date = prices[prices.length - 1].date;
+    return {
+      date,
+      periodKey: date,
+      regime: now.key,
+      previousRegime: before?.key ?? null,
+      ratio: now.ratio,
+      message: `${rule.ticker}: volatility regime flipped to ${now.key} (20d/252d = ${now.ratio.toFixed(2)}) on ${date}`
+    };
+  }
+
+  const { stats } = runPipeline(prices, rule);
+  const last = stats.data[stats.data.length - 1];
+  if (!last) return null;
+  const hit = rule.direction === 'up' ? last.z >= rule.threshold
+    : rule.direction === 'down' ? last.z <= -rule.threshold
+    : Math.abs(last.z) >= rule.threshold;
+  if (!hit) return null;
+  return {
+    date: last.date,
+    periodKey: last.periodKey,
+    z: last.z,
+    ret: last.ret,
+    localStd: last.localStd ?? stats.std,
+    message: `${rule.ticker}: ${last.z >= 0 ? '+' : ''}${last.z.toFixed(2)}σ ${rule.period} move (${(last.ret * 100).toFixed(2)}%) on ${last.date}`
+  };
+}
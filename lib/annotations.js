@@ -0,0 +1,147 @@
+// Notes on bars and imported event calendars for /api/annotations and
+// /api/calendars. State lives in a JSON store:
+//   { annotations: [{ ticker, date, note, tags, createdAt, updatedAt }],
+//     calendars: [{ name, events: [{ date, label }], importedAt }] }
+// An annotation is keyed by ticker + date (one per bar); calendars are keyed
+// by name and apply to every ticker.
+import { httpError } from './errors.js';
+import { readCsv, parseDateCell, detectDayFirst } from './uploads.js';
+
+const TICKER_RE = /^(@[0-9a-z]{1,20}|[\w.^=-]{1,20}(\/[\w.^=-]{1,20})?)$/i;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2})?$/;
+const TAG_RE = /^[\w-]{1,24}$/;
+const CALENDAR_RE = /^[\w .-]{1,40}$/;
+const MAX_NOTE = 500;
+const MAX_TAGS = 10;
+const MAX_EVENTS = 5000;
+
+const CALENDAR_COLUMNS = {
+  date: 'date', day: 'date', time: 'date', datetime: 'date',
+  label: 'label', event: 'label', name: 'label', title: 'label', description: 'label'
+};
+
+// Portfolio refs ("@id") are lowercase, everything else uppercase — the same
+// strings the UI uses as its ticker
+export function normalizeTicker(value) {
+  const ticker = String(value || '').trim();
+  if (!TICKER_RE.test(ticker)) throw httpError(400, `invalid ticker "${value}"`);
+  return ticker.startsWith('@') ? ticker.toLowerCase() : ticker.toUpperCase();
+}
+
+function normalizeDate(value) {
+  const date = String(value || '').trim();
+  if (!DATE_RE.test(date) || Number.isNaN(Date.parse(date.slice(0, 10)))) {
+    throw httpError(400, 'date must be YYYY-MM-DD or YYYY-MM-DDTHH:mm');
+  }
+  return date;
+}
+
+// Tags: an array or a comma-separated string; lowercased and de-duplicated
+function normalizeNote(input) {
+  const note = typeof input?.note === 'string' ? input.note.trim() : '';
+  if (note.length > MAX_NOTE) throw httpError(400, `note is limited to ${MAX_NOTE} characters`);
+  const raw = Array.isArray(input?.tags) ? input.tags : String(input?.tags || '').split(',');
+  const tags = [...new Set(raw.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+  if (tags.length > MAX_TAGS) throw httpError(400, `at most ${MAX_TAGS} tags`);
+  const bad = tags.find(t => !TAG_RE.test(t));
+  if (bad) throw httpError(400, `invalid tag "${bad}" (letters, digits, - and _, up to 24)`);
+  if (!note && tags.length === 0) throw httpError(400, 'an annotation needs a note or at least one tag');
+  return { note, tags };
+}
+
+// CSV of date,label (FOMC meetings, CPI prints, …) → sorted events; a 400
+// lists every row that can't be used
+export function parseCalendar(text) {
+  if (typeof text !== 'string' || !text.trim()) throw httpError(400, 'Send the calendar as CSV text');
+  const { header, rows } = readCsv(text, CALENDAR_COLUMNS);
+  if (!header.includes('date') || !header.includes('label')) {
+    throw httpError(400, 'CSV needs Date and Label columns (label, event, name or title)');
+  }
+  const dayFirst = detectDayFirst(rows);
+  const errors = [];
+  const events = [];
+  for (const row of rows) {
+    const date = row.date && parseDateCell(row.date, dayFirst);
+    if (!date) errors.push(`Row ${row.line}: unrecognized date "${row.date ?? ''}"`);
+    else if (!row.label) errors.push(`Row ${row.line}: missing label`);
+    else events.push({ date, label: row.label.slice(0, 80) });
+  }
+  if (errors.length) throw httpError(400, `Calendar has ${errors.length} problem(s)`, { errors: errors.slice(0, 20) });
+  if (events.length === 0) throw httpError(400, 'Calendar has no events');
+  if (events.length > MAX_EVENTS) throw httpError(400, `at most ${MAX_EVENTS} events per calendar`);
+  return events.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+export function createAnnotationStore(store) {
+  const find = (doc, ticker, date) => doc.annotations.findIndex(a => a.ticker === ticker && a.date === date);
+
+  // ?ticker= &tag= &from= &to= filter; newest first
+  async function list({ ticker, tag, from, to } = {}) {
+    const key = ticker && normalizeTicker(ticker);
+    const wanted = tag && String(tag).toLowerCase();
+    return (await store.read()).annotations
+      .filter(a => (!key || a.ticker === key) && (!wanted || a.tags.includes(wanted))
+        && (!from || a.date >= from) && (!to || a.date.slice(0, to.length) <= to))
+      .sort((a, b) => b.date.localeCompare(a.date));
+  }
+
+  // Create or replace the note on one bar; `created` tells the route which
+  async function put(ticker, date, input) {
+    const key = { ticker: normalizeTicker(ticker), date: normalizeDate(date) };
+    const fields = normalizeNote(input);
+    return store.update(doc => {
+      const now = new Date().toISOString();
+      const i = find(doc, key.ticker, key.date);
+      if (i === -1) {
+        const annotation = { ...key, ...fields, createdAt: now, updatedAt: now };
+        doc.annotations.push(annotation);
+        return { annotation, created: true };
+      }
+      doc.annotations[i] = { ...doc.annotations[i], ...fields, updatedAt: now };
+      return { annotation: doc.annotations[i], created: false };
+    });
+  }
+
+  async function remove(ticker, date) {
+    const key = normalizeTicker(ticker);
+    return store.update(doc => {
+      const i = find(doc, key, date);
+      if (i === -1) throw httpError(404, 'Annotation not found');
+      doc.annotations.splice(i, 1);
+    });
+  }
+
+  // Calendars are listed with their events so one request draws the overlay
+  async function listCalendars() {
+    return (await store.read()).calendars.map(c => ({
+      name: c.name,
+      count: c.events.length,
+      from: c.events[0]?.date ?? null,
+      to: c.events[c.events.length - 1]?.date ?? null,
+      importedAt: c.importedAt,
+      events: c.events
+    }));
+  }
+
+  // Importing under an existing name replaces that calendar
+  async function importCalendar(name, text) {
+    const calendarName = String(name || '').trim();
+    if (!CALENDAR_RE.test(calendarName)) throw httpError(400, 'name is required (letters, digits, spaces, . - _, up to 40)');
+    const events = parseCalendar(text);
+    const calendar = { name: calendarName, events, importedAt: new Date().toISOString() };
+    await store.update(doc => {
+      doc.calendars = [...doc.calendars.filter(c => c.name !== calendarName), calendar];
+    });
+    return { name: calendarName, count: events.length, from: events[0].date, to: events[events.length - 1].date };
+  }
+
+  async function removeCalendar(name) {
+    return store.update(doc => {
+      const before = doc.calendars.length;
+      doc.calendars = doc.calendars.filter(c => c.name !== name);
+      if (doc.calendars.length === before) throw httpError(404, 'Calendar not found');
+    });
+  }
+
+  return { list, put, remove, listCalendars, importCalendar, removeCalendar };
+}
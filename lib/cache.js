@@ -0,0 +1,234 @@
+// On-disk price-history cache with incremental refresh.
+//
+// One JSON file per provider/ticker/interval under `dir`. An entry is:
+//   fresh    (age < ttl)             — served as-is
+//   stale    (ttl ≤ age < staleTtl)  — served as-is, refreshed in the background
+//   expired  (age ≥ staleTtl)        — refreshed before answering
+// A refresh only asks the provider for bars from the last cached date on and
+// merges them in. New splits/dividends (or a changed adjClose) rewrite the
+// whole adjusted history, so those trigger a full re-download instead. An
+// entry first filled by a request with `period1` is `complete: false`; a
+// later request from the provider's default start re-downloads it.
+import { readFile, writeFile, readdir, mkdir, unlink } from 'node:fs/promises';
+import path from 'node:path';
+import { intervalOf, isIntraday } from '../src/intervals.js';
+
+const DAY = 24 * 60 * 60;
+
+// Intraday bars carry a time; the day is close enough for fetch bounds
+function toUnix(date) {
+  return Math.floor(Date.parse(date.slice(0, 10) + 'T00:00:00Z') / 1000);
+}
+
+function toDate(unixSeconds) {
+  return new Date(unixSeconds * 1000).toISOString().split('T')[0];
+}
+
+function eventKeys(events) {
+  return new Set([
+    ...(events?.splits || []).map(s => `s:${s.date}:${s.numerator}/${s.denominator}`),
+    ...(events?.dividends || []).map(d => `d:${d.date}:${d.amount}`)
+  ]);
+}
+
+function mergeEvents(a, b) {
+  const merge = (x = [], y = []) => {
+    const byDate = new Map(x.map(e => [e.date, e]));
+    for (const e of y) byDate.set(e.date, e);
+    return [...byDate.values()].sort((p, q) => p.date.localeCompare(q.date));
+  };
+  return { splits: merge(a?.splits, b?.splits), dividends: merge(a?.dividends, b?.dividends) };
+}
+
+export function createHistoryCache({ dir, ttl = 15 * 60, staleTtl = DAY } = {}) {
+  const entries = new Map();
+  const refreshing = new Map();
+  let loaded = false;
+
+  const keyOf = (providerName, ticker, interval) => `${providerName}:${ticker.toUpperCase()}:${interval}`;
+  const fileOf = key => path.join(dir, `${encodeURIComponent(key)}.json`);
+
+  async function load() {
+    if (loaded) return;
+    loaded = true;
+    let files = [];
+    try {
+      files = await readdir(dir);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    for (const f of files.filter(f => f.endsWith('.json'))) {
+      try {
+        const entry = JSON.parse(await readFile(path.join(dir, f), 'utf8'));
+        entries.set(entry.key, entry);
+      } catch (err) {
+        console.error(`Skipping unreadable cache file ${f}:`, err.message);
+      }
+    }
+  }
+
+  async function save(entry) {
+    entries.set(entry.key, entry);
+    await mkdir(dir, { recursive: true });
+    await writeFile(fileOf(entry.key), JSON.stringify(entry));
+  }
+
+  // An intraday entry goes stale once a new bar could have opened
+  function stateOf(entry, now = Date.now()) {
+    const age = (now - entry.fetchedAt) / 1000;
+    const freshFor = isIntraday(entry.interval) ? Math.min(ttl, intervalOf(entry.interval).seconds) : ttl;
+    if (age < freshFor) return 'fresh';
+    if (age < staleTtl) return 'stale';
+    return 'expired';
+  }
+
+  async function fullFetch(provider, key, ticker, options, complete = !options.period1) {
+    const data = await provider.fetchHistory(ticker, { ...options, period2: null });
+    const entry = {
+      key,
+      provider: provider.name,
+      ticker: ticker.toUpperCase(),
+      interval: options.interval,
+      from: options.period1 || (data.prices.length ? toUnix(data.prices[0].date) : null),
+      complete,
+      fetchedAt: Date.now(),
+      data
+    };
+    await save(entry);
+    return entry;
+  }
+
+  async function incrementalFetch(provider, entry, ticker, options) {
+    const cached = entry.data.prices;
+    if (cached.length === 0) return fullFetch(provider, entry.key, ticker, { ...options, period1: entry.from }, entry.complete);
+
+    // Re-request the last cached bar too: it may have been an intraday snapshot.
+    // Dates are exchange-local, so start a day early to cover any UTC offset
+    const lastDate = cached[cached.length - 1].date;
+    const fresh = await provider.fetchHistory(ticker, { ...options, period1: toUnix(lastDate) - DAY, period2: null });
+
+    const known = eventKeys(entry.data.events);
+    const hasNewEvents = [...eventKeys(fresh.events)].some(k => !known.has(k));
+    // Compare the adjustment ratio, not adjClose itself: a bar that was still
+    // forming when cached has simply moved since
+    const overlap = fresh.prices.find(p => p.date === lastDate);
+    const prev = cached[cached.length - 1];
+    const ratio = p => p.adjClose / p.close;
+    const adjDrift = overlap && overlap.adjClose != null && prev.adjClose != null
+      && Math.abs(ratio(overlap) - ratio(prev)) > 1e-6 * ratio(overlap);
+    if (hasNewEvents || adjDrift) {
+      return fullFetch(provider, entry.key, ticker, { ...options, period1: entry.from }, entry.complete);
+    }
+
+    const updated = {
+      ...entry,
+      fetchedAt: Date.now(),
+      data: {
+        ...entry.data,
+        ...fresh,
+        prices: [...cached.filter(p => p.date < lastDate), ...fresh.prices.filter(p => p.date >= lastDate)],
+        events: mergeEvents(entry.data.events, fresh.events)
+      }
+    };
+    await save(updated);
+    return updated;
+  }
+
+  // One refresh per key at a time; concurrent callers share it
+  function refresh(provider, entry, key, ticker, options) {
+    if (!refreshing.has(key)) {
+      const job = (entry ? incrementalFetch(provider, entry, ticker, options) : fullFetch(provider, key, ticker, options))
+        .finally(() => refreshing.delete(key));
+      refreshing.set(key, job);
+    }
+    return refreshing.get(key);
+  }
+
+  function slice(data, { period1, period2 }) {
+    const from = period1 ? toDate(period1) : '';
+    const to = period2 ? toDate(period2) : '9999-12-31';
+    // Intraday dates carry a time; period2's day includes all of its bars
+    return { ...data, prices: data.prices.filter(p => p.date >= from && p.date.slice(0, to.length) <= to) };
+  }
+
+  // Same contract as provider.fetchHistory, served through the cache
+  async function fetchHistory(provider, ticker, options) {
+    await load();
+    const key = keyOf(provider.name, ticker, options.interval);
+    let entry = entries.get(key);
+
+    // Asking for history before what we hold means a full re-download; no
+    // period1 means the provider's default start, which a narrower entry lacks
+    const before = options.period1 ? entry?.from && options.period1 < entry.from : entry && !entry.complete;
+    if (before) {
+      entry = await fullFetch(provider, key, ticker, options);
+      return slice(entry.data, options);
+    }
+
+    if (!entry) {
+      entry = await refresh(provider, null, key, ticker, options);
+      return slice(entry.data, options);
+    }
+
+    const prices = entry.data.prices;
+    const lastDate = prices.length ? prices[prices.length - 1].date : '';
+    // A window that ends inside what we already hold never changes
+    const closedWindow = options.period2 && toDate(options.period2) < lastDate;
+    const state = stateOf(entry);
+
+    if (closedWindow || state === 'fresh') return slice(entry.data, options);
+
+    if (state === 'stale') {
+      refresh(provider, entry, key, ticker, options).catch(err => {
+        console.error(`Background refresh of ${key} failed:`, err.message);
+      });
+      return slice(entry.data, options);
+    }
+
+    // Expired: try to refresh, but old data beats an error page
+    try {
+      entry = await refresh(provider, entry, key, ticker, options);
+    } catch (err) {
+      console.error(`Refresh of ${key} failed, serving expired data:`, err.message);
+    }
+    return slice(entry.data, options);
+  }
+
+  async function list() {
+    await load();
+    const now = Date.now();
+    return [...entries.values()].map(e => ({
+      key: e.key,
+      provider: e.provider,
+      ticker: e.ticker,
+      interval: e.interval,
+      bars: e.data.prices.length,
+      firstDate: e.data.prices[0]?.date ?? null,
+      lastDate: e.data.prices[e.data.prices.length - 1]?.date ?? null,
+      fetchedAt: new Date(e.fetchedAt).toISOString(),
+      ageSeconds: Math.round((now - e.fetchedAt) / 1000),
+      state: stateOf(e, now)
+    }));
+  }
+
+  // Purge entries whose key matches every given field; no filter purges all
+  async function purge({ provider, ticker, interval } = {}) {
+    await load();
+    const removed = [];
+    for (const e of [...entries.values()]) {
+      if (provider && e.provider !== provider) continue;
+      if (ticker && e.ticker !== ticker.toUpperCase()) continue;
+      if (interval && e.interval !== interval) continue;
+      entries.delete(e.key);
+      try {
+        await unlink(fileOf(e.key));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+      removed.push(e.key);
+    }
+    return removed;
+  }
+
+  return { fetchHistory, list, purge, ttl, staleTtl };
+}
@@ -0,0 +1,16 @@
+// In-flight request coalescing: concurrent calls with the same key share one
+// promise, so a page that asks for SPY three times at once costs one fetch.
+// Nothing is kept once the promise settles — caching is cache.js's job.
+export function createCoalescer() {
+  const inflight = new Map();
+
+  return function coalesce(key, fn) {
+    const pending = inflight.get(key);
+    if (pending) return pending;
+    const promise = Promise.resolve()
+      .then(fn)
+      .finally(() => inflight.delete(key));
+    inflight.set(key, promise);
+    return promise;
+  };
+}
@@ -0,0 +1,38 @@
+// Errors that carry the HTTP status the API should answer with; `details`
+// (e.g. a validation report) is merged into the JSON error body
+export function httpError(status, message, details) {
+  const err = new Error(message);
+  err.status = status;
+  if (details) err.details = details;
+  return err;
+}
+
+// Machine-readable `code` for errors that don't set their own in details
+const STATUS_CODES = {
+  400: 'INVALID_REQUEST',
+  401: 'UNAUTHORIZED',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  429: 'RATE_LIMITED',
+  502: 'UPSTREAM_ERROR',
+  503: 'UNAVAILABLE',
+  504: 'UPSTREAM_TIMEOUT'
+};
+
+// → { status, body } for any thrown error. Every body has `error` (a message)
+// and `code`; unexpected errors become a 500 with `fallback` as the message.
+export function errorResponse(err, fallback) {
+  if (!err.status) return { status: 500, body: { error: fallback, code: 'INTERNAL_ERROR' } };
+  return {
+    status: err.status,
+    body: { error: err.message, code: STATUS_CODES[err.status] || 'ERROR', ...err.details }
+  };
+}
+
+// Express/Vercel responder for errorResponse; forwards retryAfter as a header
+export function sendError(res, err, fallback) {
+  const { status, body } = errorResponse(err, fallback);
+  if (status === 500) console.error(`${fallback}:`, err.message);
+  if (body.retryAfter) res.setHeader('Retry-After', String(body.retryAfter));
+  res.status(status).json(body);
+}
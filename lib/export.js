@@ -0,0 +1,40 @@
+// Server-side exports: the same CSV/JSON/SVG the browser produces, for
+// scripted reports. Query parameters mirror the UI settings.
+import { getHistory } from './history.js';
+import { httpError } from './errors.js';
+import { oneOf, statsOptions, thresholdParam, rangeParams } from './statsOptions.js';
+import { runPipeline } from '../src/stats.js';
+import { describeSettings, exportRows, rowsToCsv, rowsToJson, renderChartSvg, exportFileName } from '../src/export.js';
+
+const FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  svg: 'image/svg+xml; charset=utf-8'
+};
+
+// → { contentType, filename, body }
+export async function buildExport(ticker, query = {}, { cache, uploads } = {}) {
+  if (query.format === 'png') {
+    throw httpError(400, 'PNG is rendered in the browser; request format=svg and rasterize it if needed');
+  }
+  const format = oneOf(query.format || 'csv', Object.keys(FORMATS), 'format');
+  const options = statsOptions(query);
+  const threshold = thresholdParam(query.threshold);
+  const range = rangeParams(query);
+
+  // Full history so rolling windows are warmed up before `from`
+  const history = await getHistory(ticker, { adjusted: query.adjusted, interval: query.interval }, { cache, uploads });
+  const { stats } = runPipeline(history.prices, options);
+  const rows = exportRows(stats, threshold, range);
+  const settings = describeSettings({ ...options, threshold, adjusted: history.adjusted });
+  const filename = `${exportFileName(history.ticker || ticker, options.period, rows)}.${format}`;
+
+  let body;
+  if (format === 'csv') body = rowsToCsv(rows);
+  else if (format === 'json') {
+    body = rowsToJson(rows, { ticker: history.ticker || ticker, name: history.name, settings: { ...options, threshold, adjusted: history.adjusted, interval: query.interval || '1d' }, description: settings });
+  } else {
+    body = renderChartSvg(rows, { ticker: history.ticker || ticker, name: history.name, period: options.period, threshold, settings });
+  }
+  return { contentType: FORMATS[format], filename, body };
+}
@@ -0,0 +1,31 @@
+// Price-history pipeline shared by every entry point:
+// uploaded series (when given an upload store) or provider fetch (through
+// the on-disk cache when given one) →
+// adjClose back-fill → optional split/dividend adjustment.
+// Identical fetches already in flight are shared rather than repeated; the
+// raw and adjusted views of a ticker share one fetch too.
+import { getProvider, historyOptions } from './providers/index.js';
+import { withAdjClose, adjustPrices } from './adjust.js';
+import { createCoalescer } from './coalesce.js';
+
+const coalesce = createCoalescer();
+
+export async function getHistory(ticker, query = {}, { cache, uploads } = {}) {
+  const options = historyOptions(query);
+  const provider = getProvider();
+  const key = [provider.name, ticker.toUpperCase(), options.interval, options.period1, options.period2, !!cache, !!uploads].join(':');
+  const data = await coalesce(key, async () => {
+    const uploaded = uploads && await uploads.fetchHistory(ticker, options);
+    return uploaded || (cache
+      ? cache.fetchHistory(provider, ticker, options)
+      : provider.fetchHistory(ticker, options));
+  });
+  const events = data.events || { splits: [], dividends: [] };
+  const prices = withAdjClose(data.prices, events);
+  return {
+    ...data,
+    adjusted: options.adjusted,
+    events,
+    prices: options.adjusted ? adjustPrices(prices, events, { splitAdjusted: data.splitAdjusted }) : prices
+  };
+}
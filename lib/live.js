@@ -0,0 +1,77 @@
+// Live latest-bar feed over server-sent events.
+//
+// One poller per ticker/interval/price mode, shared by every open tab. Each
+// poll asks the provider for a short recent window and pushes the bars that
+// changed since the last poll; a new subscriber first gets the whole window,
+// which covers whatever its (possibly cached) history is missing.
+import { historyOptions } from './providers/index.js';
+import { errorResponse, sendError } from './errors.js';
+import { isIntraday } from '../src/intervals.js';
+
+const DAY = 24 * 60 * 60;
+
+export function createLiveFeed({ loadHistory, pollMs = 15000 }) {
+  const feeds = new Map();
+
+  const send = (res, event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const broadcast = (feed, event, data) => {
+    for (const res of feed.clients) send(res, event, data);
+  };
+
+  function open(key, ticker, options) {
+    const feed = { clients: new Set(), bars: [], seen: new Map(), timer: null };
+    const windowSeconds = isIntraday(options.interval) ? 2 * DAY : 10 * DAY;
+
+    const poll = async () => {
+      try {
+        const data = await loadHistory(ticker, { ...options, period1: Math.floor(Date.now() / 1000) - windowSeconds });
+        const changed = data.prices.filter(p => feed.seen.get(p.date) !== JSON.stringify(p));
+        feed.bars = data.prices;
+        feed.seen = new Map(data.prices.map(p => [p.date, JSON.stringify(p)]));
+        if (changed.length) broadcast(feed, 'bars', { bars: changed, asOf: new Date().toISOString() });
+      } catch (err) {
+        broadcast(feed, 'warning', errorResponse(err, 'Live update failed').body);
+      }
+    };
+
+    feed.timer = setInterval(poll, pollMs);
+    feed.ready = poll();
+    feeds.set(key, feed);
+    return feed;
+  }
+
+  // Express handler for GET /api/live/:ticker?interval=&adjusted=
+  async function subscribe(req, res) {
+    let options;
+    try {
+      options = historyOptions(req.query);
+    } catch (err) {
+      return sendError(res, err, 'Invalid live feed request');
+    }
+    const ticker = req.params.ticker.toUpperCase();
+    const key = `${ticker}:${options.interval}:${options.adjusted}`;
+    const running = feeds.get(key);
+    const feed = running || open(key, ticker, { interval: options.interval, adjusted: options.adjusted });
+
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.flushHeaders();
+    res.write(': connected\n\n');
+    feed.clients.add(res);
+    const ping = setInterval(() => res.write(': ping\n\n'), 25000);
+    req.on('close', () => {
+      clearInterval(ping);
+      feed.clients.delete(res);
+      if (feed.clients.size === 0) {
+        clearInterval(feed.timer);
+        feeds.delete(key);
+      }
+    });
+
+    // A new feed's first poll reaches everyone; a running one replays its window
+    if (!running) return;
+    await feed.ready;
+    if (!res.destroyed && feed.bars.length) send(res, 'bars', { bars: feed.bars, asOf: new Date().toISOString() });
+  }
+
+  return { subscribe };
+}
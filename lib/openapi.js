@@ -0,0 +1,236 @@
+// OpenAPI 3 description of the public read API, served at /api/openapi.json.
+// Enums and bounds come from the same constants the validators use.
+import { PERIODS, RETURN_TYPES, MODES, ESTIMATORS, WINDOW_RANGE, LAMBDA_RANGE } from './statsOptions.js';
+import { INTERVALS } from '../src/intervals.js';
+
+const ref = name => ({ $ref: `#/components/parameters/${name}` });
+const schema = name => ({ $ref: `#/components/schemas/${name}` });
+const json = (description, s) => ({ description, content: { 'application/json': { schema: s } } });
+const errors = {
+  400: json('Invalid parameter', schema('Error')),
+  404: json('Unknown ticker (TICKER_NOT_FOUND)', schema('Error')),
+  429: json('Client rate limit exceeded; see Retry-After', schema('Error')),
+  500: json('Unexpected failure', schema('Error')),
+  502: json('Provider error or unreachable', schema('Error')),
+  503: json('Provider is rate-limiting (circuit breaker open); see Retry-After', schema('Error')),
+  504: json('Provider timed out', schema('Error'))
+};
+const ERROR_CODES = [
+  'INVALID_REQUEST', 'NOT_FOUND', 'TICKER_NOT_FOUND', 'RATE_LIMITED', 'UPSTREAM_RATE_LIMITED',
+  'UPSTREAM_TIMEOUT', 'UPSTREAM_UNAVAILABLE', 'UPSTREAM_ERROR', 'INTERNAL_ERROR'
+];
+
+const STATS_PARAMS = ['period', 'returnType', 'mode', 'window', 'estimator', 'lambda'].map(ref);
+const HISTORY_PARAMS = [ref('ticker'), ref('interval'), ref('adjusted')];
+const RANGE_PARAMS = [ref('from'), ref('to')];
+
+const number = { type: 'number' };
+const nullableNumber = { type: 'number', nullable: true };
+const date = { type: 'string', example: '2024-03-15', description: 'YYYY-MM-DD, or YYYY-MM-DDTHH:mm (exchange-local) for intraday bars' };
+
+const reportHeader = {
+  ticker: { type: 'string' },
+  name: { type: 'string' },
+  currency: { type: 'string', nullable: true },
+  interval: { type: 'string' },
+  adjusted: { type: 'boolean' }
+};
+
+export const openApiSpec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'σ Tracker API',
+    version: '1.0.0',
+    description: 'Price history and the deviation statistics the σ Tracker UI shows, computed server-side with the same code.'
+  },
+  paths: {
+    '/api/history/{ticker}': {
+      get: {
+        summary: 'OHLCV history with splits and dividends',
+        parameters: [...HISTORY_PARAMS, { name: 'period1', in: 'query', schema: { type: 'integer' }, description: 'Start, unix seconds' },
+          { name: 'period2', in: 'query', schema: { type: 'integer' }, description: 'End, unix seconds' }],
+        responses: { 200: json('Price history', schema('History')), ...errors }
+      }
+    },
+    '/api/search/{query}': {
+      get: {
+        summary: 'Symbol search',
+        parameters: [{ name: 'query', in: 'path', required: true, schema: { type: 'string' } }],
+        responses: {
+          200: json('Matching symbols', { type: 'array', items: schema('Quote') }),
+          ...errors
+        }
+      }
+    },
+    '/api/zscores/{ticker}': {
+      get: {
+        summary: 'Per-bar returns and z-scores',
+        description: 'Computed over the full history so rolling windows are warmed up, then trimmed to from/to.',
+        parameters: [...HISTORY_PARAMS, ...STATS_PARAMS, ...RANGE_PARAMS],
+        responses: { 200: json('Z-scores', schema('ZScoreReport')), ...errors }
+      }
+    },
+    '/api/volatility/{ticker}': {
+      get: {
+        summary: 'Realized volatility panel and regime',
+        description: 'Annualized from daily log returns (one close per session for intraday intervals).',
+        parameters: [...HISTORY_PARAMS, ...RANGE_PARAMS,
+          { name: 'history', in: 'query', schema: { type: 'boolean', default: false }, description: 'Include the vols at every date in range' }],
+        responses: { 200: json('Volatility', schema('VolatilityReport')), ...errors }
+      }
+    },
+    '/api/signals/{ticker}': {
+      get: {
+        summary: 'Bars beyond the threshold',
+        parameters: [...HISTORY_PARAMS, ...STATS_PARAMS, ref('threshold'),
+          { name: 'direction', in: 'query', schema: { type: 'string', enum: ['both', 'up', 'down'], default: 'both' } },
+          ...RANGE_PARAMS],
+        responses: { 200: json('Signals', schema('SignalReport')), ...errors }
+      }
+    },
+    '/api/export/{ticker}': {
+      get: {
+        summary: 'Z-score dataset or chart as a file',
+        parameters: [...HISTORY_PARAMS, ...STATS_PARAMS, ref('threshold'), ...RANGE_PARAMS,
+          { name: 'format', in: 'query', schema: { type: 'string', enum: ['csv', 'json', 'svg'], default: 'csv' } },
+          { name: 'download', in: 'query', schema: { type: 'boolean' }, description: 'Send as an attachment' }],
+        responses: {
+          200: {
+            description: 'Export file',
+            content: { 'text/csv': { schema: { type: 'string' } }, 'application/json': { schema: { type: 'object' } }, 'image/svg+xml': { schema: { type: 'string' } } }
+          },
+          ...errors
+        }
+      }
+    }
+  },
+  components: {
+    parameters: {
+      ticker: { name: 'ticker', in: 'path', required: true, schema: { type: 'string' }, example: 'SPY' },
+      interval: { name: 'interval', in: 'query', schema: { type: 'string', enum: INTERVALS.map(i => i.key), default: '1d' } },
+      adjusted: { name: 'adjusted', in: 'query', schema: { type: 'boolean', default: true }, description: 'Split/dividend-adjusted prices' },
+      period: { name: 'period', in: 'query', schema: { type: 'string', enum: PERIODS, default: 'daily' }, description: 'Return bucket' },
+      returnType: { name: 'returnType', in: 'query', schema: { type: 'string', enum: RETURN_TYPES, default: 'simple' } },
+      mode: { name: 'mode', in: 'query', schema: { type: 'string', enum: MODES, default: 'rolling' }, description: 'Rolling or full-sample σ' },
+      window: { name: 'window', in: 'query', schema: { type: 'integer', minimum: WINDOW_RANGE[0], maximum: WINDOW_RANGE[1], default: 60 }, description: 'Rolling window in periods' },
+      estimator: { name: 'estimator', in: 'query', schema: { type: 'string', enum: ESTIMATORS, default: 'stdev' } },
+      lambda: { name: 'lambda', in: 'query', schema: { type: 'number', minimum: LAMBDA_RANGE[0], maximum: LAMBDA_RANGE[1], default: 0.94 }, description: 'EWMA decay' },
+      threshold: { name: 'threshold', in: 'query', schema: { type: 'number', exclusiveMinimum: true, minimum: 0, default: 2 }, description: 'Signal threshold in σ' },
+      from: { name: 'from', in: 'query', schema: date },
+      to: { name: 'to', in: 'query', schema: date, description: 'A day-only value includes that whole day' }
+    },
+    schemas: {
+      Error: {
+        type: 'object',
+        properties: {
+          error: { type: 'string', description: 'Human-readable message' },
+          code: { type: 'string', enum: ERROR_CODES, description: 'Stable machine-readable code' },
+          retryAfter: { type: 'integer', description: 'Seconds to wait, on 429/503' }
+        },
+        required: ['error', 'code']
+      },
+      Quote: {
+        type: 'object',
+        properties: { symbol: { type: 'string' }, name: { type: 'string' }, type: { type: 'string' }, exchange: { type: 'string' } }
+      },
+      Bar: {
+        type: 'object',
+        properties: {
+          date, open: nullableNumber, high: nullableNumber, low: nullableNumber, close: number,
+          adjClose: nullableNumber, volume: nullableNumber
+        }
+      },
+      History: {
+        type: 'object',
+        properties: {
+          ...reportHeader,
+          exchange: { type: 'string' },
+          timezone: { type: 'string' },
+          splitAdjusted: { type: 'boolean', description: 'false when the provider\'s volume is raw' },
+          prices: { type: 'array', items: schema('Bar') },
+          events: {
+            type: 'object',
+            properties: {
+              splits: { type: 'array', items: { type: 'object', properties: { date, numerator: number, denominator: number } } },
+              dividends: { type: 'array', items: { type: 'object', properties: { date, amount: number } } }
+            }
+          }
+        }
+      },
+      Settings: {
+        type: 'object',
+        properties: {
+          period: { type: 'string' }, returnType: { type: 'string' }, mode: { type: 'string' },
+          window: { type: 'integer' }, estimator: { type: 'string' }, lambda: number
+        }
+      },
+      ZScoreReport: {
+        type: 'object',
+        properties: {
+          ...reportHeader,
+          settings: schema('Settings'),
+          description: { type: 'string' },
+          rangeAvailable: { type: 'boolean', description: 'Whether OHLC data allowed the range estimators' },
+          mean: number,
+          std: number,
+          garch: { type: 'object', nullable: true, description: 'Fitted GARCH(1,1) parameters when estimator=garch' },
+          bars: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                date, periodKey: { type: 'string' }, close: number, ret: number, z: number,
+                localMean: number, localStd: { ...number, description: 'σ the bar was measured against' }
+              }
+            }
+          }
+        }
+      },
+      VolatilityReport: {
+        type: 'object',
+        properties: {
+          ...reportHeader,
+          date,
+          volatility: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: { label: { type: 'string' }, days: { type: 'integer' }, desc: { type: 'string' }, vol: { ...nullableNumber, description: 'Annualized, in %' } }
+            }
+          },
+          regime: {
+            type: 'object',
+            nullable: true,
+            properties: { key: { type: 'string', enum: ['expanding', 'contracting', 'stable'] }, ratio: { ...number, description: '20d / 252d vol' } }
+          },
+          history: { type: 'array', items: { type: 'object', description: '{ date, ret, "20d", "60d", "120d", "252d" }' } }
+        }
+      },
+      SignalReport: {
+        type: 'object',
+        properties: {
+          ...reportHeader,
+          settings: { allOf: [schema('Settings'), { type: 'object', properties: { threshold: number, direction: { type: 'string' } } }] },
+          description: { type: 'string' },
+          latest: {
+            type: 'object',
+            nullable: true,
+            properties: {
+              date, close: number, ret: number, z: number, sigma: number, vol20: nullableNumber, vol252: nullableNumber,
+              regime: { type: 'string', nullable: true }, lastSignalDate: { ...date, nullable: true },
+              lastSignalZ: nullableNumber, daysSinceSignal: { type: 'integer', nullable: true }
+            }
+          },
+          count: { type: 'integer' },
+          signals: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: { date, periodKey: { type: 'string' }, close: number, ret: number, z: number, direction: { type: 'string', enum: ['up', 'down'] } }
+            }
+          }
+        }
+      }
+    }
+  }
+};
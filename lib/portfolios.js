@@ -0,0 +1,80 @@
+// Saved portfolios for /api/portfolios. State lives in a JSON store:
+// { portfolios: [{ id, name, holdings: [{ ticker, weight }], rebalance, createdAt, updatedAt }] }.
+// The NAV itself is built in the browser (src/portfolio.js) from each
+// holding's history, so only the definition is stored.
+import { randomUUID } from 'node:crypto';
+import { httpError } from './errors.js';
+import { oneOf } from './statsOptions.js';
+import { REBALANCE_OPTIONS } from '../src/portfolio.js';
+
+const MAX_HOLDINGS = 25;
+const TICKER_RE = /^[\w.^=-]{1,20}$/;
+
+// Fill defaults and reject anything that can't be priced
+export function normalizePortfolio(input) {
+  const name = typeof input?.name === 'string' ? input.name.trim() : '';
+  if (!name || name.length > 60) throw httpError(400, 'name is required (up to 60 characters)');
+  if (!Array.isArray(input.holdings) || input.holdings.length === 0) {
+    throw httpError(400, 'holdings must be a non-empty array of { ticker, weight }');
+  }
+  if (input.holdings.length > MAX_HOLDINGS) throw httpError(400, `at most ${MAX_HOLDINGS} holdings`);
+
+  const holdings = [];
+  for (const h of input.holdings) {
+    const ticker = String(h?.ticker || '').trim().toUpperCase();
+    const weight = Number(h?.weight);
+    if (!TICKER_RE.test(ticker)) throw httpError(400, `invalid ticker "${h?.ticker}"`);
+    if (!(weight > 0)) throw httpError(400, `weight for ${ticker} must be a positive number`);
+    if (holdings.some(x => x.ticker === ticker)) throw httpError(400, `${ticker} is listed twice`);
+    holdings.push({ ticker, weight });
+  }
+  return {
+    name,
+    holdings,
+    rebalance: oneOf(input.rebalance || 'none', REBALANCE_OPTIONS.map(o => o.key), 'rebalance')
+  };
+}
+
+export function createPortfolioStore(store) {
+  async function list() {
+    return (await store.read()).portfolios;
+  }
+
+  async function get(id) {
+    const portfolio = (await list()).find(p => p.id === id);
+    if (!portfolio) throw httpError(404, 'Portfolio not found');
+    return portfolio;
+  }
+
+  // Short ids: they end up in URLs as "@id"
+  async function add(input) {
+    const now = new Date().toISOString();
+    const portfolio = { id: randomUUID().slice(0, 8), ...normalizePortfolio(input), createdAt: now, updatedAt: now };
+    await store.update(doc => { doc.portfolios.push(portfolio); });
+    return portfolio;
+  }
+
+  async function update(id, input) {
+    return store.update(doc => {
+      const i = doc.portfolios.findIndex(p => p.id === id);
+      if (i === -1) throw httpError(404, 'Portfolio not found');
+      const portfolio = {
+        ...doc.portfolios[i],
+        ...normalizePortfolio({ ...doc.portfolios[i], ...input }),
+        updatedAt: new Date().toISOString()
+      };
+      doc.portfolios[i] = portfolio;
+      return portfolio;
+    });
+  }
+
+  async function remove(id) {
+    return store.update(doc => {
+      const before = doc.portfolios.length;
+      doc.portfolios = doc.portfolios.filter(p => p.id !== id);
+      if (doc.portfolios.length === before) throw httpError(404, 'Portfolio not found');
+    });
+  }
+
+  return { list, get, add, update, remove };
+}
@@ -0,0 +1,141 @@
+// Local file provider — serves recorded price histories from disk so the app
+// runs offline. Each symbol is a `<SYMBOL>.json` (same shape as /api/history,
+// including `events`) or a `<SYMBOL>.csv` with at least Date and Close columns
+// and optionally Open/High/Low/Adj Close/Volume (Yahoo's download format
+// works as-is).
+import { readFile, readdir } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { httpError } from '../errors.js';
+import { isIntraday } from '../../src/intervals.js';
+
+const DEFAULT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../fixtures');
+
+function fixturesDir() {
+  return process.env.FIXTURES_DIR ? path.resolve(process.env.FIXTURES_DIR) : DEFAULT_DIR;
+}
+
+const CSV_COLUMNS = {
+  open: 'open',
+  high: 'high',
+  low: 'low',
+  close: 'close',
+  'adj close': 'adjClose',
+  adjclose: 'adjClose',
+  volume: 'volume'
+};
+
+function parseCsv(text) {
+  const lines = text.trim().split(/\r?\n/);
+  const header = lines.shift().split(',').map(h => h.trim().toLowerCase());
+  const dateCol = header.indexOf('date');
+  if (dateCol === -1 || !header.includes('close')) {
+    throw new Error('CSV needs Date and Close columns');
+  }
+  const prices = [];
+  for (const line of lines) {
+    const cells = line.split(',');
+    const bar = { date: cells[dateCol].trim().slice(0, 10) };
+    header.forEach((h, i) => {
+      const field = CSV_COLUMNS[h];
+      if (!field) return;
+      const value = parseFloat(cells[i]);
+      bar[field] = Number.isFinite(value) ? value : null;
+    });
+    if (bar.close != null) prices.push(bar);
+  }
+  return { prices };
+}
+
+async function loadSymbol(symbol) {
+  // Symbols become file names, so keep them to ticker characters only
+  if (!/^[\w.^=-]+$/.test(symbol)) return null;
+  const base = path.join(fixturesDir(), symbol.toUpperCase());
+  for (const ext of ['.json', '.csv']) {
+    let text;
+    try {
+      text = await readFile(base + ext, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') continue;
+      throw err;
+    }
+    const parsed = ext === '.json' ? JSON.parse(text) : parseCsv(text);
+    // Bare arrays of { date, close } are accepted too
+    return Array.isArray(parsed) ? { prices: parsed } : parsed;
+  }
+  return null;
+}
+
+function toDate(unixSeconds) {
+  return new Date(unixSeconds * 1000).toISOString().split('T')[0];
+}
+
+export async function fetchHistory(ticker, { period1, period2, interval = '1d' }) {
+  if (isIntraday(interval)) {
+    throw httpError(400, 'Recorded fixtures are daily only; use DATA_PROVIDER=mock for intraday bars');
+  }
+  const data = await loadSymbol(ticker);
+  if (!data) {
+    throw httpError(404, 'Ticker not found or no data available', { code: 'TICKER_NOT_FOUND' });
+  }
+
+  // Recorded files don't move with the clock, so no bounds means everything
+  const from = period1 ? toDate(period1) : '';
+  const to = period2 ? toDate(period2) : '9999-12-31';
+  const prices = (data.prices || [])
+    .filter(p => p.close != null && p.date >= from && p.date <= to)
+    .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+  return {
+    ticker: data.ticker || ticker.toUpperCase(),
+    currency: data.currency || 'USD',
+    exchange: data.exchange || 'Local',
+    name: data.name || ticker.toUpperCase(),
+    timezone: data.timezone || 'UTC',
+    interval: '1d',
+    prices: prices.map(p => ({
+      date: p.date,
+      open: p.open ?? null,
+      high: p.high ?? null,
+      low: p.low ?? null,
+      close: p.close,
+      adjClose: p.adjClose ?? null,
+      volume: p.volume ?? null
+    })),
+    // Recordings and Yahoo downloads are split-adjusted; a JSON fixture of
+    // raw bars sets "splitAdjusted": false
+    splitAdjusted: data.splitAdjusted ?? true,
+    events: {
+      splits: data.events?.splits || [],
+      dividends: data.events?.dividends || []
+    }
+  };
+}
+
+export async function search(query) {
+  let files;
+  try {
+    files = await readdir(fixturesDir());
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const q = query.toUpperCase();
+  const symbols = [...new Set(
+    files
+      .filter(f => /\.(json|csv)$/i.test(f))
+      .map(f => f.replace(/\.(json|csv)$/i, '').toUpperCase())
+  )];
+
+  const quotes = [];
+  for (const symbol of symbols) {
+    const data = await loadSymbol(symbol);
+    const name = data?.name || symbol;
+    if (symbol.includes(q) || name.toUpperCase().includes(q)) {
+      quotes.push({ symbol, name, type: data?.type || 'FIXTURE', exchange: data?.exchange || 'Local' });
+    }
+  }
+  return quotes.slice(0, 8);
+}
+
+export default { name: 'file', fetchHistory, search };
@@ -0,0 +1,51 @@
+// Data-provider registry shared by server.js and the Vercel functions.
+//
+// A provider is an object with:
+//   name                               — registry key
+//   fetchHistory(ticker, options)      — resolves { ticker, currency, exchange, name, timezone, interval,
+//                                                   prices, events, splitAdjusted? }
+//                                        prices: [{ date, open, high, low, close, adjClose?, volume }]
+//                                        dates are exchange-local (see src/intervals.js)
+//                                        events: { splits: [{ date, numerator, denominator }],
+//                                                  dividends: [{ date, amount }] }
+//                                        splitAdjusted: false when volume is raw, so
+//                                        ?adjusted=true rescales it by the splits
+//   search(query)                      — resolves [{ symbol, name, type, exchange }]
+//   status()                           — optional; upstream health (see lib/upstream.js)
+// Errors thrown with a numeric `status` (and optionally details.code, see
+// lib/errors.js) are passed through to the client.
+import yahoo from './yahoo.js';
+import file from './file.js';
+import mock from './mock.js';
+import { httpError } from '../errors.js';
+import { INTERVALS } from '../../src/intervals.js';
+
+const providers = { yahoo, file, mock };
+
+export function registerProvider(provider) {
+  providers[provider.name] = provider;
+}
+
+// DATA_PROVIDER=file switches every entry point to the local fixtures,
+// DATA_PROVIDER=mock to synthetic prices at any interval
+export function getProvider(name = process.env.DATA_PROVIDER || 'yahoo') {
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown data provider "${name}"`);
+  return provider;
+}
+
+// Normalize /api/history query params (unix seconds). Missing bounds stay
+// null so each provider can apply its own default window.
+// `adjusted=false` returns prices as delivered instead of split/dividend-adjusted
+export function historyOptions({ period1, period2, interval, adjusted } = {}) {
+  interval ||= '1d';
+  if (!INTERVALS.some(i => i.key === interval)) {
+    throw httpError(400, `interval must be one of ${INTERVALS.map(i => i.key).join(', ')}`);
+  }
+  return {
+    period1: Number(period1) || null,
+    period2: Number(period2) || null,
+    interval,
+    adjusted: adjusted !== 'false' && adjusted !== '0' && adjusted !== false
+  };
+}
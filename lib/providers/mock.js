@@ -0,0 +1,132 @@
+// Mock provider — synthetic prices for any symbol at any interval, so intraday
+// charts and the live feed can be exercised offline (DATA_PROVIDER=mock).
+//
+// Log prices are a few slow cycles plus a fat-tailed random walk built by
+// midpoint displacement: the walk at any bar is a pure function of (symbol,
+// interval, bar index), so history is stable between requests without
+// replaying it from an epoch, while the current bar keeps moving until it
+// closes. Bars run around the clock on New York time.
+import { intervalOf, isIntraday, barDate } from '../../src/intervals.js';
+
+const TIMEZONE = 'America/New_York';
+const YEAR = 365 * 24 * 60 * 60;
+const ANNUAL_VOL = 0.25;
+const CYCLES = [
+  { days: 180, amplitude: 0.18 },
+  { days: 45, amplitude: 0.07 },
+  { days: 9, amplitude: 0.02 }
+];
+
+function seedOf(str) {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+// Integer hash → [0, 1)
+function uniform(seed, k) {
+  let h = (seed ^ Math.imul(k, 0x9e3779b1)) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  h ^= h >>> 16;
+  return (h >>> 0) / 4294967296;
+}
+
+// Standard normal with an occasional 3× shock so signals show up
+function shock(seed, k) {
+  const u1 = Math.max(1e-12, uniform(seed, 2 * k));
+  const u2 = uniform(seed, 2 * k + 1);
+  const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+  return uniform(seed ^ 0x5bd1e995, k) < 0.02 ? 3 * z : z;
+}
+
+function model(symbol, interval) {
+  const { seconds } = intervalOf(interval);
+  const seed = seedOf(`${symbol}:${interval}`);
+  const anchorSeed = seed ^ 0x68e31da4;
+  const symbolSeed = seedOf(symbol);
+  const base = Math.log(20 + uniform(symbolSeed, 0) * 480);
+  const phases = CYCLES.map((_, j) => uniform(symbolSeed, j + 1) * 2 * Math.PI);
+  const noise = ANNUAL_VOL * Math.sqrt(seconds / YEAR);
+
+  // Random walk (unit variance per bar) at bar k: anchors every `span` bars
+  // (~2 years) are summed directly, then Brownian-bridge midpoints are
+  // drawn down to the bar, each keyed by its own index
+  const span = 2 ** Math.max(1, Math.ceil(Math.log2((2 * YEAR) / seconds)));
+  const anchors = [0];
+  const anchor = n => {
+    for (let j = anchors.length; j <= n; j++) anchors.push(anchors[j - 1] + Math.sqrt(span) * shock(anchorSeed, j));
+    return anchors[n];
+  };
+  const walk = k => {
+    const n = Math.floor(k / span);
+    let a = n * span, b = a + span, wa = anchor(n), wb = anchor(n + 1);
+    while (b - a > 1) {
+      const mid = (a + b) / 2;
+      const wm = (wa + wb) / 2 + Math.sqrt((b - a) / 4) * shock(seed, mid);
+      if (k < mid) { b = mid; wb = wm; } else { a = mid; wa = wm; }
+    }
+    return k === a ? wa : wb;
+  };
+
+  // Log price at time t; inside a bar the walk interpolates to its close
+  const logPrice = t => {
+    const k = Math.floor(t / seconds);
+    const frac = t / seconds - k;
+    const cycles = CYCLES.reduce((sum, c, j) => sum + c.amplitude * Math.sin((2 * Math.PI * t) / (c.days * 86400) + phases[j]), 0);
+    const w = frac ? walk(k) * (1 - frac) + walk(k + 1) * frac : walk(k);
+    return base + cycles + noise * w;
+  };
+  return { seconds, seed, noise, logPrice };
+}
+
+export async function fetchHistory(ticker, { period1, period2, interval = '1d' }) {
+  const symbol = ticker.toUpperCase();
+  const { seconds, seed, noise, logPrice } = model(symbol, interval);
+  const now = Math.floor(Date.now() / 1000);
+  const to = Math.min(period2 || now, now);
+  const from = period1 || to - intervalOf(interval).days * 86400;
+
+  const prices = [];
+  let prevClose = Math.exp(logPrice(Math.floor(from / seconds) * seconds));
+  for (let k = Math.floor(from / seconds); k * seconds <= to; k++) {
+    const start = k * seconds;
+    const end = Math.min(start + seconds, now);
+    // The bar still forming also jitters between polls
+    const jitter = end < start + seconds ? noise * 0.3 * (uniform(seed, Math.floor(now / 5)) - 0.5) : 0;
+    const close = Math.exp(logPrice(end) + jitter);
+    const open = prevClose;
+    const wick = 1 + noise * 0.5 * uniform(seed ^ 0x27d4eb2f, k);
+    prices.push({
+      date: barDate(start, TIMEZONE, isIntraday(interval)),
+      open,
+      high: Math.max(open, close) * wick,
+      low: Math.min(open, close) / wick,
+      close,
+      adjClose: close,
+      volume: Math.round((1e6 * seconds) / 86400 * (0.5 + uniform(seed ^ 0x165667b1, k)))
+    });
+    prevClose = close;
+  }
+
+  return {
+    ticker: symbol,
+    currency: 'USD',
+    exchange: 'Mock',
+    name: `${symbol} (mock data)`,
+    timezone: TIMEZONE,
+    interval,
+    prices,
+    events: { splits: [], dividends: [] }
+  };
+}
+
+export async function search(query) {
+  const symbol = query.toUpperCase().trim();
+  return symbol ? [{ symbol, name: `${symbol} (mock data)`, type: 'MOCK', exchange: 'Mock' }] : [];
+}
+
+export default { name: 'mock', fetchHistory, search };
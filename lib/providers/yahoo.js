@@ -0,0 +1,98 @@
+// Yahoo Finance provider — chart + search endpoints, no API key required.
+// Calls go through the upstream helper: timeouts, retries, 429 breaker.
+import { httpError } from '../errors.js';
+import { createUpstream } from '../upstream.js';
+import { intervalOf, isIntraday, barDate } from '../../src/intervals.js';
+
+const CHART_URL = 'https://query1.finance.yahoo.com/v8/finance/chart';
+const SEARCH_URL = 'https://query2.finance.yahoo.com/v1/finance/search';
+const HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+};
+
+const upstream = createUpstream({ name: 'Yahoo Finance' });
+
+const notFound = () => httpError(404, 'Ticker not found or no data available', { code: 'TICKER_NOT_FOUND' });
+
+export async function fetchHistory(ticker, { period1, period2, interval }) {
+  // Default: 3 years of daily data up to now, or as much intraday as Yahoo keeps
+  const now = Math.floor(Date.now() / 1000);
+  const p2 = period2 || now;
+  const p1 = period1 || p2 - intervalOf(interval).days * 24 * 60 * 60;
+
+  const url = `${CHART_URL}/${encodeURIComponent(ticker)}?period1=${p1}&period2=${p2}&interval=${interval}&includePrePost=false&events=div%2Csplits`;
+  let data;
+  try {
+    data = await upstream.fetchJson(url, { headers: HEADERS });
+  } catch (err) {
+    // Yahoo answers an unknown symbol with a 404
+    throw err.status === 404 ? notFound() : err;
+  }
+  const result = data?.chart?.result?.[0];
+
+  if (!result) throw notFound();
+
+  const timestamps = result.timestamp || [];
+  const quote = result.indicators?.quote?.[0] || {};
+  const adjcloses = result.indicators?.adjclose?.[0]?.adjclose || [];
+  const meta = result.meta || {};
+  // Bars are dated on the exchange's clock, not the server's
+  const timezone = meta.exchangeTimezoneName || 'UTC';
+  const intraday = isIntraday(interval);
+  const toDate = (unixSeconds, withTime = false) => barDate(unixSeconds, timezone, withTime);
+
+  // Build clean array of OHLCV bars, skipping bars without a close
+  const prices = [];
+  for (let i = 0; i < timestamps.length; i++) {
+    if (quote.close?.[i] != null) {
+      prices.push({
+        date: toDate(timestamps[i], intraday),
+        open: quote.open?.[i] ?? null,
+        high: quote.high?.[i] ?? null,
+        low: quote.low?.[i] ?? null,
+        close: quote.close[i],
+        adjClose: adjcloses[i] ?? null,
+        volume: quote.volume?.[i] ?? null
+      });
+    }
+  }
+
+  const splits = Object.values(result.events?.splits || {}).map(s => ({
+    date: toDate(s.date),
+    numerator: s.numerator,
+    denominator: s.denominator
+  }));
+  const dividends = Object.values(result.events?.dividends || {}).map(d => ({
+    date: toDate(d.date),
+    amount: d.amount
+  }));
+
+  return {
+    ticker: meta.symbol || ticker,
+    currency: meta.currency || 'USD',
+    exchange: meta.exchangeName || '',
+    name: meta.shortName || meta.longName || ticker,
+    timezone,
+    interval,
+    prices,
+    // Yahoo's OHLC and volume already account for splits
+    splitAdjusted: true,
+    events: {
+      splits: splits.sort((a, b) => a.date.localeCompare(b.date)),
+      dividends: dividends.sort((a, b) => a.date.localeCompare(b.date))
+    }
+  };
+}
+
+export async function search(query) {
+  const url = `${SEARCH_URL}?q=${encodeURIComponent(query)}&quotesCount=8&newsCount=0`;
+  const data = await upstream.fetchJson(url, { headers: HEADERS });
+  return (data.quotes || []).map(q => ({
+    symbol: q.symbol,
+    name: q.shortname || q.longname || q.symbol,
+    type: q.quoteType,
+    exchange: q.exchDisp || q.exchange
+  }));
+}
+
+export default { name: 'yahoo', fetchHistory, search, status: upstream.status };
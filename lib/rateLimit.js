@@ -0,0 +1,38 @@
+// Per-client rate limiting for the data routes: a token bucket per IP that
+// refills at `perMinute` and holds up to `burst`, so a page load's flurry of
+// requests goes through but a tight loop is held to the steady rate.
+// Over the limit: 429 with Retry-After and code RATE_LIMITED.
+import { sendError, httpError } from './errors.js';
+
+const SWEEP_MS = 5 * 60 * 1000;
+
+export function rateLimit({ perMinute = 120, burst = 60 } = {}) {
+  const buckets = new Map();
+  const refillPerMs = perMinute / 60000;
+
+  // Forget clients whose bucket has refilled completely
+  setInterval(() => {
+    const now = Date.now();
+    for (const [ip, bucket] of buckets) {
+      if (bucket.tokens + (now - bucket.at) * refillPerMs >= burst) buckets.delete(ip);
+    }
+  }, SWEEP_MS).unref();
+
+  return function limit(req, res, next) {
+    const now = Date.now();
+    const bucket = buckets.get(req.ip) || { tokens: burst, at: now };
+    bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.at) * refillPerMs);
+    bucket.at = now;
+    buckets.set(req.ip, bucket);
+
+    res.set('RateLimit-Limit', String(burst));
+    if (bucket.tokens < 1) {
+      const retryAfter = Math.ceil((1 - bucket.tokens) / refillPerMs / 1000);
+      res.set('RateLimit-Remaining', '0');
+      return sendError(res, httpError(429, `Too many requests; retry in ${retryAfter}s`, { code: 'RATE_LIMITED', retryAfter }));
+    }
+    bucket.tokens -= 1;
+    res.set('RateLimit-Remaining', String(Math.floor(bucket.tokens)));
+    next();
+  };
+}
@@ -0,0 +1,92 @@
+// Computed statistics for /api/zscores, /api/volatility and /api/signals.
+// Each report runs the same pipeline as the UI (src/stats.js) over the full
+// history — so rolling windows are warmed up — and trims to ?from=&to=.
+// Every query parameter is validated before any data is fetched.
+import { getHistory } from './history.js';
+import { oneOf, statsOptions, thresholdParam, rangeParams } from './statsOptions.js';
+import { runPipeline, computeVolatility, computeVolatilityHistory, classifyRegime, summarizeLatest } from '../src/stats.js';
+import { describeSettings } from '../src/export.js';
+
+const DIRECTIONS = ['both', 'up', 'down'];
+
+const inRange = (date, { from, to }) => (!from || date >= from) && (!to || date.slice(0, to.length) <= to);
+
+// Fields every report starts with
+function header(history, ticker, query) {
+  return {
+    ticker: history.ticker || ticker.toUpperCase(),
+    name: history.name,
+    currency: history.currency,
+    interval: history.interval || query.interval || '1d',
+    adjusted: history.adjusted
+  };
+}
+
+const loadHistory = (ticker, query, sources) =>
+  getHistory(ticker, { adjusted: query.adjusted, interval: query.interval }, sources);
+
+// Per-bar returns and z-scores with the σ each bar was measured against
+export async function zscoreReport(ticker, query = {}, sources = {}) {
+  const options = statsOptions(query);
+  const range = rangeParams(query);
+  const history = await loadHistory(ticker, query, sources);
+  const { stats, rangeAvailable } = runPipeline(history.prices, options);
+  return {
+    ...header(history, ticker, query),
+    settings: options,
+    description: describeSettings({ ...options, threshold: thresholdParam(query.threshold), adjusted: history.adjusted }),
+    rangeAvailable,
+    mean: stats.mean,
+    std: stats.std,
+    garch: stats.params ?? null,
+    bars: stats.data.filter(d => inRange(d.date, range)).map(d => ({
+      date: d.date,
+      periodKey: d.periodKey,
+      close: d.close,
+      ret: d.ret,
+      z: d.z,
+      localMean: d.localMean ?? stats.mean,
+      localStd: d.localStd ?? stats.std
+    }))
+  };
+}
+
+// The volatility panel (20/60/120/252-day annualized realized vol, in %) and
+// regime; ?history=true adds the same vols at every date in range
+export async function volatilityReport(ticker, query = {}, sources = {}) {
+  const range = rangeParams(query);
+  const withHistory = query.history === 'true' || query.history === '';
+  const history = await loadHistory(ticker, query, sources);
+  const volatility = computeVolatility(history.prices);
+  const last = history.prices[history.prices.length - 1];
+  return {
+    ...header(history, ticker, query),
+    date: last ? last.date.slice(0, 10) : null,
+    volatility: volatility.map(({ label, days, desc, vol }) => ({ label, days, desc, vol })),
+    regime: classifyRegime(volatility),
+    ...(withHistory && { history: computeVolatilityHistory(history.prices).filter(r => inRange(r.date, range)) })
+  };
+}
+
+// Bars beyond ±threshold (optionally one direction), plus the watchlist
+// summary of the latest bar
+export async function signalReport(ticker, query = {}, sources = {}) {
+  const options = statsOptions(query);
+  const threshold = thresholdParam(query.threshold);
+  const direction = oneOf(query.direction || 'both', DIRECTIONS, 'direction');
+  const range = rangeParams(query);
+  const history = await loadHistory(ticker, query, sources);
+  const result = runPipeline(history.prices, options);
+  const signals = result.stats.data
+    .filter(d => inRange(d.date, range))
+    .filter(d => (direction === 'up' ? d.z >= threshold : direction === 'down' ? d.z <= -threshold : Math.abs(d.z) >= threshold))
+    .map(d => ({ date: d.date, periodKey: d.periodKey, close: d.close, ret: d.ret, z: d.z, direction: d.z > 0 ? 'up' : 'down' }));
+  return {
+    ...header(history, ticker, query),
+    settings: { ...options, threshold, direction },
+    description: describeSettings({ ...options, threshold, adjusted: history.adjusted }),
+    latest: summarizeLatest(result, threshold),
+    count: signals.length,
+    signals
+  };
+}
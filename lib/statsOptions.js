@@ -0,0 +1,60 @@
+// Validation for the stats-pipeline settings every server entry point
+// accepts (alert rules, exports, the stats API). Mirrors the choices and
+// bounds the UI offers.
+import { httpError } from './errors.js';
+
+export const PERIODS = ['daily', 'weekly', 'monthly', 'quarterly', 'yearly'];
+export const RETURN_TYPES = ['simple', 'log'];
+export const MODES = ['full', 'rolling'];
+export const ESTIMATORS = ['stdev', 'mad', 'ewma', 'garch', 'parkinson', 'garman-klass'];
+export const WINDOW_RANGE = [2, 10000];
+export const LAMBDA_RANGE = [0.5, 0.999];
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2})?$/;
+
+export function oneOf(value, allowed, field) {
+  if (!allowed.includes(value)) {
+    throw httpError(400, `${field} must be one of: ${allowed.join(', ')}`);
+  }
+  return value;
+}
+
+// Missing → fallback; present but outside [min, max] → 400
+function numberIn(value, [min, max], fallback, field, integer = false) {
+  if (value == null || value === '') return fallback;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < min || n > max || (integer && !Number.isInteger(n))) {
+    throw httpError(400, `${field} must be ${integer ? 'an integer' : 'a number'} from ${min} to ${max}`);
+  }
+  return n;
+}
+
+// { period, returnType, mode, window, estimator, lambda } with defaults filled
+export function statsOptions(input = {}) {
+  return {
+    period: oneOf(input.period || 'daily', PERIODS, 'period'),
+    returnType: oneOf(input.returnType || 'simple', RETURN_TYPES, 'returnType'),
+    mode: oneOf(input.mode || 'rolling', MODES, 'mode'),
+    window: numberIn(input.window, WINDOW_RANGE, 60, 'window', true),
+    estimator: oneOf(input.estimator || 'stdev', ESTIMATORS, 'estimator'),
+    lambda: numberIn(input.lambda, LAMBDA_RANGE, 0.94, 'lambda')
+  };
+}
+
+export function thresholdParam(value, fallback = 2) {
+  if (value == null || value === '') return fallback;
+  const threshold = Number(value);
+  if (!(threshold > 0)) throw httpError(400, 'threshold must be a positive number');
+  return threshold;
+}
+
+export function dateParam(value, field) {
+  if (value == null || value === '') return null;
+  if (!DATE_RE.test(value)) throw httpError(400, `${field} must be a YYYY-MM-DD date or YYYY-MM-DDTHH:mm time`);
+  return value;
+}
+
+// ?from=&to= → { from, to } (either may be null)
+export function rangeParams(query = {}) {
+  return { from: dateParam(query.from, 'from'), to: dateParam(query.to, 'to') };
+}
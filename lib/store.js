@@ -0,0 +1,37 @@
+// Small JSON-file store for server-side state (alert rules, history, …).
+// Reads once, keeps the document in memory and serializes writes through a
+// temp file + rename so a crash never leaves half a file behind.
+import { readFile, writeFile, rename, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+
+export function createJsonStore(file, defaults = {}) {
+  let doc = null;
+  let writing = Promise.resolve();
+
+  async function read() {
+    if (doc) return doc;
+    try {
+      doc = { ...defaults, ...JSON.parse(await readFile(file, 'utf8')) };
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      doc = structuredClone(defaults);
+    }
+    return doc;
+  }
+
+  // Apply fn to the document and persist it; resolves with fn's return value
+  async function update(fn) {
+    const current = await read();
+    const result = await fn(current);
+    writing = writing.catch(() => {}).then(async () => {
+      await mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await writeFile(tmp, JSON.stringify(current, null, 2));
+      await rename(tmp, file);
+    });
+    await writing;
+    return result;
+  }
+
+  return { read, update };
+}
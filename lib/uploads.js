@@ -0,0 +1,341 @@
+// Uploaded price series: CSV or JSON of date/close (optionally OHLCV) that
+// isn't on any provider — internal NAVs, rates, vendor spreads. Uploads are
+// validated, stored one file per symbol under `dir`, and served by
+// getHistory/search ahead of the configured provider.
+import { readFile, writeFile, readdir, rename, mkdir, unlink } from 'node:fs/promises';
+import path from 'node:path';
+import { httpError } from './errors.js';
+import { isIntraday } from '../src/intervals.js';
+
+const SYMBOL_RE = /^[\w.^=-]{1,20}$/;
+const MAX_BARS = 100000;
+const MAX_LISTED = 20;
+const DAY_MS = 86400000;
+
+const COLUMNS = {
+  date: 'date', time: 'date', timestamp: 'date', datetime: 'date', day: 'date',
+  open: 'open', high: 'high', low: 'low',
+  close: 'close', price: 'close', value: 'close', nav: 'close', last: 'close',
+  'adj close': 'adjClose', adjclose: 'adjClose', adj_close: 'adjClose',
+  volume: 'volume'
+};
+const NUMERIC = ['open', 'high', 'low', 'close', 'adjClose', 'volume'];
+
+// ── Parsing ───────────────────────────────────────────────
+
+// RFC 4180 records: a quoted field may hold delimiters, line breaks and ""
+// for a literal quote. → [{ line, cells }], line being where the record starts
+function splitRecords(text, delimiter) {
+  const records = [];
+  let cells = [], cell = '', quoted = false, line = 1, start = 1;
+  const endRecord = () => {
+    cells.push(cell.trim());
+    if (cells.length > 1 || cells[0]) records.push({ line: start, cells });
+    cells = [];
+    cell = '';
+  };
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        if (c === '\n') line++;
+        cell += c;
+      }
+    } else if (c === '"' && !cell.trim()) {
+      quoted = true;
+      cell = '';
+    } else if (c === delimiter) {
+      cells.push(cell.trim());
+      cell = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      start = ++line;
+    } else {
+      cell += c;
+    }
+  }
+  if (quoted) throw httpError(400, `Row ${start}: quoted field is never closed`);
+  endRecord();
+  return records;
+}
+
+// "a,b" / "a;b" / tab-separated, quoted per RFC 4180 → header names mapped
+// through `columns` (unknown ones null) + rows of { line, [field]: cell }.
+// Cells stay strings so validation can quote them back. A row with more
+// cells than the header is rejected rather than truncated: an unquoted
+// "1,234" would otherwise read as 1. Shared with the events-calendar import
+// (lib/annotations.js).
+export function readCsv(text, columns) {
+  text = text.replace(/^\uFEFF/, '');
+  const first = text.split(/\r?\n/).find(l => l.trim()) ?? '';
+  const unquoted = first.replace(/"[^"]*"/g, '');
+  const delimiter = [',', ';', '\t'].reduce((a, d) => (unquoted.split(d).length > unquoted.split(a).length ? d : a));
+  const records = splitRecords(text, delimiter);
+  if (records.length === 0) throw httpError(400, 'CSV is empty');
+  const header = records.shift().cells.map(h => columns[h.toLowerCase()] || null);
+
+  const errors = [];
+  const rows = records.map(({ line, cells }) => {
+    // Trailing empty cells (a trailing delimiter) are harmless
+    while (cells.length > header.length && cells[cells.length - 1] === '') cells.pop();
+    if (cells.length > header.length) {
+      errors.push(`Row ${line}: ${cells.length} cells but the header has ${header.length} — quote values that contain "${delimiter === '\t' ? 'tab' : delimiter}"`);
+    }
+    const row = { line };
+    header.forEach((field, i) => {
+      if (field && cells[i] !== undefined && cells[i] !== '') row[field] = cells[i];
+    });
+    return row;
+  });
+  if (errors.length) {
+    const listed = errors.slice(0, MAX_LISTED);
+    if (errors.length > MAX_LISTED) listed.push(`…and ${errors.length - MAX_LISTED} more`);
+    throw httpError(400, `CSV has ${errors.length} row(s) with more cells than the header`, { errors: listed });
+  }
+  return { header, rows, delimiter };
+}
+
+function parseCsv(text) {
+  const { header, rows, delimiter } = readCsv(text, COLUMNS);
+  if (!header.includes('date')) throw httpError(400, 'CSV needs a Date column (date, time, timestamp or datetime)');
+  if (!header.includes('close') && !header.includes('adjClose')) {
+    throw httpError(400, 'CSV needs a Close column (close, price, value, nav or adj close)');
+  }
+  // Semicolon files from European locales tend to use decimal commas
+  if (delimiter === ';') {
+    for (const row of rows) {
+      for (const field of NUMERIC) if (row[field] != null) row[field] = row[field].replace(',', '.');
+    }
+  }
+  return rows;
+}
+
+// Unix seconds/ms, YYYYMMDD, YYYY-MM-DD (any time part is dropped) or
+// M/D/YYYY — D/M/YYYY when `dayFirst`. Returns "YYYY-MM-DD" or null.
+export function parseDateCell(value, dayFirst) {
+  const str = String(value).trim();
+  let y, m, d, match;
+  if (/^\d{9,13}$/.test(str)) {
+    const ms = Number(str) * (str.length > 10 ? 1 : 1000);
+    return new Date(ms).toISOString().slice(0, 10);
+  }
+  if ((match = /^(\d{4})(\d{2})(\d{2})$/.exec(str)) || (match = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T ].*)?$/.exec(str))) {
+    [, y, m, d] = match.map(Number);
+  } else if ((match = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/.exec(str))) {
+    const [, a, b, year] = match.map(Number);
+    [y, m, d] = dayFirst ? [year, b, a] : [year, a, b];
+  } else {
+    return null;
+  }
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+// A file is day-first when any slash date can't be month-first
+export function detectDayFirst(rows) {
+  return rows.some(r => {
+    const match = /^(\d{1,2})[-/.](\d{1,2})[-/.]\d{4}$/.exec(String(r.date ?? '').trim());
+    return match && Number(match[1]) > 12;
+  });
+}
+
+// ── Validation ────────────────────────────────────────────
+
+// Raw rows → { prices, warnings } sorted and de-duplicated, or a 400 listing
+// every row that can't be used
+export function validateSeries(rows, { dayFirst } = {}) {
+  const errors = [];
+  const warnings = [];
+  const fail = (line, message) => errors.push(line ? `Row ${line}: ${message}` : message);
+  dayFirst ??= detectDayFirst(rows);
+
+  const bars = [];
+  rows.forEach((row, i) => {
+    const line = row.line ?? i + 1;
+    const date = row.date == null ? null : parseDateCell(row.date, dayFirst);
+    if (!date) return fail(line, `unrecognized date "${row.date ?? ''}"`);
+    const bar = { date };
+    for (const field of NUMERIC) {
+      if (row[field] == null || row[field] === '') continue;
+      const value = Number(row[field]);
+      if (!Number.isFinite(value)) return fail(line, `${field} "${row[field]}" is not a number`);
+      bar[field] = value;
+    }
+    bar.close ??= bar.adjClose;
+    if (bar.close == null) return fail(line, 'missing close');
+    if (!(bar.close > 0)) return fail(line, `close ${bar.close} must be positive (returns can't be computed through zero)`);
+    if (bar.high != null && bar.low != null && bar.high < bar.low) return fail(line, `high ${bar.high} is below low ${bar.low}`);
+    if (bar.volume != null && bar.volume < 0) return fail(line, 'volume is negative');
+    bars.push({ line, bar });
+  });
+
+  // Sort check: out-of-order rows are sorted, but reported
+  const outOfOrder = bars.filter((b, i) => i > 0 && b.bar.date < bars[i - 1].bar.date).length;
+  if (outOfOrder) warnings.push(`${outOfOrder} row(s) were out of date order and have been sorted`);
+  bars.sort((a, b) => (a.bar.date < b.bar.date ? -1 : a.bar.date > b.bar.date ? 1 : a.line - b.line));
+
+  // Duplicates: identical rows are dropped, conflicting ones rejected
+  const prices = [];
+  let dropped = 0;
+  for (const { line, bar } of bars) {
+    const prev = prices[prices.length - 1];
+    if (prev?.date !== bar.date) {
+      prices.push(bar);
+    } else if (JSON.stringify(prev) === JSON.stringify(bar)) {
+      dropped++;
+    } else {
+      fail(line, `duplicate date ${bar.date} with different values`);
+    }
+  }
+  if (dropped) warnings.push(`${dropped} exact duplicate row(s) dropped`);
+
+  if (errors.length === 0 && prices.length < 2) fail(null, 'at least 2 valid rows are needed');
+  if (prices.length > MAX_BARS) fail(null, `at most ${MAX_BARS} rows`);
+  if (errors.length) {
+    const listed = errors.slice(0, MAX_LISTED);
+    if (errors.length > MAX_LISTED) listed.push(`…and ${errors.length - MAX_LISTED} more`);
+    throw httpError(400, `Upload has ${errors.length} problem(s)`, { errors: listed, warnings });
+  }
+
+  // Gap detection against the series' own spacing, so monthly data isn't
+  // flagged every month
+  const gaps = prices.slice(1).map((p, i) => ({ from: prices[i].date, to: p.date, days: (Date.parse(p.date) - Date.parse(prices[i].date)) / DAY_MS }));
+  const median = [...gaps].sort((a, b) => a.days - b.days)[Math.floor(gaps.length / 2)]?.days || 1;
+  const long = gaps.filter(g => g.days > Math.max(7, 5 * median));
+  if (long.length) {
+    warnings.push(`${long.length} gap(s) longer than ${Math.max(7, 5 * median)} days: ` +
+      long.slice(0, 5).map(g => `${g.from} → ${g.to}`).join(', ') + (long.length > 5 ? ', …' : ''));
+  }
+
+  return { prices, warnings };
+}
+
+// Request → { symbol, name, currency, rows }. Takes a raw CSV body (text/csv,
+// metadata in the query string) or JSON: { symbol, name?, currency?,
+// csv: "…" | prices: [{ date, close, … }] }.
+export function parseUpload(body, query = {}) {
+  const meta = typeof body === 'string' ? query : { ...query, ...body };
+  const symbol = String(meta.symbol || '').trim().toUpperCase();
+  if (!SYMBOL_RE.test(symbol)) throw httpError(400, 'symbol is required (letters, digits and . ^ = - _, up to 20)');
+  const name = String(meta.name || symbol).trim().slice(0, 80);
+  const currency = meta.currency ? String(meta.currency).trim().toUpperCase().slice(0, 8) : null;
+
+  let rows;
+  if (typeof body === 'string') rows = parseCsv(body);
+  else if (typeof body?.csv === 'string') rows = parseCsv(body.csv);
+  else if (Array.isArray(body?.prices)) rows = body.prices.map((p, i) => ({ ...p, line: i + 1 }));
+  else throw httpError(400, 'Send CSV text, or JSON with a `csv` string or a `prices` array');
+
+  const dayFirst = meta.dayFirst == null ? undefined : meta.dayFirst === true || meta.dayFirst === 'true';
+  return { symbol, name, currency, dayFirst, rows };
+}
+
+// ── Store ─────────────────────────────────────────────────
+
+export function createUploadStore({ dir }) {
+  const series = new Map();
+  const fileOf = symbol => path.join(dir, `${encodeURIComponent(symbol)}.json`);
+  const summary = ({ prices, ...rest }) => ({
+    ...rest, bars: prices.length, from: prices[0].date, to: prices[prices.length - 1].date
+  });
+
+  async function load(symbol) {
+    if (series.has(symbol)) return series.get(symbol);
+    let record = null;
+    try {
+      record = JSON.parse(await readFile(fileOf(symbol), 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    series.set(symbol, record);
+    return record;
+  }
+
+  async function list() {
+    let files = [];
+    try {
+      files = await readdir(dir);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    const symbols = files.filter(f => f.endsWith('.json')).map(f => decodeURIComponent(f.slice(0, -5)));
+    const records = await Promise.all(symbols.map(load));
+    return records.filter(Boolean).map(summary).sort((a, b) => a.symbol.localeCompare(b.symbol));
+  }
+
+  async function get(symbol) {
+    const record = await load(symbol.toUpperCase());
+    if (!record) throw httpError(404, 'Upload not found');
+    return summary(record);
+  }
+
+  // `dryRun` validates without saving; an existing symbol needs `replace`
+  async function add(body, query = {}) {
+    const { symbol, name, currency, dayFirst, rows } = parseUpload(body, query);
+    const { prices, warnings } = validateSeries(rows, { dayFirst });
+    const record = { symbol, name, currency, uploadedAt: new Date().toISOString(), warnings, prices };
+    const flag = key => query[key] === 'true' || query[key] === '' || body?.[key] === true;
+    if (flag('dryRun')) return { ...summary(record), dryRun: true };
+    if (!flag('replace') && await load(symbol)) {
+      throw httpError(409, `${symbol} is already uploaded; pass replace=true to overwrite it`);
+    }
+
+    await mkdir(dir, { recursive: true });
+    const tmp = `${fileOf(symbol)}.${process.pid}.tmp`;
+    await writeFile(tmp, JSON.stringify(record));
+    await rename(tmp, fileOf(symbol));
+    series.set(symbol, record);
+    return summary(record);
+  }
+
+  async function remove(symbol) {
+    const key = symbol.toUpperCase();
+    if (!await load(key)) throw httpError(404, 'Upload not found');
+    await unlink(fileOf(key));
+    series.set(key, null);
+  }
+
+  // Provider-shaped history, or null when the symbol isn't an upload
+  async function fetchHistory(ticker, { period1, period2, interval = '1d' } = {}) {
+    if (!SYMBOL_RE.test(ticker)) return null;
+    const record = await load(ticker.toUpperCase());
+    if (!record) return null;
+    if (isIntraday(interval)) throw httpError(400, 'Uploaded series are daily only');
+    const from = period1 ? new Date(period1 * 1000).toISOString().slice(0, 10) : '';
+    const to = period2 ? new Date(period2 * 1000).toISOString().slice(0, 10) : '9999-12-31';
+    return {
+      ticker: record.symbol,
+      currency: record.currency,
+      exchange: 'Upload',
+      name: record.name,
+      timezone: 'UTC',
+      interval: '1d',
+      prices: record.prices.filter(p => p.date >= from && p.date <= to).map(p => ({
+        date: p.date,
+        open: p.open ?? null,
+        high: p.high ?? null,
+        low: p.low ?? null,
+        close: p.close,
+        adjClose: p.adjClose ?? null,
+        volume: p.volume ?? null
+      })),
+      events: { splits: [], dividends: [] }
+    };
+  }
+
+  async function search(query) {
+    const q = query.toUpperCase();
+    return (await list())
+      .filter(u => u.symbol.includes(q) || u.name.toUpperCase().includes(q))
+      .map(u => ({ symbol: u.symbol, name: u.name, type: 'UPLOAD', exchange: 'Upload' }));
+  }
+
+  return { list, get, add, remove, fetchHistory, search };
+}
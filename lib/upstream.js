@@ -0,0 +1,111 @@
+// Resilient JSON fetches from an upstream data API.
+//
+// Each attempt gets a timeout. Timeouts, network errors and 5xx answers are
+// retried with exponential backoff and jitter. A 429 is never retried:
+// enough of them within a minute open a circuit breaker, and calls then fail
+// fast (503 UPSTREAM_RATE_LIMITED) until the cooldown — or the upstream's
+// Retry-After — has passed. The first call after that is a trial, and
+// other calls keep failing fast while it is in flight: success closes the
+// breaker, another 429 reopens it for twice as long.
+import { httpError } from './errors.js';
+
+const RETRYABLE = new Set([500, 502, 503, 504]);
+const MAX_COOLDOWN_MS = 10 * 60 * 1000;
+const RATE_WINDOW_MS = 60 * 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry-After is either seconds or an HTTP date
+function retryAfterMs(response) {
+  const value = response.headers.get('retry-after');
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const at = Date.parse(value);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+export function createUpstream({
+  name,
+  timeoutMs = Number(process.env.UPSTREAM_TIMEOUT) || 8000,
+  retries = process.env.UPSTREAM_RETRIES == null ? 2 : Number(process.env.UPSTREAM_RETRIES),
+  baseDelayMs = 300,
+  breakerThreshold = 3,
+  cooldownMs = (Number(process.env.BREAKER_COOLDOWN) || 60) * 1000
+}) {
+  const breaker = { state: 'closed', openUntil: 0, cooldown: cooldownMs, hits: [], trial: false };
+
+  function rateLimited() {
+    const retryAfter = Math.max(1, Math.ceil((breaker.openUntil - Date.now()) / 1000));
+    return httpError(503, `${name} is rate-limiting requests; retry in ${retryAfter}s`, { code: 'UPSTREAM_RATE_LIMITED', retryAfter });
+  }
+
+  function on429(response) {
+    const now = Date.now();
+    breaker.hits = [...breaker.hits.filter(t => now - t < RATE_WINDOW_MS), now];
+    if (breaker.state === 'half-open' || breaker.hits.length >= breakerThreshold) {
+      if (breaker.state === 'half-open') breaker.cooldown = Math.min(breaker.cooldown * 2, MAX_COOLDOWN_MS);
+      breaker.state = 'open';
+      breaker.openUntil = now + Math.max(breaker.cooldown, retryAfterMs(response) ?? 0);
+      breaker.hits = [];
+      console.warn(`${name} circuit breaker open for ${Math.round((breaker.openUntil - now) / 1000)}s after repeated 429s`);
+      return rateLimited();
+    }
+    return httpError(503, `${name} is rate-limiting requests`, { code: 'UPSTREAM_RATE_LIMITED', retryAfter: Math.ceil((retryAfterMs(response) ?? 5000) / 1000) });
+  }
+
+  function onSuccess() {
+    if (breaker.state !== 'closed') console.warn(`${name} circuit breaker closed`);
+    breaker.state = 'closed';
+    breaker.cooldown = cooldownMs;
+  }
+
+  async function fetchJson(url, options) {
+    if (breaker.state === 'open') {
+      if (Date.now() < breaker.openUntil) throw rateLimited();
+      breaker.state = 'half-open';
+    }
+    if (breaker.state !== 'half-open') return attempts(url, options);
+    if (breaker.trial) throw rateLimited();
+    breaker.trial = true;
+    try {
+      return await attempts(url, options);
+    } finally {
+      breaker.trial = false;
+    }
+  }
+
+  async function attempts(url, { headers } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      let failure;
+      let wait = null;
+      try {
+        const response = await fetch(url, { headers, signal: AbortSignal.timeout(timeoutMs) });
+        if (response.status === 429) throw on429(response);
+        if (response.ok) {
+          const body = await response.json();
+          onSuccess();
+          return body;
+        }
+        // A 4xx keeps its status (callers map 404s); a 5xx becomes a 502
+        if (!RETRYABLE.has(response.status)) throw httpError(response.status, `${name} returned ${response.status}`, { code: 'UPSTREAM_ERROR' });
+        failure = httpError(502, `${name} returned ${response.status}`, { code: 'UPSTREAM_ERROR' });
+        wait = retryAfterMs(response);
+      } catch (err) {
+        if (err.status) throw err;
+        failure = err.name === 'TimeoutError' || err.name === 'AbortError'
+          ? httpError(504, `${name} did not answer within ${timeoutMs / 1000}s`, { code: 'UPSTREAM_TIMEOUT' })
+          : httpError(502, `${name} could not be reached`, { code: 'UPSTREAM_UNAVAILABLE' });
+      }
+      if (attempt >= retries) throw failure;
+      const backoff = baseDelayMs * 2 ** attempt * (0.5 + Math.random());
+      await sleep(Math.min(wait ?? backoff, 10000));
+    }
+  }
+
+  function status() {
+    return { name, state: breaker.state, openUntil: breaker.state === 'open' ? new Date(breaker.openUntil).toISOString() : null };
+  }
+
+  return { fetchJson, status };
+}
@@ -0,0 +1,45 @@
+// Minimal SMTP sink for testing email alerts offline. Prints every message:
+//   npm run mock-smtp          (listens on 2525)
+//   SMTP_HOST=localhost SMTP_PORT=2525 ALERT_EMAIL_TO=me@example.com npm run server
+import net from 'node:net';
+
+const PORT = Number(process.env.MOCK_SMTP_PORT) || 2525;
+
+const server = net.createServer(socket => {
+  let buffer = '';
+  let inData = false;
+  let envelope = { from: null, to: [] };
+  const reply = line => socket.write(`${line}\r\n`);
+
+  reply('220 localhost mock SMTP ready');
+  socket.on('data', chunk => {
+    buffer += chunk.toString('utf8');
+    while (true) {
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+        const body = buffer.slice(0, end);
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        console.log(`── mail from ${envelope.from} to ${envelope.to.join(', ')} ──\n${body}\n`);
+        envelope = { from: null, to: [] };
+        reply('250 OK: queued');
+        continue;
+      }
+      const eol = buffer.indexOf('\r\n');
+      if (eol === -1) return;
+      const line = buffer.slice(0, eol);
+      buffer = buffer.slice(eol + 2);
+      const verb = line.slice(0, 4).toUpperCase();
+      if (verb === 'EHLO' || verb === 'HELO') reply('250 localhost');
+      else if (verb === 'MAIL') { envelope.from = line.slice(10).trim(); reply('250 OK'); }
+      else if (verb === 'RCPT') { envelope.to.push(line.slice(8).trim()); reply('250 OK'); }
+      else if (verb === 'DATA') { inData = true; reply('354 End data with <CR><LF>.<CR><LF>'); }
+      else if (verb === 'QUIT') { reply('221 Bye'); socket.end(); return; }
+      else if (verb === 'RSET' || verb === 'NOOP') reply('250 OK');
+      else reply('502 Command not implemented');
+    }
+  });
+});
+
+server.listen(PORT, () => console.log(`Mock SMTP server listening on localhost:${PORT}`));
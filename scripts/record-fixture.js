@@ -0,0 +1,29 @@
+// Record price histories from Yahoo Finance into fixtures/ for offline use:
+//   npm run record -- AAPL QQQ BTC-USD
+import { writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import yahoo from '../lib/providers/yahoo.js';
+import { historyOptions } from '../lib/providers/index.js';
+
+const outDir = process.env.FIXTURES_DIR
+  || path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../fixtures');
+
+const tickers = process.argv.slice(2);
+if (tickers.length === 0) {
+  console.error('Usage: npm run record -- <ticker> [ticker…]');
+  process.exit(1);
+}
+
+await mkdir(outDir, { recursive: true });
+for (const ticker of tickers) {
+  try {
+    const data = await yahoo.fetchHistory(ticker, historyOptions());
+    const file = path.join(outDir, `${ticker.toUpperCase()}.json`);
+    await writeFile(file, JSON.stringify(data, null, 1) + '\n');
+    console.log(`${ticker}: ${data.prices.length} bars → ${path.relative(process.cwd(), file)}`);
+  } catch (err) {
+    console.error(`${ticker}: ${err.message}`);
+    process.exitCode = 1;
+  }
+}
@@ -1,95 +1,373 @@
 import express from 'express';
 import cors from 'cors';
+import { getProvider } from './lib/providers/index.js';
+import { getHistory } from './lib/history.js';
+import { createHistoryCache } from './lib/cache.js';
+import { createJsonStore } from './lib/store.js';
+import { buildExport } from './lib/export.js';
+import { zscoreReport, volatilityReport, signalReport } from './lib/statsApi.js';
+import { openApiSpec } from './lib/openapi.js';
+import { sendError } from './lib/errors.js';
+import { rateLimit } from './lib/rateLimit.js';
+import { createCoalescer } from './lib/coalesce.js';
+import { createLiveFeed } from './lib/live.js';
+import { createPortfolioStore } from './lib/portfolios.js';
+import { createUploadStore } from './lib/uploads.js';
+import { createAnnotationStore } from './lib/annotations.js';
+import { createAlertEngine } from './lib/alerts/engine.js';
+import { webhookChannel, emailChannel, browserChannel } from './lib/alerts/channels.js';
 
 const app = express();
 app.use(cors());
+app.use(express.json({ limit: '10mb' }));
 
-// Proxy endpoint for Yahoo Finance historical data
+// Persistent price-history cache (set CACHE_DIR=off to disable)
+const cache = process.env.CACHE_DIR === 'off' ? null : createHistoryCache({
+  dir: process.env.CACHE_DIR || '.cache/history',
+  ttl: Number(process.env.CACHE_TTL) || 15 * 60,
+  staleTtl: Number(process.env.CACHE_STALE_TTL) || 24 * 60 * 60
+});
+
+// Uploaded series, served ahead of the provider under their own symbols
+const uploads = createUploadStore({ dir: process.env.UPLOADS_DIR || '.data/uploads' });
+
+// Admin routes are open locally; set ADMIN_TOKEN to require a bearer token
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (token && req.get('Authorization') !== `Bearer ${token}`) {
+    return res.status(401).json({ error: 'Unauthorized', code: 'UNAUTHORIZED' });
+  }
+  next();
+}
+
+// Behind a proxy, TRUST_PROXY (hop count or addresses) makes req.ip the client's
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
+// Per-client limit on the routes that reach the data provider: RATE_LIMIT
+// requests/minute with bursts of RATE_LIMIT_BURST (RATE_LIMIT=off disables)
+if (process.env.RATE_LIMIT !== 'off') {
+  app.use(
+    ['/api/history', '/api/search', '/api/export', '/api/zscores', '/api/volatility', '/api/signals', '/api/live'],
+    rateLimit({ perMinute: Number(process.env.RATE_LIMIT) || 120, burst: Number(process.env.RATE_LIMIT_BURST) || 60 })
+  );
+}
+
+// OHLCV history + splits/dividends from the configured provider (Yahoo Finance by default)
 app.get('/api/history/:ticker', async (req, res) => {
   const { ticker } = req.params;
-  const { period1, period2, interval } = req.query;
 
-  // Default: 3 years of daily data
-  const now = Math.floor(Date.now() / 1000);
-  const threeYearsAgo = now - 3 * 365 * 24 * 60 * 60;
+  try {
+    res.json(await getHistory(ticker, req.query, { cache, uploads }));
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch price history');
+  }
+});
+
+// Live latest bar as server-sent events; polls the provider directly (not the
+// cache) every LIVE_POLL seconds while anyone is listening
+const live = createLiveFeed({
+  loadHistory: (ticker, options) => getHistory(ticker, options, { uploads }),
+  pollMs: (Number(process.env.LIVE_POLL) || 15) * 1000
+});
+
+app.get('/api/live/:ticker', live.subscribe);
+
+// Search / autocomplete endpoint; uploads match first, and still answer when
+// the provider's search fails. Identical searches in flight share one call.
+const searches = createCoalescer();
 
-  const p1 = period1 || threeYearsAgo;
-  const p2 = period2 || now;
-  const int = interval || '1d';
+app.get('/api/search/:query', async (req, res) => {
+  const { query } = req.params;
+  const provider = getProvider();
+  const [own, remote] = await Promise.allSettled([
+    uploads.search(query),
+    searches(`${provider.name}:${query.toLowerCase()}`, () => provider.search(query))
+  ]);
+  if (remote.status === 'rejected' && !own.value?.length) {
+    return sendError(res, remote.reason, 'Search failed');
+  }
+  const quotes = [...(own.value || []), ...(remote.value || [])];
+  res.json(quotes.filter((q, i) => quotes.findIndex(x => x.symbol === q.symbol) === i));
+});
 
-  const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(ticker)}?period1=${p1}&period2=${p2}&interval=${int}&includePrePost=false`;
+// Z-score dataset (csv/json) or chart (svg) with the same settings the UI uses
+app.get('/api/export/:ticker', async (req, res) => {
+  const { ticker } = req.params;
 
   try {
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      }
-    });
+    const { contentType, filename, body } = await buildExport(ticker, req.query, { cache, uploads });
+    res.type(contentType);
+    if (req.query.download !== undefined) res.attachment(filename);
+    res.send(body);
+  } catch (err) {
+    sendError(res, err, 'Failed to build export');
+  }
+});
 
-    if (!response.ok) {
-      return res.status(response.status).json({ error: `Yahoo Finance returned ${response.status}` });
-    }
+// Computed statistics — the numbers the UI shows, for other tools.
+// Described in /api/openapi.json.
+app.get('/api/zscores/:ticker', async (req, res) => {
+  try {
+    res.json(await zscoreReport(req.params.ticker, req.query, { cache, uploads }));
+  } catch (err) {
+    sendError(res, err, 'Failed to compute z-scores');
+  }
+});
 
-    const data = await response.json();
-    const result = data?.chart?.result?.[0];
+app.get('/api/volatility/:ticker', async (req, res) => {
+  try {
+    res.json(await volatilityReport(req.params.ticker, req.query, { cache, uploads }));
+  } catch (err) {
+    sendError(res, err, 'Failed to compute volatility');
+  }
+});
 
-    if (!result) {
-      return res.status(404).json({ error: 'Ticker not found or no data available' });
-    }
+app.get('/api/signals/:ticker', async (req, res) => {
+  try {
+    res.json(await signalReport(req.params.ticker, req.query, { cache, uploads }));
+  } catch (err) {
+    sendError(res, err, 'Failed to compute signals');
+  }
+});
 
-    const timestamps = result.timestamp || [];
-    const closes = result.indicators?.quote?.[0]?.close || [];
-    const meta = result.meta || {};
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openApiSpec);
+});
 
-    // Build clean array of { date, close } filtering out nulls
-    const prices = [];
-    for (let i = 0; i < timestamps.length; i++) {
-      if (closes[i] != null) {
-        prices.push({
-          date: new Date(timestamps[i] * 1000).toISOString().split('T')[0],
-          close: closes[i]
-        });
-      }
-    }
+// Alert rules engine: evaluates rules every ALERT_INTERVAL seconds (ALERTS=off disables)
+const browserAlerts = browserChannel();
+const alerts = createAlertEngine({
+  store: createJsonStore(process.env.ALERTS_FILE || '.data/alerts.json', { rules: [], history: [] }),
+  channels: { webhook: webhookChannel(), email: emailChannel(), browser: browserAlerts },
+  loadPrices: async ticker => (await getHistory(ticker, {}, { cache, uploads })).prices,
+  intervalMs: (Number(process.env.ALERT_INTERVAL) || 300) * 1000
+});
 
-    res.json({
-      ticker: meta.symbol || ticker,
-      currency: meta.currency || 'USD',
-      exchange: meta.exchangeName || '',
-      name: meta.shortName || meta.longName || ticker,
-      prices
-    });
+app.get('/api/alerts/rules', async (req, res) => {
+  try {
+    res.json(await alerts.listRules());
   } catch (err) {
-    console.error('Yahoo Finance fetch error:', err.message);
-    res.status(500).json({ error: 'Failed to fetch data from Yahoo Finance' });
+    sendError(res, err, 'Failed to list rules');
   }
 });
 
-// Search / autocomplete endpoint
-app.get('/api/search/:query', async (req, res) => {
-  const { query } = req.params;
-  const url = `https://query2.finance.yahoo.com/v1/finance/search?q=${encodeURIComponent(query)}&quotesCount=8&newsCount=0`;
+app.post('/api/alerts/rules', async (req, res) => {
+  try {
+    res.status(201).json(await alerts.addRule(req.body));
+  } catch (err) {
+    sendError(res, err, 'Failed to create rule');
+  }
+});
 
+app.put('/api/alerts/rules/:id', async (req, res) => {
   try {
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      }
-    });
-    const data = await response.json();
-    const quotes = (data.quotes || []).map(q => ({
-      symbol: q.symbol,
-      name: q.shortname || q.longname || q.symbol,
-      type: q.quoteType,
-      exchange: q.exchDisp || q.exchange
-    }));
-    res.json(quotes);
+    res.json(await alerts.updateRule(req.params.id, req.body));
   } catch (err) {
-    res.status(500).json({ error: 'Search failed' });
+    sendError(res, err, 'Failed to update rule');
   }
 });
 
+app.delete('/api/alerts/rules/:id', async (req, res) => {
+  try {
+    await alerts.removeRule(req.params.id);
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err, 'Failed to delete rule');
+  }
+});
+
+app.get('/api/alerts/history', async (req, res) => {
+  const { ruleId, limit } = req.query;
+  try {
+    res.json(await alerts.listHistory({ ruleId, limit: Number(limit) || 100 }));
+  } catch (err) {
+    sendError(res, err, 'Failed to load alert history');
+  }
+});
+
+// Evaluate every rule now instead of waiting for the next tick
+app.post('/api/alerts/run', async (req, res) => {
+  try {
+    res.json(await alerts.runOnce());
+  } catch (err) {
+    sendError(res, err, 'Failed to run alerts');
+  }
+});
+
+app.get('/api/alerts/stream', browserAlerts.subscribe);
+
+// Saved portfolios (definitions only; the NAV is built client-side)
+const portfolios = createPortfolioStore(
+  createJsonStore(process.env.PORTFOLIOS_FILE || '.data/portfolios.json', { portfolios: [] })
+);
+
+app.get('/api/portfolios', async (req, res) => {
+  try {
+    res.json(await portfolios.list());
+  } catch (err) {
+    sendError(res, err, 'Failed to list portfolios');
+  }
+});
+
+app.get('/api/portfolios/:id', async (req, res) => {
+  try {
+    res.json(await portfolios.get(req.params.id));
+  } catch (err) {
+    sendError(res, err, 'Failed to load portfolio');
+  }
+});
+
+app.post('/api/portfolios', async (req, res) => {
+  try {
+    res.status(201).json(await portfolios.add(req.body));
+  } catch (err) {
+    sendError(res, err, 'Failed to create portfolio');
+  }
+});
+
+app.put('/api/portfolios/:id', async (req, res) => {
+  try {
+    res.json(await portfolios.update(req.params.id, req.body));
+  } catch (err) {
+    sendError(res, err, 'Failed to update portfolio');
+  }
+});
+
+app.delete('/api/portfolios/:id', async (req, res) => {
+  try {
+    await portfolios.remove(req.params.id);
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err, 'Failed to delete portfolio');
+  }
+});
+
+// Uploaded series: POST a CSV body (text/csv, ?symbol=&name=&currency=) or
+// JSON ({ symbol, csv | prices }); ?dryRun only validates, ?replace overwrites
+app.get('/api/uploads', async (req, res) => {
+  try {
+    res.json(await uploads.list());
+  } catch (err) {
+    sendError(res, err, 'Failed to list uploads');
+  }
+});
+
+app.get('/api/uploads/:symbol', async (req, res) => {
+  try {
+    res.json(await uploads.get(req.params.symbol));
+  } catch (err) {
+    sendError(res, err, 'Failed to load upload');
+  }
+});
+
+app.post('/api/uploads', express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), async (req, res) => {
+  try {
+    const result = await uploads.add(req.body, req.query);
+    res.status(result.dryRun ? 200 : 201).json(result);
+  } catch (err) {
+    sendError(res, err, 'Failed to store upload');
+  }
+});
+
+app.delete('/api/uploads/:symbol', async (req, res) => {
+  try {
+    await uploads.remove(req.params.symbol);
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err, 'Failed to delete upload');
+  }
+});
+
+// Notes on bars (one per ticker + date) and event calendars drawn across
+// every ticker. Calendars import as CSV of date,label (text/csv with ?name=,
+// or JSON { name, csv }); re-importing a name replaces it.
+const annotations = createAnnotationStore(
+  createJsonStore(process.env.ANNOTATIONS_FILE || '.data/annotations.json', { annotations: [], calendars: [] })
+);
+
+app.get('/api/annotations', async (req, res) => {
+  try {
+    res.json(await annotations.list(req.query));
+  } catch (err) {
+    sendError(res, err, 'Failed to list annotations');
+  }
+});
+
+app.put('/api/annotations/:ticker/:date', async (req, res) => {
+  try {
+    const { annotation, created } = await annotations.put(req.params.ticker, req.params.date, req.body);
+    res.status(created ? 201 : 200).json(annotation);
+  } catch (err) {
+    sendError(res, err, 'Failed to save annotation');
+  }
+});
+
+app.delete('/api/annotations/:ticker/:date', async (req, res) => {
+  try {
+    await annotations.remove(req.params.ticker, req.params.date);
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err, 'Failed to delete annotation');
+  }
+});
+
+app.get('/api/calendars', async (req, res) => {
+  try {
+    res.json(await annotations.listCalendars());
+  } catch (err) {
+    sendError(res, err, 'Failed to list calendars');
+  }
+});
+
+app.post('/api/calendars', express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), async (req, res) => {
+  try {
+    const text = typeof req.body === 'string' ? req.body : req.body?.csv;
+    res.status(201).json(await annotations.importCalendar(req.query.name || req.body?.name, text));
+  } catch (err) {
+    sendError(res, err, 'Failed to import calendar');
+  }
+});
+
+app.delete('/api/calendars/:name', async (req, res) => {
+  try {
+    await annotations.removeCalendar(req.params.name);
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err, 'Failed to delete calendar');
+  }
+});
+
+// Cache inspection: GET lists entries, DELETE purges (optionally ?ticker=&interval=&provider=)
+app.get('/api/admin/cache', requireAdmin, async (req, res) => {
+  if (!cache) return res.status(404).json({ error: 'Cache disabled', code: 'NOT_FOUND' });
+  try {
+    res.json({ ttl: cache.ttl, staleTtl: cache.staleTtl, entries: await cache.list() });
+  } catch (err) {
+    sendError(res, err, 'Failed to list cache entries');
+  }
+});
+
+app.delete('/api/admin/cache', requireAdmin, async (req, res) => {
+  if (!cache) return res.status(404).json({ error: 'Cache disabled', code: 'NOT_FOUND' });
+  const { ticker, interval, provider } = req.query;
+  try {
+    res.json({ purged: await cache.purge({ ticker, interval, provider }) });
+  } catch (err) {
+    sendError(res, err, 'Failed to purge cache');
+  }
+});
+
+// Upstream health: circuit-breaker state of providers that report one
+app.get('/api/admin/upstream', requireAdmin, (req, res) => {
+  const provider = getProvider();
+  res.json({ provider: provider.name, ...(provider.status?.() || { state: 'closed' }) });
+});
+
 const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => {
-  console.log(`σ Tracker API server running on http://localhost:${PORT}`);
+  console.log(`σ Tracker API server running on http://localhost:${PORT} (provider: ${getProvider().name})`);
+  if (process.env.ALERTS !== 'off') alerts.start();
 });
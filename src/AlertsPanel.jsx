@@ -0,0 +1,202 @@
+import { useState, useEffect, useCallback } from "react";
+import { alertsApi } from "./api.js";
+import { s } from "./styles.js";
+
+// Manage server-side alert rules and browse what fired. New rules start
+// from the settings currently on screen.
+
+const CHANNELS = [
+  { key: "browser", label: "Browser" },
+  { key: "webhook", label: "Webhook" },
+  { key: "email", label: "Email" },
+];
+
+const REGIME_TARGETS = ["expanding", "contracting", "stable"];
+
+export default function AlertsPanel({ defaults, lastAlert }) {
+  const [rules, setRules] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [permission, setPermission] = useState(typeof Notification === "undefined" ? "unsupported" : Notification.permission);
+  const [form, setForm] = useState({
+    type: "zscore", direction: "both", channels: ["browser"], webhookUrl: "", email: "", regime: "expanding",
+    ...defaults,
+  });
+
+  const reload = useCallback(async () => {
+    try {
+      const [r, h] = await Promise.all([alertsApi.rules(), alertsApi.history()]);
+      setRules(r);
+      setHistory(h);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => { reload(); }, [reload, lastAlert]);
+
+  const set = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+  const toggleChannel = (key) => setForm((f) => ({
+    ...f, channels: f.channels.includes(key) ? f.channels.filter((c) => c !== key) : [...f.channels, key],
+  }));
+
+  const run = async (fn) => {
+    setBusy(true);
+    try {
+      await fn();
+      await reload();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const addRule = () => run(() => alertsApi.addRule({
+    ...form,
+    threshold: Number(form.threshold),
+    window: Number(form.window),
+    webhookUrl: form.webhookUrl || null,
+    email: form.email || null,
+  }));
+
+  const requestPermission = async () => {
+    if (typeof Notification === "undefined") return;
+    setPermission(await Notification.requestPermission());
+  };
+
+  const cell = { padding: "6px 10px", fontSize: 12, borderBottom: "1px solid #111", verticalAlign: "top" };
+
+  return (
+    <div style={{ display: "grid", gap: 16 }}>
+      <div style={{ ...s.panel, padding: 16 }}>
+        <div style={{ ...s.label, marginBottom: 10 }}>New rule</div>
+        <div style={{ display: "flex", gap: 12, flexWrap: "wrap", alignItems: "flex-end" }}>
+          <div>
+            <div style={s.label}>Ticker</div>
+            <input value={form.ticker} onChange={set("ticker")} style={{ ...s.input, width: 100, fontWeight: 700 }} />
+          </div>
+          <div>
+            <div style={s.label}>When</div>
+            <div style={{ display: "flex", gap: 2 }}>
+              <button onClick={() => setForm((f) => ({ ...f, type: "zscore" }))} style={s.btn(form.type === "zscore")}>z-score</button>
+              <button onClick={() => setForm((f) => ({ ...f, type: "regime" }))} style={s.btn(form.type === "regime")}>Regime flip</button>
+            </div>
+          </div>
+          {form.type === "zscore" ? (
+            <>
+              <div>
+                <div style={s.label}>Direction</div>
+                <div style={{ display: "flex", gap: 2 }}>
+                  {[["both", "|z|"], ["up", "+z"], ["down", "−z"]].map(([k, l]) => (
+                    <button key={k} onClick={() => setForm((f) => ({ ...f, direction: k }))} style={s.btn(form.direction === k)}>{l}</button>
+                  ))}
+                </div>
+              </div>
+              <div>
+                <div style={s.label}>≥ σ</div>
+                <input type="number" min="0.1" step="0.1" value={form.threshold} onChange={set("threshold")}
+                  style={{ ...s.input, width: 70 }} />
+              </div>
+              <div style={{ fontSize: 11, color: "#777", paddingBottom: 8, maxWidth: 260 }}>
+                {form.period} · {form.estimator === "ewma" || form.estimator === "garch"
+                  ? `${form.estimator.toUpperCase()} σ`
+                  : form.mode === "rolling" ? `${form.window}-bar rolling σ` : "full-sample σ"} (from current view)
+              </div>
+            </>
+          ) : (
+            <div>
+              <div style={s.label}>Flips to</div>
+              <div style={{ display: "flex", gap: 2 }}>
+                {REGIME_TARGETS.map((r) => (
+                  <button key={r} onClick={() => setForm((f) => ({ ...f, regime: r }))} style={s.btn(form.regime === r)}>{r}</button>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+        <div style={{ display: "flex", gap: 12, flexWrap: "wrap", alignItems: "flex-end", marginTop: 12 }}>
+          <div>
+            <div style={s.label}>Deliver via</div>
+            <div style={{ display: "flex", gap: 2 }}>
+              {CHANNELS.map((c) => (
+                <button key={c.key} onClick={() => toggleChannel(c.key)} style={s.btn(form.channels.includes(c.key))}>{c.label}</button>
+              ))}
+            </div>
+          </div>
+          {form.channels.includes("webhook") && (
+            <div>
+              <div style={s.label}>Webhook URL</div>
+              <input value={form.webhookUrl} onChange={set("webhookUrl")} placeholder="server default" style={{ ...s.input, width: 240, fontSize: 12 }} />
+            </div>
+          )}
+          {form.channels.includes("email") && (
+            <div>
+              <div style={s.label}>Email to</div>
+              <input value={form.email} onChange={set("email")} placeholder="server default" style={{ ...s.input, width: 200, fontSize: 12 }} />
+            </div>
+          )}
+          <button onClick={addRule} disabled={busy} style={s.btn(true)}>Add rule</button>
+          {form.channels.includes("browser") && permission !== "granted" && (
+            <button onClick={requestPermission} disabled={permission === "unsupported" || permission === "denied"} style={s.btn(false)}>
+              {permission === "denied" ? "Notifications blocked" : permission === "unsupported" ? "No notification support" : "Enable notifications"}
+            </button>
+          )}
+        </div>
+        {error && <div style={{ marginTop: 10, fontSize: 12, color: "#ff5252" }}>{error}</div>}
+      </div>
+
+      <div style={{ ...s.panel, padding: 16 }}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 10 }}>
+          <div style={s.label}>Rules — {rules.length}</div>
+          <button onClick={() => run(alertsApi.run)} disabled={busy} style={s.presetBtn}>Evaluate now</button>
+        </div>
+        <table style={{ width: "100%", borderCollapse: "collapse" }}>
+          <tbody>
+            {rules.map((r) => (
+              <tr key={r.id}>
+                <td style={{ ...cell, color: r.enabled ? "#d4d0c8" : "#555" }}>{r.description}</td>
+                <td style={{ ...cell, color: "#888" }}>{r.channels.join(", ")}</td>
+                <td style={{ ...cell, textAlign: "right", whiteSpace: "nowrap" }}>
+                  <button onClick={() => run(() => alertsApi.updateRule(r.id, { enabled: !r.enabled }))} style={s.presetBtn}>
+                    {r.enabled ? "Pause" : "Resume"}
+                  </button>{" "}
+                  <button onClick={() => run(() => alertsApi.removeRule(r.id))} style={s.presetBtn}>×</button>
+                </td>
+              </tr>
+            ))}
+            {rules.length === 0 && (
+              <tr><td style={{ ...cell, color: "#555" }}>No rules yet.</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div style={{ ...s.panel, padding: 16, maxHeight: 320, overflowY: "auto" }}>
+        <div style={{ ...s.label, marginBottom: 10 }}>History</div>
+        <table style={{ width: "100%", borderCollapse: "collapse" }}>
+          <tbody>
+            {history.map((h) => (
+              <tr key={h.id}>
+                <td style={{ ...cell, color: "#888", whiteSpace: "nowrap" }}>{new Date(h.triggeredAt).toLocaleString()}</td>
+                <td style={{ ...cell, color: "#d4d0c8" }}>{h.message}</td>
+                <td style={{ ...cell, whiteSpace: "nowrap" }}>
+                  {Object.entries(h.delivery || {}).map(([ch, d]) => (
+                    <span key={ch} title={d.error || "delivered"} style={{ marginRight: 8, color: d.ok ? "#00c853" : "#ff5252" }}>
+                      {d.ok ? "✓" : "✗"} {ch}
+                    </span>
+                  ))}
+                </td>
+              </tr>
+            ))}
+            {history.length === 0 && (
+              <tr><td style={{ ...cell, color: "#555" }}>Nothing has fired yet.</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+import { useState, useEffect } from "react";
+import { annotationsApi } from "./api.js";
+import { formatPeriod } from "./format.js";
+import { s } from "./styles.js";
+
+// Note and tags for the clicked bar, saved on the server under ticker + bar
+// date. On weekly and longer bars, notes made on other days of the period
+// are listed read-only alongside the calendar events that fall in it.
+
+export default function AnnotationEditor({ ticker, bar, period, notes, events, onSaved, onClose }) {
+  const own = notes.find((a) => a.date === bar.date);
+  const others = notes.filter((a) => a !== own);
+  const [note, setNote] = useState(own?.note || "");
+  const [tags, setTags] = useState(own?.tags.join(", ") || "");
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    setNote(own?.note || "");
+    setTags(own?.tags.join(", ") || "");
+    setError(null);
+  }, [ticker, bar.date, own]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      onSaved();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const save = () => run(() => annotationsApi.save(ticker, bar.date, { note, tags }));
+  const remove = () => run(() => annotationsApi.remove(ticker, bar.date));
+  const isPos = bar.z >= 0;
+
+  return (
+    <div style={{ ...s.panel, padding: 16, marginTop: 12 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", marginBottom: 10 }}>
+        <div style={s.label}>
+          Note on {ticker} · {formatPeriod(bar, period)} ·{" "}
+          <span style={{ color: isPos ? "#00c853" : "#ff1744" }}>{isPos ? "+" : ""}{bar.z.toFixed(2)}σ</span>
+        </div>
+        <button onClick={onClose} style={s.presetBtn}>×</button>
+      </div>
+
+      {events.map((e, i) => (
+        <div key={`e${i}`} style={{ fontSize: 11, color: "#bbb", marginBottom: 4 }}>
+          <span style={{ color: "#7c4dff" }}>│</span> {e.label} <span style={{ color: "#555" }}>· {e.calendar} · {e.date}</span>
+        </div>
+      ))}
+      {others.map((a) => (
+        <div key={a.date} style={{ fontSize: 11, color: "#bbb", marginBottom: 4 }}>
+          <span style={{ color: "#ffd600" }}>◆</span> {a.note} {a.tags.map((t) => `#${t}`).join(" ")}
+          <span style={{ color: "#555" }}> · {a.date}</span>
+        </div>
+      ))}
+
+      <div style={{ display: "flex", gap: 12, flexWrap: "wrap", alignItems: "flex-end", marginTop: 6 }}>
+        <div style={{ flex: "1 1 320px" }}>
+          <div style={s.label}>Note</div>
+          <textarea value={note} onChange={(e) => setNote(e.target.value)} maxLength={500} rows={2}
+            placeholder="Why did it move? Earnings beat, CPI print, Fed…"
+            style={{ ...s.input, width: "100%", boxSizing: "border-box", fontSize: 12, resize: "vertical" }} />
+        </div>
+        <div>
+          <div style={s.label}>Tags</div>
+          <input value={tags} onChange={(e) => setTags(e.target.value)} placeholder="earnings, fed"
+            style={{ ...s.input, width: 160, fontSize: 12 }} />
+        </div>
+        <button onClick={save} disabled={busy || (!note.trim() && !tags.trim())} style={s.btn(true)}>
+          {own ? "Update" : "Save"}
+        </button>
+        {own && <button onClick={remove} disabled={busy} style={s.btn(false)}>Delete</button>}
+      </div>
+      {error && <div style={{ marginTop: 8, fontSize: 12, color: "#ff5252" }}>{error}</div>}
+    </div>
+  );
+}
@@ -1,129 +1,41 @@
 import { useState, useMemo, useRef, useEffect, useCallback } from "react";
-
-// ── Data fetching ──────────────────────────────────────────
-async function fetchHistory(ticker) {
-  const res = await fetch(`/api/history/${encodeURIComponent(ticker)}`);
-  if (!res.ok) throw new Error(`Failed to fetch ${ticker}`);
-  return res.json();
-}
-
-async function searchTickers(query) {
-  if (!query || query.length < 1) return [];
-  const res = await fetch(`/api/search/${encodeURIComponent(query)}`);
-  if (!res.ok) return [];
-  return res.json();
-}
-
-// ── Stats helpers ──────────────────────────────────────────
-function computeReturns(prices, period) {
-  const step = period === "daily" ? 1 : period === "weekly" ? 5 : 21;
-  const returns = [];
-  for (let i = step; i < prices.length; i += step) {
-    returns.push({
-      ret: (prices[i].close - prices[i - step].close) / prices[i - step].close,
-      date: prices[i].date,
-    });
-  }
-  return returns;
-}
-
-// Full-sample: one mean & std for the entire range
-function computeStatsFullSample(returns) {
-  const n = returns.length;
-  if (n === 0) return { mean: 0, std: 0, data: [] };
-  const vals = returns.map((r) => r.ret);
-  const mean = vals.reduce((a, b) => a + b, 0) / n;
-  const variance = vals.reduce((a, b) => a + (b - mean) ** 2, 0) / (n - 1 || 1);
-  const std = Math.sqrt(variance);
-  return {
-    mean, std,
-    data: returns.map((r) => ({ ...r, z: std === 0 ? 0 : (r.ret - mean) / std })),
-  };
-}
-
-// Rolling window: each bar's z-score is relative to the prior `window` periods
-function computeStatsRolling(returns, windowSize) {
-  const data = [];
-  let totalMean = 0;
-  let totalStd = 0;
-  let validCount = 0;
-
-  for (let i = 0; i < returns.length; i++) {
-    if (i < windowSize) {
-      const slice = returns.slice(0, i + 1).map((r) => r.ret);
-      const n = slice.length;
-      const mean = slice.reduce((a, b) => a + b, 0) / n;
-      const variance = n > 1 ? slice.reduce((a, b) => a + (b - mean) ** 2, 0) / (n - 1) : 0;
-      const std = Math.sqrt(variance);
-      const z = std === 0 ? 0 : (returns[i].ret - mean) / std;
-      data.push({ ...returns[i], z, localMean: mean, localStd: std });
-      totalMean += mean;
-      totalStd += std;
-      validCount++;
-    } else {
-      const slice = returns.slice(i - windowSize, i).map((r) => r.ret);
-      const n = slice.length;
-      const mean = slice.reduce((a, b) => a + b, 0) / n;
-      const variance = slice.reduce((a, b) => a + (b - mean) ** 2, 0) / (n - 1 || 1);
-      const std = Math.sqrt(variance);
-      const z = std === 0 ? 0 : (returns[i].ret - mean) / std;
-      data.push({ ...returns[i], z, localMean: mean, localStd: std });
-      totalMean += mean;
-      totalStd += std;
-      validCount++;
-    }
-  }
-
-  const mean = validCount > 0 ? totalMean / validCount : 0;
-  const std = validCount > 0 ? totalStd / validCount : 0;
-  return { mean, std, data };
-}
-
-// Annualized realized volatility across multiple lookback windows
-// Uses daily returns from raw price data (always daily, regardless of chart timeframe)
-function computeVolatility(prices) {
-  if (!prices || prices.length < 2) return [];
-
-  // Compute daily log returns
-  const dailyReturns = [];
-  for (let i = 1; i < prices.length; i++) {
-    if (prices[i].close > 0 && prices[i - 1].close > 0) {
-      dailyReturns.push(Math.log(prices[i].close / prices[i - 1].close));
-    }
-  }
-
-  const windows = [
-    { label: "20d", days: 20, desc: "~1 month" },
-    { label: "60d", days: 60, desc: "~1 quarter" },
-    { label: "120d", days: 120, desc: "~6 months" },
-    { label: "252d", days: 252, desc: "~1 year" },
-  ];
-
-  const ANNUALIZATION = Math.sqrt(252);
-
-  return windows.map((w) => {
-    const n = Math.min(w.days, dailyReturns.length);
-    if (n < 2) return { ...w, vol: null };
-    const slice = dailyReturns.slice(-n);
-    const mean = slice.reduce((a, b) => a + b, 0) / n;
-    const variance = slice.reduce((a, b) => a + (b - mean) ** 2, 0) / (n - 1);
-    const dailyStd = Math.sqrt(variance);
-    const annualizedVol = dailyStd * ANNUALIZATION * 100; // as percentage
-    return { ...w, vol: annualizedVol };
-  });
-}
-
-function formatDate(dateStr, period) {
-  const d = new Date(dateStr + "T00:00:00");
-  const months = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
-  if (period === "monthly") return `${months[d.getMonth()]} '${String(d.getFullYear()).slice(2)}`;
-  return `${months[d.getMonth()]} ${d.getDate()}`;
-}
+import {
+  fetchHistory, searchTickers, subscribeAlerts, subscribeLive, portfoliosApi, annotationsApi, calendarsApi, describeError,
+} from "./api.js";
+import { useStats, useRegimes } from "./statsClient.js";
+import { DEFAULT_REGIME_CONFIG } from "./regimes.js";
+import { formatPeriod, hasTime, parseDate, REGIMES } from "./format.js";
+import { s } from "./styles.js";
+import DeviationChart, { MAX_SIGMA_SCALE } from "./DeviationChart.jsx";
+import Watchlist from "./Watchlist.jsx";
+import CrossAsset from "./CrossAsset.jsx";
+import AlertsPanel from "./AlertsPanel.jsx";
+import SavedViews from "./SavedViews.jsx";
+import ExportMenu from "./ExportMenu.jsx";
+import EventStudy from "./EventStudy.jsx";
+import BacktestPanel from "./BacktestPanel.jsx";
+import DistributionPanel from "./DistributionPanel.jsx";
+import RegimeChart from "./RegimeChart.jsx";
+import PortfolioEditor from "./PortfolioEditor.jsx";
+import PortfolioPanel from "./PortfolioPanel.jsx";
+import UploadPanel from "./UploadPanel.jsx";
+import AnnotationEditor from "./AnnotationEditor.jsx";
+import CalendarPanel from "./CalendarPanel.jsx";
+import SignalList, { episodeColor, streakColor } from "./SignalList.jsx";
+import { findEpisodes, DEFAULT_GAP } from "./episodes.js";
+import { itemsByBar, calendarEvents } from "./annotations.js";
+import { normalCdf } from "./distribution.js";
+import { PAIR_MODES, BETA_WINDOW, parsePair, alignByDate, pairHistory } from "./pairs.js";
+import { parsePortfolioRef, alignHoldings, portfolioHistory } from "./portfolio.js";
+import { INTERVALS, mergeBars } from "./intervals.js";
+import { DEFAULT_VIEW, TRANSIENT_FIELDS, parseViewState, serializeViewState } from "./viewState.js";
 
 const PERIODS = [
   { key: "daily", label: "D", full: "Daily" },
   { key: "weekly", label: "W", full: "Weekly" },
   { key: "monthly", label: "M", full: "Monthly" },
+  { key: "quarterly", label: "Q", full: "Quarterly" },
+  { key: "yearly", label: "Y", full: "Yearly" },
 ];
 
 const SIGMA_MODES = [
@@ -131,6 +43,40 @@ const SIGMA_MODES = [
   { key: "rolling", label: "Rolling Window", desc: "σ computed from prior N periods — better for detecting regime changes" },
 ];
 
+const ESTIMATORS = [
+  { key: "stdev", label: "Std Dev", desc: "Plain sample standard deviation" },
+  { key: "mad", label: "MAD", desc: "Median absolute deviation × 1.4826 — robust to outliers" },
+  { key: "ewma", label: "EWMA", desc: "RiskMetrics exponentially weighted σ — reacts fast to new volatility" },
+  { key: "garch", label: "GARCH", desc: "GARCH(1,1) conditional σ fitted by maximum likelihood" },
+  { key: "parkinson", label: "Parkinson", desc: "High-low range estimator", needsRange: true },
+  { key: "garman-klass", label: "Garman-Klass", desc: "Open-high-low-close range estimator", needsRange: true },
+];
+
+// Conditional models carry their own memory; full/rolling doesn't apply
+const CONDITIONAL_ESTIMATORS = ["ewma", "garch"];
+
+const EWMA_LAMBDAS = [0.9, 0.94, 0.97];
+
+const RETURN_TYPES = [
+  { key: "simple", label: "Simple", desc: "Percentage change (Pₜ / Pₜ₋₁ − 1)" },
+  { key: "log", label: "Log", desc: "Log return ln(Pₜ / Pₜ₋₁) — additive across periods" },
+];
+
+const VIEWS = [
+  { key: "chart", label: "Chart" },
+  { key: "watchlist", label: "Watchlist" },
+  { key: "correlation", label: "Cross-asset" },
+  { key: "alerts", label: "Alerts" },
+];
+
+const PRICE_MODES = [
+  { key: true, label: "Adjusted", desc: "Split & dividend-adjusted closes" },
+  { key: false, label: "Raw", desc: "Closes as reported — splits show up as jumps" },
+];
+
+const RANGE_PRESETS = [{ l: "3M", m: 3 }, { l: "6M", m: 6 }, { l: "1Y", m: 12 }, { l: "2Y", m: 24 }, { l: "All" }];
+const INTRADAY_PRESETS = [{ l: "1D", d: 1 }, { l: "5D", d: 5 }, { l: "1M", m: 1 }, { l: "3M", m: 3 }, { l: "All" }];
+
 const ROLLING_WINDOWS = [
   { key: 20, label: "20" },
   { key: 60, label: "60" },
@@ -138,59 +84,219 @@ const ROLLING_WINDOWS = [
   { key: 252, label: "252" },
 ];
 
-const CHART_HEIGHT = 480;
-const PAD_L = 56;
-const PAD_R = 16;
-const PAD_T = 40;
-const PAD_B = 72;
-const MAX_SIGMA_SCALE = 5;
-
 export default function App() {
-  const [ticker, setTicker] = useState("SPY");
-  const [inputVal, setInputVal] = useState("SPY");
-  const [period, setPeriod] = useState("daily");
-  const [threshold, setThreshold] = useState(2.0);
-  const [sigmaMode, setSigmaMode] = useState("rolling");
-  const [rollingWindow, setRollingWindow] = useState(60);
-  const [priceData, setPriceData] = useState(null);
-  const [loading, setLoading] = useState(false);
+  // The URL is the source of truth on first load, so links reproduce a view
+  const [initial] = useState(() => ({ ...DEFAULT_VIEW, ...parseViewState(window.location.search) }));
+  const [ticker, setTicker] = useState(initial.ticker);
+  const [inputVal, setInputVal] = useState(initial.ticker);
+  const [period, setPeriod] = useState(initial.period);
+  const [threshold, setThreshold] = useState(initial.threshold);
+  const [sigmaMode, setSigmaMode] = useState(initial.sigmaMode);
+  const [rollingWindow, setRollingWindow] = useState(initial.rollingWindow);
+  const [adjusted, setAdjusted] = useState(initial.adjusted);
+  const [barInterval, setBarInterval] = useState(initial.interval);
+  const [live, setLive] = useState(initial.live);
+  const [liveStatus, setLiveStatus] = useState(null);
+  const [view, setView] = useState(initial.view);
+  const [showBacktest, setShowBacktest] = useState(initial.backtest);
+  const [showDistribution, setShowDistribution] = useState(initial.distribution);
+  const [showRegimes, setShowRegimes] = useState(initial.regimes);
+  const [regimeConfig, setRegimeConfig] = useState(DEFAULT_REGIME_CONFIG);
+  const [lastAlert, setLastAlert] = useState(null);
+  const [returnType, setReturnType] = useState(initial.returnType);
+  const [estimator, setEstimator] = useState(initial.estimator);
+  const [ewmaLambda, setEwmaLambda] = useState(initial.ewmaLambda);
+  const [pairMode, setPairMode] = useState(initial.pairMode);
+  const [showPortfolios, setShowPortfolios] = useState(false);
+  const [showUploads, setShowUploads] = useState(false);
+  const [showCalendars, setShowCalendars] = useState(false);
+  const [annotations, setAnnotations] = useState([]);
+  const [calendars, setCalendars] = useState([]);
+  const [selectedDate, setSelectedDate] = useState(null);
+  const [groupEpisodes, setGroupEpisodes] = useState(false);
+  const [episodeGap, setEpisodeGap] = useState(DEFAULT_GAP);
+  const [loaded, setLoaded] = useState(null);
+  const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [searchResults, setSearchResults] = useState([]);
   const [showSearch, setShowSearch] = useState(false);
   const [startDate, setStartDate] = useState("");
   const [endDate, setEndDate] = useState("");
-  const [hoveredBar, setHoveredBar] = useState(null);
-  const [tooltipPos, setTooltipPos] = useState({ x: 0, y: 0 });
   const searchTimeout = useRef(null);
   const inputRef = useRef(null);
 
-  const loadTicker = useCallback(async (sym) => {
+  // range: optional { startDate, endDate }; blank ends mean the full history.
+  // "A/B" loads both legs and "@id" every holding of a saved portfolio; the
+  // pair/NAV series is derived below so switching pair mode doesn't refetch.
+  const loadTicker = useCallback(async (sym, adj = true, iv = "1d", range = null) => {
     setLoading(true);
     setError(null);
+    const pair = parsePair(sym);
+    const portfolioId = parsePortfolioRef(sym);
     try {
-      const data = await fetchHistory(sym);
-      setPriceData(data);
-      setTicker(sym);
-      if (data.prices.length > 0) {
-        setStartDate(data.prices[0].date);
-        setEndDate(data.prices[data.prices.length - 1].date);
+      let next, dates;
+      if (portfolioId) {
+        const portfolio = await portfoliosApi.get(portfolioId);
+        const legs = await Promise.all(portfolio.holdings.map((h) => fetchHistory(h.ticker, adj, iv)));
+        const rows = alignHoldings(legs.map((l) => l.prices));
+        if (rows.length < 2) throw new Error("No overlapping dates");
+        next = { portfolio: { portfolio, legs, rows } };
+        dates = rows;
+      } else if (pair) {
+        const [a, b] = await Promise.all([fetchHistory(pair.a, adj, iv), fetchHistory(pair.b, adj, iv)]);
+        const rows = alignByDate(a.prices, b.prices);
+        if (rows.length < 2) throw new Error("No overlapping dates");
+        next = { pair: { a, b, rows } };
+        dates = rows;
+      } else {
+        const data = await fetchHistory(sym, adj, iv);
+        next = { single: data };
+        dates = data.prices;
+      }
+      setLoaded(next);
+      setTicker(portfolioId ? `@${portfolioId}` : pair ? `${pair.a}/${pair.b}` : sym);
+      if (dates.length > 0) {
+        setStartDate(range?.startDate || dates[0].date);
+        setEndDate(range?.endDate || dates[dates.length - 1].date);
       }
     } catch (err) {
-      setError(`Could not load "${sym}". Check the ticker and try again.`);
-      setPriceData(null);
+      // Failed requests carry a code with a specific message; anything else
+      // (e.g. no overlapping dates) keeps the generic hint
+      const message = portfolioId
+        ? `Could not load portfolio "${sym}": ${describeError(err)}`
+        : err.code
+        ? describeError(err)
+        : pair
+        ? `Could not load "${sym}". Check both tickers and that their histories overlap.`
+        : `Could not load "${sym}". Check the ticker and try again.`;
+      setError({ message, code: err.code });
+      setLoaded(null);
     } finally {
       setLoading(false);
     }
   }, []);
 
-  useEffect(() => { loadTicker("SPY"); }, []);
+  const priceData = useMemo(
+    () => (loaded?.portfolio
+      ? portfolioHistory(loaded.portfolio)
+      : loaded?.pair ? pairHistory(loaded.pair, pairMode) : loaded?.single ?? null),
+    [loaded, pairMode],
+  );
 
+  useEffect(() => { loadTicker(initial.ticker, initial.adjusted, initial.interval, initial); }, []);
+
+  // Everything a link or saved view reproduces. A range covering the whole
+  // history is left blank so it keeps tracking new data.
+  const firstDate = priceData?.prices[0]?.date;
+  const lastDate = priceData?.prices[priceData.prices.length - 1]?.date;
+  const intraday = Boolean(lastDate && hasTime(lastDate));
+  const viewState = {
+    view, ticker, period, threshold, sigmaMode, rollingWindow, returnType, estimator, ewmaLambda, adjusted,
+    interval: barInterval, live, pairMode,
+    backtest: showBacktest,
+    distribution: showDistribution,
+    regimes: showRegimes,
+    startDate: startDate === firstDate ? "" : startDate,
+    endDate: endDate === lastDate ? "" : endDate,
+  };
+  const search = serializeViewState(viewState);
+  const syncedView = useRef(initial);
+
+  // Mirror state into the URL. Discrete changes get their own history entry;
+  // dragging the threshold or zooming just rewrites the current one.
+  useEffect(() => {
+    if (loading) return;
+    if (search !== window.location.search) {
+      const prev = syncedView.current;
+      const transient = Object.keys(viewState).every((k) => TRANSIENT_FIELDS.includes(k) || prev[k] === viewState[k]);
+      const url = window.location.pathname + search + window.location.hash;
+      window.history[transient ? "replaceState" : "pushState"](null, "", url);
+    }
+    syncedView.current = viewState;
+  }, [search, loading]);
+
+  const applyView = useCallback((next) => {
+    const v = { ...DEFAULT_VIEW, ...next };
+    setView(v.view);
+    setPeriod(v.period);
+    setThreshold(v.threshold);
+    setSigmaMode(v.sigmaMode);
+    setRollingWindow(v.rollingWindow);
+    setReturnType(v.returnType);
+    setEstimator(v.estimator);
+    setEwmaLambda(v.ewmaLambda);
+    setAdjusted(v.adjusted);
+    setBarInterval(v.interval);
+    setLive(v.live);
+    setPairMode(v.pairMode);
+    setShowBacktest(v.backtest);
+    setShowDistribution(v.distribution);
+    setShowRegimes(v.regimes);
+    setInputVal(v.ticker);
+    if (v.ticker !== ticker || v.adjusted !== adjusted || v.interval !== barInterval || !priceData) {
+      loadTicker(v.ticker, v.adjusted, v.interval, v);
+    } else {
+      setStartDate(v.startDate || firstDate);
+      setEndDate(v.endDate || lastDate);
+    }
+  }, [ticker, adjusted, barInterval, priceData, firstDate, lastDate, loadTicker]);
+
+  // Back/forward
+  useEffect(() => {
+    const onPop = () => applyView(parseViewState(window.location.search));
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, [applyView]);
+
+  // Alerts pushed by the server's browser channel
+  useEffect(() => subscribeAlerts((alert) => {
+    setLastAlert(alert);
+    if (typeof Notification !== "undefined" && Notification.permission === "granted") {
+      new Notification(`σ Tracker: ${alert.ticker}`, { body: alert.message, tag: alert.dedupeKey });
+    }
+  }), []);
+
+  // Notes for the loaded ticker and the calendars drawn on every chart. The
+  // static (Vercel) build has neither route, so failures just mean none.
+  const reloadAnnotations = useCallback(() => {
+    if (!ticker) return;
+    annotationsApi.list(ticker).then(setAnnotations, () => setAnnotations([]));
+  }, [ticker]);
+  const reloadCalendars = useCallback(() => {
+    calendarsApi.list().then(setCalendars, () => setCalendars([]));
+  }, []);
+  useEffect(() => { setSelectedDate(null); reloadAnnotations(); }, [reloadAnnotations]);
+  useEffect(() => { reloadCalendars(); }, [reloadCalendars]);
+
+  // Live feed: pushed bars are merged into the loaded history (single tickers
+  // only), and a range that ended on the last bar follows them
+  const lastDateRef = useRef(lastDate);
+  lastDateRef.current = lastDate;
+  const canLive = Boolean(loaded?.single);
+  useEffect(() => {
+    setLiveStatus(null);
+    if (!live || !canLive || loading) return;
+    return subscribeLive(ticker, { interval: barInterval, adjusted }, {
+      onBars: (bars, asOf) => {
+        const newest = bars[bars.length - 1].date;
+        const prevLast = lastDateRef.current;
+        setLoaded((prev) => (prev?.single ? { single: { ...prev.single, prices: mergeBars(prev.single.prices, bars) } } : prev));
+        if (prevLast && newest > prevLast) setEndDate((end) => (end === prevLast ? newest : end));
+        setLiveStatus({ asOf });
+      },
+      onWarning: (error) => setLiveStatus((prev) => ({ ...prev, error })),
+    });
+  }, [live, canLive, loading, ticker, barInterval, adjusted]);
+
+  // In a pair expression, search completes the leg being typed; "@id"
+  // portfolio refs aren't searched
   const handleInputChange = (val) => {
     setInputVal(val.toUpperCase());
     if (searchTimeout.current) clearTimeout(searchTimeout.current);
-    if (val.length >= 1) {
+    const leg = val.split("/").pop().trim();
+    if (leg.length >= 1 && !val.trim().startsWith("@")) {
       searchTimeout.current = setTimeout(async () => {
-        const results = await searchTickers(val);
+        const results = await searchTickers(leg);
         setSearchResults(results);
         setShowSearch(true);
       }, 300);
@@ -201,106 +307,123 @@ export default function App() {
   };
 
   const selectTicker = (sym) => {
-    setInputVal(sym);
+    const expr = inputVal.includes("/") ? `${inputVal.split("/")[0].trim()}/${sym}` : sym;
+    setInputVal(expr);
     setShowSearch(false);
     setSearchResults([]);
-    loadTicker(sym);
+    loadTicker(expr, adjusted, barInterval);
+  };
+
+  const selectPriceMode = (adj) => {
+    setAdjusted(adj);
+    loadTicker(ticker, adj, barInterval);
+  };
+
+  const selectInterval = (iv) => {
+    setBarInterval(iv);
+    loadTicker(ticker, adjusted, iv);
+  };
+
+  const openPortfolio = (id) => {
+    setInputVal(`@${id}`);
+    loadTicker(`@${id}`, adjusted, barInterval);
+  };
+
+  // Uploaded series are daily
+  const openUpload = (sym) => {
+    setInputVal(sym);
+    setBarInterval("1d");
+    loadTicker(sym, adjusted, "1d");
+  };
+
+  const openFromWatchlist = (sym) => {
+    setView("chart");
+    setInputVal(sym);
+    loadTicker(sym, adjusted, barInterval);
   };
 
   const handleKeyDown = (e) => {
     if (e.key === "Enter") {
       setShowSearch(false);
-      loadTicker(inputVal);
+      loadTicker(inputVal, adjusted, barInterval);
     }
   };
 
-  const returns = useMemo(() => {
-    if (!priceData?.prices) return [];
-    return computeReturns(priceData.prices, period);
-  }, [priceData, period]);
-
-  // Always compute daily returns for volatility (independent of chart timeframe)
-  const volatility = useMemo(() => {
-    if (!priceData?.prices) return [];
-    return computeVolatility(priceData.prices);
-  }, [priceData]);
-
-  const { mean, std, data: allData } = useMemo(() => {
-    if (sigmaMode === "rolling") return computeStatsRolling(returns, rollingWindow);
-    return computeStatsFullSample(returns);
-  }, [returns, sigmaMode, rollingWindow]);
+  // Returns, z-scores and the volatility panel are computed in a Web Worker.
+  // Volatility always uses daily returns (independent of chart timeframe)
+  const statsOptions = useMemo(() => ({
+    period, returnType, mode: sigmaMode, window: rollingWindow, estimator, lambda: ewmaLambda,
+  }), [period, returnType, sigmaMode, rollingWindow, estimator, ewmaLambda]);
+  const { result: stats, computing } = useStats(priceData?.prices, statsOptions);
+  const { rangeAvailable, volatility } = stats;
+  const { mean, std, data: allData, params: garchParams } = stats.stats;
+  const conditional = CONDITIONAL_ESTIMATORS.includes(estimator);
+
+  // Daily realized vol through history and the configured regime classifier,
+  // computed in the stats worker; the header shows the classifier's latest call
+  const { result: regimes } = useRegimes(priceData?.prices, regimeConfig);
+  const { volHistory } = regimes;
+  const regime = useMemo(() => regimes.rows.findLast((r) => r.key) || null, [regimes]);
 
   const filteredData = useMemo(() => {
     if (!startDate || !endDate) return allData;
     return allData.filter((d) => d.date >= startDate && d.date <= endDate);
   }, [allData, startDate, endDate]);
 
-  const drawH = CHART_HEIGHT - PAD_T - PAD_B;
-  const midY = PAD_T + drawH / 2;
-  const maxAbs = MAX_SIGMA_SCALE;
+  // Notes and calendar events matched to the bars at the current timeframe
+  const notesByBar = useMemo(() => itemsByBar(allData, annotations, period), [allData, annotations, period]);
+  const eventsByBar = useMemo(() => itemsByBar(allData, calendarEvents(calendars), period), [allData, calendars, period]);
+  const selectedBar = selectedDate ? allData.find((d) => d.date === selectedDate) : null;
+
+  // Signal episodes in the selected range; when the list is grouped,
+  // clusters are shaded on the chart with their streaks drawn over them
+  const episodes = useMemo(
+    () => findEpisodes(filteredData, threshold, { gap: episodeGap, returnType }),
+    [filteredData, threshold, episodeGap, returnType],
+  );
+  const episodeShading = useMemo(() => {
+    if (!groupEpisodes) return [];
+    const clusters = episodes.filter((e) => e.kind === "cluster");
+    return [
+      ...clusters.map((e) => ({ from: e.start, to: e.end, color: episodeColor(e) })),
+      ...clusters.flatMap((e) => e.streaks).map((r) => ({ from: r.start, to: r.end, color: streakColor(r) })),
+    ];
+  }, [groupEpisodes, episodes]);
 
   const beyondThreshold = filteredData.filter((d) => Math.abs(d.z) >= threshold).length;
   const pctBeyond = filteredData.length > 0 ? ((beyondThreshold / filteredData.length) * 100).toFixed(1) : "0.0";
+  const pctNormal = (2 * (1 - normalCdf(threshold)) * 100).toFixed(1);
+  const latestBar = allData.length ? allData[allData.length - 1] : null;
   const clippedBars = filteredData.filter((d) => Math.abs(d.z) > MAX_SIGMA_SCALE).length;
 
-  const barWidth = useMemo(() => {
-    const c = filteredData.length;
-    if (c <= 15) return 28; if (c <= 30) return 18; if (c <= 60) return 10;
-    if (c <= 120) return 6; if (c <= 250) return 3.5;
-    return Math.max(1.5, 800 / c);
-  }, [filteredData]);
-
-  const gap = Math.max(1, barWidth * 0.2);
-  const chartWidth = Math.max(700, PAD_L + filteredData.length * (barWidth + gap) + PAD_R);
-
-  const labelInterval = useMemo(() => {
-    const c = filteredData.length;
-    if (c <= 20) return 1; if (c <= 50) return 5; if (c <= 100) return 10;
-    if (c <= 200) return 20; return Math.ceil(c / 15);
-  }, [filteredData]);
-
-  const setPreset = (months) => {
+  // { m: months } or { d: days } back from the last bar's day; neither = all
+  const setPreset = ({ m, d }) => {
     if (!priceData?.prices?.length) return;
     const last = priceData.prices[priceData.prices.length - 1].date;
     const first = priceData.prices[0].date;
-    if (months === 999) { setStartDate(first); setEndDate(last); return; }
-    const end = new Date(last + "T00:00:00");
-    const start = new Date(end);
-    start.setMonth(start.getMonth() - months);
-    const startStr = start.toISOString().split("T")[0];
+    if (!m && !d) { setStartDate(first); setEndDate(last); return; }
+    const start = parseDate(last.slice(0, 10));
+    if (d) start.setDate(start.getDate() - (d - 1));
+    else start.setMonth(start.getMonth() - m);
+    const pad = (n) => String(n).padStart(2, "0");
+    const day = `${start.getFullYear()}-${pad(start.getMonth() + 1)}-${pad(start.getDate())}`;
+    const startStr = intraday ? `${day}T00:00` : day;
     setStartDate(startStr < first ? first : startStr);
     setEndDate(last);
   };
 
-  const handleBarHover = (d, i, e) => {
-    const svgRect = e.currentTarget.closest("svg").getBoundingClientRect();
-    const barRect = e.currentTarget.getBoundingClientRect();
-    setHoveredBar({ ...d, index: i });
-    const clampedZ = Math.min(Math.abs(d.z), maxAbs);
-    const barH = clampedZ / maxAbs * (drawH / 2);
-    setTooltipPos({
-      x: barRect.left - svgRect.left + barWidth / 2,
-      y: d.z >= 0 ? midY - barH - 16 : midY + barH + 16,
-    });
-  };
+  const handleRangeChange = useCallback((from, to) => {
+    setStartDate(from);
+    setEndDate(to);
+  }, []);
 
-  const s = {
-    label: { fontSize: 10, letterSpacing: 2, color: "#888", textTransform: "uppercase", marginBottom: 4 },
-    input: {
-      background: "#0f0f18", border: "1px solid #1e1e2a", borderRadius: 5,
-      color: "#e0ddd5", padding: "6px 10px", fontSize: 14, fontFamily: "inherit", outline: "none",
-    },
-    btn: (active) => ({
-      background: active ? "#1a1a2e" : "transparent",
-      border: active ? "1px solid #555" : "1px solid #2a2a34",
-      borderRadius: 4, color: active ? "#e0ddd5" : "#777",
-      padding: "6px 12px", fontSize: 13, cursor: "pointer", fontFamily: "inherit",
-      fontWeight: active ? 700 : 400, transition: "all 0.15s",
-    }),
-    presetBtn: {
-      background: "transparent", border: "1px solid #2a2a34", borderRadius: 4,
-      color: "#999", padding: "6px 8px", fontSize: 11, cursor: "pointer", fontFamily: "inherit",
-    },
+  // Frame an episode with as many bars again on each side (at least 10)
+  const zoomToEpisode = (episode) => {
+    const i0 = allData.findIndex((d) => d.date === episode.start);
+    const i1 = allData.findIndex((d) => d.date === episode.end);
+    if (i0 === -1 || i1 === -1) return;
+    const pad = Math.max(10, episode.bars);
+    handleRangeChange(allData[Math.max(0, i0 - pad)].date, allData[Math.min(allData.length - 1, i1 + pad)].date);
   };
 
   return (
@@ -327,21 +450,27 @@ export default function App() {
               {priceData && (
                 <span style={{ fontSize: 14, color: "#999" }}>
                   {priceData.name || priceData.ticker} · {priceData.exchange}
+                  {intraday && priceData.timezone && <span style={{ color: "#666" }}> · {priceData.timezone}</span>}
                 </span>
               )}
             </div>
+            <div style={{ display: "flex", gap: 2, marginTop: 10 }}>
+              {VIEWS.map((v) => (
+                <button key={v.key} onClick={() => setView(v.key)} style={s.btn(view === v.key)}>{v.label}</button>
+              ))}
+            </div>
           </div>
 
-          {priceData && !loading && (
+          {view === "chart" && priceData && !loading && (
             <div style={{ display: "flex", gap: 28 }}>
               <div style={{ textAlign: "right" }}>
-                <div style={s.label}>μ Return ({PERIODS.find(p=>p.key===period)?.full})</div>
+                <div style={s.label}>μ Return ({intraday && period === "daily" ? `${barInterval} bar` : PERIODS.find(p=>p.key===period)?.full})</div>
                 <div style={{ fontSize: 18, fontWeight: 700, color: mean >= 0 ? "#00c853" : "#ff1744" }}>
                   {mean >= 0 ? "+" : ""}{(mean * 100).toFixed(3)}%
                 </div>
               </div>
               <div style={{ textAlign: "right" }}>
-                <div style={s.label}>{sigmaMode === "rolling" ? "Avg σ" : "σ"}</div>
+                <div style={s.label}>{sigmaMode === "rolling" || conditional ? "Avg σ" : "σ"}</div>
                 <div style={{ fontSize: 18, fontWeight: 700 }}>{(std * 100).toFixed(3)}%</div>
               </div>
               <div style={{ textAlign: "right" }}>
@@ -349,13 +478,25 @@ export default function App() {
                 <div style={{ fontSize: 18, fontWeight: 700, color: "#ff9100" }}>
                   {beyondThreshold}<span style={{ fontSize: 11, color: "#555" }}> ({pctBeyond}%)</span>
                 </div>
+                <div style={{ fontSize: 10, color: "#555" }}>normal expects {pctNormal}%</div>
               </div>
+              {live && canLive && latestBar?.z != null && (
+                <div style={{ textAlign: "right" }}>
+                  <div style={s.label}>● Live · {formatPeriod(latestBar, period)}</div>
+                  <div style={{ fontSize: 18, fontWeight: 700, color: latestBar.z >= 0 ? "#00c853" : "#ff1744" }}>
+                    {latestBar.z >= 0 ? "+" : ""}{latestBar.z.toFixed(2)}σ
+                  </div>
+                  <div style={{ fontSize: 10, color: liveStatus?.error ? "#ff5252" : "#555" }}>
+                    {liveStatus?.error || (liveStatus?.asOf ? `updated ${new Date(liveStatus.asOf).toLocaleTimeString()}` : "connecting…")}
+                  </div>
+                </div>
+              )}
             </div>
           )}
         </div>
 
         {/* Volatility Panel */}
-        {priceData && !loading && volatility.length > 0 && (
+        {view === "chart" && priceData && !loading && volatility.length > 0 && (
           <div style={{
             display: "flex", gap: 0, marginBottom: 16, background: "#0b0b14",
             border: "1px solid #151522", borderRadius: 8, overflow: "hidden",
@@ -398,22 +539,11 @@ export default function App() {
                 <div style={{ fontSize: 10, letterSpacing: 2, color: "#888", textTransform: "uppercase" }}>
                   Regime
                 </div>
-                {(() => {
-                  const v20 = volatility.find(v => v.label === "20d")?.vol;
-                  const v252 = volatility.find(v => v.label === "252d")?.vol;
-                  if (v20 == null || v252 == null) return null;
-                  const ratio = v20 / v252;
-                  const expanding = ratio > 1.15;
-                  const contracting = ratio < 0.85;
-                  return (
-                    <div style={{
-                      fontSize: 12, fontWeight: 700, marginTop: 2,
-                      color: expanding ? "#ff5252" : contracting ? "#00c853" : "#888",
-                    }}>
-                      {expanding ? "▲ Expanding" : contracting ? "▼ Contracting" : "● Stable"}
-                    </div>
-                  );
-                })()}
+                {regime && (
+                  <div style={{ fontSize: 12, fontWeight: 700, marginTop: 2, color: REGIMES[regime.key].color }}>
+                    {REGIMES[regime.key].label}
+                  </div>
+                )}
               </div>
             </div>
           </div>
@@ -421,14 +551,15 @@ export default function App() {
 
         {/* Controls Row 1 */}
         <div style={{ display: "flex", gap: 16, marginBottom: 12, flexWrap: "wrap", alignItems: "flex-end" }}>
-          <div style={{ position: "relative" }}>
+          {view === "chart" && <div style={{ position: "relative" }}>
             <div style={s.label}>Ticker</div>
             <input ref={inputRef} type="text" value={inputVal}
               onChange={(e) => handleInputChange(e.target.value)}
               onKeyDown={handleKeyDown}
               onFocus={() => { if (searchResults.length) setShowSearch(true); }}
               onBlur={() => setTimeout(() => setShowSearch(false), 200)}
-              style={{ ...s.input, width: 120, fontWeight: 700 }}
+              title="A symbol, a pair like AAPL/QQQ, or a saved portfolio like @3f9a0c1e"
+              style={{ ...s.input, width: 140, fontWeight: 700 }}
             />
             {showSearch && searchResults.length > 0 && (
               <div style={{
@@ -450,7 +581,59 @@ export default function App() {
                 ))}
               </div>
             )}
-          </div>
+          </div>}
+
+          {view === "chart" && (
+            <button onClick={() => setShowPortfolios((b) => !b)} style={{ ...s.btn(showPortfolios || Boolean(priceData?.portfolio)), fontSize: 12 }}>
+              Portfolios {showPortfolios ? "▴" : "▾"}
+            </button>
+          )}
+
+          {view === "chart" && (
+            <button onClick={() => setShowUploads((b) => !b)} style={{ ...s.btn(showUploads), fontSize: 12 }}>
+              Upload {showUploads ? "▴" : "▾"}
+            </button>
+          )}
+
+          {view === "chart" && (
+            <button onClick={() => setShowCalendars((b) => !b)} style={{ ...s.btn(showCalendars), fontSize: 12 }}>
+              Events {showCalendars ? "▴" : "▾"}
+            </button>
+          )}
+
+          {view === "chart" && priceData?.pair && (
+            <div>
+              <div style={s.label}>
+                Pair{pairMode === "beta" && priceData.prices.length > 0
+                  ? ` · β ${priceData.prices[priceData.prices.length - 1].beta.toFixed(2)} (${BETA_WINDOW}-bar)`
+                  : ""}
+              </div>
+              <div style={{ display: "flex", gap: 2 }}>
+                {PAIR_MODES.map((m) => (
+                  <button key={m.key} onClick={() => setPairMode(m.key)} style={s.btn(pairMode === m.key)} title={m.desc}>
+                    {m.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {view === "chart" && (
+            <div>
+              <div style={s.label}>Interval</div>
+              <div style={{ display: "flex", gap: 2 }}>
+                {INTERVALS.map((iv) => (
+                  <button key={iv.key} onClick={() => selectInterval(iv.key)} style={s.btn(barInterval === iv.key)}>{iv.label}</button>
+                ))}
+                <button onClick={() => setLive((l) => !l)} disabled={!canLive}
+                  style={{ ...s.btn(live && canLive), marginLeft: 6, opacity: canLive ? 1 : 0.35, cursor: canLive ? "pointer" : "not-allowed" }}
+                  title={canLive ? "Stream the latest bar from the server" : "Live updates are for single tickers"}
+                >
+                  ● Live
+                </button>
+              </div>
+            </div>
+          )}
 
           <div>
             <div style={s.label}>Timeframe</div>
@@ -470,17 +653,47 @@ export default function App() {
           </div>
 
           <div>
-            <div style={s.label}>σ Calculation</div>
+            <div style={s.label}>Returns</div>
             <div style={{ display: "flex", gap: 2 }}>
-              {SIGMA_MODES.map((m) => (
-                <button key={m.key} onClick={() => setSigmaMode(m.key)} style={s.btn(sigmaMode === m.key)} title={m.desc}>
-                  {m.label}
+              {RETURN_TYPES.map((r) => (
+                <button key={r.key} onClick={() => setReturnType(r.key)} style={s.btn(returnType === r.key)} title={r.desc}>
+                  {r.label}
                 </button>
               ))}
             </div>
           </div>
 
-          {sigmaMode === "rolling" && (
+          <div>
+            <div style={s.label}>σ Estimator</div>
+            <div style={{ display: "flex", gap: 2 }}>
+              {ESTIMATORS.map((e) => {
+                const disabled = e.needsRange && !rangeAvailable;
+                return (
+                  <button key={e.key} onClick={() => setEstimator(e.key)} disabled={disabled}
+                    style={{ ...s.btn(estimator === e.key), opacity: disabled ? 0.35 : 1, cursor: disabled ? "not-allowed" : "pointer" }}
+                    title={disabled ? `${e.desc} — needs OHLC data` : e.desc}
+                  >
+                    {e.label}
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+
+          {!conditional && (
+            <div>
+              <div style={s.label}>σ Calculation</div>
+              <div style={{ display: "flex", gap: 2 }}>
+                {SIGMA_MODES.map((m) => (
+                  <button key={m.key} onClick={() => setSigmaMode(m.key)} style={s.btn(sigmaMode === m.key)} title={m.desc}>
+                    {m.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {!conditional && sigmaMode === "rolling" && (
             <div>
               <div style={s.label}>Window (periods)</div>
               <div style={{ display: "flex", gap: 2 }}>
@@ -490,42 +703,93 @@ export default function App() {
               </div>
             </div>
           )}
+
+          {estimator === "ewma" && (
+            <div>
+              <div style={s.label}>Decay λ</div>
+              <div style={{ display: "flex", gap: 2 }}>
+                {EWMA_LAMBDAS.map((l) => (
+                  <button key={l} onClick={() => setEwmaLambda(l)} style={s.btn(ewmaLambda === l)}>{l.toFixed(2)}</button>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
 
         {/* Controls Row 2 */}
         <div style={{ display: "flex", gap: 16, marginBottom: 16, flexWrap: "wrap", alignItems: "flex-end" }}>
-          <div style={{ display: "flex", gap: 8, alignItems: "flex-end" }}>
+          {view === "chart" && <div style={{ display: "flex", gap: 8, alignItems: "flex-end" }}>
             <div>
               <div style={s.label}>From</div>
-              <input type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)}
+              <input type={intraday ? "datetime-local" : "date"} value={startDate} onChange={(e) => setStartDate(e.target.value)}
                 style={{ ...s.input, fontSize: 11, padding: "5px 8px", colorScheme: "dark" }}
               />
             </div>
             <div>
               <div style={s.label}>To</div>
-              <input type="date" value={endDate} onChange={(e) => setEndDate(e.target.value)}
+              <input type={intraday ? "datetime-local" : "date"} value={endDate} onChange={(e) => setEndDate(e.target.value)}
                 style={{ ...s.input, fontSize: 11, padding: "5px 8px", colorScheme: "dark" }}
               />
             </div>
-          </div>
+          </div>}
           <div>
-            <div style={s.label}>Range</div>
+            <div style={s.label}>Prices</div>
             <div style={{ display: "flex", gap: 2 }}>
-              {[{ l: "3M", m: 3 }, { l: "6M", m: 6 }, { l: "1Y", m: 12 }, { l: "2Y", m: 24 }, { l: "All", m: 999 }].map((p) => (
-                <button key={p.l} onClick={() => setPreset(p.m)} style={s.presetBtn}>{p.l}</button>
+              {PRICE_MODES.map((m) => (
+                <button key={m.label} onClick={() => selectPriceMode(m.key)} style={s.btn(adjusted === m.key)} title={m.desc}>
+                  {m.label}
+                </button>
               ))}
             </div>
           </div>
+          {view === "chart" && <div>
+            <div style={s.label}>Range</div>
+            <div style={{ display: "flex", gap: 2 }}>
+              {(intraday ? INTRADAY_PRESETS : RANGE_PRESETS).map((p) => (
+                <button key={p.l} onClick={() => setPreset(p)} style={s.presetBtn}>{p.l}</button>
+              ))}
+            </div>
+          </div>}
+          <SavedViews current={viewState} onApply={applyView} />
           <div style={{ fontSize: 11, color: "#777", maxWidth: 340, lineHeight: 1.4, paddingBottom: 2 }}>
-            {sigmaMode === "rolling"
+            {estimator === "ewma"
+              ? `Each bar measured against an exponentially weighted σ (λ = ${ewmaLambda}). Recent moves dominate.`
+              : estimator === "garch"
+              ? `Each bar measured against GARCH(1,1) conditional σ${garchParams ? ` (α = ${garchParams.alpha.toFixed(3)}, β = ${garchParams.beta.toFixed(3)})` : ""}. Parameters are fitted over the whole loaded history.`
+              : sigmaMode === "rolling"
               ? `Each bar measured against the prior ${rollingWindow} periods. Sudden moves after calm periods register as larger deviations.`
               : "Each bar measured against the mean & std dev of the entire selected range."
             }
           </div>
         </div>
 
+        {view === "chart" && showPortfolios && (
+          <PortfolioEditor current={loaded?.portfolio?.portfolio} onOpen={openPortfolio} />
+        )}
+
+        {view === "chart" && showUploads && <UploadPanel onOpen={openUpload} />}
+
+        {view === "chart" && showCalendars && <CalendarPanel calendars={calendars} onChange={reloadCalendars} />}
+
+        {view === "watchlist" && (
+          <Watchlist
+            options={statsOptions}
+            threshold={threshold} adjusted={adjusted} onOpen={openFromWatchlist}
+          />
+        )}
+
+        {view === "correlation" && (
+          <CrossAsset options={statsOptions} threshold={threshold} adjusted={adjusted} windows={ROLLING_WINDOWS} />
+        )}
+
+        {view === "alerts" && (
+          <AlertsPanel lastAlert={lastAlert} defaults={{
+            ticker, period, threshold, returnType, mode: sigmaMode, window: rollingWindow, estimator, lambda: ewmaLambda,
+          }} />
+        )}
+
         {/* Loading / Error */}
-        {loading && (
+        {view === "chart" && loading && (
           <div style={{ padding: 60, textAlign: "center", color: "#555", fontSize: 14, background: "#0b0b14", borderRadius: 10, border: "1px solid #151522" }}>
             <div style={{ animation: "pulse 1.5s infinite", fontSize: 24, marginBottom: 8 }}>σ</div>
             Loading {inputVal}...
@@ -533,14 +797,15 @@ export default function App() {
           </div>
         )}
 
-        {error && (
+        {view === "chart" && error && (
           <div style={{ padding: 40, textAlign: "center", color: "#ff5252", fontSize: 13, background: "#0b0b14", borderRadius: 10, border: "1px solid #2a1515" }}>
-            {error}
+            {error.message}
+            {error.code && <div style={{ marginTop: 6, fontSize: 10, color: "#664" }}>{error.code}</div>}
           </div>
         )}
 
         {/* Chart */}
-        {!loading && !error && filteredData.length > 0 && (
+        {view === "chart" && !loading && !error && filteredData.length > 0 && (
           <>
             <div style={{ background: "#0b0b14", border: "1px solid #151522", borderRadius: 10, position: "relative", overflow: "hidden" }}>
               <div style={{
@@ -548,134 +813,11 @@ export default function App() {
                 color: "#0e0e1a", zIndex: 0, userSelect: "none", letterSpacing: -2, WebkitTextStroke: "1px #13131f",
               }}>{ticker}</div>
 
-              <div style={{ overflowX: "auto", overflowY: "hidden" }}>
-                <svg width={chartWidth} height={CHART_HEIGHT} style={{ display: "block" }}>
-                  {/* Threshold zone fills */}
-                  <rect x={PAD_L} y={midY - (threshold / maxAbs) * (drawH / 2)}
-                    width={chartWidth - PAD_L - PAD_R} height={(threshold / maxAbs) * (drawH / 2)} fill="#00c85305"
-                  />
-                  <rect x={PAD_L} y={midY}
-                    width={chartWidth - PAD_L - PAD_R} height={(threshold / maxAbs) * (drawH / 2)} fill="#ff174405"
-                  />
-
-                  {/* Gridlines + Y labels: ±5σ */}
-                  {Array.from({ length: MAX_SIGMA_SCALE * 2 + 1 }, (_, i) => {
-                    const val = MAX_SIGMA_SCALE - i;
-                    const y = midY - (val / maxAbs) * (drawH / 2);
-                    return (
-                      <g key={`g${val}`}>
-                        <line x1={PAD_L} y1={y} x2={chartWidth - PAD_R} y2={y}
-                          stroke={val === 0 ? "#2a2a3a" : "#111120"} strokeWidth={val === 0 ? 1.5 : 1}
-                        />
-                        <text x={PAD_L - 6} y={y + 3.5} textAnchor="end"
-                          fill={Math.abs(val) >= threshold ? "#ff9100cc" : "#555"}
-                          fontSize={11} fontFamily="inherit" fontWeight={Math.abs(val) >= threshold ? 600 : 400}
-                        >{val > 0 ? `+${val}σ` : val === 0 ? "0" : `${val}σ`}</text>
-                      </g>
-                    );
-                  })}
-
-                  {/* Threshold dashed lines */}
-                  {[threshold, -threshold].map((t) => (
-                    <line key={t} x1={PAD_L} y1={midY - (t / maxAbs) * (drawH / 2)}
-                      x2={chartWidth - PAD_R} y2={midY - (t / maxAbs) * (drawH / 2)}
-                      stroke="#ff910044" strokeWidth={1} strokeDasharray="4 4"
-                    />
-                  ))}
-
-                  <line x1={PAD_L} y1={midY} x2={chartWidth - PAD_R} y2={midY} stroke="#3a3a4a" strokeWidth={1.5} />
-
-                  {/* Bars */}
-                  {filteredData.map((d, i) => {
-                    const x = PAD_L + i * (barWidth + gap);
-                    const clampedZ = Math.min(Math.abs(d.z), maxAbs);
-                    const barH = clampedZ / maxAbs * (drawH / 2);
-                    const isSignal = Math.abs(d.z) >= threshold;
-                    const isPos = d.z >= 0;
-                    const isHov = hoveredBar?.index === i;
-                    const isClipped = Math.abs(d.z) > maxAbs;
-                    const green = isSignal ? "#00c853" : "#00c85355";
-                    const red = isSignal ? "#ff1744" : "#ff174455";
-                    const color = isPos ? green : red;
-
-                    return (
-                      <g key={i}
-                        onMouseEnter={(e) => handleBarHover(d, i, e)}
-                        onMouseLeave={() => setHoveredBar(null)}
-                        style={{ cursor: "crosshair" }}
-                      >
-                        {isSignal && (
-                          <rect x={x - 1} y={isPos ? midY - barH - 1 : midY - 1}
-                            width={barWidth + 2} height={barH + 2}
-                            fill="none" stroke={isPos ? "#00c853" : "#ff1744"}
-                            strokeWidth={isHov ? 2 : 0.8} opacity={isHov ? 0.7 : 0.25} rx={1}
-                          />
-                        )}
-                        {isClipped && barWidth >= 4 && (
-                          <text x={x + barWidth / 2} y={isPos ? PAD_T + 8 : CHART_HEIGHT - PAD_B - 4}
-                            textAnchor="middle" fill={isPos ? "#00c853" : "#ff1744"} fontSize={8}
-                          >{isPos ? "▲" : "▼"}</text>
-                        )}
-                        <rect x={x} y={isPos ? midY - barH : midY}
-                          width={barWidth} height={Math.max(0.5, barH)}
-                          fill={color} rx={barWidth > 6 ? 1.5 : 0.5}
-                          opacity={isHov ? 1 : isSignal ? 0.9 : 0.5}
-                        />
-                        {/* Date labels — BRIGHTER */}
-                        {i % labelInterval === 0 && (
-                          <g>
-                            <line x1={x + barWidth / 2} y1={midY + drawH / 2 + 4}
-                              x2={x + barWidth / 2} y2={midY + drawH / 2 + 10} stroke="#555" strokeWidth={1}
-                            />
-                            <text x={x + barWidth / 2} y={midY + drawH / 2 + 23}
-                              textAnchor="middle" fill="#bbb" fontSize={barWidth > 10 ? 11 : 10} fontFamily="inherit"
-                            >{formatDate(d.date, period)}</text>
-                            {period !== "monthly" && (
-                              <text x={x + barWidth / 2} y={midY + drawH / 2 + 36}
-                                textAnchor="middle" fill="#888" fontSize={9} fontFamily="inherit"
-                              >{new Date(d.date + "T00:00:00").getFullYear()}</text>
-                            )}
-                          </g>
-                        )}
-                      </g>
-                    );
-                  })}
-
-                  {/* Tooltip */}
-                  {hoveredBar && (() => {
-                    const tipW = 175;
-                    const tipH = hoveredBar.localStd != null ? 56 : 48;
-                    const tipX = Math.max(PAD_L, Math.min(tooltipPos.x - tipW / 2, chartWidth - tipW - 4));
-                    const tipY = hoveredBar.z >= 0
-                      ? Math.max(4, tooltipPos.y - tipH - 8)
-                      : Math.min(CHART_HEIGHT - tipH - 4, tooltipPos.y + 8);
-                    return (
-                      <g style={{ pointerEvents: "none" }}>
-                        <rect x={tipX} y={tipY} width={tipW} height={tipH} rx={5}
-                          fill="#111122ee" stroke="#3a3a4a" strokeWidth={1}
-                        />
-                        <text x={tipX + tipW / 2} y={tipY + 18}
-                          textAnchor="middle" fill="#d4d0c8" fontSize={12} fontFamily="inherit" fontWeight={700}
-                        >
-                          {hoveredBar.z >= 0 ? "+" : ""}{hoveredBar.z.toFixed(2)}σ  ({hoveredBar.ret >= 0 ? "+" : ""}{(hoveredBar.ret * 100).toFixed(2)}%)
-                        </text>
-                        <text x={tipX + tipW / 2} y={tipY + 34}
-                          textAnchor="middle" fill="#bbb" fontSize={11} fontFamily="inherit"
-                        >
-                          {new Date(hoveredBar.date + "T00:00:00").toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" })}
-                        </text>
-                        {hoveredBar.localStd != null && (
-                          <text x={tipX + tipW / 2} y={tipY + 48}
-                            textAnchor="middle" fill="#888" fontSize={10} fontFamily="inherit"
-                          >
-                            local σ: {(hoveredBar.localStd * 100).toFixed(2)}%
-                          </text>
-                        )}
-                      </g>
-                    );
-                  })()}
-                </svg>
-              </div>
+              <DeviationChart data={allData} startDate={startDate} endDate={endDate}
+                onRangeChange={handleRangeChange} threshold={threshold} period={period}
+                notes={notesByBar} events={eventsByBar} onSelect={(d) => setSelectedDate(d.date)}
+                shading={episodeShading}
+              />
 
               {clippedBars > 0 && (
                 <div style={{ padding: "4px 16px 8px", fontSize: 10, color: "#888" }}>
@@ -684,6 +826,13 @@ export default function App() {
               )}
             </div>
 
+            {selectedBar && (
+              <AnnotationEditor ticker={ticker} bar={selectedBar} period={period}
+                notes={notesByBar.get(selectedBar.date) || []} events={eventsByBar.get(selectedBar.date) || []}
+                onSaved={reloadAnnotations} onClose={() => setSelectedDate(null)}
+              />
+            )}
+
             {/* Legend */}
             <div style={{ display: "flex", gap: 20, justifyContent: "center", marginTop: 12, fontSize: 11, color: "#999" }}>
               <div style={{ display: "flex", alignItems: "center", gap: 5 }}>
@@ -695,60 +844,64 @@ export default function App() {
               <div style={{ display: "flex", alignItems: "center", gap: 5 }}>
                 <div style={{ width: 10, height: 10, background: "#00c85355", borderRadius: 2 }} /> Within normal
               </div>
-              {sigmaMode === "rolling" && (
+              {!conditional && sigmaMode === "rolling" && (
                 <div style={{ color: "#777" }}>◯ Rolling {rollingWindow}-period window</div>
               )}
+              {conditional && (
+                <div style={{ color: "#777" }}>◯ {estimator === "ewma" ? `EWMA λ ${ewmaLambda}` : "GARCH(1,1)"} conditional σ</div>
+              )}
+            </div>
+            <div style={{ display: "flex", justifyContent: "center", alignItems: "center", gap: 16, marginTop: 8 }}>
+              <ExportMenu ticker={ticker} name={priceData?.name} stats={stats.stats} options={statsOptions}
+                threshold={threshold} adjusted={adjusted} interval={barInterval} startDate={startDate} endDate={endDate}
+              />
+              <button onClick={() => setShowBacktest((b) => !b)} style={{ ...s.btn(showBacktest), padding: "3px 10px", fontSize: 11 }}>
+                Backtest {showBacktest ? "▴" : "▾"}
+              </button>
+              <button onClick={() => setShowDistribution((b) => !b)} style={{ ...s.btn(showDistribution), padding: "3px 10px", fontSize: 11 }}>
+                Distribution {showDistribution ? "▴" : "▾"}
+              </button>
+              <button onClick={() => setShowRegimes((b) => !b)} style={{ ...s.btn(showRegimes), padding: "3px 10px", fontSize: 11 }}>
+                Vol regimes {showRegimes ? "▴" : "▾"}
+              </button>
             </div>
 
-            {/* Signal list — sorted by magnitude */}
+            {showBacktest && <BacktestPanel data={filteredData} threshold={threshold} period={period} />}
+            {showDistribution && <DistributionPanel data={filteredData} />}
+            {showRegimes && (
+              <RegimeChart data={filteredData} volHistory={volHistory} regimes={regimes}
+                config={regimeConfig} onConfigChange={setRegimeConfig}
+              />
+            )}
+            {priceData?.portfolio && loaded?.portfolio && (
+              <PortfolioPanel portfolio={priceData.portfolio} rows={loaded.portfolio.rows} prices={priceData.prices}
+                data={filteredData} threshold={threshold} period={period} startDate={startDate} endDate={endDate}
+              />
+            )}
+
+            {/* Signal list — flat by magnitude, or grouped into episodes */}
             {beyondThreshold > 0 && (
-              <div style={{
-                marginTop: 20, background: "#0b0b14", border: "1px solid #151522",
-                borderRadius: 10, padding: 16, maxHeight: 260, overflowY: "auto",
-              }}>
-                <div style={{ fontSize: 10, letterSpacing: 2, color: "#888", textTransform: "uppercase", marginBottom: 10 }}>
-                  Deviation Signals — {beyondThreshold} events ({pctBeyond}%) — sorted by magnitude
-                </div>
-                <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(250px, 1fr))", gap: 6 }}>
-                  {filteredData
-                    .filter((d) => Math.abs(d.z) >= threshold)
-                    .sort((a, b) => Math.abs(b.z) - Math.abs(a.z))
-                    .map((d, i) => {
-                      const isPos = d.z >= 0;
-                      return (
-                        <div key={i} style={{
-                          display: "flex", alignItems: "center", gap: 10,
-                          padding: "6px 10px", background: "#0f0f1a", borderRadius: 5,
-                          borderLeft: `3px solid ${isPos ? "#00c853" : "#ff1744"}`,
-                        }}>
-                          <div style={{ fontSize: 14, fontWeight: 700, color: isPos ? "#00c853" : "#ff1744", minWidth: 52 }}>
-                            {d.z >= 0 ? "+" : ""}{d.z.toFixed(2)}σ
-                          </div>
-                          <div>
-                            <div style={{ fontSize: 12, color: "#bbb" }}>
-                              {new Date(d.date + "T00:00:00").toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" })}
-                            </div>
-                            <div style={{ fontSize: 11, color: "#888" }}>
-                              {d.ret >= 0 ? "+" : ""}{(d.ret * 100).toFixed(2)}% return
-                            </div>
-                          </div>
-                        </div>
-                      );
-                    })}
-                </div>
-              </div>
+              <SignalList data={filteredData} threshold={threshold} period={period} returnType={returnType}
+                notesByBar={notesByBar} eventsByBar={eventsByBar} selectedDate={selectedDate} onSelect={setSelectedDate}
+                episodes={episodes} grouped={groupEpisodes} onGroupedChange={setGroupEpisodes}
+                gap={episodeGap} onGapChange={setEpisodeGap} onZoom={zoomToEpisode}
+              />
+            )}
+
+            {beyondThreshold > 0 && (
+              <EventStudy data={filteredData} threshold={threshold} returnType={returnType} />
             )}
           </>
         )}
 
-        {!loading && !error && filteredData.length === 0 && priceData && (
+        {view === "chart" && !loading && !error && filteredData.length === 0 && priceData && (
           <div style={{ padding: 60, textAlign: "center", color: "#555", fontSize: 13, background: "#0b0b14", borderRadius: 10, border: "1px solid #151522" }}>
             No data in selected date range. Try adjusting dates or timeframe.
           </div>
         )}
 
         <div style={{ marginTop: 16, fontSize: 9, color: "#2a2a34", textAlign: "center", letterSpacing: 1 }}>
-          Data via Yahoo Finance · Hover bars for details · {filteredData.length} periods shown
+          Data via Yahoo Finance · Hover bars for details, click to annotate · Scroll to zoom, drag to pan · {filteredData.length} periods shown{computing ? " · computing…" : ""}
         </div>
       </div>
     </div>
@@ -0,0 +1,124 @@
+import { useState, useRef, useEffect } from "react";
+import { PAD_L, PAD_R, prepareCanvas } from "./DeviationChart.jsx";
+
+// Equity curve (strategy vs. buy & hold) over a drawdown strip. Uses the
+// deviation chart's padding and one slot per bar, so with the same range and
+// width every bar sits directly under its z-score bar.
+
+const EQUITY_H = 180;
+const DD_H = 70;
+const GAP = 14;
+const HEIGHT = 8 + EQUITY_H + GAP + DD_H + 8;
+const STRATEGY = "#ff9100";
+const BENCH = "#666";
+
+export default function BacktestChart({ equity }) {
+  const wrapRef = useRef(null);
+  const canvasRef = useRef(null);
+  const [width, setWidth] = useState(700);
+  const [hovered, setHovered] = useState(null);
+
+  useEffect(() => {
+    const el = wrapRef.current;
+    if (!el || typeof ResizeObserver === "undefined") return;
+    const ro = new ResizeObserver(([entry]) => setWidth(Math.max(320, Math.floor(entry.contentRect.width))));
+    ro.observe(el);
+    return () => ro.disconnect();
+  }, []);
+
+  const n = equity.length;
+  const plotW = width - PAD_L - PAD_R;
+  const step = n > 0 ? plotW / n : plotW;
+  const xOf = (i) => PAD_L + i * step + step / 2;
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || n === 0) return;
+    const ctx = prepareCanvas(canvas, width, HEIGHT);
+    const right = width - PAD_R;
+    const eqTop = 8;
+    const ddTop = eqTop + EQUITY_H + GAP;
+    ctx.font = "10px 'JetBrains Mono', monospace";
+
+    // Position shading: a position taken on bar i is held through bar i + 1
+    for (let i = 0; i < n - 1; i++) {
+      const pos = equity[i].position;
+      if (!pos) continue;
+      ctx.fillStyle = pos > 0 ? "#00c85312" : "#ff174412";
+      ctx.fillRect(PAD_L + (i + 1) * step, eqTop, step, EQUITY_H);
+    }
+
+    // Equity panel
+    let min = Infinity, max = -Infinity;
+    for (const e of equity) {
+      min = Math.min(min, e.equity, e.buyHold);
+      max = Math.max(max, e.equity, e.buyHold);
+    }
+    if (max - min < 1e-9) { min -= 0.01; max += 0.01; }
+    const yEq = (v) => eqTop + EQUITY_H - ((v - min) / (max - min)) * EQUITY_H;
+    ctx.textAlign = "right";
+    for (let k = 0; k <= 4; k++) {
+      const v = min + ((max - min) * k) / 4;
+      const y = Math.round(yEq(v)) + 0.5;
+      ctx.strokeStyle = "#111120";
+      ctx.beginPath(); ctx.moveTo(PAD_L, y); ctx.lineTo(right, y); ctx.stroke();
+      ctx.fillStyle = "#555";
+      ctx.fillText(`${((v - 1) * 100).toFixed(0)}%`, PAD_L - 6, y + 3);
+    }
+    for (const [key, color, lw] of [["buyHold", BENCH, 1], ["equity", STRATEGY, 1.5]]) {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = lw;
+      ctx.beginPath();
+      equity.forEach((e, i) => (i === 0 ? ctx.moveTo(xOf(i), yEq(e[key])) : ctx.lineTo(xOf(i), yEq(e[key]))));
+      ctx.stroke();
+    }
+
+    // Drawdown strip
+    const worst = Math.min(-0.01, ...equity.map((e) => e.drawdown));
+    const yDd = (v) => ddTop + (v / worst) * DD_H;
+    ctx.strokeStyle = "#2a2a3a";
+    ctx.lineWidth = 1;
+    ctx.beginPath(); ctx.moveTo(PAD_L, ddTop + 0.5); ctx.lineTo(right, ddTop + 0.5); ctx.stroke();
+    ctx.fillStyle = "#ff174466";
+    ctx.beginPath();
+    ctx.moveTo(xOf(0), ddTop);
+    equity.forEach((e, i) => ctx.lineTo(xOf(i), yDd(e.drawdown)));
+    ctx.lineTo(xOf(n - 1), ddTop);
+    ctx.closePath();
+    ctx.fill();
+    ctx.fillStyle = "#555";
+    ctx.fillText("0%", PAD_L - 6, ddTop + 4);
+    ctx.fillText(`${(worst * 100).toFixed(0)}%`, PAD_L - 6, ddTop + DD_H);
+
+    if (hovered != null) {
+      ctx.strokeStyle = "#3a3a4a";
+      ctx.beginPath(); ctx.moveTo(xOf(hovered), eqTop); ctx.lineTo(xOf(hovered), ddTop + DD_H); ctx.stroke();
+    }
+  }, [equity, n, width, step, hovered]);
+
+  const handleMove = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const i = Math.floor((e.clientX - rect.left - PAD_L) / step);
+    setHovered(i >= 0 && i < n ? i : null);
+  };
+
+  const hov = hovered != null ? equity[hovered] : null;
+  const pct = (v) => `${v >= 0 ? "+" : ""}${(v * 100).toFixed(1)}%`;
+
+  return (
+    <div ref={wrapRef} style={{ position: "relative" }}>
+      <div style={{ position: "absolute", left: PAD_L + 8, top: 10, fontSize: 10, color: "#888", pointerEvents: "none" }}>
+        <span style={{ color: STRATEGY }}>━ Strategy</span>{"  "}<span style={{ color: BENCH }}>━ Buy & hold</span>
+        {hov && (
+          <span style={{ marginLeft: 12, color: "#bbb" }}>
+            {hov.date} · {pct(hov.equity - 1)} vs {pct(hov.buyHold - 1)} · DD {pct(hov.drawdown)}
+            {hov.position ? ` · ${hov.position > 0 ? "long" : "short"}` : ""}
+          </span>
+        )}
+      </div>
+      <canvas ref={canvasRef} style={{ display: "block", width, height: HEIGHT, cursor: "crosshair" }}
+        onPointerMove={handleMove} onPointerLeave={() => setHovered(null)}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+import { useState, useMemo } from "react";
+import { runBacktest, DEFAULT_RULE } from "./backtest.js";
+import { formatPeriod } from "./format.js";
+import BacktestChart from "./BacktestChart.jsx";
+import { s } from "./styles.js";
+
+// Signal rules → simulated trades over the chart's date range, with the
+// equity curve drawn bar-aligned under the deviation chart.
+
+const ACTIONS = ["long", "short", "flat"];
+
+export default function BacktestPanel({ data, threshold, period }) {
+  const [rule, setRule] = useState(DEFAULT_RULE);
+  const result = useMemo(() => runBacktest(data, { ...rule, threshold }), [data, rule, threshold]);
+  const { stats, benchmark, trades } = result;
+
+  const set = (field, value) => setRule((r) => ({ ...r, [field]: value }));
+  const num = (field) => (e) => set(field, Math.max(0, Number(e.target.value) || 0));
+  const pct = (v, digits = 1) => (v == null ? "—" : `${v >= 0 ? "+" : ""}${(v * 100).toFixed(digits)}%`);
+  const cell = { padding: "5px 10px", fontSize: 12, borderBottom: "1px solid #111", whiteSpace: "nowrap" };
+
+  const metrics = [
+    { label: "Total return", v: pct(stats.totalReturn), b: pct(benchmark.totalReturn) },
+    { label: "CAGR", v: pct(stats.cagr), b: pct(benchmark.cagr) },
+    { label: "Sharpe", v: stats.sharpe?.toFixed(2) ?? "—", b: benchmark.sharpe?.toFixed(2) ?? "—" },
+    { label: "Max drawdown", v: pct(stats.maxDrawdown), b: pct(benchmark.maxDrawdown) },
+    { label: "Exposure", v: `${(stats.exposure * 100).toFixed(0)}%`, b: "100%" },
+    { label: "Trades", v: stats.trades, b: stats.winRate != null ? `${(stats.winRate * 100).toFixed(0)}% win` : "" },
+  ];
+
+  return (
+    <div style={{ ...s.panel, marginTop: 12, overflow: "hidden" }}>
+      <div style={{ padding: 16, display: "flex", gap: 16, flexWrap: "wrap", alignItems: "flex-end" }}>
+        {[["onDown", `On ≤ −${threshold}σ`], ["onUp", `On ≥ +${threshold}σ`]].map(([field, label]) => (
+          <div key={field}>
+            <div style={s.label}>{label}</div>
+            <div style={{ display: "flex", gap: 2 }}>
+              {ACTIONS.map((a) => (
+                <button key={a} onClick={() => set(field, a)} style={s.btn(rule[field] === a)}>{a}</button>
+              ))}
+            </div>
+          </div>
+        ))}
+        <div>
+          <div style={s.label}>Hold (bars)</div>
+          <input type="number" min="0" value={rule.holdBars} onChange={num("holdBars")}
+            title="0 = hold until another exit" style={{ ...s.input, width: 60, fontSize: 12 }} />
+        </div>
+        <div>
+          <div style={s.label}>Exit on revert</div>
+          <div style={{ display: "flex", gap: 4, alignItems: "center" }}>
+            <button onClick={() => set("exitOnRevert", !rule.exitOnRevert)} style={s.btn(rule.exitOnRevert)}>
+              {rule.exitOnRevert ? "on" : "off"}
+            </button>
+            {rule.exitOnRevert && (
+              <input type="number" step="0.25" value={rule.revertZ} onChange={(e) => set("revertZ", Number(e.target.value) || 0)}
+                title="Exit once z crosses back through this level" style={{ ...s.input, width: 60, fontSize: 12 }} />
+            )}
+          </div>
+        </div>
+        <div>
+          <div style={s.label}>Cost / side (bps)</div>
+          <input type="number" min="0" value={rule.costBps} onChange={num("costBps")} style={{ ...s.input, width: 60, fontSize: 12 }} />
+        </div>
+        <div>
+          <div style={s.label}>Slippage (bps)</div>
+          <input type="number" min="0" value={rule.slippageBps} onChange={num("slippageBps")} style={{ ...s.input, width: 60, fontSize: 12 }} />
+        </div>
+      </div>
+
+      <div style={{ display: "flex", borderTop: "1px solid #151522", borderBottom: "1px solid #151522" }}>
+        {metrics.map((m) => (
+          <div key={m.label} style={{ flex: 1, padding: "8px 12px", textAlign: "center", borderRight: "1px solid #151522" }}>
+            <div style={{ ...s.label, marginBottom: 2 }}>{m.label}</div>
+            <div style={{ fontSize: 16, fontWeight: 700, color: "#ff9100" }}>{m.v}</div>
+            <div style={{ fontSize: 10, color: "#666" }}>{m.label === "Trades" ? m.b : `B&H ${m.b}`}</div>
+          </div>
+        ))}
+      </div>
+
+      <BacktestChart equity={result.equity} />
+
+      <div style={{ padding: 16, borderTop: "1px solid #151522", maxHeight: 240, overflowY: "auto" }}>
+        <div style={{ ...s.label, marginBottom: 8 }}>Trades — {trades.length} · fills at the signal bar's close</div>
+        <table style={{ width: "100%", borderCollapse: "collapse" }}>
+          <tbody>
+            {trades.map((t, i) => (
+              <tr key={i}>
+                <td style={{ ...cell, color: t.side === "long" ? "#00c853" : "#ff1744", fontWeight: 700 }}>{t.side}</td>
+                <td style={{ ...cell, color: "#bbb" }}>{formatPeriod({ date: t.entryDate }, period)} → {formatPeriod({ date: t.exitDate }, period)}</td>
+                <td style={{ ...cell, color: "#888" }}>entry z {t.entryZ.toFixed(2)}</td>
+                <td style={{ ...cell, color: "#888", textAlign: "right" }}>{t.bars} bar{t.bars === 1 ? "" : "s"}</td>
+                <td style={{ ...cell, color: "#888" }}>{t.reason}</td>
+                <td style={{ ...cell, textAlign: "right", fontWeight: 700, color: t.ret >= 0 ? "#00c853" : "#ff1744" }}>{pct(t.ret, 2)}</td>
+              </tr>
+            ))}
+            {trades.length === 0 && <tr><td style={{ ...cell, color: "#555" }}>No trades — no signals match the rule in this range.</td></tr>}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
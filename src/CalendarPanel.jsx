@@ -0,0 +1,99 @@
+import { useState } from "react";
+import { calendarsApi } from "./api.js";
+import { s } from "./styles.js";
+
+// Import an events calendar — a CSV of date and label, e.g. FOMC meetings or
+// CPI releases — and it's drawn as vertical lines on every ticker's chart.
+// Re-importing under the same name replaces it.
+
+const nameFromFile = (fileName) => fileName.replace(/\.[^.]+$/, "").replace(/[^\w .-]/g, " ").trim().slice(0, 40);
+
+export default function CalendarPanel({ calendars, onChange }) {
+  const [file, setFile] = useState(null);
+  const [name, setName] = useState("");
+  const [error, setError] = useState(null);
+  const [report, setReport] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const pick = async (f) => {
+    if (!f) return;
+    setError(null);
+    setReport(null);
+    setFile({ name: f.name, text: await f.text() });
+    setName((prev) => prev || nameFromFile(f.name));
+  };
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      onChange();
+    } catch (err) {
+      setError(err.message);
+      setReport(err.body?.errors || null);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const importFile = () => run(async () => {
+    await calendarsApi.import(name, file.text);
+    setFile(null);
+    setName("");
+  });
+
+  const exists = calendars.some((c) => c.name === name.trim());
+  const cell = { padding: "5px 10px", fontSize: 12, borderBottom: "1px solid #111" };
+
+  return (
+    <div style={{ ...s.panel, padding: 16, marginBottom: 16, display: "grid", gridTemplateColumns: "minmax(220px, 1fr) 2fr", gap: 24 }}>
+      <div>
+        <div style={{ ...s.label, marginBottom: 8 }}>Event calendars — {calendars.length}</div>
+        <table style={{ width: "100%", borderCollapse: "collapse" }}>
+          <tbody>
+            {calendars.map((c) => (
+              <tr key={c.name}>
+                <td style={{ ...cell, color: "#d4d0c8" }}>
+                  <span style={{ color: "#7c4dff" }}>│</span> {c.name}
+                  <div style={{ fontSize: 10, color: "#666" }}>{c.count} events · {c.from} → {c.to}</div>
+                </td>
+                <td style={{ ...cell, textAlign: "right" }}>
+                  <button onClick={() => run(() => calendarsApi.remove(c.name))} style={s.presetBtn}>×</button>
+                </td>
+              </tr>
+            ))}
+            {calendars.length === 0 && <tr><td style={{ ...cell, color: "#555" }}>No calendars yet.</td></tr>}
+          </tbody>
+        </table>
+      </div>
+
+      <div>
+        <label style={{
+          display: "block", padding: 18, marginBottom: 10, textAlign: "center", cursor: "pointer", fontSize: 12,
+          border: "1px dashed #2a2a34", borderRadius: 6, color: file ? "#d4d0c8" : "#777",
+        }}>
+          {file ? file.name : "Choose a CSV of events"}
+          <div style={{ fontSize: 10, color: "#555", marginTop: 4 }}>Date and Label (or Event / Name / Title) columns</div>
+          <input type="file" accept=".csv,.txt,text/csv" onChange={(e) => pick(e.target.files[0])} style={{ display: "none" }} />
+        </label>
+        <div style={{ display: "flex", gap: 12, alignItems: "flex-end" }}>
+          <div>
+            <div style={s.label}>Calendar name</div>
+            <input value={name} onChange={(e) => setName(e.target.value)} placeholder="FOMC"
+              style={{ ...s.input, width: 180, fontSize: 12 }} />
+          </div>
+          <button onClick={importFile} disabled={!file || !name.trim() || busy} style={s.btn(true)}>
+            {exists ? "Replace" : "Import"}
+          </button>
+        </div>
+        {error && <div style={{ marginTop: 10, fontSize: 12, color: "#ff5252" }}>{error}</div>}
+        {report && (
+          <div style={{ marginTop: 6, fontSize: 11, lineHeight: 1.6 }}>
+            {report.map((m, i) => <div key={i} style={{ color: "#ff5252" }}>✗ {m}</div>)}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
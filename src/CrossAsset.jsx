@@ -0,0 +1,231 @@
+import { useState, useMemo, useRef, useEffect } from "react";
+import { fetchHistory } from "./api.js";
+import { computeStatsAsync, releaseSeries } from "./statsClient.js";
+import { correlationMatrix, zHeatmap } from "./crossAsset.js";
+import { mapLimit } from "./async.js";
+import { loadSymbols } from "./Watchlist.jsx";
+import { s } from "./styles.js";
+
+// Basket view: rolling correlation matrix of daily returns next to a
+// date × asset grid of daily z-scores, so moves that hit several assets on
+// the same day line up as columns. The basket starts as the watchlist.
+
+const STORAGE_KEY = "sigma-tracker:basket";
+const CONCURRENCY = 4;
+const HEATMAP_DAYS = 130;
+
+function loadBasket() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(saved)) return saved;
+  } catch {
+    // fall through to the watchlist
+  }
+  return loadSymbols();
+}
+
+const corrColor = (c) => (c >= 0 ? `rgba(255,145,0,${Math.abs(c) * 0.85})` : `rgba(64,196,255,${Math.abs(c) * 0.85})`);
+const zColor = (z, threshold) => {
+  const a = Math.min(1, Math.abs(z) / (threshold * 1.5));
+  return `${z >= 0 ? "rgba(0,200,83," : "rgba(255,23,68,"}${Math.abs(z) >= threshold ? 1 : a * 0.6})`;
+};
+
+function CorrelationHistory({ cell, a, b, window }) {
+  const W = 420, H = 90;
+  const h = cell.history;
+  const x = (i) => (i / Math.max(1, h.length - 1)) * W;
+  const y = (c) => H / 2 - c * (H / 2 - 4);
+  const path = h.map((p, i) => `${i ? "L" : "M"}${x(i).toFixed(1)},${y(p.corr).toFixed(1)}`).join("");
+  return (
+    <div style={{ marginTop: 12 }}>
+      <div style={{ fontSize: 11, color: "#888", marginBottom: 4 }}>
+        {a} / {b} — {window}-day rolling correlation, {h[0].date} → {h[h.length - 1].date}
+      </div>
+      <svg width="100%" viewBox={`0 0 ${W} ${H}`} preserveAspectRatio="none" style={{ display: "block", height: H }}>
+        <line x1={0} x2={W} y1={y(0)} y2={y(0)} stroke="#2a2a3a" />
+        <line x1={0} x2={W} y1={y(1)} y2={y(1)} stroke="#151522" />
+        <line x1={0} x2={W} y1={y(-1)} y2={y(-1)} stroke="#151522" />
+        <path d={path} fill="none" stroke="#ff9100" strokeWidth={1.2} vectorEffect="non-scaling-stroke" />
+      </svg>
+    </div>
+  );
+}
+
+export default function CrossAsset({ options, threshold, adjusted, windows }) {
+  const [basket, setBasket] = useState(loadBasket);
+  const [addVal, setAddVal] = useState("");
+  const [corrWindow, setCorrWindow] = useState(60);
+  const [series, setSeries] = useState({});
+  const [selected, setSelected] = useState(null);
+  const histories = useRef(new Map());
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(basket));
+  }, [basket]);
+
+  // Daily z-scores regardless of the chart's timeframe; the heatmap is per day
+  const dailyOptions = useMemo(() => ({ ...options, period: "daily" }), [options]);
+  const optionsKey = JSON.stringify(dailyOptions);
+
+  useEffect(() => {
+    let cancelled = false;
+    mapLimit(basket, CONCURRENCY, async (sym) => {
+      try {
+        const cacheKey = `${sym}:${adjusted}`;
+        let data = histories.current.get(cacheKey);
+        if (!data) {
+          data = await fetchHistory(sym, adjusted);
+          histories.current.set(cacheKey, data);
+        }
+        const result = await computeStatsAsync(data.prices, dailyOptions);
+        releaseSeries(data.prices);
+        if (!cancelled) setSeries((prev) => ({ ...prev, [sym]: { prices: data.prices, z: result.stats.data } }));
+      } catch {
+        if (!cancelled) setSeries((prev) => ({ ...prev, [sym]: { error: true } }));
+      }
+    });
+    return () => { cancelled = true; };
+  }, [basket, optionsKey, adjusted]);
+
+  const ready = basket.filter((sym) => series[sym]?.prices);
+  const failed = basket.filter((sym) => series[sym]?.error);
+
+  const matrix = useMemo(
+    () => correlationMatrix(Object.fromEntries(ready.map((sym) => [sym, series[sym].prices])), corrWindow),
+    [series, corrWindow, ready.join(",")],
+  );
+  const heatmap = useMemo(
+    () => zHeatmap(Object.fromEntries(ready.map((sym) => [sym, series[sym].z])), threshold, HEATMAP_DAYS),
+    [series, threshold, ready.join(",")],
+  );
+
+  const addSymbols = () => {
+    const added = addVal.toUpperCase().split(/[\s,;]+/).filter(Boolean);
+    if (added.length) setBasket((prev) => [...new Set([...prev, ...added])]);
+    setAddVal("");
+  };
+  const removeSymbol = (sym) => {
+    setBasket((prev) => prev.filter((x) => x !== sym));
+    setSelected(null);
+  };
+
+  const cellSize = 34;
+  const sel = selected && matrix.cells[selected[0]]?.[selected[1]];
+
+  // Heatmap geometry
+  const HM_LABEL = 64, HM_ROW = 16;
+  const cols = heatmap.dates.length;
+  const hmW = 640;
+  const colW = cols ? (hmW - HM_LABEL) / cols : 0;
+  const hmH = (heatmap.rows.length + 1) * HM_ROW + 22;
+  const maxBreadth = Math.max(1, ...heatmap.breadth);
+
+  return (
+    <div style={{ display: "grid", gap: 16 }}>
+      <div style={{ ...s.panel, padding: 16, display: "flex", gap: 12, alignItems: "flex-end", flexWrap: "wrap" }}>
+        <div>
+          <div style={s.label}>Basket</div>
+          <div style={{ display: "flex", gap: 4, flexWrap: "wrap", maxWidth: 560 }}>
+            {basket.map((sym) => (
+              <span key={sym} style={{ ...s.presetBtn, padding: "3px 6px", color: failed.includes(sym) ? "#ff5252" : "#bbb" }}
+                title={failed.includes(sym) ? "Failed to load" : undefined}
+              >
+                {sym} <span onClick={() => removeSymbol(sym)} style={{ cursor: "pointer", color: "#666" }}>×</span>
+              </span>
+            ))}
+          </div>
+        </div>
+        <input type="text" value={addVal} placeholder="Add symbols…"
+          onChange={(e) => setAddVal(e.target.value)}
+          onKeyDown={(e) => { if (e.key === "Enter") addSymbols(); }}
+          style={{ ...s.input, width: 160, fontSize: 12 }}
+        />
+        <div>
+          <div style={s.label}>Correlation window</div>
+          <div style={{ display: "flex", gap: 2 }}>
+            {windows.map((w) => (
+              <button key={w.key} onClick={() => setCorrWindow(w.key)} style={s.btn(corrWindow === w.key)}>{w.label}</button>
+            ))}
+          </div>
+        </div>
+        <div style={{ fontSize: 11, color: "#777", paddingBottom: 6 }}>
+          {ready.length}/{basket.length} loaded · returns aligned on each pair's shared trading days
+        </div>
+      </div>
+
+      <div style={{ display: "grid", gridTemplateColumns: "minmax(0, 2fr) minmax(0, 3fr)", gap: 16 }}>
+        <div style={{ ...s.panel, padding: 16, overflowX: "auto" }}>
+          <div style={{ ...s.label, marginBottom: 10 }}>Correlation — last {corrWindow} days</div>
+          <table style={{ borderCollapse: "collapse", fontSize: 10 }}>
+            <thead>
+              <tr>
+                <th />
+                {matrix.symbols.map((sym) => (
+                  <th key={sym} style={{ color: "#888", fontWeight: 400, padding: 2, writingMode: "vertical-rl", transform: "rotate(180deg)", height: 60, textAlign: "left" }}>{sym}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {matrix.symbols.map((rowSym, i) => (
+                <tr key={rowSym}>
+                  <td style={{ color: "#888", paddingRight: 6, whiteSpace: "nowrap" }}>{rowSym}</td>
+                  {matrix.symbols.map((colSym, j) => {
+                    const cell = matrix.cells[i][j];
+                    const isSel = selected && ((selected[0] === i && selected[1] === j) || (selected[0] === j && selected[1] === i));
+                    return (
+                      <td key={colSym} onClick={() => cell && setSelected([i, j])}
+                        title={cell ? `${rowSym} / ${colSym}: ${cell.corr.toFixed(2)}` : undefined}
+                        style={{
+                          width: cellSize, height: cellSize, textAlign: "center", cursor: cell ? "pointer" : "default",
+                          background: i === j ? "#151522" : cell ? corrColor(cell.corr) : "transparent",
+                          color: cell && Math.abs(cell.corr) > 0.5 ? "#08080c" : "#bbb",
+                          outline: isSel ? "1px solid #d4d0c8" : "none", border: "1px solid #08080c",
+                        }}
+                      >
+                        {i === j ? "" : cell ? cell.corr.toFixed(2) : "—"}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {sel ? (
+            <CorrelationHistory cell={sel} a={matrix.symbols[selected[0]]} b={matrix.symbols[selected[1]]} window={corrWindow} />
+          ) : (
+            <div style={{ fontSize: 11, color: "#555", marginTop: 10 }}>Click a cell for its rolling history.</div>
+          )}
+        </div>
+
+        <div style={{ ...s.panel, padding: 16, overflowX: "auto" }}>
+          <div style={{ ...s.label, marginBottom: 10 }}>Daily z-scores — last {cols} dates · blank = no trading</div>
+          <svg width="100%" viewBox={`0 0 ${hmW} ${hmH}`} style={{ display: "block" }}>
+            {heatmap.rows.map((row, r) => (
+              <g key={row.symbol}>
+                <text x={HM_LABEL - 6} y={r * HM_ROW + 12} fontSize={10} fill="#888" textAnchor="end">{row.symbol}</text>
+                {row.z.map((z, c) => z == null ? null : (
+                  <rect key={c} x={HM_LABEL + c * colW} y={r * HM_ROW + 1} width={Math.max(1, colW - 0.5)} height={HM_ROW - 2}
+                    fill={zColor(z, threshold)}
+                  >
+                    <title>{`${row.symbol} ${heatmap.dates[c]}: ${z >= 0 ? "+" : ""}${z.toFixed(2)}σ`}</title>
+                  </rect>
+                ))}
+              </g>
+            ))}
+            <text x={HM_LABEL - 6} y={heatmap.rows.length * HM_ROW + 12} fontSize={10} fill="#ff9100" textAnchor="end">≥{threshold}σ</text>
+            {heatmap.breadth.map((n, c) => n > 0 && (
+              <rect key={c} x={HM_LABEL + c * colW} y={heatmap.rows.length * HM_ROW + 1} width={Math.max(1, colW - 0.5)} height={HM_ROW - 2}
+                fill="#ff9100" fillOpacity={0.2 + (0.8 * n) / maxBreadth}
+              >
+                <title>{`${heatmap.dates[c]}: ${n} asset${n > 1 ? "s" : ""} ≥ ${threshold}σ`}</title>
+              </rect>
+            ))}
+            {heatmap.dates.map((d, c) => (c === 0 || d.slice(5, 7) !== heatmap.dates[c - 1].slice(5, 7)) && (
+              <text key={d} x={HM_LABEL + c * colW} y={hmH - 4} fontSize={9} fill="#666">{d.slice(0, 7)}</text>
+            ))}
+          </svg>
+        </div>
+      </div>
+    </div>
+  );
+}
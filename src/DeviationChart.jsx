@@ -0,0 +1,413 @@
+import { useState, useMemo, useRef, useEffect, useCallback } from "react";
+import { formatDate, formatDateContext, formatPeriod, YEAR_LABELED } from "./format.js";
+
+// Canvas renderer for the deviation bars. The visible window is whatever
+// startDate..endDate selects in `data`; wheel-zoom, drag-pan and the minimap
+// brush all report back through onRangeChange(startDate, endDate), so the
+// date inputs and presets stay the single source of truth. `notes` and
+// `events` (Maps of bar date → items, see src/annotations.js) draw as markers
+// and vertical lines; `shading` ([{ from, to, color }] bar dates) tints
+// spans such as signal episodes; clicking a bar calls onSelect(bar).
+
+export const MAX_SIGMA_SCALE = 5;
+const CHART_HEIGHT = 480;
+const MINIMAP_HEIGHT = 56;
+// Companion charts reuse the horizontal padding so their bars line up
+export const PAD_L = 56;
+export const PAD_R = 16;
+const PAD_T = 40;
+const PAD_B = 72;
+const MIN_VISIBLE = 10;
+const LABEL_SPACING = 72; // min px between date labels
+const BRUSH_EDGE = 6;
+
+const GREEN = "#00c853";
+const RED = "#ff1744";
+const NOTE = "#ffd600";
+const EVENT = "#7c4dff";
+const NO_ITEMS = new Map();
+const NO_SHADING = [];
+const ellipsis = { whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" };
+
+// First index whose date is ≥ date (or > date when `after`)
+function bisect(data, date, after = false) {
+  let lo = 0, hi = data.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (data[mid].date < date || (after && data[mid].date === date)) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+function visibleRange(data, startDate, endDate) {
+  const lo = startDate ? bisect(data, startDate) : 0;
+  const hi = endDate ? bisect(data, endDate, true) - 1 : data.length - 1;
+  return [lo, hi];
+}
+
+// Size the backing store for the device pixel ratio; draw in CSS pixels
+export function prepareCanvas(canvas, width, height) {
+  const dpr = window.devicePixelRatio || 1;
+  if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+    canvas.width = Math.round(width * dpr);
+    canvas.height = Math.round(height * dpr);
+  }
+  const ctx = canvas.getContext("2d");
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+  return ctx;
+}
+
+export default function DeviationChart({
+  data, startDate, endDate, onRangeChange, threshold, period, notes = NO_ITEMS, events = NO_ITEMS, shading = NO_SHADING, onSelect,
+}) {
+  const wrapRef = useRef(null);
+  const canvasRef = useRef(null);
+  const miniRef = useRef(null);
+  const dragRef = useRef(null);
+  const [width, setWidth] = useState(700);
+  const [hovered, setHovered] = useState(null);
+
+  useEffect(() => {
+    const el = wrapRef.current;
+    if (!el || typeof ResizeObserver === "undefined") return;
+    const ro = new ResizeObserver(([entry]) => setWidth(Math.max(320, Math.floor(entry.contentRect.width))));
+    ro.observe(el);
+    return () => ro.disconnect();
+  }, []);
+
+  const [lo, hi] = useMemo(() => visibleRange(data, startDate, endDate), [data, startDate, endDate]);
+  const count = Math.max(0, hi - lo + 1);
+  const plotW = width - PAD_L - PAD_R;
+  const step = count > 0 ? plotW / count : plotW;
+  const barW = step > 3 ? step * 0.8 : Math.max(0.5, step);
+  const drawH = CHART_HEIGHT - PAD_T - PAD_B;
+  const midY = PAD_T + drawH / 2;
+  const yOf = (z) => midY - (z / MAX_SIGMA_SCALE) * (drawH / 2);
+
+  // Clamp an index window to the data and report it as dates
+  const setRange = useCallback((from, to) => {
+    const n = data.length;
+    if (n === 0) return;
+    const span = Math.min(n - 1, Math.max(Math.min(MIN_VISIBLE, n) - 1, Math.round(to - from)));
+    let start = Math.round(from);
+    start = Math.max(0, Math.min(n - 1 - span, start));
+    onRangeChange(data[start].date, data[start + span].date);
+  }, [data, onRangeChange]);
+
+  // Latest view for the native wheel listener
+  const viewRef = useRef({});
+  viewRef.current = { lo, hi, step, setRange };
+
+  // ── Main chart ──
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = prepareCanvas(canvas, width, CHART_HEIGHT);
+    const right = width - PAD_R;
+    ctx.font = "11px 'JetBrains Mono', monospace";
+
+    // Threshold zone fills
+    const tH = (Math.min(threshold, MAX_SIGMA_SCALE) / MAX_SIGMA_SCALE) * (drawH / 2);
+    ctx.fillStyle = "#00c85305";
+    ctx.fillRect(PAD_L, midY - tH, plotW, tH);
+    ctx.fillStyle = "#ff174405";
+    ctx.fillRect(PAD_L, midY, plotW, tH);
+
+    // Shaded spans, clipped to the view
+    for (const span of shading) {
+      const a = Math.max(lo, bisect(data, span.from));
+      const b = Math.min(hi, bisect(data, span.to, true) - 1);
+      if (a > b) continue;
+      ctx.fillStyle = span.color + "14";
+      ctx.fillRect(PAD_L + (a - lo) * step, PAD_T, (b - a + 1) * step, drawH);
+      ctx.fillStyle = span.color + "88";
+      ctx.fillRect(PAD_L + (a - lo) * step, PAD_T, (b - a + 1) * step, 2);
+    }
+
+    // Gridlines + Y labels: ±5σ
+    ctx.textAlign = "right";
+    for (let val = MAX_SIGMA_SCALE; val >= -MAX_SIGMA_SCALE; val--) {
+      const y = Math.round(yOf(val)) + 0.5;
+      ctx.strokeStyle = val === 0 ? "#2a2a3a" : "#111120";
+      ctx.lineWidth = val === 0 ? 1.5 : 1;
+      ctx.beginPath(); ctx.moveTo(PAD_L, y); ctx.lineTo(right, y); ctx.stroke();
+      const beyond = Math.abs(val) >= threshold;
+      ctx.fillStyle = beyond ? "#ff9100cc" : "#555";
+      ctx.font = `${beyond ? 600 : 400} 11px 'JetBrains Mono', monospace`;
+      ctx.fillText(val > 0 ? `+${val}σ` : val === 0 ? "0" : `${val}σ`, PAD_L - 6, y + 3.5);
+    }
+
+    // Threshold dashed lines
+    ctx.strokeStyle = "#ff910044";
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 4]);
+    for (const t of [threshold, -threshold]) {
+      const y = yOf(Math.max(-MAX_SIGMA_SCALE, Math.min(MAX_SIGMA_SCALE, t)));
+      ctx.beginPath(); ctx.moveTo(PAD_L, y); ctx.lineTo(right, y); ctx.stroke();
+    }
+    ctx.setLineDash([]);
+
+    // Calendar events: a line through the whole plot behind the bars
+    ctx.strokeStyle = EVENT + "66";
+    ctx.lineWidth = 1;
+    ctx.setLineDash([2, 3]);
+    for (let i = 0; i < count; i++) {
+      if (!events.has(data[lo + i].date)) continue;
+      const cx = Math.round(PAD_L + i * step + step / 2) + 0.5;
+      ctx.beginPath(); ctx.moveTo(cx, PAD_T - 14); ctx.lineTo(cx, midY + drawH / 2); ctx.stroke();
+    }
+    ctx.setLineDash([]);
+
+    ctx.strokeStyle = "#3a3a4a";
+    ctx.lineWidth = 1.5;
+    ctx.beginPath(); ctx.moveTo(PAD_L, midY); ctx.lineTo(right, midY); ctx.stroke();
+
+    // Bars
+    const labelEvery = Math.max(1, Math.ceil(LABEL_SPACING / step));
+    ctx.textAlign = "center";
+    for (let i = 0; i < count; i++) {
+      const d = data[lo + i];
+      const x = PAD_L + i * step + (step - barW) / 2;
+      const clampedZ = Math.min(Math.abs(d.z), MAX_SIGMA_SCALE);
+      const barH = (clampedZ / MAX_SIGMA_SCALE) * (drawH / 2);
+      const isSignal = Math.abs(d.z) >= threshold;
+      const isPos = d.z >= 0;
+      const isHov = hovered === lo + i;
+      const solid = isPos ? GREEN : RED;
+
+      if (isSignal && barW >= 3) {
+        ctx.globalAlpha = isHov ? 0.7 : 0.25;
+        ctx.strokeStyle = solid;
+        ctx.lineWidth = isHov ? 2 : 0.8;
+        ctx.strokeRect(x - 1, isPos ? midY - barH - 1 : midY - 1, barW + 2, barH + 2);
+      }
+      if (Math.abs(d.z) > MAX_SIGMA_SCALE && barW >= 4) {
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = solid;
+        ctx.font = "8px 'JetBrains Mono', monospace";
+        ctx.fillText(isPos ? "▲" : "▼", x + barW / 2, isPos ? PAD_T + 8 : CHART_HEIGHT - PAD_B - 4);
+      }
+      ctx.globalAlpha = isHov ? 1 : isSignal ? 0.9 : 0.5;
+      ctx.fillStyle = isSignal ? solid : solid + "55";
+      ctx.fillRect(x, isPos ? midY - barH : midY, barW, Math.max(0.5, barH));
+      ctx.globalAlpha = 1;
+
+      // Annotated bars get a marker above the plot
+      if (notes.has(d.date)) {
+        ctx.fillStyle = NOTE;
+        ctx.font = "9px 'JetBrains Mono', monospace";
+        ctx.fillText("◆", x + barW / 2, PAD_T - 16);
+      }
+
+      // Date labels
+      if (i % labelEvery === 0) {
+        const cx = x + barW / 2;
+        ctx.strokeStyle = "#555";
+        ctx.lineWidth = 1;
+        ctx.beginPath(); ctx.moveTo(cx, midY + drawH / 2 + 4); ctx.lineTo(cx, midY + drawH / 2 + 10); ctx.stroke();
+        ctx.fillStyle = "#bbb";
+        ctx.font = `${barW > 10 ? 11 : 10}px 'JetBrains Mono', monospace`;
+        ctx.fillText(formatDate(d.date, period), cx, midY + drawH / 2 + 23);
+        if (!YEAR_LABELED.includes(period)) {
+          ctx.fillStyle = "#888";
+          ctx.font = "9px 'JetBrains Mono', monospace";
+          ctx.fillText(formatDateContext(d.date, period), cx, midY + drawH / 2 + 36);
+        }
+      }
+    }
+  }, [data, lo, count, width, step, barW, threshold, period, hovered, plotW, drawH, midY, notes, events, shading, hi]);
+
+  // ── Minimap: whole history, max |z| per pixel column, brush over the view ──
+  useEffect(() => {
+    const canvas = miniRef.current;
+    if (!canvas) return;
+    const ctx = prepareCanvas(canvas, width, MINIMAP_HEIGHT);
+    const n = data.length;
+    if (n === 0) return;
+    const mid = MINIMAP_HEIGHT / 2;
+    const scale = (MINIMAP_HEIGHT / 2 - 4) / MAX_SIGMA_SCALE;
+    const cols = Math.min(width, n);
+    const colW = width / cols;
+    for (let c = 0; c < cols; c++) {
+      const from = Math.floor((c * n) / cols);
+      const to = Math.max(from + 1, Math.floor(((c + 1) * n) / cols));
+      let up = 0, down = 0;
+      for (let i = from; i < to; i++) {
+        const z = Math.max(-MAX_SIGMA_SCALE, Math.min(MAX_SIGMA_SCALE, data[i].z));
+        if (z > up) up = z;
+        if (z < down) down = z;
+      }
+      ctx.fillStyle = up >= threshold ? GREEN : "#00c85355";
+      ctx.fillRect(c * colW, mid - up * scale, Math.max(1, colW - 0.5), up * scale);
+      ctx.fillStyle = -down >= threshold ? RED : "#ff174455";
+      ctx.fillRect(c * colW, mid, Math.max(1, colW - 0.5), -down * scale);
+    }
+    const bx0 = (lo / n) * width;
+    const bx1 = ((hi + 1) / n) * width;
+    ctx.fillStyle = "#08080caa";
+    ctx.fillRect(0, 0, bx0, MINIMAP_HEIGHT);
+    ctx.fillRect(bx1, 0, width - bx1, MINIMAP_HEIGHT);
+    ctx.strokeStyle = "#666";
+    ctx.lineWidth = 1;
+    ctx.strokeRect(bx0 + 0.5, 0.5, Math.max(2, bx1 - bx0 - 1), MINIMAP_HEIGHT - 1);
+    ctx.fillStyle = "#888";
+    ctx.fillRect(bx0, mid - 8, 2, 16);
+    ctx.fillRect(bx1 - 2, mid - 8, 2, 16);
+  }, [data, lo, hi, width, threshold]);
+
+  // ── Wheel zoom around the cursor (needs a non-passive listener) ──
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const v = viewRef.current;
+      const rect = canvas.getBoundingClientRect();
+      const span = v.hi - v.lo + 1;
+      const anchor = v.lo + Math.max(0, Math.min(span, (e.clientX - rect.left - PAD_L) / v.step));
+      const factor = e.deltaY > 0 ? 1.2 : 1 / 1.2;
+      const newSpan = Math.max(MIN_VISIBLE, span * factor);
+      const from = anchor - ((anchor - v.lo) / span) * newSpan;
+      v.setRange(from, from + newSpan - 1);
+    };
+    canvas.addEventListener("wheel", onWheel, { passive: false });
+    return () => canvas.removeEventListener("wheel", onWheel);
+  }, []);
+
+  // ── Drag to pan, hover for tooltip ──
+  const indexAt = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const i = Math.floor((e.clientX - rect.left - PAD_L) / step);
+    return i >= 0 && i < count ? lo + i : null;
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { x: e.clientX, lo, hi, moved: false };
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (drag) {
+      const shift = Math.round((drag.x - e.clientX) / step);
+      if (shift !== 0 || drag.moved) {
+        drag.moved = true;
+        setHovered(null);
+        setRange(drag.lo + shift, drag.hi + shift);
+        return;
+      }
+    }
+    setHovered(indexAt(e));
+  };
+
+  const handlePointerUp = () => { dragRef.current = null; };
+
+  // A click (no drag) on a bar selects it
+  const handleChartUp = (e) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag || drag.moved || !onSelect) return;
+    const i = indexAt(e);
+    if (i != null) onSelect(data[i]);
+  };
+
+  // ── Minimap brush: drag edges to resize, body to move, elsewhere to jump ──
+  const handleMiniDown = (e) => {
+    const n = data.length;
+    if (n === 0) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const rect = miniRef.current.getBoundingClientRect();
+    const x = e.clientX - rect.left;
+    const bx0 = (lo / n) * width;
+    const bx1 = ((hi + 1) / n) * width;
+    let mode = "move";
+    if (Math.abs(x - bx0) <= BRUSH_EDGE) mode = "left";
+    else if (Math.abs(x - bx1) <= BRUSH_EDGE) mode = "right";
+    else if (x < bx0 || x > bx1) {
+      const span = hi - lo;
+      const center = (x / width) * n;
+      setRange(center - span / 2, center + span / 2);
+      dragRef.current = { mini: true, mode, x, lo: Math.round(center - span / 2), hi: Math.round(center + span / 2) };
+      return;
+    }
+    dragRef.current = { mini: true, mode, x, lo, hi };
+  };
+
+  const handleMiniMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag?.mini) return;
+    const rect = miniRef.current.getBoundingClientRect();
+    const delta = ((e.clientX - rect.left - drag.x) / width) * data.length;
+    if (drag.mode === "move") setRange(drag.lo + delta, drag.hi + delta);
+    else if (drag.mode === "left") setRange(Math.min(drag.lo + delta, drag.hi - MIN_VISIBLE + 1), drag.hi);
+    else setRange(drag.lo, Math.max(drag.hi + delta, drag.lo + MIN_VISIBLE - 1));
+  };
+
+  const hov = hovered != null ? data[hovered] : null;
+  let tooltip = null;
+  if (hov) {
+    const hovNotes = notes.get(hov.date) || [];
+    const hovEvents = events.get(hov.date) || [];
+    const extraLines = hovEvents.length + hovNotes.reduce((n, a) => n + (a.note ? 1 : 0) + (a.tags.length ? 1 : 0), 0);
+    const tipW = extraLines ? 240 : 175;
+    const i = hovered - lo;
+    const cx = PAD_L + i * step + step / 2;
+    const clampedZ = Math.min(Math.abs(hov.z), MAX_SIGMA_SCALE);
+    const barH = (clampedZ / MAX_SIGMA_SCALE) * (drawH / 2);
+    const tipH = (hov.localStd != null ? 56 : 48) + (extraLines ? 6 + extraLines * 14 : 0);
+    const left = Math.max(PAD_L, Math.min(cx - tipW / 2, width - tipW - 4));
+    const top = hov.z >= 0 ? Math.max(4, midY - barH - 16 - tipH - 8) : Math.min(CHART_HEIGHT - tipH - 4, midY + barH + 16 + 8);
+    tooltip = (
+      <div style={{
+        position: "absolute", left, top, width: tipW, height: tipH, pointerEvents: "none",
+        background: "#111122ee", border: "1px solid #3a3a4a", borderRadius: 5,
+        textAlign: "center", paddingTop: 5, boxSizing: "border-box", zIndex: 2,
+      }}>
+        <div style={{ fontSize: 12, fontWeight: 700, color: "#d4d0c8" }}>
+          {hov.z >= 0 ? "+" : ""}{hov.z.toFixed(2)}σ  ({hov.ret >= 0 ? "+" : ""}{(hov.ret * 100).toFixed(2)}%)
+        </div>
+        <div style={{ fontSize: 11, color: "#bbb", marginTop: 2 }}>{formatPeriod(hov, period)}</div>
+        {hov.localStd != null && (
+          <div style={{ fontSize: 10, color: "#888", marginTop: 1 }}>local σ: {(hov.localStd * 100).toFixed(2)}%</div>
+        )}
+        {extraLines > 0 && (
+          <div style={{ margin: "5px 8px 0", paddingTop: 3, borderTop: "1px solid #2a2a3a", fontSize: 10, lineHeight: "14px", textAlign: "left" }}>
+            {hovEvents.map((e, k) => (
+              <div key={`e${k}`} style={ellipsis}><span style={{ color: EVENT }}>│</span> <span style={{ color: "#bbb" }}>{e.label}</span></div>
+            ))}
+            {hovNotes.map((a, k) => (
+              <div key={`n${k}`}>
+                {a.note && <div style={ellipsis}><span style={{ color: NOTE }}>◆</span> <span style={{ color: "#d4d0c8" }}>{a.note}</span></div>}
+                {a.tags.length > 0 && <div style={{ ...ellipsis, color: "#888" }}>{a.tags.map((tag) => `#${tag}`).join(" ")}</div>}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div ref={wrapRef} style={{ position: "relative" }}>
+      <canvas ref={canvasRef}
+        style={{ display: "block", width, height: CHART_HEIGHT, cursor: "crosshair", touchAction: "none" }}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handleChartUp}
+        onPointerCancel={handlePointerUp}
+        onPointerLeave={() => { if (!dragRef.current) setHovered(null); }}
+        onDoubleClick={() => setRange(0, data.length - 1)}
+      />
+      {tooltip}
+      <canvas ref={miniRef}
+        style={{ display: "block", width, height: MINIMAP_HEIGHT, cursor: "ew-resize", borderTop: "1px solid #151522", touchAction: "none" }}
+        onPointerDown={handleMiniDown}
+        onPointerMove={handleMiniMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      />
+    </div>
+  );
+}
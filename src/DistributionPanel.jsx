@@ -0,0 +1,141 @@
+import { useMemo } from "react";
+import { analyzeDistribution, normalPdf, studentPdf } from "./distribution.js";
+import { s } from "./styles.js";
+
+// How far the returns in view are from the normal the z-scores assume:
+// histogram with normal and Student-t fits, QQ plot, moments, Jarque-Bera
+// and expected vs. observed |z| ≥ kσ frequencies.
+
+const W = 480;
+const H = 220;
+const PAD = { l: 40, r: 10, t: 10, b: 28 };
+const NORMAL = "#40c4ff";
+const STUDENT = "#ff9100";
+
+function Histogram({ a }) {
+  const { histogram, moments: m, student } = a;
+  const x0 = histogram[0].x0, x1 = histogram[histogram.length - 1].x1;
+  const curve = (pdf) => {
+    const pts = [];
+    for (let i = 0; i <= 120; i++) {
+      const x = x0 + ((x1 - x0) * i) / 120;
+      pts.push([x, pdf(x)]);
+    }
+    return pts;
+  };
+  const normal = curve((x) => normalPdf((x - m.mean) / m.std) / m.std);
+  const t = curve((x) => studentPdf((x - m.mean) / student.scale, student.nu) / student.scale);
+  const yMax = Math.max(...histogram.map((b) => b.density), ...normal.map((p) => p[1]), ...t.map((p) => p[1]));
+  const px = (x) => PAD.l + ((x - x0) / (x1 - x0)) * (W - PAD.l - PAD.r);
+  const py = (y) => H - PAD.b - (y / yMax) * (H - PAD.t - PAD.b);
+  const path = (pts) => pts.map(([x, y], i) => `${i ? "L" : "M"}${px(x).toFixed(1)},${py(y).toFixed(1)}`).join("");
+
+  return (
+    <svg width="100%" viewBox={`0 0 ${W} ${H}`} style={{ display: "block" }}>
+      {histogram.map((b, i) => (
+        <rect key={i} x={px(b.x0)} y={py(b.density)} width={Math.max(0.5, px(b.x1) - px(b.x0) - 1)} height={H - PAD.b - py(b.density)} fill="#3a3a5a" />
+      ))}
+      <path d={path(normal)} fill="none" stroke={NORMAL} strokeWidth={1.5} />
+      <path d={path(t)} fill="none" stroke={STUDENT} strokeWidth={1.5} />
+      <line x1={PAD.l} x2={W - PAD.r} y1={H - PAD.b} y2={H - PAD.b} stroke="#2a2a3a" />
+      {[-4, -2, 0, 2, 4].map((k) => {
+        const x = m.mean + k * m.std;
+        return (
+          <text key={k} x={px(x)} y={H - PAD.b + 14} fontSize={10} fill="#777" textAnchor="middle">
+            {`${(x * 100).toFixed(1)}%`}
+          </text>
+        );
+      })}
+      <text x={W - PAD.r} y={PAD.t + 10} fontSize={10} fill={NORMAL} textAnchor="end">━ Normal</text>
+      <text x={W - PAD.r} y={PAD.t + 24} fontSize={10} fill={STUDENT} textAnchor="end">━ Student-t ν = {student.nu.toFixed(1)}</text>
+    </svg>
+  );
+}
+
+function QQPlot({ qq }) {
+  const lim = Math.max(4, ...qq.map((p) => Math.max(Math.abs(p.theoretical), Math.abs(p.sample))));
+  const size = H - PAD.t - PAD.b;
+  const px = (v) => PAD.l + ((v + lim) / (2 * lim)) * size;
+  const py = (v) => H - PAD.b - ((v + lim) / (2 * lim)) * size;
+  return (
+    <svg width="100%" viewBox={`0 0 ${PAD.l + size + PAD.r} ${H}`} style={{ display: "block" }}>
+      <rect x={PAD.l} y={PAD.t} width={size} height={size} fill="none" stroke="#1e1e2a" />
+      <line x1={px(-lim)} y1={py(-lim)} x2={px(lim)} y2={py(lim)} stroke={NORMAL} strokeDasharray="4 4" />
+      {qq.map((p, i) => (
+        <circle key={i} cx={px(p.theoretical)} cy={py(p.sample)} r={1.8}
+          fill={Math.abs(p.sample) > Math.abs(p.theoretical) * 1.2 && Math.abs(p.theoretical) > 1.5 ? STUDENT : "#999"} />
+      ))}
+      <text x={PAD.l + size / 2} y={H - 6} fontSize={10} fill="#777" textAnchor="middle">normal quantile</text>
+      <text x={12} y={PAD.t + size / 2} fontSize={10} fill="#777" textAnchor="middle" transform={`rotate(-90 12 ${PAD.t + size / 2})`}>sample (σ)</text>
+    </svg>
+  );
+}
+
+export default function DistributionPanel({ data }) {
+  const a = useMemo(() => (data.length > 10 ? analyzeDistribution(data) : null), [data]);
+  if (!a || !(a.moments.std > 0)) {
+    return <div style={{ ...s.panel, marginTop: 12, padding: 16, fontSize: 12, color: "#555" }}>Not enough bars in range for a distribution.</div>;
+  }
+  const { moments: m, jarqueBera: jb } = a;
+  const fmtP = (p) => (p < 1e-4 ? "< 0.0001" : p.toFixed(4));
+  const pct = (v) => (v >= 0.001 ? `${(v * 100).toFixed(2)}%` : `${(v * 100).toPrecision(2)}%`);
+  const cell = { padding: "5px 10px", fontSize: 12, borderBottom: "1px solid #111", textAlign: "right", whiteSpace: "nowrap" };
+  const head = { ...cell, ...s.label, marginBottom: 0 };
+
+  const stats = [
+    { label: "Skew", v: m.skew.toFixed(2) },
+    { label: "Excess kurtosis", v: m.kurtosis.toFixed(2) },
+    { label: "Jarque-Bera", v: jb.stat.toFixed(1), sub: `p ${fmtP(jb.pValue)}${jb.pValue < 0.05 ? " · not normal" : ""}` },
+    { label: "Student-t ν", v: a.student.nu.toFixed(1), sub: "max. likelihood" },
+  ];
+
+  return (
+    <div style={{ ...s.panel, marginTop: 12, padding: 16 }}>
+      <div style={{ ...s.label, marginBottom: 10 }}>
+        Return distribution — {m.n} bars in range{a.clipped ? ` · ${a.clipped} beyond ±5σ drawn in the edge bins` : ""}
+      </div>
+      <div style={{ display: "grid", gridTemplateColumns: "3fr 2fr", gap: 16 }}>
+        <Histogram a={a} />
+        <QQPlot qq={a.qq} />
+      </div>
+      <div style={{ display: "flex", gap: 28, margin: "12px 0" }}>
+        {stats.map((st) => (
+          <div key={st.label}>
+            <div style={s.label}>{st.label}</div>
+            <div style={{ fontSize: 16, fontWeight: 700 }}>{st.v}</div>
+            {st.sub && <div style={{ fontSize: 10, color: "#666" }}>{st.sub}</div>}
+          </div>
+        ))}
+      </div>
+      <table style={{ width: "100%", borderCollapse: "collapse" }}>
+        <thead>
+          <tr>
+            <th style={{ ...head, textAlign: "left" }}>|z| ≥</th>
+            <th style={head}>Observed</th>
+            <th style={head}>Count</th>
+            <th style={head}>Normal expects</th>
+            <th style={head}>Student-t expects</th>
+            <th style={head}>Observed ÷ normal</th>
+          </tr>
+        </thead>
+        <tbody>
+          {a.tails.map((row) => (
+            <tr key={row.k}>
+              <td style={{ ...cell, textAlign: "left", fontWeight: 700 }}>{row.k}σ</td>
+              <td style={cell}>{pct(row.observed)}</td>
+              <td style={{ ...cell, color: "#888" }}>{row.count}</td>
+              <td style={{ ...cell, color: NORMAL }}>{pct(row.normal)}</td>
+              <td style={{ ...cell, color: STUDENT }}>{pct(row.student)}</td>
+              <td style={{ ...cell, fontWeight: 700, color: row.ratio > 1.5 ? "#ff5252" : "#bbb" }}>
+                {row.ratio == null ? "—" : row.ratio >= 100 ? `${row.ratio.toFixed(0)}×` : `${row.ratio.toFixed(1)}×`}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div style={{ fontSize: 11, color: "#666", marginTop: 8 }}>
+        Frequencies use the chart's z-scores, like the ≥σ count in the header. The Student-t column uses the fit above, rescaled to unit variance.
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+import { useMemo } from "react";
+import { eventStudy } from "./eventStudy.js";
+import { s } from "./styles.js";
+
+// Forward returns after up-σ and down-σ bars in the selected range, next to
+// the same statistics for every bar. Distributions are p10–p90 whiskers with
+// a p25–p75 box, on a scale shared within each horizon.
+
+const GROUPS = [
+  { key: "up", label: "+σ signals", color: "#00c853" },
+  { key: "down", label: "−σ signals", color: "#ff1744" },
+  { key: "baseline", label: "All bars", color: "#888" },
+];
+
+const DIST_W = 180;
+const DIST_H = 14;
+
+function Distribution({ sm, color, lo, hi }) {
+  if (!sm.n) return null;
+  const x = (v) => ((v - lo) / (hi - lo || 1)) * DIST_W;
+  return (
+    <svg width={DIST_W} height={DIST_H} style={{ display: "block" }}>
+      {lo < 0 && hi > 0 && <line x1={x(0)} x2={x(0)} y1={0} y2={DIST_H} stroke="#333" />}
+      <line x1={x(sm.q10)} x2={x(sm.q90)} y1={DIST_H / 2} y2={DIST_H / 2} stroke={color} strokeOpacity={0.6} />
+      <rect x={x(sm.q25)} y={3} width={Math.max(1, x(sm.q75) - x(sm.q25))} height={DIST_H - 6} fill={color} fillOpacity={0.35} />
+      <line x1={x(sm.median)} x2={x(sm.median)} y1={1} y2={DIST_H - 1} stroke={color} strokeWidth={2} />
+    </svg>
+  );
+}
+
+export default function EventStudy({ data, threshold, returnType }) {
+  const study = useMemo(() => eventStudy(data, threshold, { returnType }), [data, threshold, returnType]);
+  const pct = (v, digits = 2) => (v == null ? "—" : `${v >= 0 ? "+" : ""}${(v * 100).toFixed(digits)}%`);
+  const cell = { padding: "5px 10px", fontSize: 12, borderBottom: "1px solid #111", whiteSpace: "nowrap", textAlign: "right" };
+  const head = { ...cell, ...s.label, marginBottom: 0 };
+
+  return (
+    <div style={{ ...s.panel, marginTop: 20, padding: 16 }}>
+      <div style={{ ...s.label, marginBottom: 4 }}>
+        Event study — forward returns after ≥{threshold}σ bars ({study.up.count} up, {study.down.count} down)
+      </div>
+      <div style={{ fontSize: 11, color: "#666", marginBottom: 10 }}>
+        Close-to-close from the signal bar. Hit rate = share of forward returns above zero. t compares each
+        group's mean with all bars; overlapping windows overstate it.
+      </div>
+      <div style={{ overflowX: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse" }}>
+          <thead>
+            <tr>
+              <th style={{ ...head, textAlign: "left" }}>Horizon</th>
+              <th style={{ ...head, textAlign: "left" }}>Group</th>
+              <th style={head}>n</th>
+              <th style={head}>Average</th>
+              <th style={head}>Median</th>
+              <th style={head}>Hit rate</th>
+              <th style={head}>vs all</th>
+              <th style={{ ...head, textAlign: "left" }}>p10 · p25–p75 · p90</th>
+            </tr>
+          </thead>
+          <tbody>
+            {study.horizons.map((h) => {
+              const sms = GROUPS.map((g) => study[g.key][h]).filter((sm) => sm.n);
+              const lo = Math.min(...sms.map((sm) => sm.q10));
+              const hi = Math.max(...sms.map((sm) => sm.q90));
+              const base = study.baseline[h];
+              return GROUPS.map((g, gi) => {
+                const sm = study[g.key][h];
+                return (
+                  <tr key={`${h}-${g.key}`}>
+                    {gi === 0 && (
+                      <td rowSpan={GROUPS.length} style={{ ...cell, textAlign: "left", fontWeight: 700, color: "#bbb", verticalAlign: "top" }}>
+                        +{h} bar{h > 1 ? "s" : ""}
+                      </td>
+                    )}
+                    <td style={{ ...cell, textAlign: "left", color: g.color }}>{g.label}</td>
+                    <td style={{ ...cell, color: "#888" }}>{sm.n}</td>
+                    <td style={{ ...cell, color: sm.mean >= 0 ? "#00c853" : "#ff1744" }}>{pct(sm.mean)}</td>
+                    <td style={cell}>{pct(sm.median)}</td>
+                    <td style={cell}>{sm.n ? `${(sm.hitRate * 100).toFixed(0)}%` : "—"}</td>
+                    <td style={{ ...cell, color: Math.abs(sm.t) >= 2 ? "#ff9100" : "#888" }}
+                      title={sm.t != null ? `Average minus all-bar average; t = ${sm.t.toFixed(2)}` : undefined}
+                    >
+                      {g.key === "baseline" || sm.t == null ? "" : `${pct(sm.mean - base.mean)} (t ${sm.t.toFixed(1)})`}
+                    </td>
+                    <td style={{ ...cell, textAlign: "left" }}>
+                      {sm.n ? <Distribution sm={sm} color={g.color} lo={lo} hi={hi} /> : <span style={{ color: "#555" }}>no data</span>}
+                    </td>
+                  </tr>
+                );
+              });
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+import { useState } from "react";
+import { describeSettings, exportRows, rowsToCsv, rowsToJson, renderChartSvg, exportFileName } from "./export.js";
+import { downloadFile, svgToPng } from "./download.js";
+import { exportUrl } from "./api.js";
+import { s } from "./styles.js";
+
+// Download the visible range as data (CSV/JSON) or as a standalone chart
+// (SVG/PNG) with the ticker, settings and legend baked in.
+
+export default function ExportMenu({ ticker, name, stats, options, threshold, adjusted, interval, startDate, endDate }) {
+  const [error, setError] = useState(null);
+
+  const build = () => {
+    const rows = exportRows(stats, threshold, { from: startDate, to: endDate });
+    const settings = describeSettings({ ...options, threshold, adjusted });
+    return { rows, settings, base: exportFileName(ticker, options.period, rows) };
+  };
+
+  const chartSvg = ({ rows, settings }) =>
+    renderChartSvg(rows, { ticker, name, period: options.period, threshold, settings });
+
+  const formats = {
+    csv: () => {
+      const b = build();
+      downloadFile(`${b.base}.csv`, rowsToCsv(b.rows), "text/csv");
+    },
+    json: () => {
+      const b = build();
+      const meta = { ticker, name, settings: { ...options, threshold, adjusted, interval }, description: b.settings };
+      downloadFile(`${b.base}.json`, rowsToJson(b.rows, meta), "application/json");
+    },
+    svg: () => {
+      const b = build();
+      downloadFile(`${b.base}.svg`, chartSvg(b), "image/svg+xml");
+    },
+    png: async () => {
+      const b = build();
+      downloadFile(`${b.base}.png`, await svgToPng(chartSvg(b)));
+    },
+  };
+
+  const run = async (fn) => {
+    setError(null);
+    try {
+      await fn();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const apiHref = exportUrl(ticker, {
+    ...options, threshold, from: startDate, to: endDate, adjusted: adjusted ? null : "false",
+    interval: interval === "1d" ? null : interval, format: "csv",
+  });
+
+  return (
+    <div style={{ display: "flex", gap: 4, alignItems: "center", fontSize: 11, color: "#777" }}>
+      Export
+      {Object.entries(formats).map(([key, fn]) => (
+        <button key={key} onClick={() => run(fn)} style={{ ...s.presetBtn, padding: "3px 8px" }}>{key.toUpperCase()}</button>
+      ))}
+      <a href={apiHref} target="_blank" rel="noreferrer" style={{ color: "#777", marginLeft: 4 }} title="Same CSV from the server — swap format= for json or svg">
+        API ↗
+      </a>
+      {error && <span style={{ color: "#ff5252", marginLeft: 6 }}>{error}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,131 @@
+import { useState, useEffect, useCallback } from "react";
+import { portfoliosApi } from "./api.js";
+import { REBALANCE_OPTIONS } from "./portfolio.js";
+import { s } from "./styles.js";
+
+// Saved portfolios on the server: open one as "@id", or edit the holdings,
+// weights and rebalancing of a new or existing one.
+
+const BLANK = { name: "", holdings: [{ ticker: "", weight: "" }, { ticker: "", weight: "" }], rebalance: "monthly" };
+
+export default function PortfolioEditor({ current, onOpen }) {
+  const [portfolios, setPortfolios] = useState([]);
+  const [form, setForm] = useState(current || BLANK);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const reload = useCallback(async () => {
+    try {
+      setPortfolios(await portfoliosApi.list());
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => { reload(); }, [reload]);
+  useEffect(() => { if (current) setForm(current); }, [current]);
+
+  const setHolding = (i, field, value) => setForm((f) => ({
+    ...f, holdings: f.holdings.map((h, j) => (j === i ? { ...h, [field]: value } : h)),
+  }));
+  const addHolding = () => setForm((f) => ({ ...f, holdings: [...f.holdings, { ticker: "", weight: "" }] }));
+  const removeHolding = (i) => setForm((f) => ({ ...f, holdings: f.holdings.filter((_, j) => j !== i) }));
+
+  const run = async (fn) => {
+    setBusy(true);
+    try {
+      await fn();
+      await reload();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Blank rows are dropped; the server validates the rest
+  const save = () => run(async () => {
+    const body = {
+      name: form.name,
+      rebalance: form.rebalance,
+      holdings: form.holdings.filter((h) => String(h.ticker).trim()).map((h) => ({ ticker: h.ticker, weight: Number(h.weight) })),
+    };
+    const saved = form.id ? await portfoliosApi.update(form.id, body) : await portfoliosApi.add(body);
+    setForm(saved);
+    onOpen(saved.id);
+  });
+
+  const remove = (id) => run(async () => {
+    await portfoliosApi.remove(id);
+    if (form.id === id) setForm(BLANK);
+  });
+
+  const total = form.holdings.reduce((a, h) => a + (Number(h.weight) || 0), 0);
+  const cell = { padding: "5px 10px", fontSize: 12, borderBottom: "1px solid #111" };
+
+  return (
+    <div style={{ ...s.panel, padding: 16, marginBottom: 16, display: "grid", gridTemplateColumns: "minmax(220px, 1fr) 2fr", gap: 24 }}>
+      <div>
+        <div style={{ ...s.label, marginBottom: 8 }}>Saved — {portfolios.length}</div>
+        <table style={{ width: "100%", borderCollapse: "collapse" }}>
+          <tbody>
+            {portfolios.map((p) => (
+              <tr key={p.id}>
+                <td style={{ ...cell, color: p.id === form.id ? "#e0ddd5" : "#bbb", fontWeight: p.id === form.id ? 700 : 400 }}>
+                  {p.name}
+                  <div style={{ fontSize: 10, color: "#666" }}>@{p.id} · {p.holdings.length} holdings</div>
+                </td>
+                <td style={{ ...cell, textAlign: "right", whiteSpace: "nowrap" }}>
+                  <button onClick={() => { setForm(p); onOpen(p.id); }} style={s.presetBtn}>Open</button>{" "}
+                  <button onClick={() => setForm(p)} style={s.presetBtn}>Edit</button>{" "}
+                  <button onClick={() => remove(p.id)} disabled={busy} style={s.presetBtn}>×</button>
+                </td>
+              </tr>
+            ))}
+            {portfolios.length === 0 && <tr><td style={{ ...cell, color: "#555" }}>No portfolios yet.</td></tr>}
+          </tbody>
+        </table>
+      </div>
+
+      <div>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+          <div style={s.label}>{form.id ? `Edit @${form.id}` : "New portfolio"}</div>
+          {form.id && <button onClick={() => setForm(BLANK)} style={s.presetBtn}>New</button>}
+        </div>
+        <input value={form.name} onChange={(e) => setForm((f) => ({ ...f, name: e.target.value }))} placeholder="Name"
+          style={{ ...s.input, width: 240, fontSize: 12, marginBottom: 10 }} />
+        <div style={{ display: "grid", gap: 4, marginBottom: 10 }}>
+          {form.holdings.map((h, i) => (
+            <div key={i} style={{ display: "flex", gap: 6, alignItems: "center" }}>
+              <input value={h.ticker} onChange={(e) => setHolding(i, "ticker", e.target.value.toUpperCase())} placeholder="Ticker"
+                style={{ ...s.input, width: 100, fontSize: 12, fontWeight: 700 }} />
+              <input type="number" min="0" step="any" value={h.weight} onChange={(e) => setHolding(i, "weight", e.target.value)} placeholder="Weight"
+                style={{ ...s.input, width: 80, fontSize: 12 }} />
+              <span style={{ fontSize: 11, color: "#666", width: 48 }}>
+                {total > 0 && Number(h.weight) > 0 ? `${((Number(h.weight) / total) * 100).toFixed(1)}%` : ""}
+              </span>
+              <button onClick={() => removeHolding(i)} disabled={form.holdings.length <= 1} style={s.presetBtn}>×</button>
+            </div>
+          ))}
+        </div>
+        <div style={{ display: "flex", gap: 12, flexWrap: "wrap", alignItems: "flex-end" }}>
+          <button onClick={addHolding} style={s.presetBtn}>+ Holding</button>
+          <div>
+            <div style={s.label}>Rebalance</div>
+            <div style={{ display: "flex", gap: 2 }}>
+              {REBALANCE_OPTIONS.map((o) => (
+                <button key={o.key} onClick={() => setForm((f) => ({ ...f, rebalance: o.key }))} style={s.btn(form.rebalance === o.key)} title={o.desc}>
+                  {o.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <button onClick={save} disabled={busy} style={s.btn(true)}>{form.id ? "Save & open" : "Create & open"}</button>
+        </div>
+        <div style={{ marginTop: 8, fontSize: 11, color: "#666" }}>Weights are scaled to sum to 100%.</div>
+        {error && <div style={{ marginTop: 10, fontSize: 12, color: "#ff5252" }}>{error}</div>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+import { useMemo } from "react";
+import { riskContribution, moveBreakdown, REBALANCE_OPTIONS } from "./portfolio.js";
+import { formatPeriod } from "./format.js";
+import { s } from "./styles.js";
+
+// Where a portfolio's risk comes from over the chart's date range, and which
+// holdings drove each move beyond the threshold.
+
+const MAX_MOVES = 50;
+
+export default function PortfolioPanel({ portfolio, rows, prices, data, threshold, period, startDate, endDate }) {
+  const risk = useMemo(
+    () => riskContribution(rows, prices, portfolio.tickers, { from: startDate, to: endDate }),
+    [rows, prices, portfolio, startDate, endDate],
+  );
+  const moves = useMemo(
+    () => moveBreakdown(prices, data, threshold, period, portfolio.tickers),
+    [prices, data, threshold, period, portfolio],
+  );
+
+  const pct = (v, digits = 1, sign = false) => `${sign && v >= 0 ? "+" : ""}${(v * 100).toFixed(digits)}%`;
+  const target = (ticker) => portfolio.targets[portfolio.tickers.indexOf(ticker)];
+  const cell = { padding: "5px 10px", fontSize: 12, borderBottom: "1px solid #111", whiteSpace: "nowrap" };
+  const head = { ...cell, ...s.label, marginBottom: 0, textAlign: "right" };
+
+  return (
+    <div style={{ ...s.panel, marginTop: 12, display: "grid", gridTemplateColumns: "minmax(320px, 1fr) 1fr" }}>
+      <div style={{ padding: 16, borderRight: "1px solid #151522" }}>
+        <div style={{ ...s.label, marginBottom: 8 }}>
+          Risk contribution{risk ? ` · ${pct(risk.vol)} annualized vol` : ""}
+          {" · "}{REBALANCE_OPTIONS.find((o) => o.key === portfolio.rebalance)?.label}
+        </div>
+        {risk ? (
+          <table style={{ width: "100%", borderCollapse: "collapse" }}>
+            <thead>
+              <tr>
+                <th style={{ ...head, textAlign: "left" }}>Holding</th>
+                <th style={head}>Target</th>
+                <th style={head} title={`Share of NAV at ${risk.to}`}>Weight</th>
+                <th style={head}>Vol</th>
+                <th style={head}>% of variance</th>
+              </tr>
+            </thead>
+            <tbody>
+              {risk.holdings.map((h) => (
+                <tr key={h.ticker}>
+                  <td style={{ ...cell, fontWeight: 700, color: "#d4d0c8" }}>{h.ticker}</td>
+                  <td style={{ ...cell, textAlign: "right", color: "#888" }}>{pct(target(h.ticker))}</td>
+                  <td style={{ ...cell, textAlign: "right", color: "#bbb" }}>{pct(h.weight)}</td>
+                  <td style={{ ...cell, textAlign: "right", color: "#888" }}>{pct(h.vol)}</td>
+                  <td style={{ ...cell, textAlign: "right" }}>
+                    <div style={{ display: "flex", alignItems: "center", justifyContent: "flex-end", gap: 8 }}>
+                      <div style={{ width: 60, height: 6, background: "#151522", borderRadius: 3, overflow: "hidden" }}>
+                        <div style={{ width: `${Math.max(0, Math.min(1, h.contribution)) * 100}%`, height: "100%", background: "#ff9100" }} />
+                      </div>
+                      <span style={{ fontWeight: 700, color: h.contribution < 0 ? "#00c853" : "#ff9100", minWidth: 48 }}>{pct(h.contribution)}</span>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <div style={{ fontSize: 12, color: "#555" }}>Not enough bars in this range.</div>
+        )}
+      </div>
+
+      <div style={{ padding: 16, maxHeight: 300, overflowY: "auto" }}>
+        <div style={{ ...s.label, marginBottom: 8 }}>≥{threshold}σ moves by holding — {moves.length}</div>
+        {moves.slice(0, MAX_MOVES).map((m) => (
+          <div key={m.date} style={{
+            padding: "6px 10px", marginBottom: 4, background: "#0f0f1a", borderRadius: 5,
+            borderLeft: `3px solid ${m.z >= 0 ? "#00c853" : "#ff1744"}`,
+          }}>
+            <div style={{ display: "flex", gap: 10, fontSize: 12, marginBottom: 2 }}>
+              <span style={{ fontWeight: 700, color: m.z >= 0 ? "#00c853" : "#ff1744" }}>{m.z >= 0 ? "+" : ""}{m.z.toFixed(2)}σ</span>
+              <span style={{ color: "#bbb" }}>{formatPeriod(m, period)}</span>
+              <span style={{ color: "#888" }}>{pct(m.ret, 2, true)}</span>
+            </div>
+            <div style={{ fontSize: 11, color: "#888" }}>
+              {m.holdings.map((h) => (
+                <span key={h.ticker} style={{ marginRight: 10 }}>
+                  {h.ticker} <span style={{ color: h.contribution >= 0 ? "#00c853" : "#ff1744" }}>{pct(h.contribution, 2, true)}</span>
+                </span>
+              ))}
+            </div>
+          </div>
+        ))}
+        {moves.length > MAX_MOVES && <div style={{ fontSize: 11, color: "#555" }}>…and {moves.length - MAX_MOVES} smaller moves</div>}
+        {moves.length === 0 && <div style={{ fontSize: 12, color: "#555" }}>No moves beyond the threshold in this range.</div>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,195 @@
+import { useState, useRef, useEffect, useMemo } from "react";
+import { PAD_L, PAD_R, prepareCanvas } from "./DeviationChart.jsx";
+import { VOL_WINDOWS } from "./stats.js";
+import { REGIME_METHODS } from "./regimes.js";
+import { REGIMES } from "./format.js";
+import { s } from "./styles.js";
+
+// Realized vol for every window through history, shaded by regime. Slots
+// follow the deviation chart's bars (each bar shows the vol on its date), so
+// both charts line up for any timeframe and range.
+
+const HEIGHT = 200;
+const PAD_T = 12;
+const PAD_B = 12;
+const LINE_COLORS = { "20d": "#ff9100", "60d": "#ffd600", "120d": "#40c4ff", "252d": "#b388ff" };
+
+function NumberField({ label, value, step = 1, onChange, width = 56 }) {
+  return (
+    <div>
+      <div style={s.label}>{label}</div>
+      <input type="number" step={step} value={value} onChange={(e) => onChange(Number(e.target.value))}
+        style={{ ...s.input, width, fontSize: 12, padding: "4px 8px" }} />
+    </div>
+  );
+}
+
+function WindowPicker({ label, value, onChange }) {
+  return (
+    <div>
+      <div style={s.label}>{label}</div>
+      <div style={{ display: "flex", gap: 2 }}>
+        {VOL_WINDOWS.map((w) => (
+          <button key={w.label} onClick={() => onChange(w.label)} style={{ ...s.btn(value === w.label), padding: "4px 8px", fontSize: 11 }}>{w.label}</button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default function RegimeChart({ data, volHistory, regimes, config, onConfigChange }) {
+  const wrapRef = useRef(null);
+  const canvasRef = useRef(null);
+  const [width, setWidth] = useState(700);
+  const [hovered, setHovered] = useState(null);
+
+  useEffect(() => {
+    const el = wrapRef.current;
+    if (!el || typeof ResizeObserver === "undefined") return;
+    const ro = new ResizeObserver(([entry]) => setWidth(Math.max(320, Math.floor(entry.contentRect.width))));
+    ro.observe(el);
+    return () => ro.disconnect();
+  }, []);
+
+  // One slot per deviation bar: the vol row and regime on that bar's date
+  // (intraday bars share their session's)
+  const slots = useMemo(() => {
+    const index = new Map(volHistory.map((h, i) => [h.date, i]));
+    return data.map((d) => {
+      const i = index.get(d.date.slice(0, 10));
+      return i == null ? { date: d.date } : { ...volHistory[i], regime: regimes.rows[i] };
+    });
+  }, [data, volHistory, regimes]);
+
+  const n = slots.length;
+  const plotW = width - PAD_L - PAD_R;
+  const step = n > 0 ? plotW / n : plotW;
+  const xOf = (i) => PAD_L + i * step + step / 2;
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || n === 0) return;
+    const ctx = prepareCanvas(canvas, width, HEIGHT);
+    const right = width - PAD_R;
+    ctx.font = "10px 'JetBrains Mono', monospace";
+
+    slots.forEach((sl, i) => {
+      const key = sl.regime?.key;
+      if (!key) return;
+      ctx.fillStyle = REGIMES[key].color + "22";
+      ctx.fillRect(PAD_L + i * step, PAD_T, step + 0.5, HEIGHT - PAD_T - PAD_B);
+    });
+
+    let max = 0;
+    for (const sl of slots) for (const w of VOL_WINDOWS) if (sl[w.label] != null) max = Math.max(max, sl[w.label]);
+    max = Math.max(5, Math.ceil(max / 10) * 10);
+    const y = (v) => HEIGHT - PAD_B - (v / max) * (HEIGHT - PAD_T - PAD_B);
+    ctx.textAlign = "right";
+    for (let v = 0; v <= max; v += max / 4) {
+      const yy = Math.round(y(v)) + 0.5;
+      ctx.strokeStyle = "#111120";
+      ctx.lineWidth = 1;
+      ctx.beginPath(); ctx.moveTo(PAD_L, yy); ctx.lineTo(right, yy); ctx.stroke();
+      ctx.fillStyle = "#555";
+      ctx.fillText(`${v.toFixed(0)}%`, PAD_L - 6, yy + 3);
+    }
+
+    for (const w of VOL_WINDOWS) {
+      ctx.strokeStyle = LINE_COLORS[w.label];
+      ctx.lineWidth = w.label === config.short ? 1.6 : 1;
+      ctx.beginPath();
+      let pen = false;
+      slots.forEach((sl, i) => {
+        const v = sl[w.label];
+        if (v == null) { pen = false; return; }
+        if (pen) ctx.lineTo(xOf(i), y(v)); else ctx.moveTo(xOf(i), y(v));
+        pen = true;
+      });
+      ctx.stroke();
+    }
+
+    if (hovered != null) {
+      ctx.strokeStyle = "#3a3a4a";
+      ctx.beginPath(); ctx.moveTo(xOf(hovered), PAD_T); ctx.lineTo(xOf(hovered), HEIGHT - PAD_B); ctx.stroke();
+    }
+  }, [slots, n, width, step, hovered, config.short]);
+
+  const handleMove = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const i = Math.floor((e.clientX - rect.left - PAD_L) / step);
+    setHovered(i >= 0 && i < n ? i : null);
+  };
+
+  const set = (field) => (value) => onConfigChange({ ...config, [field]: value });
+  const hov = hovered != null ? slots[hovered] : null;
+  const scoreText = (r) => {
+    if (r?.score == null) return "";
+    if (config.method === "ratio") return ` · ratio ${r.score.toFixed(2)}`;
+    if (config.method === "volOfVol") return ` · p${r.score.toFixed(0)}`;
+    return ` · P(high σ) ${r.score.toFixed(2)}`;
+  };
+  const model = regimes.model;
+
+  return (
+    <div style={{ ...s.panel, marginTop: 12, overflow: "hidden" }}>
+      <div style={{ padding: 16, display: "flex", gap: 14, flexWrap: "wrap", alignItems: "flex-end" }}>
+        <div>
+          <div style={s.label}>Regime classifier</div>
+          <div style={{ display: "flex", gap: 2 }}>
+            {REGIME_METHODS.map((m) => (
+              <button key={m.key} onClick={() => set("method")(m.key)} style={s.btn(config.method === m.key)} title={m.desc}>{m.label}</button>
+            ))}
+          </div>
+        </div>
+        {config.method === "ratio" && (
+          <>
+            <WindowPicker label="Short" value={config.short} onChange={set("short")} />
+            <WindowPicker label="Long" value={config.long} onChange={set("long")} />
+            <NumberField label="Expand >" value={config.expand} step={0.05} onChange={set("expand")} />
+            <NumberField label="Contract <" value={config.contract} step={0.05} onChange={set("contract")} />
+          </>
+        )}
+        {config.method === "volOfVol" && (
+          <>
+            <WindowPicker label="Vol" value={config.short} onChange={set("short")} />
+            <NumberField label="Change over (d)" value={config.horizon} onChange={set("horizon")} />
+            <NumberField label="Lookback (d)" value={config.lookback} onChange={set("lookback")} />
+            <NumberField label="Upper pct" value={config.upper} onChange={set("upper")} />
+            <NumberField label="Lower pct" value={config.lower} onChange={set("lower")} />
+          </>
+        )}
+        {config.method === "markov" && (
+          <>
+            <NumberField label="High if P ≥" value={config.highProb} step={0.05} onChange={set("highProb")} />
+            <NumberField label="Low if P ≤" value={config.lowProb} step={0.05} onChange={set("lowProb")} />
+            {model && (
+              <div style={{ fontSize: 11, color: "#777", paddingBottom: 6 }}>
+                σ low {(model.params.sd[0] * Math.sqrt(252) * 100).toFixed(1)}% · σ high {(model.params.sd[1] * Math.sqrt(252) * 100).toFixed(1)}%
+                {" "}· stay low {model.params.p00.toFixed(3)} · stay high {model.params.p11.toFixed(3)}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+      <div ref={wrapRef} style={{ position: "relative", borderTop: "1px solid #151522" }}>
+        <div style={{ position: "absolute", left: PAD_L + 8, top: 14, fontSize: 10, color: "#888", pointerEvents: "none" }}>
+          {VOL_WINDOWS.map((w) => (
+            <span key={w.label} style={{ color: LINE_COLORS[w.label], marginRight: 10 }}>━ {w.label}</span>
+          ))}
+          {Object.entries(REGIMES).map(([key, r]) => (
+            <span key={key} style={{ color: r.color, marginRight: 10 }}>■ {config.method === "markov" ? { expanding: "high σ", contracting: "low σ", stable: "uncertain" }[key] : key}</span>
+          ))}
+          {hov && (
+            <div style={{ color: "#bbb", marginTop: 2 }}>
+              {hov.date} · {VOL_WINDOWS.map((w) => (hov[w.label] != null ? `${w.label} ${hov[w.label].toFixed(1)}%` : null)).filter(Boolean).join(" · ")}
+              {hov.regime?.key ? ` · ${hov.regime.key}${scoreText(hov.regime)}` : ""}
+            </div>
+          )}
+        </div>
+        <canvas ref={canvasRef} style={{ display: "block", width, height: HEIGHT, cursor: "crosshair" }}
+          onPointerMove={handleMove} onPointerLeave={() => setHovered(null)}
+        />
+      </div>
+    </div>
+  );
+}
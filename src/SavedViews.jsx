@@ -0,0 +1,92 @@
+import { useState, useEffect, useRef } from "react";
+import { loadSavedViews, storeSavedViews, exportViews, importViews } from "./viewState.js";
+import { downloadFile } from "./download.js";
+import { s } from "./styles.js";
+
+// Named snapshots of the current view, kept in localStorage. Export/import
+// moves them between browsers; "Copy link" shares just the current one.
+
+export default function SavedViews({ current, onApply }) {
+  const [views, setViews] = useState(loadSavedViews);
+  const [selected, setSelected] = useState("");
+  const [name, setName] = useState("");
+  const [note, setNote] = useState(null);
+  const fileRef = useRef(null);
+
+  useEffect(() => {
+    storeSavedViews(views);
+  }, [views]);
+
+  const flash = (text) => {
+    setNote(text);
+    setTimeout(() => setNote(null), 2000);
+  };
+
+  const save = () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    setViews((prev) => [...prev.filter((v) => v.name !== trimmed), { name: trimmed, state: current }]);
+    setSelected(trimmed);
+    setName("");
+    flash(`Saved "${trimmed}"`);
+  };
+
+  const select = (e) => {
+    setSelected(e.target.value);
+    const found = views.find((v) => v.name === e.target.value);
+    if (found) onApply(found.state);
+  };
+
+  const remove = () => {
+    setViews((prev) => prev.filter((v) => v.name !== selected));
+    setSelected("");
+  };
+
+  const download = () => downloadFile("sigma-tracker-views.json", exportViews(views), "application/json");
+
+  const upload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const imported = importViews(await file.text());
+      const names = new Set(imported.map((v) => v.name));
+      setViews((prev) => [...prev.filter((v) => !names.has(v.name)), ...imported]);
+      flash(`Imported ${imported.length} view${imported.length === 1 ? "" : "s"}`);
+    } catch (err) {
+      flash(`Import failed: ${err.message}`);
+    }
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      flash("Link copied");
+    } catch {
+      flash("Copy failed — use the address bar");
+    }
+  };
+
+  return (
+    <div>
+      <div style={s.label}>Saved views{note && <span style={{ color: "#ff9100", marginLeft: 8, letterSpacing: 0, textTransform: "none" }}>{note}</span>}</div>
+      <div style={{ display: "flex", gap: 4, alignItems: "center" }}>
+        <select value={selected} onChange={select} style={{ ...s.input, fontSize: 11, padding: "5px 8px", width: 150 }}>
+          <option value="">{views.length ? "Open…" : "None saved"}</option>
+          {views.map((v) => <option key={v.name} value={v.name}>{v.name}</option>)}
+        </select>
+        {selected && <button onClick={remove} style={s.presetBtn} title="Delete this view">×</button>}
+        <input type="text" value={name} placeholder="Name this view"
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => { if (e.key === "Enter") save(); }}
+          style={{ ...s.input, fontSize: 11, padding: "5px 8px", width: 130 }}
+        />
+        <button onClick={save} disabled={!name.trim()} style={s.presetBtn}>Save</button>
+        <button onClick={download} disabled={!views.length} style={s.presetBtn}>Export</button>
+        <button onClick={() => fileRef.current.click()} style={s.presetBtn}>Import</button>
+        <input ref={fileRef} type="file" accept="application/json,.json" onChange={upload} style={{ display: "none" }} />
+        <button onClick={copyLink} style={s.presetBtn}>Copy link</button>
+      </div>
+    </div>
+  );
+}
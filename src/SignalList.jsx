@@ -0,0 +1,133 @@
+import { EPISODE_KINDS, GAPS, episodeStats } from "./episodes.js";
+import { formatPeriod } from "./format.js";
+import { s } from "./styles.js";
+
+// ≥threshold bars with their notes and calendar events, either flat (sorted
+// by magnitude) or grouped into episodes (see src/episodes.js). Clicking a
+// signal opens its note; clicking an episode's header zooms the chart to it.
+
+const GREEN = "#00c853";
+const RED = "#ff1744";
+
+// Shared with the chart's episode and streak shading
+export const episodeColor = (episode) => (episode.kind === "cluster" ? "#ff9100" : "#888");
+export const streakColor = (streak) => (streak.direction === "up" ? GREEN : RED);
+
+const pct = (v) => `${v >= 0 ? "+" : ""}${(v * 100).toFixed(2)}%`;
+const sigma = (z) => `${z >= 0 ? "+" : ""}${z.toFixed(2)}σ`;
+
+function SignalItem({ d, period, returnType, notes, events, selected, onSelect }) {
+  const isPos = d.z >= 0;
+  const tags = [...new Set(notes.flatMap((a) => a.tags))];
+  return (
+    <div onClick={() => onSelect(d.date)} style={{
+      display: "flex", alignItems: "center", gap: 10, cursor: "pointer",
+      padding: "6px 10px", background: selected ? "#16162a" : "#0f0f1a", borderRadius: 5,
+      borderLeft: `3px solid ${isPos ? GREEN : RED}`,
+    }}>
+      <div style={{ fontSize: 14, fontWeight: 700, color: isPos ? GREEN : RED, minWidth: 52 }}>
+        {sigma(d.z)}
+      </div>
+      <div>
+        <div style={{ fontSize: 12, color: "#bbb" }}>
+          {formatPeriod(d, period)}
+        </div>
+        <div style={{ fontSize: 11, color: "#888" }}>
+          {pct(d.ret)} {returnType === "log" ? "log return" : "return"}
+        </div>
+        {events.map((e, k) => (
+          <div key={`e${k}`} style={{ fontSize: 10, color: "#9e8cff" }}>│ {e.label}</div>
+        ))}
+        {notes.filter((a) => a.note).map((a) => (
+          <div key={a.date} style={{ fontSize: 11, color: "#d4d0c8" }}>
+            <span style={{ color: "#ffd600" }}>◆</span> {a.note}
+          </div>
+        ))}
+        {tags.length > 0 && (
+          <div style={{ fontSize: 10, color: "#888" }}>{tags.map((tag) => `#${tag}`).join(" ")}</div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default function SignalList({
+  data, threshold, period, returnType, notesByBar, eventsByBar, selectedDate, onSelect,
+  episodes, grouped, onGroupedChange, gap, onGapChange, onZoom,
+}) {
+  const signals = data.filter((d) => Math.abs(d.z) >= threshold);
+  const share = data.length > 0 ? ((signals.length / data.length) * 100).toFixed(1) : "0.0";
+  const stats = episodeStats(episodes);
+  const grid = { display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(250px, 1fr))", gap: 6 };
+  const item = (d) => (
+    <SignalItem key={d.date} d={d} period={period} returnType={returnType}
+      notes={notesByBar.get(d.date) || []} events={eventsByBar.get(d.date) || []}
+      selected={d.date === selectedDate} onSelect={onSelect}
+    />
+  );
+
+  return (
+    <div style={{
+      marginTop: 20, background: "#0b0b14", border: "1px solid #151522",
+      borderRadius: 10, padding: 16, maxHeight: grouped ? 420 : 260, overflowY: "auto",
+    }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12, flexWrap: "wrap", marginBottom: 10 }}>
+        <div style={{ fontSize: 10, letterSpacing: 2, color: "#888", textTransform: "uppercase" }}>
+          Deviation Signals — {signals.length} events ({share}%) — {grouped ? "by episode" : "sorted by magnitude"} · click to annotate
+        </div>
+        <div style={{ display: "flex", gap: 2, alignItems: "center" }}>
+          <button onClick={() => onGroupedChange(false)} style={s.btn(!grouped)}>Flat</button>
+          <button onClick={() => onGroupedChange(true)} style={s.btn(grouped)}>Episodes</button>
+          {grouped && (
+            <>
+              <span style={{ fontSize: 10, color: "#666", margin: "0 4px 0 10px" }}>within</span>
+              {GAPS.map((g) => (
+                <button key={g} onClick={() => onGapChange(g)} style={s.btn(gap === g)} title={`Signals at most ${g} bar${g > 1 ? "s" : ""} apart form one episode`}>
+                  {g}
+                </button>
+              ))}
+              <span style={{ fontSize: 10, color: "#666", marginLeft: 4 }}>bars</span>
+            </>
+          )}
+        </div>
+      </div>
+
+      {!grouped && <div style={grid}>{[...signals].sort((a, b) => Math.abs(b.z) - Math.abs(a.z)).map(item)}</div>}
+
+      {grouped && (
+        <>
+          <div style={{ fontSize: 11, color: "#999", marginBottom: 10 }}>
+            {stats.shock} shock{stats.shock === 1 ? "" : "s"} · {stats.cluster} cluster{stats.cluster === 1 ? "" : "s"}
+            {" · "}{stats.streaks} streak{stats.streaks === 1 ? "" : "s"}{stats.streaks > 0 ? ` (longest ${stats.longestStreak} bars)` : ""}
+            {" · "}{(stats.groupedShare * 100).toFixed(0)}% of events came in groups
+          </div>
+          {[...episodes].reverse().map((e) => {
+            const color = episodeColor(e);
+            return (
+              <div key={e.start} style={{ marginBottom: 10, borderLeft: `3px solid ${color}`, paddingLeft: 10 }}>
+                <div onClick={() => onZoom(e)} title="Zoom the chart to this episode"
+                  style={{ display: "flex", gap: 14, alignItems: "baseline", flexWrap: "wrap", cursor: "pointer", marginBottom: 6, fontSize: 11, color: "#999" }}>
+                  <span style={{ fontSize: 10, letterSpacing: 2, textTransform: "uppercase", fontWeight: 700, color }} title={EPISODE_KINDS[e.kind].desc}>
+                    {EPISODE_KINDS[e.kind].label}
+                  </span>
+                  <span style={{ color: "#bbb" }}>
+                    {formatPeriod(e.signals[0], period)}{e.events > 1 ? ` → ${formatPeriod(e.signals[e.signals.length - 1], period)}` : ""}
+                  </span>
+                  <span>{e.events} event{e.events === 1 ? "" : "s"}{e.events > 1 ? ` (${e.ups}▲ ${e.downs}▼) over ${e.bars} bars` : ""}</span>
+                  <span>cum. <span style={{ color: e.cumReturn >= 0 ? GREEN : RED }}>{pct(e.cumReturn)}</span></span>
+                  <span>peak <span style={{ color: e.peakZ >= 0 ? GREEN : RED }}>{sigma(e.peakZ)}</span></span>
+                  {e.streaks.map((r) => (
+                    <span key={r.start} style={{ color: streakColor(r) }} title="Consecutive bars past the threshold in one direction">
+                      {r.direction === "up" ? "▲" : "▼"} {r.bars}-bar streak {pct(r.cumReturn)}
+                    </span>
+                  ))}
+                </div>
+                <div style={grid}>{e.signals.map(item)}</div>
+              </div>
+            );
+          })}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,157 @@
+import { useState, useEffect, useCallback } from "react";
+import { uploadsApi } from "./api.js";
+import { s } from "./styles.js";
+
+// Drop a CSV or JSON of date/close (optionally OHLCV) to store it on the
+// server under your own symbol. The server checks dates, duplicates, order
+// and gaps before anything is saved.
+
+const symbolFromFile = (fileName) => fileName.replace(/\.[^.]+$/, "").toUpperCase().replace(/[^\w.^=-]/g, "-").slice(0, 20);
+
+export default function UploadPanel({ onOpen }) {
+  const [uploads, setUploads] = useState([]);
+  const [file, setFile] = useState(null);
+  const [form, setForm] = useState({ symbol: "", name: "", currency: "" });
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+  const [dragging, setDragging] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  const reload = useCallback(async () => {
+    try {
+      setUploads(await uploadsApi.list());
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => { reload(); }, [reload]);
+
+  // JSON files may be a bare array or { prices: [...] }; anything else is CSV
+  const pick = async (f) => {
+    if (!f) return;
+    setReport(null);
+    setError(null);
+    const text = await f.text();
+    let series = { csv: text };
+    if (/\.json$/i.test(f.name)) {
+      try {
+        const parsed = JSON.parse(text);
+        series = { prices: Array.isArray(parsed) ? parsed : parsed.prices };
+        setForm((prev) => ({ ...prev, name: parsed.name || prev.name, currency: parsed.currency || prev.currency }));
+      } catch {
+        setError(`${f.name} is not valid JSON`);
+        return;
+      }
+    }
+    setFile({ name: f.name, series });
+    setForm((prev) => ({ ...prev, symbol: prev.symbol || symbolFromFile(f.name) }));
+  };
+
+  const exists = uploads.some((u) => u.symbol === form.symbol.trim().toUpperCase());
+
+  const send = async (dryRun) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const body = { ...file.series, symbol: form.symbol, name: form.name || undefined, currency: form.currency || undefined };
+      const result = await uploadsApi.upload(body, dryRun ? { dryRun: true } : exists ? { replace: true } : {});
+      setReport({ ...result, errors: [] });
+      if (!dryRun) {
+        await reload();
+        setFile(null);
+        onOpen(result.symbol);
+      }
+    } catch (err) {
+      setError(err.message);
+      setReport(err.body?.errors ? err.body : null);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const remove = async (symbol) => {
+    try {
+      await uploadsApi.remove(symbol);
+      await reload();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const cell = { padding: "5px 10px", fontSize: 12, borderBottom: "1px solid #111" };
+
+  return (
+    <div style={{ ...s.panel, padding: 16, marginBottom: 16, display: "grid", gridTemplateColumns: "minmax(220px, 1fr) 2fr", gap: 24 }}>
+      <div>
+        <div style={{ ...s.label, marginBottom: 8 }}>Uploaded — {uploads.length}</div>
+        <table style={{ width: "100%", borderCollapse: "collapse" }}>
+          <tbody>
+            {uploads.map((u) => (
+              <tr key={u.symbol}>
+                <td style={{ ...cell, color: "#bbb" }}>
+                  <span style={{ fontWeight: 700, color: "#d4d0c8" }}>{u.symbol}</span> {u.name !== u.symbol && u.name}
+                  <div style={{ fontSize: 10, color: "#666" }}>{u.bars} bars · {u.from} → {u.to}</div>
+                </td>
+                <td style={{ ...cell, textAlign: "right", whiteSpace: "nowrap" }}>
+                  <button onClick={() => onOpen(u.symbol)} style={s.presetBtn}>Open</button>{" "}
+                  <button onClick={() => remove(u.symbol)} style={s.presetBtn}>×</button>
+                </td>
+              </tr>
+            ))}
+            {uploads.length === 0 && <tr><td style={{ ...cell, color: "#555" }}>Nothing uploaded yet.</td></tr>}
+          </tbody>
+        </table>
+      </div>
+
+      <div>
+        <label
+          onDragOver={(e) => { e.preventDefault(); setDragging(true); }}
+          onDragLeave={() => setDragging(false)}
+          onDrop={(e) => { e.preventDefault(); setDragging(false); pick(e.dataTransfer.files[0]); }}
+          style={{
+            display: "block", padding: 18, marginBottom: 10, textAlign: "center", cursor: "pointer", fontSize: 12,
+            border: `1px dashed ${dragging ? "#ff9100" : "#2a2a34"}`, borderRadius: 6, color: file ? "#d4d0c8" : "#777",
+          }}
+        >
+          {file ? file.name : "Drop a CSV or JSON here, or click to choose"}
+          <div style={{ fontSize: 10, color: "#555", marginTop: 4 }}>Date and Close columns; Open/High/Low/Adj Close/Volume optional</div>
+          <input type="file" accept=".csv,.json,.txt,text/csv,application/json" onChange={(e) => pick(e.target.files[0])} style={{ display: "none" }} />
+        </label>
+
+        <div style={{ display: "flex", gap: 12, flexWrap: "wrap", alignItems: "flex-end" }}>
+          <div>
+            <div style={s.label}>Symbol</div>
+            <input value={form.symbol} onChange={(e) => setForm((f) => ({ ...f, symbol: e.target.value.toUpperCase() }))}
+              style={{ ...s.input, width: 110, fontSize: 12, fontWeight: 700 }} />
+          </div>
+          <div>
+            <div style={s.label}>Name</div>
+            <input value={form.name} onChange={(e) => setForm((f) => ({ ...f, name: e.target.value }))} placeholder="optional"
+              style={{ ...s.input, width: 180, fontSize: 12 }} />
+          </div>
+          <div>
+            <div style={s.label}>Currency</div>
+            <input value={form.currency} onChange={(e) => setForm((f) => ({ ...f, currency: e.target.value.toUpperCase() }))} placeholder="—"
+              style={{ ...s.input, width: 60, fontSize: 12 }} />
+          </div>
+          <button onClick={() => send(true)} disabled={!file || busy} style={s.btn(false)}>Check</button>
+          <button onClick={() => send(false)} disabled={!file || busy} style={s.btn(true)}>
+            {exists ? "Replace & open" : "Upload & open"}
+          </button>
+        </div>
+
+        {error && <div style={{ marginTop: 10, fontSize: 12, color: "#ff5252" }}>{error}</div>}
+        {report && (
+          <div style={{ marginTop: 10, fontSize: 11, lineHeight: 1.6 }}>
+            {report.bars != null && (
+              <div style={{ color: "#00c853" }}>✓ {report.bars} bars · {report.from} → {report.to}{report.dryRun ? " · not saved yet" : ""}</div>
+            )}
+            {report.errors.map((m, i) => <div key={`e${i}`} style={{ color: "#ff5252" }}>✗ {m}</div>)}
+            {(report.warnings || []).map((m, i) => <div key={`w${i}`} style={{ color: "#ff9100" }}>! {m}</div>)}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
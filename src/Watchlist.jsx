@@ -0,0 +1,192 @@
+import { useState, useMemo, useRef, useEffect, useCallback } from "react";
+import { fetchHistory, describeError } from "./api.js";
+import { computeStatsAsync, releaseSeries } from "./statsClient.js";
+import { summarizeLatest } from "./stats.js";
+import { mapLimit } from "./async.js";
+import { REGIMES } from "./format.js";
+import { s } from "./styles.js";
+
+// Watchlist scanner: loads every symbol, runs the same pipeline as the chart
+// with the current settings and shows the latest bar for each. Symbols are
+// kept in localStorage so the morning check is one click.
+
+const STORAGE_KEY = "sigma-tracker:watchlist";
+const DEFAULT_SYMBOLS = ["SPY", "QQQ", "IWM", "TLT", "GC=F", "CL=F", "BTC-USD"];
+const CONCURRENCY = 4;
+
+const COLUMNS = [
+  { key: "symbol", label: "Symbol", get: (r) => r.symbol },
+  { key: "z", label: "Last z", get: (r) => r.summary?.z, abs: true },
+  { key: "ret", label: "Return", get: (r) => r.summary?.ret },
+  { key: "sigma", label: "σ", get: (r) => r.summary?.sigma },
+  { key: "vol20", label: "Vol 20d", get: (r) => r.summary?.vol20 },
+  { key: "vol252", label: "Vol 252d", get: (r) => r.summary?.vol252 },
+  { key: "regime", label: "Regime", get: (r) => r.summary?.regime },
+  { key: "since", label: "Since ≥σ", get: (r) => r.summary?.daysSinceSignal },
+];
+
+export function loadSymbols() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(saved)) return saved;
+  } catch {
+    // fall through to defaults
+  }
+  return DEFAULT_SYMBOLS;
+}
+
+export default function Watchlist({ options, threshold, adjusted, onOpen }) {
+  const [symbols, setSymbols] = useState(loadSymbols);
+  const [rows, setRows] = useState({});
+  const [sort, setSort] = useState({ key: "z", desc: true });
+  const [addVal, setAddVal] = useState("");
+  const [scanId, setScanId] = useState(0);
+  const histories = useRef(new Map());
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(symbols));
+  }, [symbols]);
+
+  const optionsKey = JSON.stringify(options);
+
+  useEffect(() => {
+    let cancelled = false;
+    setRows((prev) => Object.fromEntries(symbols.map((sym) => [sym, { ...prev[sym], status: "loading" }])));
+    mapLimit(symbols, CONCURRENCY, async (sym) => {
+      try {
+        const cacheKey = `${sym}:${adjusted}`;
+        let data = histories.current.get(cacheKey);
+        if (!data) {
+          data = await fetchHistory(sym, adjusted);
+          histories.current.set(cacheKey, data);
+        }
+        const result = await computeStatsAsync(data.prices, options);
+        releaseSeries(data.prices);
+        if (!cancelled) setRows((prev) => ({ ...prev, [sym]: { status: "ok", name: data.name, result } }));
+      } catch (err) {
+        if (!cancelled) setRows((prev) => ({ ...prev, [sym]: { status: "error", error: describeError(err) } }));
+      }
+    });
+    return () => { cancelled = true; };
+  }, [symbols, optionsKey, adjusted, scanId]);
+
+  const refresh = () => {
+    histories.current.clear();
+    setScanId((n) => n + 1);
+  };
+
+  const addSymbols = () => {
+    const added = addVal.toUpperCase().split(/[\s,;]+/).filter(Boolean);
+    if (added.length) setSymbols((prev) => [...new Set([...prev, ...added])]);
+    setAddVal("");
+  };
+
+  const removeSymbol = (sym) => setSymbols((prev) => prev.filter((x) => x !== sym));
+
+  const table = useMemo(() => {
+    const list = symbols.map((symbol) => {
+      const row = rows[symbol] || { status: "loading" };
+      return { symbol, ...row, summary: row.result ? summarizeLatest(row.result, threshold) : null };
+    });
+    const col = COLUMNS.find((c) => c.key === sort.key);
+    const value = (r) => {
+      const v = col.get(r);
+      return col.abs && v != null ? Math.abs(v) : v;
+    };
+    return list.sort((a, b) => {
+      const va = value(a), vb = value(b);
+      if (va == null && vb == null) return 0;
+      if (va == null) return 1;
+      if (vb == null) return -1;
+      const cmp = va < vb ? -1 : va > vb ? 1 : 0;
+      return sort.desc ? -cmp : cmp;
+    });
+  }, [symbols, rows, threshold, sort]);
+
+  const toggleSort = useCallback((key) => {
+    setSort((prev) => (prev.key === key ? { key, desc: !prev.desc } : { key, desc: key !== "symbol" && key !== "since" }));
+  }, []);
+
+  const pct = (v, digits = 2) => (v == null ? "—" : `${(v * 100).toFixed(digits)}%`);
+  const cell = { padding: "7px 10px", fontSize: 12, borderBottom: "1px solid #111", whiteSpace: "nowrap" };
+  const loadingCount = table.filter((r) => r.status === "loading").length;
+
+  return (
+    <div style={{ ...s.panel, padding: 16 }}>
+      <div style={{ display: "flex", gap: 12, alignItems: "flex-end", marginBottom: 12, flexWrap: "wrap" }}>
+        <div>
+          <div style={s.label}>Add symbols</div>
+          <input type="text" value={addVal} placeholder="AAPL, MSFT GC=F…"
+            onChange={(e) => setAddVal(e.target.value)}
+            onKeyDown={(e) => { if (e.key === "Enter") addSymbols(); }}
+            style={{ ...s.input, width: 240, fontSize: 12 }}
+          />
+        </div>
+        <button onClick={addSymbols} style={s.btn(false)}>Add</button>
+        <button onClick={refresh} style={s.btn(false)}>↻ Refresh</button>
+        <div style={{ fontSize: 11, color: "#777", paddingBottom: 6 }}>
+          {symbols.length} symbols{loadingCount > 0 ? ` · loading ${loadingCount}…` : ""} · click a row to open its chart
+        </div>
+      </div>
+
+      <div style={{ overflowX: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse" }}>
+          <thead>
+            <tr>
+              {COLUMNS.map((c) => (
+                <th key={c.key} onClick={() => toggleSort(c.key)}
+                  style={{ ...cell, ...s.label, textAlign: c.key === "symbol" || c.key === "regime" ? "left" : "right", cursor: "pointer", userSelect: "none" }}
+                >
+                  {c.label}{sort.key === c.key ? (sort.desc ? " ▼" : " ▲") : ""}
+                </th>
+              ))}
+              <th style={cell} />
+            </tr>
+          </thead>
+          <tbody>
+            {table.map((r) => {
+              const sm = r.summary;
+              const isSignal = sm && Math.abs(sm.z) >= threshold;
+              const zColor = !sm ? "#555" : isSignal ? (sm.z >= 0 ? "#00c853" : "#ff1744") : "#bbb";
+              return (
+                <tr key={r.symbol} onClick={() => onOpen(r.symbol)} style={{ cursor: "pointer" }}
+                  onMouseEnter={(e) => e.currentTarget.style.background = "#16162a"}
+                  onMouseLeave={(e) => e.currentTarget.style.background = "transparent"}
+                >
+                  <td style={cell}>
+                    <span style={{ fontWeight: 700, color: "#d4d0c8" }}>{r.symbol}</span>
+                    <span title={r.error} style={{ fontSize: 10, color: "#666", marginLeft: 8 }}>
+                      {r.status === "error" ? "failed to load" : r.status === "loading" && !sm ? "loading…" : r.name}
+                    </span>
+                  </td>
+                  <td style={{ ...cell, textAlign: "right", fontWeight: 700, color: zColor }}>
+                    {sm ? `${sm.z >= 0 ? "+" : ""}${sm.z.toFixed(2)}σ` : "—"}
+                  </td>
+                  <td style={{ ...cell, textAlign: "right", color: sm?.ret >= 0 ? "#00c853" : "#ff1744" }}>
+                    {sm ? `${sm.ret >= 0 ? "+" : ""}${pct(sm.ret)}` : "—"}
+                  </td>
+                  <td style={{ ...cell, textAlign: "right" }}>{pct(sm?.sigma)}</td>
+                  <td style={{ ...cell, textAlign: "right" }}>{sm?.vol20 != null ? `${sm.vol20.toFixed(1)}%` : "—"}</td>
+                  <td style={{ ...cell, textAlign: "right" }}>{sm?.vol252 != null ? `${sm.vol252.toFixed(1)}%` : "—"}</td>
+                  <td style={{ ...cell, color: sm?.regime ? REGIMES[sm.regime].color : "#555", fontWeight: 700 }}>
+                    {sm?.regime ? REGIMES[sm.regime].label : "—"}
+                  </td>
+                  <td style={{ ...cell, textAlign: "right", color: "#999" }}
+                    title={sm?.lastSignalDate ? `${sm.lastSignalZ.toFixed(2)}σ on ${sm.lastSignalDate}` : "No signal in loaded history"}
+                  >
+                    {sm?.daysSinceSignal != null ? `${sm.daysSinceSignal}d` : "—"}
+                  </td>
+                  <td style={{ ...cell, textAlign: "right" }}>
+                    <button onClick={(e) => { e.stopPropagation(); removeSymbol(r.symbol); }}
+                      style={{ ...s.presetBtn, padding: "2px 6px" }} title="Remove"
+                    >×</button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
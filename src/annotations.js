@@ -0,0 +1,33 @@
+import { periodKey } from "./stats.js";
+
+// Notes and calendar events ({ date, … }) → Map of bar date → items, matched
+// the way bars are bucketed: by period for weekly and longer returns, so a
+// Tuesday FOMC lands on that week's bar. On daily returns an item matches its
+// exact bar, else its day — a day-only note on intraday bars goes to that
+// day's first bar, an intraday note on daily bars to its day.
+export function itemsByBar(data, items, period) {
+  const out = new Map();
+  if (!data.length || !items.length) return out;
+  const bars = new Map();
+  for (const d of data) {
+    if (period !== "daily") {
+      bars.set(d.periodKey, d.date);
+    } else {
+      bars.set(d.date, d.date);
+      if (!bars.has(d.date.slice(0, 10))) bars.set(d.date.slice(0, 10), d.date);
+    }
+  }
+  for (const item of items) {
+    const date = period !== "daily"
+      ? bars.get(periodKey(item.date, period))
+      : bars.get(item.date) ?? bars.get(item.date.slice(0, 10));
+    if (!date) continue;
+    if (!out.has(date)) out.set(date, []);
+    out.get(date).push(item);
+  }
+  return out;
+}
+
+// Every calendar's events, tagged with the calendar they came from
+export const calendarEvents = (calendars) =>
+  calendars.flatMap((c) => c.events.map((e) => ({ ...e, calendar: c.name })));
@@ -0,0 +1,136 @@
+// ── Errors ─────────────────────────────────────────────────
+// Failed API calls throw an Error carrying the server's `code` (see
+// lib/errors.js), `status`, `retryAfter` and the whole `body`
+async function jsonOrThrow(res) {
+  if (res.status === 204) return null;
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw Object.assign(new Error(body.error || `Request failed (${res.status})`), {
+      body, status: res.status, code: body.code, retryAfter: body.retryAfter,
+    });
+  }
+  return body;
+}
+
+const retryIn = (err) => (err.retryAfter ? `Try again in ${err.retryAfter}s.` : "Try again shortly.");
+
+const ERROR_MESSAGES = {
+  TICKER_NOT_FOUND: (err) => `No data for "${err.ticker}" — check the symbol.`,
+  RATE_LIMITED: (err) => `Too many requests from this browser. ${retryIn(err)}`,
+  UPSTREAM_RATE_LIMITED: (err) => `The data provider is rate-limiting requests. ${retryIn(err)}`,
+  UPSTREAM_TIMEOUT: () => "The data provider didn't answer in time. Try again.",
+  UPSTREAM_UNAVAILABLE: () => "The data provider can't be reached right now.",
+  UPSTREAM_ERROR: (err) => `The data provider returned an error. ${retryIn(err)}`,
+  NETWORK_ERROR: () => "Can't reach the σ Tracker server.",
+};
+
+// Text to show for a failed call: code-specific where we know the code
+export function describeError(err) {
+  return ERROR_MESSAGES[err.code]?.(err) ?? err.message;
+}
+
+// ── Data fetching ──────────────────────────────────────────
+export async function fetchHistory(ticker, adjusted = true, interval = "1d") {
+  const params = new URLSearchParams();
+  if (!adjusted) params.set("adjusted", "false");
+  if (interval !== "1d") params.set("interval", interval);
+  const qs = params.toString();
+  const res = await fetch(`/api/history/${encodeURIComponent(ticker)}${qs ? `?${qs}` : ""}`).catch((err) => {
+    throw Object.assign(err, { code: "NETWORK_ERROR", ticker });
+  });
+  return jsonOrThrow(res).catch((err) => {
+    throw Object.assign(err, { ticker });
+  });
+}
+
+export async function searchTickers(query) {
+  if (!query || query.length < 1) return [];
+  const res = await fetch(`/api/search/${encodeURIComponent(query)}`);
+  if (!res.ok) return [];
+  return res.json();
+}
+
+// Server-side export of the same dataset/chart (see /api/export)
+export function exportUrl(ticker, params) {
+  const qs = new URLSearchParams(Object.entries(params).filter(([, v]) => v != null && v !== ""));
+  return `/api/export/${encodeURIComponent(ticker)}?${qs}`;
+}
+
+// Latest bars pushed by the server as they change (Express server only).
+// onBars(bars, asOf) gets bars to merge by date; returns an unsubscribe fn
+export function subscribeLive(ticker, { interval = "1d", adjusted = true }, { onBars, onWarning }) {
+  if (typeof EventSource === "undefined") return () => {};
+  const params = new URLSearchParams({ interval });
+  if (!adjusted) params.set("adjusted", "false");
+  const source = new EventSource(`/api/live/${encodeURIComponent(ticker)}?${params}`);
+  source.addEventListener("bars", (e) => {
+    const { bars, asOf } = JSON.parse(e.data);
+    onBars(bars, asOf);
+  });
+  source.addEventListener("warning", (e) => onWarning?.(JSON.parse(e.data).error));
+  source.onerror = () => onWarning?.("Live feed disconnected, retrying…");
+  return () => source.close();
+}
+
+// ── Alerts ─────────────────────────────────────────────────
+export const alertsApi = {
+  rules: () => fetch("/api/alerts/rules").then(jsonOrThrow),
+  history: () => fetch("/api/alerts/history").then(jsonOrThrow),
+  run: () => fetch("/api/alerts/run", { method: "POST" }).then(jsonOrThrow),
+  addRule: (rule) => fetch("/api/alerts/rules", {
+    method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(rule),
+  }).then(jsonOrThrow),
+  updateRule: (id, patch) => fetch(`/api/alerts/rules/${id}`, {
+    method: "PUT", headers: { "Content-Type": "application/json" }, body: JSON.stringify(patch),
+  }).then(jsonOrThrow),
+  removeRule: (id) => fetch(`/api/alerts/rules/${id}`, { method: "DELETE" }).then(jsonOrThrow),
+};
+
+// ── Portfolios ─────────────────────────────────────────────
+export const portfoliosApi = {
+  list: () => fetch("/api/portfolios").then(jsonOrThrow),
+  get: (id) => fetch(`/api/portfolios/${encodeURIComponent(id)}`).then(jsonOrThrow),
+  add: (portfolio) => fetch("/api/portfolios", {
+    method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(portfolio),
+  }).then(jsonOrThrow),
+  update: (id, portfolio) => fetch(`/api/portfolios/${encodeURIComponent(id)}`, {
+    method: "PUT", headers: { "Content-Type": "application/json" }, body: JSON.stringify(portfolio),
+  }).then(jsonOrThrow),
+  remove: (id) => fetch(`/api/portfolios/${encodeURIComponent(id)}`, { method: "DELETE" }).then(jsonOrThrow),
+};
+
+// ── Uploaded series ────────────────────────────────────────
+// upload({ symbol, name, currency, csv | prices }, { dryRun, replace })
+export const uploadsApi = {
+  list: () => fetch("/api/uploads").then(jsonOrThrow),
+  upload: (series, flags = {}) => fetch(`/api/uploads?${new URLSearchParams(flags)}`, {
+    method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(series),
+  }).then(jsonOrThrow),
+  remove: (symbol) => fetch(`/api/uploads/${encodeURIComponent(symbol)}`, { method: "DELETE" }).then(jsonOrThrow),
+};
+
+// ── Annotations & event calendars ──────────────────────────
+// One note per ticker + bar date; calendars are shared by every ticker
+export const annotationsApi = {
+  list: (ticker) => fetch(`/api/annotations?${new URLSearchParams({ ticker })}`).then(jsonOrThrow),
+  save: (ticker, date, { note, tags }) => fetch(`/api/annotations/${encodeURIComponent(ticker)}/${encodeURIComponent(date)}`, {
+    method: "PUT", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ note, tags }),
+  }).then(jsonOrThrow),
+  remove: (ticker, date) => fetch(`/api/annotations/${encodeURIComponent(ticker)}/${encodeURIComponent(date)}`, { method: "DELETE" }).then(jsonOrThrow),
+};
+
+export const calendarsApi = {
+  list: () => fetch("/api/calendars").then(jsonOrThrow),
+  import: (name, csv) => fetch(`/api/calendars?${new URLSearchParams({ name })}`, {
+    method: "POST", headers: { "Content-Type": "text/csv" }, body: csv,
+  }).then(jsonOrThrow),
+  remove: (name) => fetch(`/api/calendars/${encodeURIComponent(name)}`, { method: "DELETE" }).then(jsonOrThrow),
+};
+
+// Live alerts from the server's browser channel; returns an unsubscribe fn
+export function subscribeAlerts(onAlert) {
+  if (typeof EventSource === "undefined") return () => {};
+  const source = new EventSource("/api/alerts/stream");
+  source.addEventListener("alert", (e) => onAlert(JSON.parse(e.data)));
+  return () => source.close();
+}
@@ -0,0 +1,123 @@
+// ── Backtest ───────────────────────────────────────────────
+// Turns deviation signals into positions on the z-scored bars from
+// runPipeline. Decisions are made on each bar's close and filled at that
+// close; the position earns the next bar's close-to-close return.
+//
+//   rule = { threshold: 2, onDown: "long", onUp: "flat",   // long | short | flat
+//            holdBars: 5,              // exit after N bars (0 = no limit)
+//            exitOnRevert: true,       // …or once z crosses back through revertZ
+//            revertZ: 0, costBps: 5, slippageBps: 2 }       // per side
+import { parseDate } from "./format.js";
+
+export const DEFAULT_RULE = {
+  onDown: "long", onUp: "flat", holdBars: 5, exitOnRevert: true, revertZ: 0, costBps: 5, slippageBps: 2,
+};
+
+const SIDE = { long: 1, short: -1, flat: 0 };
+const DAY_MS = 86400000;
+
+function yearsBetween(from, to) {
+  return (parseDate(to) - parseDate(from)) / DAY_MS / 365.25;
+}
+
+// CAGR, annualized Sharpe (zero risk-free rate) and max drawdown of a
+// per-bar return series ending at `final` equity
+function performance(rets, final, years, periodsPerYear) {
+  const n = rets.length;
+  const mean = n ? rets.reduce((a, b) => a + b, 0) / n : 0;
+  const std = n > 1 ? Math.sqrt(rets.reduce((a, r) => a + (r - mean) ** 2, 0) / (n - 1)) : 0;
+  let eq = 1, peak = 1, maxDrawdown = 0;
+  for (const r of rets) {
+    eq *= 1 + r;
+    peak = Math.max(peak, eq);
+    maxDrawdown = Math.min(maxDrawdown, eq / peak - 1);
+  }
+  return {
+    totalReturn: final - 1,
+    cagr: years > 0 && final > 0 ? final ** (1 / years) - 1 : null,
+    sharpe: std > 0 ? (mean / std) * Math.sqrt(periodsPerYear) : null,
+    maxDrawdown,
+  };
+}
+
+// → { equity: [{ date, equity, buyHold, drawdown, position }], trades, stats, benchmark }
+export function runBacktest(data, rule) {
+  const { threshold, onDown, onUp, holdBars, exitOnRevert, revertZ, costBps, slippageBps } = { ...DEFAULT_RULE, ...rule };
+  const cost = (costBps + slippageBps) / 10000;
+  const equity = [];
+  const trades = [];
+  const stratRets = [];
+  const bhRets = [];
+  let pos = 0, eq = 1, bh = 1, peak = 1, inMarket = 0;
+  let trade = null;
+
+  const close = (i, reason) => {
+    eq *= 1 - Math.abs(pos) * cost;
+    trades.push({
+      ...trade, exitDate: data[i].date, exitPrice: data[i].close, bars: i - trade.entryIndex,
+      ret: eq / trade.startEquity - 1, reason,
+    });
+    trade = null;
+    pos = 0;
+  };
+
+  const open = (i, side, signal) => {
+    trade = { side: side > 0 ? "long" : "short", signal, entryIndex: i, entryDate: data[i].date, entryPrice: data[i].close, entryZ: data[i].z, startEquity: eq };
+    eq *= 1 - Math.abs(side) * cost;
+    pos = side;
+  };
+
+  for (let i = 0; i < data.length; i++) {
+    const d = data[i];
+    const before = eq;
+    if (i > 0) {
+      const r = d.close / data[i - 1].close - 1;
+      eq *= 1 + pos * r;
+      bh *= 1 + r;
+      bhRets.push(r);
+      if (pos !== 0) inMarket++;
+    }
+
+    // Exits first, then entries; an opposite signal can flip the position
+    if (trade) {
+      const reverted = exitOnRevert && (trade.signal === "down" ? d.z >= revertZ : d.z <= -revertZ);
+      const expired = holdBars > 0 && i - trade.entryIndex >= holdBars;
+      if (reverted || expired) close(i, reverted ? "revert" : "time");
+    }
+    const signal = d.z <= -threshold ? "down" : d.z >= threshold ? "up" : null;
+    const side = signal ? SIDE[signal === "down" ? onDown : onUp] : 0;
+    if (side !== 0 && side !== pos) {
+      if (trade) close(i, "flip");
+      open(i, side, signal);
+    }
+
+    if (i > 0) stratRets.push(eq / before - 1);
+    peak = Math.max(peak, eq);
+    equity.push({ date: d.date, equity: eq, buyHold: bh, drawdown: eq / peak - 1, position: pos });
+  }
+
+  // Mark an open trade to market without charging the exit
+  if (trade) {
+    const last = data.length - 1;
+    trades.push({
+      ...trade, exitDate: data[last].date, exitPrice: data[last].close, bars: last - trade.entryIndex,
+      ret: eq / trade.startEquity - 1, reason: "open",
+    });
+  }
+
+  const years = data.length > 1 ? yearsBetween(data[0].date, data[data.length - 1].date) : 0;
+  const periodsPerYear = years > 0 ? (data.length - 1) / years : 252;
+  const wins = trades.filter((t) => t.ret > 0).length;
+  return {
+    equity,
+    trades,
+    stats: {
+      ...performance(stratRets, eq, years, periodsPerYear),
+      exposure: data.length > 1 ? inMarket / (data.length - 1) : 0,
+      trades: trades.length,
+      winRate: trades.length ? wins / trades.length : null,
+      avgTrade: trades.length ? trades.reduce((a, t) => a + t.ret, 0) / trades.length : null,
+    },
+    benchmark: { ...performance(bhRets, bh, years, periodsPerYear), exposure: 1 },
+  };
+}
@@ -0,0 +1,80 @@
+// ── Cross-asset ────────────────────────────────────────────
+// Rolling correlations and a date × asset z-score grid for a basket.
+// Calendars differ (crypto trades weekends, exchanges close on different
+// holidays), so correlations use each pair's common dates: a return there is
+// close-to-close between consecutive shared dates, which folds a crypto
+// weekend into Monday rather than pairing it with a flat equity day.
+
+// Close-to-close returns of two series over their common dates
+export function alignReturns(pricesA, pricesB) {
+  const closeB = new Map(pricesB.map((p) => [p.date, p.close]));
+  const dates = [], ra = [], rb = [];
+  let prevA = null, prevB = null;
+  for (const p of pricesA) {
+    const b = closeB.get(p.date);
+    if (b == null) continue;
+    if (prevA != null) {
+      dates.push(p.date);
+      ra.push(p.close / prevA - 1);
+      rb.push(b / prevB - 1);
+    }
+    prevA = p.close;
+    prevB = b;
+  }
+  return { dates, ra, rb };
+}
+
+// Pearson correlation over each trailing window, streamed with running sums.
+// → [{ date, corr }] starting once `window` returns are available
+export function rollingCorrelation({ dates, ra, rb }, window) {
+  const out = [];
+  let sx = 0, sy = 0, sxx = 0, syy = 0, sxy = 0;
+  for (let i = 0; i < ra.length; i++) {
+    const x = ra[i], y = rb[i];
+    sx += x; sy += y; sxx += x * x; syy += y * y; sxy += x * y;
+    if (i >= window) {
+      const ox = ra[i - window], oy = rb[i - window];
+      sx -= ox; sy -= oy; sxx -= ox * ox; syy -= oy * oy; sxy -= ox * oy;
+    }
+    if (i >= window - 1) {
+      const n = window;
+      const cov = sxy - (sx * sy) / n;
+      const vx = sxx - (sx * sx) / n;
+      const vy = syy - (sy * sy) / n;
+      out.push({ date: dates[i], corr: vx > 0 && vy > 0 ? cov / Math.sqrt(vx * vy) : 0 });
+    }
+  }
+  return out;
+}
+
+// Latest-window correlation for every pair of loaded symbols.
+// → { symbols, cells: [[{ corr, history } | null]] } (diagonal is null)
+export function correlationMatrix(pricesBySymbol, window) {
+  const symbols = Object.keys(pricesBySymbol);
+  const cells = symbols.map(() => symbols.map(() => null));
+  for (let i = 0; i < symbols.length; i++) {
+    for (let j = i + 1; j < symbols.length; j++) {
+      const history = rollingCorrelation(alignReturns(pricesBySymbol[symbols[i]], pricesBySymbol[symbols[j]]), window);
+      const cell = history.length ? { corr: history[history.length - 1].corr, history } : null;
+      cells[i][j] = cell;
+      cells[j][i] = cell;
+    }
+  }
+  return { symbols, cells };
+}
+
+// Union calendar of the last `days` dates any asset traded, with each
+// asset's z on that date (missing = didn't trade) and how many assets
+// moved ≥ threshold together
+export function zHeatmap(zBySymbol, threshold, days = 130) {
+  const byDate = Object.fromEntries(Object.entries(zBySymbol).map(([sym, rows]) => [sym, new Map(rows.map((d) => [d.date, d.z]))]));
+  const all = new Set();
+  for (const rows of Object.values(zBySymbol)) for (const d of rows) all.add(d.date);
+  const dates = [...all].sort().slice(-days);
+  const breadth = dates.map((date) => Object.values(byDate).filter((m) => Math.abs(m.get(date) ?? 0) >= threshold).length);
+  return {
+    dates,
+    breadth,
+    rows: Object.keys(zBySymbol).map((symbol) => ({ symbol, z: dates.map((date) => byDate[symbol].get(date) ?? null) })),
+  };
+}
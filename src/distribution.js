@@ -0,0 +1,176 @@
+// ── Distribution ───────────────────────────────────────────
+// Shape of the return distribution: moments, a normality test, normal and
+// Student-t fits, and how often |z| ≥ k actually happens vs. what each
+// model expects.
+
+// ── Special functions ──
+const SQRT2 = Math.SQRT2;
+
+// Abramowitz & Stegun 7.1.26 (|error| < 1.5e-7)
+function erf(x) {
+  const sign = x < 0 ? -1 : 1;
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const y = 1 - ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return sign * y;
+}
+
+export const normalCdf = (x) => 0.5 * (1 + erf(x / SQRT2));
+export const normalPdf = (x) => Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+
+// Acklam's rational approximation of Φ⁻¹
+export function normalQuantile(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const lo = 0.02425;
+  if (p < lo) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - lo) return -normalQuantile(1 - p);
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// Lanczos approximation
+function logGamma(x) {
+  const g = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let ser = 1.000000000190015;
+  for (const c of g) ser += c / ++y;
+  return -tmp + Math.log((2.5066282746310005 * ser) / x);
+}
+
+// Continued fraction for the regularized incomplete beta (Numerical Recipes)
+function betacf(a, b, x) {
+  const EPS = 3e-14, FPMIN = 1e-300;
+  let c = 1, d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < FPMIN) d = FPMIN;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d; if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c; if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d; h *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d; if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c; if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < EPS) break;
+  }
+  return h;
+}
+
+function incompleteBeta(a, b, x) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const bt = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2) ? (bt * betacf(a, b, x)) / a : 1 - (bt * betacf(b, a, 1 - x)) / b;
+}
+
+// P(|T| ≥ t) for Student-t with ν degrees of freedom
+export function studentTwoTail(t, nu) {
+  return incompleteBeta(nu / 2, 0.5, nu / (nu + t * t));
+}
+
+export function studentPdf(x, nu) {
+  return Math.exp(logGamma((nu + 1) / 2) - logGamma(nu / 2) - 0.5 * Math.log(nu * Math.PI) - ((nu + 1) / 2) * Math.log(1 + (x * x) / nu));
+}
+
+// ── Fits & tests ──
+export function moments(vals) {
+  const n = vals.length;
+  if (n < 2) return { n, mean: vals[0] ?? 0, std: 0, skew: 0, kurtosis: 0 };
+  const mean = vals.reduce((a, b) => a + b, 0) / n;
+  let m2 = 0, m3 = 0, m4 = 0;
+  for (const v of vals) {
+    const d = v - mean;
+    m2 += d * d; m3 += d * d * d; m4 += d * d * d * d;
+  }
+  m2 /= n; m3 /= n; m4 /= n;
+  return {
+    n, mean,
+    std: Math.sqrt((m2 * n) / (n - 1)),
+    skew: m2 > 0 ? m3 / m2 ** 1.5 : 0,
+    kurtosis: m2 > 0 ? m4 / (m2 * m2) - 3 : 0, // excess
+  };
+}
+
+// JB ~ χ²(2) under normality, whose survival function is exp(−x/2)
+export function jarqueBera({ n, skew, kurtosis }) {
+  const stat = (n / 6) * (skew * skew + (kurtosis * kurtosis) / 4);
+  return { stat, pValue: Math.exp(-stat / 2) };
+}
+
+// Student-t with the sample's mean and variance; ν by maximum likelihood
+// over a grid (ν > 2 so the variance exists)
+export function fitStudentT(vals, { mean, std }) {
+  let best = { nu: 30, ll: -Infinity };
+  for (let nu = 2.1; nu <= 60; nu *= 1.05) {
+    const scale = std * Math.sqrt((nu - 2) / nu);
+    let ll = 0;
+    for (const v of vals) ll += Math.log(studentPdf((v - mean) / scale, nu) / scale);
+    if (ll > best.ll) best = { nu, ll };
+  }
+  return { nu: best.nu, scale: std * Math.sqrt((best.nu - 2) / best.nu) };
+}
+
+export const TAIL_LEVELS = [1, 2, 3, 4, 5];
+
+// Observed share of |z| ≥ k next to the normal and fitted-t expectations.
+// The t is rescaled to unit variance, so k means the same thing in each column.
+export function tailTable(zs, nu, levels = TAIL_LEVELS) {
+  const n = zs.length;
+  return levels.map((k) => {
+    const observed = zs.filter((z) => Math.abs(z) >= k).length;
+    const normal = 2 * (1 - normalCdf(k));
+    const student = studentTwoTail(k * Math.sqrt(nu / (nu - 2)), nu);
+    return { k, count: observed, observed: n ? observed / n : 0, normal, student, ratio: normal > 0 && n ? observed / n / normal : null };
+  });
+}
+
+// Everything the panel draws, from the bars in view
+export function analyzeDistribution(data, { bins = 50 } = {}) {
+  const rets = data.map((d) => d.ret);
+  const m = moments(rets);
+  const t = m.n > 10 && m.std > 0 ? fitStudentT(rets, m) : { nu: 30, scale: m.std };
+
+  // Histogram over mean ± 5σ; anything beyond lands in the edge bins
+  const lo = m.mean - 5 * m.std, hi = m.mean + 5 * m.std;
+  const width = (hi - lo) / bins || 1;
+  const counts = new Array(bins).fill(0);
+  let clipped = 0;
+  for (const r of rets) {
+    let i = Math.floor((r - lo) / width);
+    if (i < 0 || i >= bins) { clipped++; i = Math.max(0, Math.min(bins - 1, i)); }
+    counts[i]++;
+  }
+  const histogram = counts.map((count, i) => ({ x0: lo + i * width, x1: lo + (i + 1) * width, density: count / (m.n * width || 1) }));
+
+  // QQ: sample quantiles vs. normal quantiles, thinned to ≤ 400 points
+  const sorted = [...rets].sort((a, b) => a - b);
+  const points = Math.min(400, sorted.length);
+  const qq = [];
+  for (let j = 0; j < points; j++) {
+    const idx = points === sorted.length ? j : Math.round((j * (sorted.length - 1)) / (points - 1));
+    const p = (idx + 0.5) / sorted.length;
+    qq.push({ theoretical: normalQuantile(p), sample: m.std > 0 ? (sorted[idx] - m.mean) / m.std : 0 });
+  }
+
+  return {
+    moments: m,
+    jarqueBera: jarqueBera(m),
+    student: t,
+    histogram,
+    clipped,
+    qq,
+    tails: tailTable(data.map((d) => d.z), t.nu),
+  };
+}
@@ -0,0 +1,113 @@
+// ── Signal episodes ────────────────────────────────────────
+// Groups ≥threshold bars into episodes: a signal no more than `gap` bars
+// after the previous one joins its episode. One event on its own is a shock;
+// several are a cluster. Streaks are found separately as runs of consecutive
+// bars that all clear the threshold in the same direction, and each episode
+// lists the ones inside it. Shocks that stay isolated look like news, while
+// clusters and long streaks point to a volatility regime. Works on the
+// z-scored records from runPipeline.
+
+export const GAPS = [1, 3, 5, 10, 20];
+export const DEFAULT_GAP = 5;
+
+export const EPISODE_KINDS = {
+  shock: { label: "Shock", desc: "A single event with no other within the gap" },
+  cluster: { label: "Cluster", desc: "Several events within the gap of each other" },
+};
+
+// Compounded return over data[from..to], in the chart's return units
+function cumulativeReturn(data, from, to, returnType) {
+  let cum = returnType === "log" ? 0 : 1;
+  for (let i = from; i <= to; i++) {
+    cum = returnType === "log" ? cum + data[i].ret : cum * (1 + data[i].ret);
+  }
+  return returnType === "log" ? cum : cum - 1;
+}
+
+// Runs of ≥2 consecutive bars with |z| ≥ threshold and the same sign
+export function findStreaks(data, threshold, { returnType = "simple" } = {}) {
+  const streaks = [];
+  let from = -1;
+  const close = (to) => {
+    if (from >= 0 && to > from) {
+      streaks.push({
+        direction: data[from].z > 0 ? "up" : "down",
+        start: data[from].date,
+        end: data[to].date,
+        startIndex: from,
+        endIndex: to,
+        bars: to - from + 1,
+        cumReturn: cumulativeReturn(data, from, to, returnType),
+      });
+    }
+    from = -1;
+  };
+  data.forEach((d, i) => {
+    if (Math.abs(d.z) < threshold) return close(i - 1);
+    if (from >= 0 && Math.sign(d.z) !== Math.sign(data[from].z)) close(i - 1);
+    if (from < 0) from = i;
+  });
+  close(data.length - 1);
+  return streaks;
+}
+
+function summarizeEpisode(data, startIndex, endIndex, signals, streaks, returnType) {
+  const ups = signals.filter((d) => d.z > 0).length;
+  const downs = signals.length - ups;
+  const peak = signals.reduce((a, d) => (Math.abs(d.z) > Math.abs(a.z) ? d : a));
+  const inside = streaks.filter((r) => r.startIndex >= startIndex && r.endIndex <= endIndex);
+  return {
+    kind: signals.length === 1 ? "shock" : "cluster",
+    direction: ups && downs ? "mixed" : ups ? "up" : "down",
+    start: data[startIndex].date,
+    end: data[endIndex].date,
+    startIndex,
+    endIndex,
+    bars: endIndex - startIndex + 1,
+    events: signals.length,
+    ups,
+    downs,
+    peakZ: peak.z,
+    peakDate: peak.date,
+    cumReturn: cumulativeReturn(data, startIndex, endIndex, returnType),
+    streaks: inside,
+    // In consecutive bars; a lone signal is a run of 1
+    longestStreak: Math.max(1, ...inside.map((r) => r.bars)),
+    signals,
+  };
+}
+
+// → episodes in date order
+export function findEpisodes(data, threshold, { gap = DEFAULT_GAP, returnType = "simple" } = {}) {
+  const episodes = [];
+  let current = null;
+  data.forEach((d, i) => {
+    if (Math.abs(d.z) < threshold) return;
+    if (current && i - current.end <= gap) {
+      current.end = i;
+      current.signals.push(d);
+    } else {
+      if (current) episodes.push(current);
+      current = { start: i, end: i, signals: [d] };
+    }
+  });
+  if (current) episodes.push(current);
+  const streaks = findStreaks(data, threshold, { returnType });
+  return episodes.map((e) => summarizeEpisode(data, e.start, e.end, e.signals, streaks, returnType));
+}
+
+// Counts by kind, streaks and the longest one (in bars), and the share of
+// events that came in groups rather than alone — near 0 for one-off shocks,
+// near 1 when volatility clusters
+export function episodeStats(episodes) {
+  const counts = { shock: 0, cluster: 0 };
+  let events = 0, grouped = 0, streaks = 0, longestStreak = 0;
+  for (const e of episodes) {
+    counts[e.kind]++;
+    events += e.events;
+    if (e.events > 1) grouped += e.events;
+    streaks += e.streaks.length;
+    longestStreak = Math.max(longestStreak, e.longestStreak);
+  }
+  return { ...counts, streaks, longestStreak, events, groupedShare: events ? grouped / events : 0 };
+}
@@ -0,0 +1,72 @@
+// ── Event study ────────────────────────────────────────────
+// What happened after each ≥threshold bar: forward returns over the next
+// h bars, split by direction and compared with every bar (the unconditional
+// baseline). Works on the z-scored records from runPipeline.
+
+export const HORIZONS = [1, 5, 20, 60];
+
+// Return from bar i's close to bar i+h's close, in the same units as the
+// chart (simple or log). null when the series ends first.
+export function forwardReturn(data, i, h, returnType = "simple") {
+  const end = data[i + h];
+  if (!end) return null;
+  const ratio = end.close / data[i].close;
+  return returnType === "log" ? Math.log(ratio) : ratio - 1;
+}
+
+// Linear-interpolated quantile of an ascending array
+function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+export function summarize(vals) {
+  const n = vals.length;
+  if (n === 0) return { n: 0 };
+  const sorted = [...vals].sort((a, b) => a - b);
+  const mean = vals.reduce((a, b) => a + b, 0) / n;
+  const std = n > 1 ? Math.sqrt(vals.reduce((a, v) => a + (v - mean) ** 2, 0) / (n - 1)) : 0;
+  return {
+    n, mean, std,
+    median: quantile(sorted, 0.5),
+    hitRate: vals.filter((v) => v > 0).length / n,
+    q10: quantile(sorted, 0.1),
+    q25: quantile(sorted, 0.25),
+    q75: quantile(sorted, 0.75),
+    q90: quantile(sorted, 0.9),
+  };
+}
+
+// → { horizons, up: { count, [h]: summary }, down: {...}, baseline: {...} }
+// Each summary also carries `t`: Welch's t for its mean vs. the baseline's.
+// Overlapping windows (clustered signals) make t optimistic.
+export function eventStudy(data, threshold, { horizons = HORIZONS, returnType = "simple" } = {}) {
+  const groups = { up: { count: 0 }, down: { count: 0 }, baseline: { count: data.length } };
+  for (const d of data) {
+    if (d.z >= threshold) groups.up.count++;
+    else if (d.z <= -threshold) groups.down.count++;
+  }
+  for (const h of horizons) {
+    const fwd = { up: [], down: [], baseline: [] };
+    for (let i = 0; i < data.length; i++) {
+      const r = forwardReturn(data, i, h, returnType);
+      if (r == null) break;
+      fwd.baseline.push(r);
+      if (data[i].z >= threshold) fwd.up.push(r);
+      else if (data[i].z <= -threshold) fwd.down.push(r);
+    }
+    const base = summarize(fwd.baseline);
+    groups.baseline[h] = base;
+    for (const key of ["up", "down"]) {
+      const sm = summarize(fwd[key]);
+      if (sm.n > 1 && base.n > 1) {
+        const se = Math.sqrt(sm.std ** 2 / sm.n + base.std ** 2 / base.n);
+        sm.t = se > 0 ? (sm.mean - base.mean) / se : 0;
+      }
+      groups[key][h] = sm;
+    }
+  }
+  return { horizons, ...groups };
+}
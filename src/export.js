@@ -0,0 +1,139 @@
+// ── Export ─────────────────────────────────────────────────
+// Dataset and chart exports shared by the browser and the server's
+// /api/export route. Everything here returns strings; saving them is the
+// caller's job.
+import { formatDate, YEAR_LABELED } from "./format.js";
+
+const GREEN = "#00c853";
+const RED = "#ff1744";
+const MAX_SIGMA = 5;
+
+const PERIOD_LABELS = { daily: "Daily", weekly: "Weekly", monthly: "Monthly", quarterly: "Quarterly", yearly: "Yearly" };
+const ESTIMATOR_LABELS = { stdev: "std dev", mad: "MAD", parkinson: "Parkinson", "garman-klass": "Garman-Klass" };
+
+// One line describing how the z-scores were produced
+export function describeSettings({ period, returnType, mode, window, estimator, lambda, threshold, adjusted }) {
+  const sigma = estimator === "ewma" ? `EWMA σ (λ ${lambda})`
+    : estimator === "garch" ? "GARCH(1,1) σ"
+    : `${mode === "rolling" ? `${window}-period rolling` : "full-sample"} ${ESTIMATOR_LABELS[estimator] || estimator} σ`;
+  return [
+    PERIOD_LABELS[period] || period,
+    `${returnType === "log" ? "log" : "simple"} returns`,
+    sigma,
+    `±${threshold}σ threshold`,
+    adjusted === false ? "raw prices" : "adjusted prices",
+  ].join(" · ");
+}
+
+// Bars inside [from, to] as flat records (a day-only `to` keeps that whole
+// day's intraday bars). Full-sample rows carry the global mean/std so every
+// row has localMean/localStd.
+export function exportRows(stats, threshold, { from, to } = {}) {
+  return stats.data
+    .filter((d) => (!from || d.date >= from) && (!to || d.date.slice(0, to.length) <= to))
+    .map((d) => ({
+      date: d.date,
+      return: d.ret,
+      z: d.z,
+      localMean: d.localMean ?? stats.mean,
+      localStd: d.localStd ?? stats.std,
+      signal: Math.abs(d.z) >= threshold,
+    }));
+}
+
+export function rowsToCsv(rows) {
+  const lines = ["date,return,z,localMean,localStd,signal"];
+  for (const r of rows) {
+    lines.push([r.date, r.return, r.z, r.localMean, r.localStd, r.signal ? 1 : 0].join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+export function rowsToJson(rows, meta) {
+  return JSON.stringify({
+    ...meta,
+    generatedAt: new Date().toISOString(),
+    bars: rows.length,
+    signals: rows.filter((r) => r.signal).length,
+    rows,
+  }, null, 2);
+}
+
+// Base name for downloads: SPY-daily-2024-01-02_2024-12-31
+export function exportFileName(ticker, period, rows) {
+  const span = rows.length ? `-${rows[0].date}_${rows[rows.length - 1].date}`.replace(/:/g, "") : "";
+  return `${ticker.replace(/[^\w.-]+/g, "_")}-${period}${span}`;
+}
+
+const esc = (str) => String(str).replace(/[<>&"]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" })[c]);
+
+// Standalone SVG of the deviation chart: title, settings line, bars and legend
+export function renderChartSvg(rows, { ticker, name, period, threshold, settings, width = 1000 }) {
+  const padL = 56, padR = 16, top = 78, plotH = 400, axisH = 50, legendH = 40;
+  const height = top + plotH + axisH + legendH;
+  const plotW = width - padL - padR;
+  const midY = top + plotH / 2;
+  const yOf = (z) => midY - (Math.max(-MAX_SIGMA, Math.min(MAX_SIGMA, z)) / MAX_SIGMA) * (plotH / 2);
+  const step = rows.length ? plotW / rows.length : plotW;
+  const barW = step > 3 ? step * 0.8 : Math.max(0.5, step);
+  const font = `font-family="'JetBrains Mono', Menlo, monospace"`;
+  const out = [];
+
+  out.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" ${font}>`);
+  out.push(`<rect width="${width}" height="${height}" fill="#08080c"/>`);
+  out.push(`<text x="${padL}" y="30" font-size="22" font-weight="800" fill="#d4d0c8">${esc(ticker)}`
+    + (name ? `<tspan font-size="13" font-weight="400" fill="#999" dx="12">${esc(name)}</tspan>` : "") + "</text>");
+  out.push(`<text x="${padL}" y="50" font-size="11" fill="#888">${esc(settings)}</text>`);
+  if (rows.length) {
+    out.push(`<text x="${padL}" y="66" font-size="11" fill="#666">${rows[0].date} → ${rows[rows.length - 1].date} · ${rows.length} periods</text>`);
+  }
+
+  // Grid, threshold band and labels
+  const tY = yOf(threshold);
+  out.push(`<rect x="${padL}" y="${tY}" width="${plotW}" height="${midY - tY}" fill="${GREEN}" fill-opacity="0.03"/>`);
+  out.push(`<rect x="${padL}" y="${midY}" width="${plotW}" height="${midY - tY}" fill="${RED}" fill-opacity="0.03"/>`);
+  for (let v = MAX_SIGMA; v >= -MAX_SIGMA; v--) {
+    const y = yOf(v);
+    const beyond = Math.abs(v) >= threshold;
+    out.push(`<line x1="${padL}" x2="${width - padR}" y1="${y}" y2="${y}" stroke="${v === 0 ? "#3a3a4a" : "#151524"}" stroke-width="${v === 0 ? 1.5 : 1}"/>`);
+    out.push(`<text x="${padL - 6}" y="${y + 3.5}" text-anchor="end" font-size="11" fill="${beyond ? "#ff9100" : "#555"}">${v > 0 ? `+${v}σ` : v === 0 ? "0" : `${v}σ`}</text>`);
+  }
+  for (const t of [threshold, -threshold]) {
+    out.push(`<line x1="${padL}" x2="${width - padR}" y1="${yOf(t)}" y2="${yOf(t)}" stroke="#ff9100" stroke-opacity="0.3" stroke-dasharray="4 4"/>`);
+  }
+
+  // Bars and date labels
+  const labelEvery = Math.max(1, Math.ceil(72 / step));
+  rows.forEach((r, i) => {
+    const x = padL + i * step + (step - barW) / 2;
+    const barH = (Math.min(Math.abs(r.z), MAX_SIGMA) / MAX_SIGMA) * (plotH / 2);
+    const color = r.z >= 0 ? GREEN : RED;
+    out.push(`<rect x="${x.toFixed(2)}" y="${(r.z >= 0 ? midY - barH : midY).toFixed(2)}" width="${barW.toFixed(2)}" height="${Math.max(0.5, barH).toFixed(2)}" fill="${color}" fill-opacity="${r.signal ? 0.9 : 0.3}"/>`);
+    if (i % labelEvery === 0) {
+      const cx = (x + barW / 2).toFixed(1);
+      out.push(`<text x="${cx}" y="${top + plotH + 18}" text-anchor="middle" font-size="10" fill="#bbb">${esc(formatDate(r.date, period))}</text>`);
+      if (!YEAR_LABELED.includes(period)) {
+        out.push(`<text x="${cx}" y="${top + plotH + 31}" text-anchor="middle" font-size="9" fill="#888">${r.date.slice(0, 4)}</text>`);
+      }
+    }
+  });
+
+  // Legend
+  const signals = rows.filter((r) => r.signal);
+  const up = signals.filter((r) => r.z >= 0).length;
+  const legend = [
+    [GREEN, 0.9, `Positive ≥ ${threshold}σ (${up})`],
+    [RED, 0.9, `Negative ≥ ${threshold}σ (${signals.length - up})`],
+    [GREEN, 0.3, "Within normal"],
+  ];
+  let lx = padL;
+  const ly = top + plotH + axisH + 14;
+  for (const [color, opacity, label] of legend) {
+    out.push(`<rect x="${lx}" y="${ly - 9}" width="10" height="10" rx="2" fill="${color}" fill-opacity="${opacity}"/>`);
+    out.push(`<text x="${lx + 16}" y="${ly}" font-size="11" fill="#999">${esc(label)}</text>`);
+    lx += 24 + label.length * 7;
+  }
+  out.push(`<text x="${width - padR}" y="${ly}" text-anchor="end" font-size="9" fill="#444">σ Tracker</text>`);
+  out.push("</svg>");
+  return out.join("\n");
+}
@@ -0,0 +1,45 @@
+// ── Formatting ─────────────────────────────────────────────
+const MONTHS = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
+
+// Periods whose axis label already carries the year
+export const YEAR_LABELED = ["monthly", "quarterly", "yearly"];
+
+// Bar dates are exchange wall-clock times ("YYYY-MM-DD" or "YYYY-MM-DDTHH:mm");
+// parsing without a zone keeps them on that clock whatever the browser's zone
+export const hasTime = (dateStr) => dateStr.length > 10;
+export const parseDate = (dateStr) => new Date(hasTime(dateStr) ? dateStr : dateStr + "T00:00:00");
+
+// Short axis label for a bar
+export function formatDate(dateStr, period) {
+  const d = parseDate(dateStr);
+  if (period === "daily" && hasTime(dateStr)) return dateStr.slice(11, 16);
+  const yy = String(d.getFullYear()).slice(2);
+  if (period === "monthly") return `${MONTHS[d.getMonth()]} '${yy}`;
+  if (period === "quarterly") return `Q${Math.floor(d.getMonth() / 3) + 1} '${yy}`;
+  if (period === "yearly") return String(d.getFullYear());
+  return `${MONTHS[d.getMonth()]} ${d.getDate()}`;
+}
+
+// Second axis line: the year, or the day for intraday bars
+export function formatDateContext(dateStr, period) {
+  const d = parseDate(dateStr);
+  if (period === "daily" && hasTime(dateStr)) return `${MONTHS[d.getMonth()]} ${d.getDate()}`;
+  return String(d.getFullYear());
+}
+
+// Full label for tooltips and the signal list
+export function formatPeriod(d, period) {
+  const full = (str) => parseDate(str).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" });
+  const date = parseDate(d.date);
+  if (period === "weekly") return `Week of ${full(d.periodKey || d.date)}`;
+  if (period === "monthly") return date.toLocaleDateString("en-US", { month: "long", year: "numeric" });
+  if (period === "quarterly") return `Q${Math.floor(date.getMonth() / 3) + 1} ${date.getFullYear()}`;
+  if (period === "yearly") return String(date.getFullYear());
+  return hasTime(d.date) ? `${full(d.date)} ${d.date.slice(11, 16)}` : full(d.date);
+}
+
+export const REGIMES = {
+  expanding: { label: "▲ Expanding", color: "#ff5252" },
+  contracting: { label: "▼ Contracting", color: "#00c853" },
+  stable: { label: "● Stable", color: "#888" },
+};
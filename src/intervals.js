@@ -0,0 +1,52 @@
+// ── Bar intervals ──────────────────────────────────────────
+// Shared by the server (providers, live feed) and the UI. Daily bars are
+// dated "YYYY-MM-DD"; intraday bars "YYYY-MM-DDTHH:mm" in the exchange's own
+// timezone, so dates still sort as strings and a day prefix still selects a
+// session. `days` is the default history window (Yahoo's intraday limits).
+
+export const INTERVALS = [
+  { key: "1d", label: "1D", seconds: 86400, days: 3 * 365 },
+  { key: "1h", label: "1h", seconds: 3600, days: 729 },
+  { key: "15m", label: "15m", seconds: 900, days: 59 },
+  { key: "5m", label: "5m", seconds: 300, days: 59 },
+  { key: "1m", label: "1m", seconds: 60, days: 7 },
+];
+
+export const intervalOf = (key) => INTERVALS.find((i) => i.key === key);
+
+export const isIntraday = (key) => intervalOf(key)?.seconds < 86400;
+
+// Bar date for a unix timestamp, as seen on the exchange's wall clock
+const formatters = new Map();
+export function barDate(unixSeconds, timezone = "UTC", intraday = false) {
+  let fmt = formatters.get(timezone);
+  if (!fmt) {
+    try {
+      fmt = new Intl.DateTimeFormat("en-CA", {
+        timeZone: timezone, year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", hourCycle: "h23",
+      });
+    } catch {
+      // Unknown zone name from a provider: fall back to UTC
+      return barDate(unixSeconds, "UTC", intraday);
+    }
+    formatters.set(timezone, fmt);
+  }
+  const p = Object.fromEntries(fmt.formatToParts(new Date(unixSeconds * 1000)).map((x) => [x.type, x.value]));
+  const day = `${p.year}-${p.month}-${p.day}`;
+  return intraday ? `${day}T${p.hour}:${p.minute}` : day;
+}
+
+// Fold updated bars (sorted by date) into a history: same date replaces,
+// newer dates append. Returns a new array.
+export function mergeBars(prices, bars) {
+  if (!bars.length) return prices;
+  const out = prices.slice();
+  const index = new Map();
+  for (let i = out.length - 1; i >= 0 && out[i].date >= bars[0].date; i--) index.set(out[i].date, i);
+  for (const bar of bars) {
+    const last = out[out.length - 1];
+    if (index.has(bar.date)) out[index.get(bar.date)] = bar;
+    else if (!last || bar.date > last.date) out.push(bar);
+  }
+  return out;
+}
@@ -0,0 +1,91 @@
+// ── Pairs ──────────────────────────────────────────────────
+// "AAPL/QQQ" in the ticker box loads both legs, aligns them on common dates
+// and turns them into one synthetic close series the normal pipeline can
+// score:
+//
+//   ratio  A / B                         relative strength
+//   spread 100 × Π(1 + rA − rB)          dollar-neutral long A / short B
+//   beta   100 × Π(1 + rA − β·rB)        residual after hedging B's beta,
+//                                        β from the prior BETA_WINDOW bars
+
+export const PAIR_MODES = [
+  { key: "ratio", label: "Ratio", desc: "A ÷ B — relative strength" },
+  { key: "spread", label: "Spread", desc: "Return spread rA − rB, compounded" },
+  { key: "beta", label: "β-hedged", desc: "Residual rA − β·rB with a rolling OLS beta" },
+];
+
+export const BETA_WINDOW = 60;
+const MIN_BETA_OBS = 20;
+
+// "AAPL/QQQ" → { a: "AAPL", b: "QQQ" }; anything else → null
+export function parsePair(expr) {
+  const parts = String(expr).split("/").map((p) => p.trim().toUpperCase());
+  return parts.length === 2 && parts[0] && parts[1] ? { a: parts[0], b: parts[1] } : null;
+}
+
+// Inner join on date → [{ date, a, b }] of closes
+export function alignByDate(pricesA, pricesB) {
+  const byDate = new Map(pricesB.map((p) => [p.date, p.close]));
+  const rows = [];
+  for (const p of pricesA) {
+    const b = byDate.get(p.date);
+    if (b != null && b > 0 && p.close > 0) rows.push({ date: p.date, a: p.close, b });
+  }
+  return rows;
+}
+
+// OLS slope of y on x
+function slope(xs, ys) {
+  const n = xs.length;
+  let mx = 0, my = 0;
+  for (let i = 0; i < n; i++) { mx += xs[i]; my += ys[i]; }
+  mx /= n; my /= n;
+  let cov = 0, vx = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (xs[i] - mx) * (ys[i] - my);
+    vx += (xs[i] - mx) ** 2;
+  }
+  return vx > 0 ? cov / vx : 1;
+}
+
+// Aligned rows → price records ({ date, close, open/high/low: null, beta? })
+export function buildPairSeries(rows, mode) {
+  if (mode === "ratio") {
+    return rows.map((r) => ({ date: r.date, open: null, high: null, low: null, close: r.a / r.b }));
+  }
+  const out = [];
+  const ra = [], rb = [];
+  let level = 100;
+  rows.forEach((r, i) => {
+    let beta = mode === "spread" ? 1 : null;
+    if (i > 0) {
+      const a = r.a / rows[i - 1].a - 1;
+      const b = r.b / rows[i - 1].b - 1;
+      if (mode === "beta") {
+        const from = Math.max(0, ra.length - BETA_WINDOW);
+        beta = ra.length >= MIN_BETA_OBS ? slope(rb.slice(from), ra.slice(from)) : 1;
+      }
+      level *= Math.max(1e-6, 1 + a - beta * b);
+      ra.push(a);
+      rb.push(b);
+    }
+    out.push({ date: r.date, open: null, high: null, low: null, close: level, beta });
+  });
+  return out;
+}
+
+// Loaded legs → the same shape /api/history returns, so the rest of the app
+// doesn't need to know it's a pair
+export function pairHistory({ a, b, rows }, mode) {
+  const label = PAIR_MODES.find((m) => m.key === mode)?.label || mode;
+  return {
+    ticker: `${a.ticker}/${b.ticker}`,
+    name: `${a.name || a.ticker} vs ${b.name || b.ticker} · ${label}`,
+    exchange: [a.exchange, b.exchange].filter(Boolean).join(" / "),
+    currency: a.currency === b.currency ? a.currency : null,
+    adjusted: a.adjusted,
+    events: { splits: [], dividends: [] },
+    prices: buildPairSeries(rows, mode),
+    pair: { a: a.ticker, b: b.ticker, mode },
+  };
+}
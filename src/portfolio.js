@@ -0,0 +1,143 @@
+// ── Portfolios ─────────────────────────────────────────────
+// A saved portfolio ({ id, name, holdings: [{ ticker, weight }], rebalance })
+// opens as "@id" in the ticker box. Its holdings are aligned on common dates
+// and turned into a NAV series (start 100) the normal pipeline can score, the
+// same way pairs are. Each bar also records every holding's P&L so moves can
+// be broken down by holding.
+import { periodKey } from "./stats.js";
+import { parseDate } from "./format.js";
+
+export const REBALANCE_OPTIONS = [
+  { key: "none", label: "Buy & hold", desc: "Set the weights once and let them drift" },
+  { key: "daily", label: "Daily", desc: "Back to target weights at every session close" },
+  { key: "weekly", label: "Weekly", desc: "Back to target weights at the end of each ISO week" },
+  { key: "monthly", label: "Monthly", desc: "Back to target weights at the end of each month" },
+  { key: "quarterly", label: "Quarterly", desc: "Back to target weights at the end of each quarter" },
+];
+
+const DAY_MS = 86400000;
+
+// "@3f9a0c1e" → "3f9a0c1e"; anything else → null. Ids are lowercase hex,
+// and the ticker box upper-cases what's typed.
+export function parsePortfolioRef(expr) {
+  return /^@([\w-]{1,31})$/.exec(String(expr).trim())?.[1].toLowerCase() ?? null;
+}
+
+// Target weights scaled to sum to 1
+export function normalizeWeights(holdings) {
+  const total = holdings.reduce((a, h) => a + h.weight, 0);
+  return holdings.map((h) => (total > 0 ? h.weight / total : 0));
+}
+
+// Inner join of every holding's closes → [{ date, closes: [..] }]
+export function alignHoldings(priceLists) {
+  const maps = priceLists.slice(1).map((prices) => new Map(prices.map((p) => [p.date, p.close])));
+  const rows = [];
+  for (const p of priceLists[0] || []) {
+    const closes = [p.close];
+    for (const m of maps) closes.push(m.get(p.date));
+    if (closes.every((c) => c > 0)) rows.push({ date: p.date, closes });
+  }
+  return rows;
+}
+
+const bucket = (date, rebalance) => (rebalance === "daily" ? date.slice(0, 10) : periodKey(date, rebalance));
+
+// Aligned rows → price records ({ date, close: NAV, weights, pnl }).
+// `weights` are the holdings' shares of NAV at the bar's close (before any
+// rebalance); `pnl` is each holding's gain over the bar in NAV points.
+// Rebalancing happens at the close of the last bar of each period.
+export function buildPortfolioSeries(rows, targets, rebalance = "none") {
+  const out = [];
+  let values = targets.map((w) => 100 * w);
+  rows.forEach((r, t) => {
+    let pnl = targets.map(() => 0);
+    if (t > 0) {
+      const prev = rows[t - 1].closes;
+      pnl = values.map((v, i) => v * (r.closes[i] / prev[i] - 1));
+      values = values.map((v, i) => v + pnl[i]);
+    }
+    const nav = values.reduce((a, b) => a + b, 0);
+    out.push({ date: r.date, open: null, high: null, low: null, close: nav, weights: values.map((v) => v / nav), pnl });
+    const next = rows[t + 1];
+    if (rebalance !== "none" && next && bucket(next.date, rebalance) !== bucket(r.date, rebalance)) {
+      values = targets.map((w) => nav * w);
+    }
+  });
+  return out;
+}
+
+// Loaded holdings → the same shape /api/history returns
+export function portfolioHistory({ portfolio, legs, rows }) {
+  const targets = normalizeWeights(portfolio.holdings);
+  const tickers = portfolio.holdings.map((h) => h.ticker);
+  const currencies = new Set(legs.map((l) => l.currency));
+  return {
+    ticker: `@${portfolio.id}`,
+    name: `${portfolio.name} · portfolio`,
+    exchange: tickers.map((t, i) => `${t} ${(targets[i] * 100).toFixed(0)}%`).join(" · "),
+    currency: currencies.size === 1 ? legs[0].currency : null,
+    adjusted: legs[0]?.adjusted,
+    events: { splits: [], dividends: [] },
+    prices: buildPortfolioSeries(rows, targets, portfolio.rebalance),
+    portfolio: { id: portfolio.id, name: portfolio.name, tickers, targets, rebalance: portfolio.rebalance },
+  };
+}
+
+// Each holding's share of portfolio variance over [from, to] (Euler
+// decomposition w_i·(Σw)_i / wᵀΣw) at the weights held on the last bar,
+// plus standalone and portfolio vol annualized by the bar frequency
+export function riskContribution(rows, prices, tickers, { from, to } = {}) {
+  const lo = rows.findIndex((r) => !from || r.date >= from);
+  let hi = rows.length - 1;
+  while (hi > 0 && to && rows[hi].date > to) hi--;
+  if (lo < 0 || hi - lo < 2) return null;
+  const rets = [];
+  for (let t = lo + 1; t <= hi; t++) rets.push(rows[t].closes.map((c, i) => c / rows[t - 1].closes[i] - 1));
+  const n = rets.length;
+  const mean = tickers.map((_, i) => rets.reduce((a, r) => a + r[i], 0) / n);
+  const cov = tickers.map((_, i) => tickers.map((_, j) => rets.reduce((a, r) => a + (r[i] - mean[i]) * (r[j] - mean[j]), 0) / (n - 1)));
+  const w = prices[hi].weights;
+  const sigmaW = cov.map((row) => row.reduce((a, c, j) => a + c * w[j], 0));
+  const variance = w.reduce((a, wi, i) => a + wi * sigmaW[i], 0);
+  const years = (parseDate(rows[hi].date) - parseDate(rows[lo].date)) / DAY_MS / 365.25;
+  const annualize = Math.sqrt(years > 0 ? n / years : 252);
+  return {
+    from: rows[lo].date,
+    to: rows[hi].date,
+    vol: Math.sqrt(variance) * annualize,
+    holdings: tickers.map((ticker, i) => ({
+      ticker,
+      weight: w[i],
+      vol: Math.sqrt(cov[i][i]) * annualize,
+      contribution: variance > 0 ? (w[i] * sigmaW[i]) / variance : 0,
+    })).sort((a, b) => b.contribution - a.contribution),
+  };
+}
+
+// Which holdings drove each ≥threshold move: every scored bar beyond the
+// threshold with each holding's P&L over that period as a share of the NAV
+// it started from (the shares add up to the period's simple return)
+export function moveBreakdown(prices, data, threshold, period, tickers) {
+  const index = new Map(prices.map((p, i) => [p.date, i]));
+  const moves = [];
+  for (const d of data) {
+    if (Math.abs(d.z) < threshold) continue;
+    const end = index.get(d.date);
+    if (end == null) continue;
+    let start = end - 1;
+    while (start > 0 && periodKey(prices[start].date, period) === d.periodKey) start--;
+    const base = prices[start].close;
+    const sums = tickers.map(() => 0);
+    for (let t = start + 1; t <= end; t++) prices[t].pnl.forEach((v, i) => { sums[i] += v; });
+    moves.push({
+      date: d.date,
+      periodKey: d.periodKey,
+      z: d.z,
+      ret: prices[end].close / base - 1,
+      holdings: tickers.map((ticker, i) => ({ ticker, contribution: sums[i] / base }))
+        .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution)),
+    });
+  }
+  return moves.sort((a, b) => Math.abs(b.z) - Math.abs(a.z));
+}
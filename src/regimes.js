@@ -0,0 +1,159 @@
+// ── Volatility regimes ─────────────────────────────────────
+// Classify every date of computeVolatilityHistory() as expanding / stable /
+// contracting. Each method only uses data up to that date, so the history
+// shows what the classifier would have said at the time.
+//
+//   ratio     short-window vol ÷ long-window vol against fixed cutoffs
+//             (the original header rule: 20d / 252d vs 1.15 / 0.85)
+//   volOfVol  log change of the short vol over `horizon` days, ranked
+//             against its own trailing `lookback`-day distribution
+//   markov    two-state Markov-switching model of daily returns (low/high σ)
+//             refitted by EM on the expanding window every REFIT_EVERY
+//             bars; filtered P(high) above/below the cutoffs
+import { computeVolatilityHistory } from "./stats.js";
+
+export const REGIME_METHODS = [
+  { key: "ratio", label: "Vol ratio", desc: "Short ÷ long realized vol against fixed cutoffs" },
+  { key: "volOfVol", label: "Vol-of-vol", desc: "Change in short vol ranked against its own history" },
+  { key: "markov", label: "Markov", desc: "Two-state Markov-switching model (low / high σ)" },
+];
+
+export const DEFAULT_REGIME_CONFIG = {
+  method: "ratio",
+  short: "20d", long: "252d", expand: 1.15, contract: 0.85,
+  horizon: 20, lookback: 252, upper: 80, lower: 20,
+  highProb: 0.65, lowProb: 0.35,
+};
+
+function byRatio(history, { short, long, expand, contract }) {
+  return history.map((h) => {
+    const s = h[short], l = h[long];
+    if (s == null || l == null || l === 0) return { date: h.date, key: null };
+    const score = s / l;
+    return { date: h.date, key: score > expand ? "expanding" : score < contract ? "contracting" : "stable", score };
+  });
+}
+
+function byVolOfVol(history, { short, horizon, lookback, upper, lower }) {
+  const changes = history.map((h, i) => {
+    const before = history[i - horizon]?.[short];
+    return h[short] != null && before ? Math.log(h[short] / before) : null;
+  });
+  return history.map((h, i) => {
+    const c = changes[i];
+    if (c == null) return { date: h.date, key: null };
+    const past = changes.slice(Math.max(0, i - lookback), i).filter((v) => v != null);
+    if (past.length < Math.min(lookback, 60)) return { date: h.date, key: null };
+    const rank = (past.filter((v) => v < c).length / past.length) * 100;
+    return { date: h.date, key: rank >= upper ? "expanding" : rank <= lower ? "contracting" : "stable", score: rank };
+  });
+}
+
+// ── Markov switching ──
+const normal = (x, mu, sd) => Math.exp(-0.5 * ((x - mu) / sd) ** 2) / (sd * Math.sqrt(2 * Math.PI));
+
+// Hamilton filter → { filtered, predicted, logLik } for state 0 (low) / 1 (high)
+function hamiltonFilter(rets, { mu, sd, p00, p11 }) {
+  const filtered = [], predicted = [];
+  let prev = [(1 - p11) / (2 - p00 - p11), (1 - p00) / (2 - p00 - p11)]; // ergodic start
+  let logLik = 0;
+  for (const r of rets) {
+    const pred = [prev[0] * p00 + prev[1] * (1 - p11), prev[0] * (1 - p00) + prev[1] * p11];
+    const joint = [pred[0] * Math.max(1e-300, normal(r, mu, sd[0])), pred[1] * Math.max(1e-300, normal(r, mu, sd[1]))];
+    const total = joint[0] + joint[1];
+    logLik += Math.log(total);
+    prev = [joint[0] / total, joint[1] / total];
+    predicted.push(pred);
+    filtered.push(prev);
+  }
+  return { filtered, predicted, logLik };
+}
+
+// EM (Baum-Welch with Kim's smoother) on daily log returns; `init` warm-starts
+// from an earlier fit's params
+export function fitMarkovSwitching(rets, { iterations = 60, tolerance = 1e-6, init } = {}) {
+  const n = rets.length;
+  const mu = rets.reduce((a, b) => a + b, 0) / n;
+  const std = Math.sqrt(rets.reduce((a, r) => a + (r - mu) ** 2, 0) / n) || 1e-4;
+  let params = init ? { ...init, mu } : { mu, sd: [std * 0.7, std * 1.5], p00: 0.95, p11: 0.95 };
+  let last = -Infinity;
+  let run = null;
+  for (let it = 0; it < iterations; it++) {
+    run = hamiltonFilter(rets, params);
+    const { filtered, predicted } = run;
+    const smoothed = new Array(n);
+    smoothed[n - 1] = filtered[n - 1];
+    const trans = [[0, 0], [0, 0]];
+    for (let t = n - 2; t >= 0; t--) {
+      const f = filtered[t], next = smoothed[t + 1], pred = predicted[t + 1];
+      const P = [[params.p00, 1 - params.p00], [1 - params.p11, params.p11]];
+      const s = [0, 0];
+      for (let i = 0; i < 2; i++) {
+        for (let j = 0; j < 2; j++) {
+          const jp = (f[i] * P[i][j] * next[j]) / Math.max(1e-300, pred[j]);
+          trans[i][j] += jp;
+          s[i] += jp;
+        }
+      }
+      smoothed[t] = s;
+    }
+    let w0 = 0, w1 = 0, v0 = 0, v1 = 0;
+    for (let t = 0; t < n; t++) {
+      const d2 = (rets[t] - mu) ** 2;
+      w0 += smoothed[t][0]; v0 += smoothed[t][0] * d2;
+      w1 += smoothed[t][1]; v1 += smoothed[t][1] * d2;
+    }
+    const clamp = (p) => Math.min(0.999, Math.max(0.5, p));
+    params = {
+      mu,
+      sd: [Math.sqrt(v0 / Math.max(1e-12, w0)) || std, Math.sqrt(v1 / Math.max(1e-12, w1)) || std],
+      p00: clamp(trans[0][0] / Math.max(1e-12, trans[0][0] + trans[0][1])),
+      p11: clamp(trans[1][1] / Math.max(1e-12, trans[1][0] + trans[1][1])),
+    };
+    if (params.sd[0] > params.sd[1]) {
+      params = { mu, sd: [params.sd[1], params.sd[0]], p00: params.p11, p11: params.p00 };
+    }
+    if (Math.abs(run.logLik - last) < tolerance) break;
+    last = run.logLik;
+  }
+  run = hamiltonFilter(rets, params);
+  return { params, pHigh: run.filtered.map((f) => f[1]), logLik: run.logLik };
+}
+
+const MIN_MARKOV_BARS = 50;
+const REFIT_EVERY = 21;
+
+// Each fit sees returns up to the refit date only, and the filter carries its
+// params forward to the next refit, so no date's P(high) uses later data.
+// `model` is the latest fit.
+function byMarkov(history, { highProb, lowProb }) {
+  const rets = history.map((h) => h.ret);
+  const pHigh = new Array(history.length).fill(null);
+  let model = null;
+  for (let k = MIN_MARKOV_BARS; k <= history.length; k += REFIT_EVERY) {
+    model = fitMarkovSwitching(rets.slice(0, k), { init: model?.params });
+    const end = Math.min(history.length, k + REFIT_EVERY - 1);
+    const { filtered } = hamiltonFilter(rets.slice(0, end), model.params);
+    for (let i = k - 1; i < end; i++) pHigh[i] = filtered[i][1];
+  }
+  const rows = history.map((h, i) => {
+    const p = pHigh[i];
+    if (p == null) return { date: h.date, key: null };
+    return { date: h.date, key: p >= highProb ? "expanding" : p <= lowProb ? "contracting" : "stable", score: p };
+  });
+  return { rows, model };
+}
+
+// → { rows: [{ date, key, score }], model? } aligned with `history`
+export function regimeHistory(history, config = DEFAULT_REGIME_CONFIG) {
+  const c = { ...DEFAULT_REGIME_CONFIG, ...config };
+  if (c.method === "markov") return byMarkov(history, c);
+  return { rows: c.method === "volOfVol" ? byVolOfVol(history, c) : byRatio(history, c), model: null };
+}
+
+// Realized-vol history of raw bars plus its regimes, kept together so rows
+// line up with volHistory. Slow with markov: the stats worker runs it
+export function priceRegimes(prices, config) {
+  const volHistory = computeVolatilityHistory(prices || []);
+  return { volHistory, ...regimeHistory(volHistory, config) };
+}
@@ -0,0 +1,422 @@
+// ── Returns ────────────────────────────────────────────────
+// Calendar bucket a bar date falls in. Weeks are ISO weeks keyed by their
+// Monday, so crypto weekends and exchange holidays land in the right week.
+// "daily" keeps every bar, intraday ones included
+export function periodKey(dateStr, period) {
+  const [y, m] = dateStr.split("-").map(Number);
+  if (period === "weekly") {
+    const d = new Date(dateStr.slice(0, 10) + "T00:00:00Z");
+    d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+    return d.toISOString().split("T")[0];
+  }
+  if (period === "monthly") return `${y}-${String(m).padStart(2, "0")}`;
+  if (period === "quarterly") return `${y}-Q${Math.ceil(m / 3)}`;
+  if (period === "yearly") return String(y);
+  return dateStr;
+}
+
+// Period return = last close of the period vs. last close of the previous one.
+// Each return is dated by the period's last bar; `periodKey` is the bucket key.
+// The period's open/high/low/close ride along for the range estimators
+export function computeReturns(prices, period, returnType = "simple") {
+  const bars = [];
+  for (const p of prices) {
+    const key = periodKey(p.date, period);
+    const last = bars[bars.length - 1];
+    if (last && last.key === key) {
+      last.close = p.close;
+      last.date = p.date;
+      last.high = last.high != null && p.high != null ? Math.max(last.high, p.high) : null;
+      last.low = last.low != null && p.low != null ? Math.min(last.low, p.low) : null;
+    } else {
+      bars.push({ key, date: p.date, open: p.open ?? null, high: p.high ?? null, low: p.low ?? null, close: p.close });
+    }
+  }
+  const returns = [];
+  for (let i = 1; i < bars.length; i++) {
+    const prev = bars[i - 1].close;
+    const b = bars[i];
+    returns.push({
+      ret: returnType === "log" ? Math.log(b.close / prev) : (b.close - prev) / prev,
+      date: b.date,
+      periodKey: b.key,
+      open: b.open,
+      high: b.high,
+      low: b.low,
+      close: b.close,
+    });
+  }
+  return returns;
+}
+
+// ── σ estimators ───────────────────────────────────────────
+const LN2 = Math.log(2);
+const MAD_SCALE = 1.4826; // makes MAD consistent with σ for normal data
+
+function median(vals) {
+  const sorted = [...vals].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Single-bar variance from the bar's range (log-return units), or null
+// when the provider gave no OHLC
+function rangeVariance(r, estimator) {
+  if (!(r.high > 0 && r.low > 0)) return null;
+  const hl = Math.log(r.high / r.low);
+  if (estimator === "parkinson") return (hl * hl) / (4 * LN2);
+  if (!(r.open > 0)) return null;
+  const co = Math.log(r.close / r.open);
+  return 0.5 * hl * hl - (2 * LN2 - 1) * co * co;
+}
+
+export function hasRangeData(returns) {
+  return returns.some((r) => r.high != null && r.low != null && r.open != null);
+}
+
+// Location & scale of a set of returns. "stdev" is the plain sample std,
+// "mad" is median-centred and outlier-resistant, "parkinson" and
+// "garman-klass" use each bar's range and fall back to the sample std
+// when no OHLC is available
+function estimate(slice, estimator) {
+  const n = slice.length;
+  if (n === 0) return { mean: 0, std: 0 };
+  const vals = slice.map((r) => r.ret);
+  if (estimator === "mad") {
+    const med = median(vals);
+    return { mean: med, std: MAD_SCALE * median(vals.map((v) => Math.abs(v - med))) };
+  }
+  const mean = vals.reduce((a, b) => a + b, 0) / n;
+  if (estimator === "parkinson" || estimator === "garman-klass") {
+    const vars = slice.map((r) => rangeVariance(r, estimator)).filter((v) => v != null && v >= 0);
+    if (vars.length > 0) return { mean, std: Math.sqrt(vars.reduce((a, b) => a + b, 0) / vars.length) };
+  }
+  const variance = n > 1 ? vals.reduce((a, b) => a + (b - mean) ** 2, 0) / (n - 1) : 0;
+  return { mean, std: Math.sqrt(variance) };
+}
+
+// Full-sample: one mean & std for the entire range
+export function computeStatsFullSample(returns, estimator = "stdev") {
+  if (returns.length === 0) return { mean: 0, std: 0, data: [] };
+  const { mean, std } = estimate(returns, estimator);
+  return {
+    mean, std,
+    data: returns.map((r) => ({ ...r, z: std === 0 ? 0 : (r.ret - mean) / std })),
+  };
+}
+
+// Streaming window accumulators: add() on the way in, remove() on the way
+// out, value() → { mean, std } matching estimate() for the same window
+
+// Welford's running mean / M2 with removal
+function welford() {
+  let n = 0, mean = 0, m2 = 0;
+  return {
+    add(x) { n++; const d = x - mean; mean += d / n; m2 += d * (x - mean); },
+    remove(x) {
+      if (n <= 1) { n = 0; mean = 0; m2 = 0; return; }
+      const d = x - mean;
+      n--;
+      mean -= d / n;
+      m2 = Math.max(0, m2 - d * (x - mean));
+    },
+    value: () => ({ mean, std: n > 1 ? Math.sqrt(m2 / (n - 1)) : 0 }),
+  };
+}
+
+// Index of the first element ≥ x in a sorted array
+function lowerBound(arr, x) {
+  let lo = 0, hi = arr.length;
+  while (lo < hi) { const mid = (lo + hi) >> 1; if (arr[mid] < x) lo = mid + 1; else hi = mid; }
+  return lo;
+}
+
+// Keeps the window sorted; the MAD is the k-th smallest |x − median|,
+// found by walking outwards from the median in O(window)
+function madWindow() {
+  const sorted = [];
+  return {
+    add(x) { sorted.splice(lowerBound(sorted, x), 0, x); },
+    remove(x) { sorted.splice(lowerBound(sorted, x), 1); },
+    value() {
+      const n = sorted.length;
+      if (n === 0) return { mean: 0, std: 0 };
+      const mid = n >> 1;
+      const med = n % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+      let lo = mid - 1, hi = mid, prev = 0, cur = 0;
+      for (let k = 0; k <= mid; k++) {
+        prev = cur;
+        const dl = lo >= 0 ? med - sorted[lo] : Infinity;
+        const dh = hi < n ? sorted[hi] - med : Infinity;
+        if (dl <= dh) { cur = dl; lo--; } else { cur = dh; hi++; }
+      }
+      const mad = n % 2 ? cur : (prev + cur) / 2;
+      return { mean: med, std: MAD_SCALE * mad };
+    },
+  };
+}
+
+// Mean of returns plus the mean single-bar range variance
+function rangeWindow(estimator) {
+  const rets = welford();
+  let sum = 0, count = 0;
+  const rv = (r) => { const v = rangeVariance(r, estimator); return v != null && v >= 0 ? v : null; };
+  return {
+    add(r) { rets.add(r.ret); const v = rv(r); if (v != null) { sum += v; count++; } },
+    remove(r) { rets.remove(r.ret); const v = rv(r); if (v != null) { sum -= v; count--; } },
+    value() {
+      const base = rets.value();
+      return count > 0 ? { mean: base.mean, std: Math.sqrt(Math.max(0, sum) / count) } : base;
+    },
+  };
+}
+
+function windowAccumulator(estimator) {
+  if (estimator === "mad") {
+    const w = madWindow();
+    return { add: (r) => w.add(r.ret), remove: (r) => w.remove(r.ret), value: w.value };
+  }
+  if (estimator === "parkinson" || estimator === "garman-klass") return rangeWindow(estimator);
+  const w = welford();
+  return { add: (r) => w.add(r.ret), remove: (r) => w.remove(r.ret), value: w.value };
+}
+
+// Rolling window: each bar's z-score is relative to the prior `window` periods.
+// The window slides through an accumulator, so this is O(n) rather than O(n·window)
+export function computeStatsRolling(returns, windowSize, estimator = "stdev") {
+  const data = [];
+  let totalMean = 0;
+  let totalStd = 0;
+  const acc = windowAccumulator(estimator);
+  let lo = 0, hi = 0; // accumulator holds returns[lo, hi)
+
+  for (let i = 0; i < returns.length; i++) {
+    // Until a full window exists, use everything so far (including this bar)
+    const from = i < windowSize ? 0 : i - windowSize;
+    const to = i < windowSize ? i + 1 : i;
+    while (hi < to) acc.add(returns[hi++]);
+    while (lo < from) acc.remove(returns[lo++]);
+    const { mean, std } = acc.value();
+    const z = std === 0 ? 0 : (returns[i].ret - mean) / std;
+    data.push({ ...returns[i], z, localMean: mean, localStd: std });
+    totalMean += mean;
+    totalStd += std;
+  }
+
+  const n = data.length;
+  return { mean: n > 0 ? totalMean / n : 0, std: n > 0 ? totalStd / n : 0, data };
+}
+
+// EWMA (RiskMetrics): σ²ₜ = λσ²ₜ₋₁ + (1−λ)r²ₜ₋₁, zero mean. Each bar is
+// scored against the variance known before it
+export function computeStatsEwma(returns, lambda = 0.94) {
+  const n = returns.length;
+  if (n === 0) return { mean: 0, std: 0, data: [] };
+  const seed = returns.slice(0, Math.min(20, n));
+  let variance = seed.reduce((a, r) => a + r.ret ** 2, 0) / seed.length;
+  let totalStd = 0;
+  const data = returns.map((r) => {
+    const std = Math.sqrt(variance);
+    variance = lambda * variance + (1 - lambda) * r.ret ** 2;
+    totalStd += std;
+    return { ...r, z: std === 0 ? 0 : r.ret / std, localMean: 0, localStd: std };
+  });
+  const mean = returns.reduce((a, r) => a + r.ret, 0) / n;
+  return { mean, std: totalStd / n, data };
+}
+
+// GARCH(1,1) with variance targeting (ω = v̄·(1−α−β)). Returns the negative
+// log-likelihood up to a constant
+function garchNll(resid, v, alpha, beta) {
+  if (alpha <= 0 || beta < 0 || alpha + beta >= 0.999) return Infinity;
+  const omega = v * (1 - alpha - beta);
+  let s2 = v;
+  let nll = 0;
+  for (const e of resid) {
+    nll += Math.log(s2) + (e * e) / s2;
+    s2 = omega + alpha * e * e + beta * s2;
+  }
+  return nll;
+}
+
+// Maximum likelihood by coarse grid search, then a finer grid around the best point
+export function fitGarch(vals) {
+  const n = vals.length;
+  const mu = vals.reduce((a, b) => a + b, 0) / n;
+  const resid = vals.map((x) => x - mu);
+  const v = resid.reduce((a, e) => a + e * e, 0) / n;
+  let best = { alpha: 0.05, beta: 0.9, nll: garchNll(resid, v, 0.05, 0.9) };
+  const search = (aFrom, aTo, bFrom, bTo, step) => {
+    for (let a = aFrom; a <= aTo + 1e-9; a += step) {
+      for (let b = bFrom; b <= bTo + 1e-9; b += step) {
+        const nll = garchNll(resid, v, a, b);
+        if (nll < best.nll) best = { alpha: a, beta: b, nll };
+      }
+    }
+  };
+  search(0.02, 0.3, 0.5, 0.98, 0.02);
+  search(Math.max(0.005, best.alpha - 0.02), best.alpha + 0.02, Math.max(0, best.beta - 0.02), best.beta + 0.02, 0.005);
+  return { mu, omega: v * (1 - best.alpha - best.beta), alpha: best.alpha, beta: best.beta, variance: v };
+}
+
+// Conditional σ from a GARCH(1,1) fitted over the whole loaded range. The
+// parameters see the full sample; the σ used for each bar does not
+export function computeStatsGarch(returns) {
+  const n = returns.length;
+  if (n < 30) return computeStatsFullSample(returns);
+  const params = fitGarch(returns.map((r) => r.ret));
+  let s2 = params.variance;
+  let totalStd = 0;
+  const data = returns.map((r) => {
+    const std = Math.sqrt(s2);
+    const e = r.ret - params.mu;
+    s2 = params.omega + params.alpha * e * e + params.beta * s2;
+    totalStd += std;
+    return { ...r, z: std === 0 ? 0 : e / std, localMean: params.mu, localStd: std };
+  });
+  return { mean: params.mu, std: totalStd / n, data, params };
+}
+
+// EWMA and GARCH are conditional models with no window; the others honour
+// full-sample vs. rolling mode
+export function computeStats(returns, { mode, window, estimator = "stdev", lambda }) {
+  if (estimator === "ewma") return computeStatsEwma(returns, lambda);
+  if (estimator === "garch") return computeStatsGarch(returns);
+  if (mode === "rolling") return computeStatsRolling(returns, window, estimator);
+  return computeStatsFullSample(returns, estimator);
+}
+
+// Whole pipeline behind the chart: prices → period returns → z-scores, plus
+// the daily volatility panel. Range estimators fall back to the plain std
+// dev when the series has no OHLC
+export function runPipeline(prices, { period, returnType, mode, window, estimator, lambda }) {
+  const returns = computeReturns(prices, period, returnType);
+  const rangeAvailable = hasRangeData(returns);
+  const needsRange = estimator === "parkinson" || estimator === "garman-klass";
+  const est = needsRange && !rangeAvailable ? "stdev" : estimator;
+  return {
+    returns,
+    rangeAvailable,
+    stats: computeStats(returns, { mode, window, estimator: est, lambda }),
+    volatility: computeVolatility(prices),
+  };
+}
+
+// ── Volatility ─────────────────────────────────────────────
+export const VOL_WINDOWS = [
+  { label: "20d", days: 20, desc: "~1 month" },
+  { label: "60d", days: 60, desc: "~1 quarter" },
+  { label: "120d", days: 120, desc: "~6 months" },
+  { label: "252d", days: 252, desc: "~1 year" },
+];
+
+const ANNUALIZATION = Math.sqrt(252);
+
+// Intraday bars → the last bar of each session, dated by its day
+export function dailyCloses(prices) {
+  if (!prices?.length || prices[0].date.length <= 10) return prices;
+  const out = [];
+  for (const p of prices) {
+    const day = { ...p, date: p.date.slice(0, 10) };
+    if (out.length && out[out.length - 1].date === day.date) out[out.length - 1] = day;
+    else out.push(day);
+  }
+  return out;
+}
+
+// Annualized realized volatility across multiple lookback windows
+// Uses daily returns from raw price data (always daily, regardless of chart timeframe
+// or bar interval)
+export function computeVolatility(bars) {
+  const prices = dailyCloses(bars);
+  if (!prices || prices.length < 2) return [];
+
+  // Compute daily log returns
+  const dailyReturns = [];
+  for (let i = 1; i < prices.length; i++) {
+    if (prices[i].close > 0 && prices[i - 1].close > 0) {
+      dailyReturns.push(Math.log(prices[i].close / prices[i - 1].close));
+    }
+  }
+
+  return VOL_WINDOWS.map((w) => {
+    const n = Math.min(w.days, dailyReturns.length);
+    if (n < 2) return { ...w, vol: null };
+    const slice = dailyReturns.slice(-n);
+    const mean = slice.reduce((a, b) => a + b, 0) / n;
+    const variance = slice.reduce((a, b) => a + (b - mean) ** 2, 0) / (n - 1);
+    const dailyStd = Math.sqrt(variance);
+    const annualizedVol = dailyStd * ANNUALIZATION * 100; // as percentage
+    return { ...w, vol: annualizedVol };
+  });
+}
+
+// The same realized vols at every date, streamed with running sums.
+// → [{ date, ret, "20d": vol | null, … }] from the second price on; a window
+// reports null until it is full
+export function computeVolatilityHistory(bars) {
+  const prices = dailyCloses(bars);
+  const out = [];
+  const rets = [];
+  const sums = VOL_WINDOWS.map(() => ({ s: 0, ss: 0 }));
+  for (let i = 1; i < (prices?.length ?? 0); i++) {
+    const prev = prices[i - 1].close, cur = prices[i].close;
+    if (!(prev > 0 && cur > 0)) continue;
+    const r = Math.log(cur / prev);
+    rets.push(r);
+    const row = { date: prices[i].date, ret: r };
+    VOL_WINDOWS.forEach((w, k) => {
+      const acc = sums[k];
+      acc.s += r; acc.ss += r * r;
+      if (rets.length > w.days) {
+        const old = rets[rets.length - 1 - w.days];
+        acc.s -= old; acc.ss -= old * old;
+      }
+      const n = w.days;
+      row[w.label] = rets.length >= n
+        ? Math.sqrt(Math.max(0, (acc.ss - (acc.s * acc.s) / n) / (n - 1))) * ANNUALIZATION * 100
+        : null;
+    });
+    out.push(row);
+  }
+  return out;
+}
+
+// ── Regime & scanner summaries ─────────────────────────────
+// Short-term vs. long-term realized vol: "expanding", "contracting" or "stable"
+export function classifyRegime(volatility, { expand = 1.15, contract = 0.85 } = {}) {
+  const v20 = volatility.find((v) => v.label === "20d")?.vol;
+  const v252 = volatility.find((v) => v.label === "252d")?.vol;
+  if (v20 == null || v252 == null) return null;
+  const ratio = v20 / v252;
+  return { key: ratio > expand ? "expanding" : ratio < contract ? "contracting" : "stable", ratio };
+}
+
+// One watchlist row from a runPipeline() result: the latest bar's z-score,
+// the σ it was measured against, vol, regime and time since the last signal
+export function summarizeLatest(result, threshold) {
+  const data = result.stats.data;
+  const last = data[data.length - 1];
+  if (!last) return null;
+  let lastSignal = null;
+  for (let i = data.length - 1; i >= 0; i--) {
+    if (Math.abs(data[i].z) >= threshold) { lastSignal = data[i]; break; }
+  }
+  const dayMs = 24 * 60 * 60 * 1000;
+  const vol = Object.fromEntries(result.volatility.map((v) => [v.label, v.vol]));
+  return {
+    date: last.date,
+    close: last.close,
+    ret: last.ret,
+    z: last.z,
+    sigma: last.localStd ?? result.stats.std,
+    vol20: vol["20d"] ?? null,
+    vol252: vol["252d"] ?? null,
+    regime: classifyRegime(result.volatility)?.key ?? null,
+    lastSignalDate: lastSignal?.date ?? null,
+    lastSignalZ: lastSignal?.z ?? null,
+    daysSinceSignal: lastSignal
+      ? Math.round((Date.parse(last.date) - Date.parse(lastSignal.date)) / dayMs)
+      : null,
+  };
+}
@@ -0,0 +1,28 @@
+// Runs the stats pipeline and the regime classifier off the main thread.
+// Price series are sent once ("load") and then referenced by id, so changing
+// the window or estimator only ships the options across.
+import { runPipeline } from "./stats.js";
+import { priceRegimes } from "./regimes.js";
+
+const JOBS = { compute: runPipeline, regimes: priceRegimes };
+
+const series = new Map();
+
+self.onmessage = (e) => {
+  const { id, type } = e.data;
+  if (type === "load") {
+    series.set(e.data.seriesId, e.data.prices);
+    return;
+  }
+  if (type === "drop") {
+    series.delete(e.data.seriesId);
+    return;
+  }
+  try {
+    const prices = series.get(e.data.seriesId);
+    if (!prices) throw new Error(`Unknown series ${e.data.seriesId}`);
+    self.postMessage({ id, result: JOBS[type](prices, e.data.options) });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
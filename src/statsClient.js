@@ -0,0 +1,113 @@
+import { useState, useEffect } from "react";
+import { runPipeline } from "./stats.js";
+import { priceRegimes } from "./regimes.js";
+
+// ── Worker client ──────────────────────────────────────────
+// computeStatsAsync(prices, options) resolves the same object as runPipeline,
+// computeRegimesAsync(prices, config) the same as priceRegimes. Both fall
+// back to the main thread where module workers aren't available.
+const JOBS = { compute: runPipeline, regimes: priceRegimes };
+let worker = null;
+let nextId = 1;
+const pending = new Map();
+let seriesIds = new WeakMap();
+
+// A worker that crashed or failed to load answers nothing: fail every pending
+// request and drop it, so the next call starts a fresh one
+function resetWorker(message) {
+  worker?.terminate();
+  worker = null;
+  seriesIds = new WeakMap();
+  for (const job of pending.values()) job.reject(new Error(message));
+  pending.clear();
+}
+
+function getWorker() {
+  if (worker || typeof Worker === "undefined") return worker;
+  try {
+    worker = new Worker(new URL("./stats.worker.js", import.meta.url), { type: "module" });
+  } catch {
+    return null;
+  }
+  worker.onmessage = (e) => {
+    const { id, result, error } = e.data;
+    const job = pending.get(id);
+    if (!job) return;
+    pending.delete(id);
+    if (error) job.reject(new Error(error));
+    else job.resolve(result);
+  };
+  worker.onerror = (e) => {
+    e.preventDefault();
+    resetWorker(`Stats worker failed: ${e.message || "could not load"}`);
+  };
+  worker.onmessageerror = () => resetWorker("Stats worker sent an unreadable message");
+  return worker;
+}
+
+// Ship each price array to the worker once, keyed by object identity
+function seriesIdFor(w, prices) {
+  let id = seriesIds.get(prices);
+  if (!id) {
+    id = nextId++;
+    seriesIds.set(prices, id);
+    w.postMessage({ type: "load", seriesId: id, prices });
+  }
+  return id;
+}
+
+function request(type, prices, options) {
+  const w = getWorker();
+  if (!w) return Promise.resolve(JOBS[type](prices, options));
+  const id = nextId++;
+  const seriesId = seriesIdFor(w, prices);
+  return new Promise((resolve, reject) => {
+    pending.set(id, { resolve, reject });
+    w.postMessage({ id, type, seriesId, options });
+  });
+}
+
+export const computeStatsAsync = (prices, options) => request("compute", prices, options);
+export const computeRegimesAsync = (prices, config) => request("regimes", prices, config);
+
+// Tell the worker a series is no longer needed
+export function releaseSeries(prices) {
+  const id = prices && seriesIds.get(prices);
+  if (!id || !worker) return;
+  worker.postMessage({ type: "drop", seriesId: id });
+  seriesIds.delete(prices);
+}
+
+const EMPTY = { returns: [], rangeAvailable: false, stats: { mean: 0, std: 0, data: [] }, volatility: [] };
+const NO_REGIMES = { volHistory: [], rows: [], model: null };
+
+// Keeps showing the previous result while a new one computes, and ignores
+// results that arrive after newer options were requested
+function useWorkerJob(type, prices, options, empty) {
+  const [state, setState] = useState({ result: empty, computing: false });
+  const key = JSON.stringify(options);
+
+  useEffect(() => {
+    if (!prices) {
+      setState({ result: empty, computing: false });
+      return;
+    }
+    let cancelled = false;
+    setState((prev) => ({ ...prev, computing: true }));
+    request(type, prices, options)
+      .then((result) => { if (!cancelled) setState({ result, computing: false }); })
+      .catch((err) => {
+        console.error(`Stats worker job "${type}" failed:`, err);
+        if (!cancelled) setState({ result: empty, computing: false });
+      });
+    return () => { cancelled = true; };
+  }, [prices, key]);
+
+  useEffect(() => () => releaseSeries(prices), [prices]);
+
+  return state;
+}
+
+// React hooks over computeStatsAsync / computeRegimesAsync
+export const useStats = (prices, options) => useWorkerJob("compute", prices, options, EMPTY);
+export const useRegimes = (prices, config) => useWorkerJob("regimes", prices, config, NO_REGIMES);
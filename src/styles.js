@@ -0,0 +1,20 @@
+// Shared inline styles
+export const s = {
+  label: { fontSize: 10, letterSpacing: 2, color: "#888", textTransform: "uppercase", marginBottom: 4 },
+  input: {
+    background: "#0f0f18", border: "1px solid #1e1e2a", borderRadius: 5,
+    color: "#e0ddd5", padding: "6px 10px", fontSize: 14, fontFamily: "inherit", outline: "none",
+  },
+  btn: (active) => ({
+    background: active ? "#1a1a2e" : "transparent",
+    border: active ? "1px solid #555" : "1px solid #2a2a34",
+    borderRadius: 4, color: active ? "#e0ddd5" : "#777",
+    padding: "6px 12px", fontSize: 13, cursor: "pointer", fontFamily: "inherit",
+    fontWeight: active ? 700 : 400, transition: "all 0.15s",
+  }),
+  presetBtn: {
+    background: "transparent", border: "1px solid #2a2a34", borderRadius: 4,
+    color: "#999", padding: "6px 8px", fontSize: 11, cursor: "pointer", fontFamily: "inherit",
+  },
+  panel: { background: "#0b0b14", border: "1px solid #151522", borderRadius: 10 },
+};
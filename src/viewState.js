@@ -0,0 +1,116 @@
+// ── View state ─────────────────────────────────────────────
+// Everything that defines what's on screen, as one plain object. It round-
+// trips through the URL query string (defaults omitted) and through saved
+// views in localStorage.
+import { INTERVALS } from "./intervals.js";
+
+export const DEFAULT_VIEW = {
+  view: "chart",
+  ticker: "SPY",
+  period: "daily",
+  threshold: 2,
+  sigmaMode: "rolling",
+  rollingWindow: 60,
+  returnType: "simple",
+  estimator: "stdev",
+  ewmaLambda: 0.94,
+  adjusted: true,
+  interval: "1d",
+  live: false,
+  pairMode: "ratio",
+  backtest: false,
+  distribution: false,
+  regimes: false,
+  startDate: "",
+  endDate: "",
+};
+
+// URL parameter name, and how to read it back; invalid values are dropped
+const DATE_RE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2})?$/;
+const oneOf = (...allowed) => (v) => (allowed.includes(v) ? v : undefined);
+const number = (min, max) => (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) && n >= min && n <= max ? n : undefined;
+};
+
+const FIELDS = {
+  view: ["view", oneOf("chart", "watchlist", "correlation", "alerts")],
+  ticker: ["t", (v) => (/^[\w.^=\-/@]{1,32}$/.test(v) ? v.toUpperCase() : undefined)],
+  period: ["period", oneOf("daily", "weekly", "monthly", "quarterly", "yearly")],
+  threshold: ["th", number(1, 5)],
+  sigmaMode: ["sigma", oneOf("full", "rolling")],
+  rollingWindow: ["w", number(2, 10000)],
+  returnType: ["ret", oneOf("simple", "log")],
+  estimator: ["est", oneOf("stdev", "mad", "ewma", "garch", "parkinson", "garman-klass")],
+  ewmaLambda: ["lambda", number(0.5, 0.999)],
+  adjusted: ["adj", (v) => (v === "0" ? false : v === "1" ? true : undefined)],
+  interval: ["i", oneOf(...INTERVALS.map((i) => i.key))],
+  live: ["live", (v) => (v === "1" ? true : v === "0" ? false : undefined)],
+  pairMode: ["pair", oneOf("ratio", "spread", "beta")],
+  backtest: ["bt", (v) => (v === "1" ? true : v === "0" ? false : undefined)],
+  distribution: ["dist", (v) => (v === "1" ? true : v === "0" ? false : undefined)],
+  regimes: ["rg", (v) => (v === "1" ? true : v === "0" ? false : undefined)],
+  startDate: ["from", (v) => (DATE_RE.test(v) ? v : undefined)],
+  endDate: ["to", (v) => (DATE_RE.test(v) ? v : undefined)],
+};
+
+// Fields that change continuously (dragging, zooming) replace the current
+// history entry instead of pushing a new one
+export const TRANSIENT_FIELDS = ["threshold", "startDate", "endDate"];
+
+export function parseViewState(search) {
+  const params = new URLSearchParams(search);
+  const state = {};
+  for (const [field, [param, read]] of Object.entries(FIELDS)) {
+    if (!params.has(param)) continue;
+    const value = read(params.get(param));
+    if (value !== undefined) state[field] = value;
+  }
+  return state;
+}
+
+export function serializeViewState(state) {
+  const params = new URLSearchParams();
+  for (const [field, [param]] of Object.entries(FIELDS)) {
+    const value = state[field];
+    if (value === undefined || value === "" || value === DEFAULT_VIEW[field]) continue;
+    params.set(param, typeof value === "boolean" ? (value ? "1" : "0") : String(value));
+  }
+  const qs = params.toString();
+  return qs ? `?${qs}` : "";
+}
+
+// Keep only known, valid fields (imported files are untrusted)
+export function sanitizeViewState(state) {
+  return parseViewState(serializeViewState({ ...DEFAULT_VIEW, ...state }));
+}
+
+// ── Saved views ────────────────────────────────────────────
+const SAVED_KEY = "sigma-tracker:views";
+
+export function loadSavedViews() {
+  try {
+    const list = JSON.parse(localStorage.getItem(SAVED_KEY));
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+export function storeSavedViews(list) {
+  localStorage.setItem(SAVED_KEY, JSON.stringify(list));
+}
+
+export function exportViews(list) {
+  return JSON.stringify({ app: "sigma-tracker", version: 1, views: list }, null, 2);
+}
+
+// Accepts an export file or a bare array of { name, state }
+export function importViews(text) {
+  const parsed = JSON.parse(text);
+  const list = Array.isArray(parsed) ? parsed : parsed?.views;
+  if (!Array.isArray(list)) throw new Error("No views found in file");
+  return list
+    .filter((v) => v && typeof v.name === "string" && v.name.trim() && v.state && typeof v.state === "object")
+    .map((v) => ({ name: v.name.trim().slice(0, 80), state: sanitizeViewState(v.state) }));
+}
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { withAdjClose, adjustPrices } from '../lib/adjust.js';
+
+// 4:1 split effective 2024-01-03, $1 dividend going ex on 2024-01-04
+const events = {
+  splits: [{ date: '2024-01-03', numerator: 4, denominator: 1 }],
+  dividends: [{ date: '2024-01-04', amount: 1 }]
+};
+const raw = [
+  { date: '2024-01-02', open: 396, high: 404, low: 392, close: 400, volume: 10 },
+  { date: '2024-01-03', open: 99, high: 101, low: 98, close: 100, volume: 40 },
+  { date: '2024-01-04', open: 99, high: 100, low: 98, close: 99, volume: 40 }
+];
+
+test('withAdjClose back-computes split and dividend adjustments', () => {
+  const prices = withAdjClose(raw, events);
+  assert.equal(prices[2].adjClose, 99);
+  assert.ok(Math.abs(prices[1].adjClose - 99) < 1e-9);
+  assert.ok(Math.abs(prices[0].adjClose - 99) < 1e-9);
+});
+
+test('withAdjClose keeps provider adjClose values', () => {
+  const given = raw.map(p => ({ ...p, adjClose: p.close }));
+  assert.equal(withAdjClose(given, events), given);
+});
+
+test('adjustPrices rescales the whole bar to adjClose', () => {
+  const [first] = adjustPrices(withAdjClose(raw, events), events);
+  const k = first.close / 400;
+  assert.ok(Math.abs(first.close - 99) < 1e-9);
+  assert.ok(Math.abs(first.high - 404 * k) < 1e-9);
+  assert.ok(Math.abs(first.low - 392 * k) < 1e-9);
+});
+
+test('adjustPrices leaves volume alone unless the provider reports raw bars', () => {
+  const prices = withAdjClose(raw, events);
+  assert.deepEqual(adjustPrices(prices, events).map(p => p.volume), [10, 40, 40]);
+  assert.deepEqual(adjustPrices(prices, events, { splitAdjusted: true }).map(p => p.volume), [10, 40, 40]);
+  assert.deepEqual(adjustPrices(prices, events, { splitAdjusted: false }).map(p => p.volume), [40, 40, 40]);
+});
@@ -0,0 +1,158 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { normalizeRule, evaluateRule, describeRule } from '../lib/alerts/rules.js';
+import { createAlertEngine } from '../lib/alerts/engine.js';
+import { createJsonStore } from '../lib/store.js';
+
+const ENV = ['ALERT_WEBHOOK_URL', 'ALERT_EMAIL_TO'];
+const saved = Object.fromEntries(ENV.map(k => [k, process.env[k]]));
+beforeEach(() => { for (const k of ENV) delete process.env[k]; });
+after(() => { for (const k of ENV) if (saved[k] != null) process.env[k] = saved[k]; });
+
+const status = fn => {
+  try {
+    fn();
+  } catch (err) {
+    return err.status;
+  }
+  return null;
+};
+
+// Weekdays from 2024-01-01 with ±0.5% wiggles, then `jumps` +8% days
+function series(days, jumps = 0) {
+  const prices = [];
+  let close = 100;
+  for (let t = Date.parse('2024-01-01T00:00:00Z'); prices.length < days + jumps; t += 86400000) {
+    const d = new Date(t);
+    if (d.getUTCDay() === 0 || d.getUTCDay() === 6) continue;
+    close *= prices.length < days ? 1 + (prices.length % 2 ? 0.005 : -0.005) : 1.08;
+    prices.push({ date: d.toISOString().slice(0, 10), close });
+  }
+  return prices;
+}
+
+// ── Rules ──
+
+test('normalizeRule fills defaults', () => {
+  const rule = normalizeRule({ ticker: ' aapl ', threshold: 3 });
+  assert.equal(rule.ticker, 'AAPL');
+  assert.deepEqual(rule.channels, ['browser']);
+  assert.equal(rule.direction, 'both');
+  assert.equal(rule.period, 'daily');
+  assert.equal(describeRule(rule), 'AAPL daily |z| ≥ 3 on 60-bar rolling σ');
+});
+
+test('normalizeRule answers bad input with a 400', () => {
+  assert.equal(status(() => normalizeRule({})), 400);
+  assert.equal(status(() => normalizeRule({ ticker: 'AAPL', threshold: 0 })), 400);
+  assert.equal(status(() => normalizeRule({ ticker: 'AAPL', threshold: 3, channels: 'email' })), 400);
+  assert.equal(status(() => normalizeRule({ ticker: 'AAPL', threshold: 3, channels: ['sms'] })), 400);
+  assert.equal(status(() => normalizeRule({ ticker: 'AAPL', type: 'regime', regime: 'sideways' })), 400);
+});
+
+test('webhook and email channels need a server-side destination', () => {
+  assert.equal(status(() => normalizeRule({ ticker: 'AAPL', threshold: 3, channels: ['webhook'] })), 400);
+  assert.equal(status(() => normalizeRule({ ticker: 'AAPL', threshold: 3, channels: ['email'] })), 400);
+  process.env.ALERT_WEBHOOK_URL = 'https://hooks.example.com/a';
+  process.env.ALERT_EMAIL_TO = 'ops@example.com';
+  assert.deepEqual(normalizeRule({ ticker: 'AAPL', threshold: 3, channels: ['webhook', 'email'] }).channels, ['webhook', 'email']);
+});
+
+test('rule destinations must be on the allowlists', () => {
+  process.env.ALERT_WEBHOOK_URL = 'https://hooks.example.com/a, https://hooks.example.com/b';
+  process.env.ALERT_EMAIL_TO = 'Ops@example.com';
+  const ok = normalizeRule({
+    ticker: 'AAPL', threshold: 3, channels: ['webhook', 'email'],
+    webhookUrl: 'https://hooks.example.com/b', email: 'ops@EXAMPLE.com'
+  });
+  assert.equal(ok.webhookUrl, 'https://hooks.example.com/b');
+  assert.equal(status(() => normalizeRule({ ticker: 'AAPL', threshold: 3, webhookUrl: 'http://169.254.169.254/' })), 400);
+  assert.equal(status(() => normalizeRule({ ticker: 'AAPL', threshold: 3, email: 'someone@else.com' })), 400);
+});
+
+test('evaluateRule matches the latest bar only', () => {
+  const rule = normalizeRule({ ticker: 'AAPL', threshold: 3 });
+  assert.equal(evaluateRule(rule, series(120)), null);
+  const match = evaluateRule(rule, series(120, 1));
+  assert.ok(match.z >= 3);
+  assert.equal(match.periodKey, match.date);
+  assert.equal(evaluateRule({ ...rule, direction: 'down' }, series(120, 1)), null);
+});
+
+// ── Engine ──
+
+async function withEngine(fn, { prices = series(120, 1), file } = {}) {
+  const dir = await mkdtemp(path.join(tmpdir(), 'sigma-alerts-'));
+  const delivered = [];
+  const engine = createAlertEngine({
+    store: createJsonStore(file ? await file(dir) : path.join(dir, 'alerts.json'), { rules: [], history: [] }),
+    channels: { browser: async alert => { delivered.push(alert); } },
+    loadPrices: async ticker => (typeof prices === 'function' ? prices(ticker) : prices)
+  });
+  try {
+    await fn(engine, delivered);
+  } finally {
+    engine.stop();
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('a rule fires once per bar and records delivery', () => withEngine(async (engine, delivered) => {
+  const rule = await engine.addRule({ ticker: 'AAPL', threshold: 3 });
+  const first = await engine.runOnce();
+  assert.equal(first.fired.length, 1);
+  assert.deepEqual(first.fired[0].delivery, { browser: { ok: true } });
+  assert.equal((await engine.runOnce()).fired.length, 0);
+  assert.equal(delivered.length, 1);
+  const [entry] = await engine.listHistory({ ruleId: rule.id });
+  assert.deepEqual(entry.delivery, { browser: { ok: true } });
+}));
+
+test('a weekly rule fires once per week as the bar fills in', async () => {
+  // 600 weekdays from a Monday, so the jump opens a new week
+  let prices = series(600, 1);
+  assert.equal(new Date(`${prices[600].date}T00:00:00Z`).getUTCDay(), 1);
+  await withEngine(async engine => {
+    await engine.addRule({ ticker: 'AAPL', threshold: 2, period: 'weekly', window: 52 });
+    assert.equal((await engine.runOnce()).fired.length, 1);
+    const last = prices[prices.length - 1];
+    const tuesday = new Date(Date.parse(`${last.date}T00:00:00Z`) + 86400000).toISOString().slice(0, 10);
+    prices = [...prices, { date: tuesday, close: last.close * 1.01 }];
+    assert.equal((await engine.runOnce()).fired.length, 0);
+  }, { prices: () => prices });
+});
+
+test('a failing rule is reported without stopping the others', () => withEngine(async engine => {
+  const bad = await engine.addRule({ ticker: 'BAD', threshold: 3 });
+  await engine.addRule({ ticker: 'AAPL', threshold: 3 });
+  const disabled = await engine.addRule({ ticker: 'MSFT', threshold: 3 });
+  await engine.updateRule(disabled.id, { enabled: false });
+  const result = await engine.runOnce();
+  assert.deepEqual(result.fired.map(a => a.ticker), ['AAPL']);
+  assert.deepEqual(result.errors, [{ ruleId: bad.id, error: 'no data' }]);
+}, {
+  prices: ticker => {
+    if (ticker === 'BAD') throw new Error('no data');
+    return series(120, 1);
+  }
+}));
+
+test('a corrupt store fails the run instead of throwing', () => withEngine(async engine => {
+  const result = await engine.runOnce();
+  assert.equal(result.fired.length, 0);
+  assert.match(result.errors[0].error, /Could not read rules/);
+}, {
+  file: async dir => {
+    const file = path.join(dir, 'alerts.json');
+    await writeFile(file, '{bad');
+    return file;
+  }
+}));
+
+test('updating or removing an unknown rule is a 404', () => withEngine(async engine => {
+  await assert.rejects(engine.updateRule('nope', {}), { status: 404 });
+  await assert.rejects(engine.removeRule('nope'), { status: 404 });
+}));
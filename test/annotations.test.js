@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { normalizeTicker, parseCalendar, createAnnotationStore } from '../lib/annotations.js';
+import { createJsonStore } from '../lib/store.js';
+
+const errorOf = fn => {
+  try {
+    fn();
+  } catch (err) {
+    return err;
+  }
+  return null;
+};
+
+async function withStore(fn) {
+  const dir = await mkdtemp(path.join(tmpdir(), 'sigma-annotations-'));
+  try {
+    await fn(createAnnotationStore(createJsonStore(path.join(dir, 'annotations.json'), { annotations: [], calendars: [] })));
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('normalizeTicker matches the UI ticker strings', () => {
+  assert.equal(normalizeTicker(' spy '), 'SPY');
+  assert.equal(normalizeTicker('gld/slv'), 'GLD/SLV');
+  assert.equal(normalizeTicker('@3F9A0C1E'), '@3f9a0c1e');
+  assert.equal(errorOf(() => normalizeTicker('a b')).status, 400);
+});
+
+test('parseCalendar reads quoted labels and sorts events', () => {
+  const events = parseCalendar('Date,Event\n2024-03-20,FOMC\n2024-01-31,"FOMC, with ""SEP"""\n');
+  assert.deepEqual(events, [
+    { date: '2024-01-31', label: 'FOMC, with "SEP"' },
+    { date: '2024-03-20', label: 'FOMC' }
+  ]);
+  assert.equal(parseCalendar('Day;Title\n31/01/2024;CPI\n')[0].date, '2024-01-31');
+});
+
+test('parseCalendar lists every unusable row', () => {
+  assert.equal(errorOf(() => parseCalendar('')).status, 400);
+  assert.match(errorOf(() => parseCalendar('Date,Value\n2024-01-31,1\n')).message, /Label columns/);
+  const err = errorOf(() => parseCalendar('Date,Label\nsoon,FOMC\n2024-01-31,\n2024-03-20,FOMC, SEP\n'));
+  assert.equal(err.status, 400);
+  assert.deepEqual(err.details.errors.map(e => e.slice(0, 6)), ['Row 4:']);
+  const rows = errorOf(() => parseCalendar('Date,Label\nsoon,FOMC\n2024-01-31,\n'));
+  assert.deepEqual(rows.details.errors, ['Row 2: unrecognized date "soon"', 'Row 3: missing label']);
+});
+
+test('annotations are created, replaced, filtered and removed', () => withStore(async store => {
+  const first = await store.put('spy', '2024-03-05', { note: 'CPI', tags: 'Macro, cpi, macro' });
+  assert.equal(first.created, true);
+  assert.deepEqual(first.annotation.tags, ['macro', 'cpi']);
+
+  const again = await store.put('SPY', '2024-03-05', { note: 'CPI beat' });
+  assert.equal(again.created, false);
+  assert.equal(again.annotation.createdAt, first.annotation.createdAt);
+
+  await store.put('SPY', '2024-03-06T10:30', { tags: ['earnings'] });
+  await store.put('QQQ', '2024-03-05', { note: 'Tech' });
+
+  assert.deepEqual((await store.list({ ticker: 'spy' })).map(a => a.date), ['2024-03-06T10:30', '2024-03-05']);
+  assert.deepEqual((await store.list({ tag: 'EARNINGS' })).map(a => a.ticker), ['SPY']);
+  assert.deepEqual((await store.list({ to: '2024-03-05' })).length, 2);
+
+  await store.remove('spy', '2024-03-05');
+  await assert.rejects(store.remove('SPY', '2024-03-05'), { status: 404 });
+  assert.equal((await store.list()).length, 2);
+}));
+
+test('annotations need a valid date and a note or tag', () => withStore(async store => {
+  await assert.rejects(store.put('SPY', '05/03/2024', { note: 'x' }), { status: 400 });
+  await assert.rejects(store.put('SPY', '2024-03-05', {}), { status: 400 });
+  await assert.rejects(store.put('SPY', '2024-03-05', { tags: 'not a tag' }), { status: 400 });
+  await assert.rejects(store.put('SPY', '2024-03-05', { note: 'x'.repeat(501) }), { status: 400 });
+}));
+
+test('calendars import, replace by name and delete', () => withStore(async store => {
+  assert.deepEqual(await store.importCalendar('FOMC', 'Date,Label\n2024-01-31,FOMC\n2024-03-20,FOMC\n'),
+    { name: 'FOMC', count: 2, from: '2024-01-31', to: '2024-03-20' });
+  await store.importCalendar('FOMC', 'Date,Label\n2024-05-01,FOMC\n');
+  const [calendar] = await store.listCalendars();
+  assert.deepEqual(calendar.events, [{ date: '2024-05-01', label: 'FOMC' }]);
+
+  await assert.rejects(store.importCalendar('', 'Date,Label\n2024-05-01,x\n'), { status: 400 });
+  await store.removeCalendar('FOMC');
+  await assert.rejects(store.removeCalendar('FOMC'), { status: 404 });
+}));
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runBacktest } from '../src/backtest.js';
+
+// z-scored bars as runPipeline returns them, one per day
+const bars = rows => rows.map(([close, z], i) => ({
+  date: new Date(Date.UTC(2024, 0, 1 + i)).toISOString().slice(0, 10), close, z
+}));
+
+const free = { costBps: 0, slippageBps: 0 };
+
+test('buys the dip on the signal close and earns the next bars', () => {
+  const data = bars([[100, 0], [90, -3], [99, -1], [108.9, 0.5], [100, 0]]);
+  const { trades, stats, equity } = runBacktest(data, { threshold: 2, ...free });
+  assert.equal(trades.length, 1);
+  assert.deepEqual([trades[0].entryDate, trades[0].exitDate, trades[0].reason], ['2024-01-02', '2024-01-04', 'revert']);
+  assert.ok(Math.abs(trades[0].ret - 0.21) < 1e-9);
+  assert.ok(Math.abs(stats.totalReturn - 0.21) < 1e-9);
+  assert.deepEqual(equity.map(e => e.position), [0, 1, 1, 0, 0]);
+  assert.equal(stats.exposure, 0.5);
+  assert.equal(stats.winRate, 1);
+});
+
+test('holdBars exits on time when z never reverts', () => {
+  const data = bars([[100, 0], [90, -3], [91, -2.5], [92, -2.2], [93, -2.1]]);
+  const { trades } = runBacktest(data, { threshold: 3, holdBars: 2, ...free });
+  assert.deepEqual(trades.map(t => [t.bars, t.reason]), [[2, 'time']]);
+});
+
+test('an opposite signal flips the position', () => {
+  const data = bars([[100, 0], [90, -3], [110, 3], [99, 0]]);
+  const { trades } = runBacktest(data, { threshold: 2, onUp: 'short', exitOnRevert: false, holdBars: 0, ...free });
+  assert.deepEqual(trades.map(t => [t.side, t.reason]), [['long', 'flip'], ['short', 'open']]);
+});
+
+test('costs are charged per side', () => {
+  const data = bars([[100, 0], [100, -3], [100, 1]]);
+  const { stats } = runBacktest(data, { threshold: 2, costBps: 5, slippageBps: 5 });
+  assert.ok(Math.abs(stats.totalReturn - (0.999 * 0.999 - 1)) < 1e-12);
+});
+
+test('the benchmark is buy and hold over the same bars', () => {
+  const data = bars([[100, 0], [110, 0], [99, 0]]);
+  const { stats, benchmark } = runBacktest(data, { threshold: 2, ...free });
+  assert.equal(stats.trades, 0);
+  assert.equal(stats.totalReturn, 0);
+  assert.ok(Math.abs(benchmark.totalReturn + 0.01) < 1e-9);
+  assert.ok(Math.abs(benchmark.maxDrawdown + 0.1) < 1e-9);
+});
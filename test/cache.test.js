@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, readdir } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createHistoryCache } from '../lib/cache.js';
+
+const DAY = 86400;
+const toUnix = date => Date.parse(`${date}T00:00:00Z`) / 1000;
+const dateOf = unix => new Date(unix * 1000).toISOString().slice(0, 10);
+
+// Daily bars from 2023-01-01 on; no period1 means the whole series, like a
+// provider's default start
+function fakeProvider(days = 100, { bars } = {}) {
+  const all = bars || Array.from({ length: days }, (_, i) => {
+    const date = dateOf(toUnix('2023-01-01') + i * DAY);
+    return { date, close: 100 + i, adjClose: 100 + i };
+  });
+  const provider = {
+    name: 'fake',
+    calls: [],
+    events: { splits: [], dividends: [] },
+    prices: all,
+    async fetchHistory(ticker, options) {
+      provider.calls.push(options);
+      const from = options.period1 ? dateOf(options.period1) : '';
+      return { ticker, prices: provider.prices.filter(p => p.date >= from), events: provider.events };
+    }
+  };
+  return provider;
+}
+
+async function withCache(options, fn) {
+  const dir = await mkdtemp(path.join(tmpdir(), 'sigma-cache-'));
+  try {
+    await fn(createHistoryCache({ dir, ...options }), dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+const daily = (extra = {}) => ({ interval: '1d', period1: null, period2: null, ...extra });
+
+test('a fresh entry is served without asking the provider again', () => withCache({}, async cache => {
+  const provider = fakeProvider();
+  await cache.fetchHistory(provider, 'SPY', daily());
+  const again = await cache.fetchHistory(provider, 'SPY', daily());
+  assert.equal(provider.calls.length, 1);
+  assert.equal(again.prices.length, 100);
+}));
+
+test('a narrow entry does not cut history for a request from the default start', () => withCache({}, async cache => {
+  const provider = fakeProvider();
+  const narrow = await cache.fetchHistory(provider, 'SPY', daily({ period1: toUnix('2023-03-01') }));
+  assert.equal(narrow.prices[0].date, '2023-03-01');
+
+  const full = await cache.fetchHistory(provider, 'SPY', daily());
+  assert.equal(full.prices.length, 100);
+  assert.equal(full.prices[0].date, '2023-01-01');
+
+  // …and the re-downloaded entry now serves both without another fetch
+  const calls = provider.calls.length;
+  await cache.fetchHistory(provider, 'SPY', daily({ period1: toUnix('2023-03-01') }));
+  await cache.fetchHistory(provider, 'SPY', daily());
+  assert.equal(provider.calls.length, calls);
+}));
+
+test('asking for history before the entry re-downloads from there', () => withCache({}, async cache => {
+  const provider = fakeProvider();
+  await cache.fetchHistory(provider, 'SPY', daily({ period1: toUnix('2023-03-01') }));
+  const wider = await cache.fetchHistory(provider, 'SPY', daily({ period1: toUnix('2023-02-01') }));
+  assert.equal(provider.calls.length, 2);
+  assert.equal(wider.prices[0].date, '2023-02-01');
+}));
+
+test('slices by period1/period2, keeping every intraday bar of the last day', () => withCache({}, async cache => {
+  const bars = ['2024-01-02T09:30', '2024-01-02T15:55', '2024-01-03T09:30', '2024-01-03T15:55', '2024-01-04T09:30']
+    .map((date, i) => ({ date, close: 100 + i, adjClose: 100 + i }));
+  const provider = fakeProvider(0, { bars });
+  const data = await cache.fetchHistory(provider, 'SPY', {
+    interval: '5m', period1: toUnix('2024-01-03'), period2: toUnix('2024-01-03')
+  });
+  assert.deepEqual(data.prices.map(p => p.date), ['2024-01-03T09:30', '2024-01-03T15:55']);
+}));
+
+test('an expired entry is refreshed incrementally from its last bar', () => withCache({ ttl: 0, staleTtl: 0 }, async cache => {
+  const provider = fakeProvider(50);
+  await cache.fetchHistory(provider, 'SPY', daily());
+  provider.prices = fakeProvider(60).prices;
+  const data = await cache.fetchHistory(provider, 'SPY', daily());
+  assert.equal(data.prices.length, 60);
+  assert.equal(provider.calls[1].period1, toUnix(provider.prices[49].date) - DAY);
+}));
+
+test('a new split triggers a full re-download instead of a merge', () => withCache({ ttl: 0, staleTtl: 0 }, async cache => {
+  const provider = fakeProvider(50);
+  await cache.fetchHistory(provider, 'SPY', daily());
+  provider.events = { splits: [{ date: '2023-02-01', numerator: 2, denominator: 1 }], dividends: [] };
+  const data = await cache.fetchHistory(provider, 'SPY', daily());
+  assert.equal(provider.calls.length, 3);
+  assert.equal(provider.calls[2].period1, toUnix('2023-01-01'));
+  assert.equal(data.events.splits.length, 1);
+}));
+
+test('list and purge report and remove entries on disk', () => withCache({}, async (cache, dir) => {
+  const provider = fakeProvider(10);
+  await cache.fetchHistory(provider, 'SPY', daily());
+  await cache.fetchHistory(provider, 'QQQ', daily());
+  const entries = await cache.list();
+  assert.deepEqual(entries.map(e => e.ticker).sort(), ['QQQ', 'SPY']);
+  assert.equal(entries[0].state, 'fresh');
+
+  assert.deepEqual(await cache.purge({ ticker: 'spy' }), ['fake:SPY:1d']);
+  assert.equal((await readdir(dir)).length, 1);
+  assert.equal((await cache.purge()).length, 1);
+  assert.deepEqual(await cache.list(), []);
+}));
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findStreaks, findEpisodes, episodeStats } from '../src/episodes.js';
+
+// z-scored records as runPipeline returns them
+const bars = zs => zs.map((z, i) => ({ date: `d${i}`, z, ret: z / 100 }));
+
+//            0  1   2   3  4  5  6  7  8  9  10 11 12
+const data = bars([0, 3, 0, 0, 0, 0, 0, 0, 0, 0, -3, -4, 3]);
+
+test('streaks are runs of two or more same-sign signals', () => {
+  const streaks = findStreaks(bars([3, 3, 3, -3, 0, 3, -3, -3]), 2);
+  assert.deepEqual(streaks.map(s => [s.direction, s.startIndex, s.endIndex, s.bars]), [
+    ['up', 0, 2, 3],
+    ['down', 6, 7, 2],
+  ]);
+  assert.ok(Math.abs(streaks[0].cumReturn - (1.03 ** 3 - 1)) < 1e-12);
+  assert.ok(Math.abs(findStreaks(bars([3, 3]), 2, { returnType: 'log' })[0].cumReturn - 0.06) < 1e-12);
+});
+
+test('a lone signal is a shock and signals within the gap form a cluster', () => {
+  const episodes = findEpisodes(data, 2, { gap: 5 });
+  assert.deepEqual(episodes.map(e => [e.kind, e.startIndex, e.endIndex, e.events, e.direction]), [
+    ['shock', 1, 1, 1, 'up'],
+    ['cluster', 10, 12, 3, 'mixed'],
+  ]);
+  const [shock, cluster] = episodes;
+  assert.equal(shock.longestStreak, 1);
+  assert.deepEqual(shock.streaks, []);
+  assert.deepEqual(cluster.streaks.map(s => [s.startIndex, s.endIndex]), [[10, 11]]);
+  assert.equal(cluster.longestStreak, 2);
+  assert.deepEqual([cluster.peakZ, cluster.peakDate, cluster.ups, cluster.downs], [-4, 'd11', 1, 2]);
+});
+
+test('a wider gap merges distant signals into one episode', () => {
+  const episodes = findEpisodes(data, 2, { gap: 10 });
+  assert.equal(episodes.length, 1);
+  assert.equal(episodes[0].events, 4);
+  assert.equal(episodes[0].bars, 12);
+});
+
+test('episodeStats counts kinds, streaks and the grouped share', () => {
+  assert.deepEqual(episodeStats(findEpisodes(data, 2, { gap: 5 })), {
+    shock: 1, cluster: 1, streaks: 1, longestStreak: 2, events: 4, groupedShare: 0.75,
+  });
+  assert.equal(episodeStats([]).groupedShare, 0);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { statsOptions, thresholdParam, rangeParams } from '../lib/statsOptions.js';
+import { buildExport } from '../lib/export.js';
+
+// The bundled SPY fixture, no network
+process.env.DATA_PROVIDER = 'file';
+
+const status = fn => {
+  try {
+    fn();
+  } catch (err) {
+    return err.status;
+  }
+  return null;
+};
+
+test('statsOptions fills defaults and validates every field', () => {
+  assert.deepEqual(statsOptions(), {
+    period: 'daily', returnType: 'simple', mode: 'rolling', window: 60, estimator: 'stdev', lambda: 0.94
+  });
+  assert.equal(statsOptions({ window: '20' }).window, 20);
+  assert.equal(status(() => statsOptions({ period: 'hourly' })), 400);
+  assert.equal(status(() => statsOptions({ window: '2.5' })), 400);
+  assert.equal(status(() => statsOptions({ window: '1' })), 400);
+  assert.equal(status(() => statsOptions({ lambda: '1.5' })), 400);
+});
+
+test('threshold and date range parameters', () => {
+  assert.equal(thresholdParam(undefined), 2);
+  assert.equal(thresholdParam('3.5'), 3.5);
+  assert.equal(status(() => thresholdParam('-1')), 400);
+  assert.deepEqual(rangeParams({ from: '2023-02-01', to: '2023-03-01T15:30' }), { from: '2023-02-01', to: '2023-03-01T15:30' });
+  assert.equal(status(() => rangeParams({ from: '02/01/2023' })), 400);
+});
+
+test('CSV export covers the requested range', async () => {
+  const { contentType, filename, body } = await buildExport('SPY', { from: '2023-02-01', to: '2023-02-28', threshold: '2' });
+  const lines = body.trim().split('\n');
+  assert.equal(contentType, 'text/csv; charset=utf-8');
+  assert.equal(lines[0], 'date,return,z,localMean,localStd,signal');
+  assert.ok(lines[1].startsWith('2023-02-01,'));
+  assert.ok(lines[lines.length - 1].startsWith('2023-02-28,'));
+  assert.equal(filename, 'SPY-daily-2023-02-01_2023-02-28.csv');
+});
+
+test('JSON and SVG exports carry the settings', async () => {
+  const json = JSON.parse((await buildExport('SPY', { format: 'json', period: 'weekly', threshold: '1.5' })).body);
+  assert.equal(json.settings.period, 'weekly');
+  assert.equal(json.settings.threshold, 1.5);
+  assert.equal(json.bars, json.rows.length);
+
+  const svg = await buildExport('SPY', { format: 'svg' });
+  assert.equal(svg.contentType, 'image/svg+xml; charset=utf-8');
+  assert.match(svg.body, /^<svg/);
+});
+
+test('PNG and unknown formats are a 400', async () => {
+  await assert.rejects(buildExport('SPY', { format: 'png' }), { status: 400 });
+  await assert.rejects(buildExport('SPY', { format: 'xlsx' }), { status: 400 });
+});
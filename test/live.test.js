@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { createLiveFeed } from '../lib/live.js';
+import mock from '../lib/providers/mock.js';
+
+const unix = date => Date.parse(date) / 1000;
+
+// Just enough of Express's req/res for an SSE handler
+function client(ticker, query = {}) {
+  const req = Object.assign(new EventEmitter(), { params: { ticker }, query });
+  const res = {
+    chunks: [],
+    destroyed: false,
+    set() {},
+    setHeader() {},
+    flushHeaders() {},
+    write(chunk) { this.chunks.push(chunk); },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; }
+  };
+  // Parsed `event:` messages, in order
+  res.events = () => res.chunks
+    .filter(c => c.startsWith('event:'))
+    .map(c => {
+      const [event, data] = c.trim().split('\n');
+      return { event: event.slice(7), ...JSON.parse(data.slice(6)) };
+    });
+  return { req, res };
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('mock prices are stable between requests', async () => {
+  const options = { period1: unix('2024-03-01'), period2: unix('2024-03-08'), interval: '1h' };
+  const a = await mock.fetchHistory('abc', options);
+  const b = await mock.fetchHistory('ABC', options);
+  assert.deepEqual(a.prices, b.prices);
+  assert.equal(a.prices.length, 7 * 24 + 1);
+  assert.match(a.prices[0].date, /^2024-02-29T19:00/);
+  for (const p of a.prices) assert.ok(p.low <= Math.min(p.open, p.close) && p.high >= Math.max(p.open, p.close));
+  const other = await mock.fetchHistory('XYZ', options);
+  assert.notEqual(other.prices[0].close, a.prices[0].close);
+});
+
+test('live feed sends changed bars and replays the window to late subscribers', async t => {
+  t.mock.timers.enable({ apis: ['setInterval'] });
+  let prices = [{ date: '2024-01-02', close: 10 }, { date: '2024-01-03', close: 11 }];
+  const loads = [];
+  const live = createLiveFeed({
+    pollMs: 1000,
+    loadHistory: async (ticker, options) => {
+      loads.push([ticker, options.interval, options.adjusted]);
+      return { prices };
+    }
+  });
+
+  const first = client('spy', { interval: '1d' });
+  await live.subscribe(first.req, first.res);
+  await settle();
+  assert.equal(first.res.chunks[0], ': connected\n\n');
+  assert.deepEqual(first.res.events().map(e => e.bars.length), [2]);
+
+  const second = client('SPY', { interval: '1d' });
+  await live.subscribe(second.req, second.res);
+  assert.deepEqual(second.res.events().map(e => e.bars.length), [2]);
+  assert.equal(loads.length, 1);
+  assert.deepEqual(loads[0], ['SPY', '1d', true]);
+
+  prices = [prices[0], { date: '2024-01-03', close: 11.5 }];
+  t.mock.timers.tick(1000);
+  await settle();
+  assert.deepEqual(first.res.events().at(-1).bars, [{ date: '2024-01-03', close: 11.5 }]);
+  assert.deepEqual(second.res.events().at(-1).bars, [{ date: '2024-01-03', close: 11.5 }]);
+
+  // Nothing changed: nothing sent
+  t.mock.timers.tick(1000);
+  await settle();
+  assert.equal(first.res.events().length, 2);
+
+  // The last client leaving stops the poller
+  first.req.emit('close');
+  second.req.emit('close');
+  t.mock.timers.tick(5000);
+  await settle();
+  assert.equal(loads.length, 3);
+});
+
+test('live feed reports upstream failures as warnings', async t => {
+  t.mock.timers.enable({ apis: ['setInterval'] });
+  const live = createLiveFeed({
+    loadHistory: async () => {
+      throw Object.assign(new Error('Upstream busy'), { status: 503 });
+    }
+  });
+  const { req, res } = client('SPY');
+  await live.subscribe(req, res);
+  await settle();
+  assert.deepEqual(res.events().map(e => [e.event, e.error]), [['warning', 'Upstream busy']]);
+  req.emit('close');
+});
+
+test('live feed rejects bad intervals before opening a stream', async () => {
+  const live = createLiveFeed({ loadHistory: async () => assert.fail('should not poll') });
+  const { req, res } = client('SPY', { interval: '2d' });
+  await live.subscribe(req, res);
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.chunks, []);
+});
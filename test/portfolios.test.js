@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { normalizePortfolio, createPortfolioStore } from '../lib/portfolios.js';
+import { createJsonStore } from '../lib/store.js';
+import { alignHoldings, buildPortfolioSeries, normalizeWeights } from '../src/portfolio.js';
+
+const status = fn => {
+  try {
+    fn();
+  } catch (err) {
+    return err.status;
+  }
+  return null;
+};
+
+test('normalizePortfolio cleans up a definition', () => {
+  assert.deepEqual(normalizePortfolio({ name: ' 60/40 ', holdings: [{ ticker: 'spy', weight: '60' }, { ticker: 'TLT', weight: 40 }] }), {
+    name: '60/40',
+    holdings: [{ ticker: 'SPY', weight: 60 }, { ticker: 'TLT', weight: 40 }],
+    rebalance: 'none'
+  });
+});
+
+test('normalizePortfolio rejects what cannot be priced', () => {
+  const holdings = [{ ticker: 'SPY', weight: 1 }];
+  assert.equal(status(() => normalizePortfolio({ holdings })), 400);
+  assert.equal(status(() => normalizePortfolio({ name: 'x', holdings: [] })), 400);
+  assert.equal(status(() => normalizePortfolio({ name: 'x', holdings: [{ ticker: 'SPY', weight: 0 }] })), 400);
+  assert.equal(status(() => normalizePortfolio({ name: 'x', holdings: [{ ticker: 'A B', weight: 1 }] })), 400);
+  assert.equal(status(() => normalizePortfolio({ name: 'x', holdings: [...holdings, ...holdings] })), 400);
+  assert.equal(status(() => normalizePortfolio({ name: 'x', holdings, rebalance: 'hourly' })), 400);
+});
+
+test('the store adds, updates and removes portfolios', async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'sigma-portfolios-'));
+  try {
+    const file = path.join(dir, 'portfolios.json');
+    const portfolios = createPortfolioStore(createJsonStore(file, { portfolios: [] }));
+    const added = await portfolios.add({ name: 'Solo', holdings: [{ ticker: 'SPY', weight: 1 }] });
+    assert.equal(added.id.length, 8);
+
+    const updated = await portfolios.update(added.id, { rebalance: 'monthly' });
+    assert.equal(updated.rebalance, 'monthly');
+    assert.equal(updated.name, 'Solo');
+
+    // A fresh store reads what was written
+    const reopened = createPortfolioStore(createJsonStore(file, { portfolios: [] }));
+    assert.equal((await reopened.get(added.id)).rebalance, 'monthly');
+
+    await portfolios.remove(added.id);
+    await assert.rejects(portfolios.get(added.id), { status: 404 });
+    await assert.rejects(portfolios.remove(added.id), { status: 404 });
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('holdings are inner-joined on dates and compounded into a NAV', () => {
+  const rows = alignHoldings([
+    [{ date: '2024-01-01', close: 10 }, { date: '2024-01-02', close: 11 }, { date: '2024-01-03', close: 11 }],
+    [{ date: '2024-01-01', close: 20 }, { date: '2024-01-03', close: 18 }]
+  ]);
+  assert.deepEqual(rows.map(r => r.date), ['2024-01-01', '2024-01-03']);
+
+  const nav = buildPortfolioSeries(rows, normalizeWeights([{ weight: 1 }, { weight: 1 }]));
+  assert.equal(nav[0].close, 100);
+  // +10% on half, −10% on the other half
+  assert.ok(Math.abs(nav[1].close - 100) < 1e-9);
+  assert.deepEqual(nav[1].pnl.map(v => Math.round(v)), [5, -5]);
+});
+
+test('rebalancing resets weights at the end of each period', () => {
+  const rows = [
+    { date: '2024-01-30', closes: [100, 100] },
+    { date: '2024-01-31', closes: [200, 100] },
+    { date: '2024-02-01', closes: [200, 100] }
+  ];
+  const held = buildPortfolioSeries(rows, [0.5, 0.5], 'none');
+  const monthly = buildPortfolioSeries(rows, [0.5, 0.5], 'monthly');
+  assert.ok(Math.abs(held[2].weights[0] - 2 / 3) < 1e-9);
+  assert.ok(Math.abs(monthly[2].weights[0] - 0.5) < 1e-9);
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { getProvider, historyOptions } from '../lib/providers/index.js';
+import { getHistory } from '../lib/history.js';
+
+process.env.DATA_PROVIDER = 'file';
+
+const status = async fn => {
+  try {
+    await fn();
+  } catch (err) {
+    return err.status;
+  }
+  return null;
+};
+
+const unix = date => Date.parse(date) / 1000;
+
+async function withFixtures(files, fn) {
+  const dir = await mkdtemp(path.join(tmpdir(), 'sigma-fixtures-'));
+  process.env.FIXTURES_DIR = dir;
+  try {
+    for (const [name, text] of Object.entries(files)) await writeFile(path.join(dir, name), text);
+    await fn();
+  } finally {
+    delete process.env.FIXTURES_DIR;
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+const RAW = JSON.stringify({
+  name: 'Raw Corp',
+  splitAdjusted: false,
+  prices: [
+    { date: '2024-01-03', close: 100, volume: 1000 },
+    { date: '2024-01-02', close: 98, volume: 1000 },
+    { date: '2024-01-04', close: 51, volume: 2000 }
+  ],
+  events: { splits: [{ date: '2024-01-04', numerator: 2, denominator: 1 }], dividends: [] }
+});
+
+const CSV = 'Date,Open,High,Low,Close,Adj Close,Volume\n'
+  + '2024-01-02,10,11,9,10.5,10.4,500\n'
+  + '2024-01-03,10.5,12,10,null,null,600\n'
+  + '2024-01-04,11,12,10.5,11.5,11.4,700\n';
+
+test('historyOptions normalizes the query', () => {
+  assert.deepEqual(historyOptions(), { period1: null, period2: null, interval: '1d', adjusted: true });
+  assert.deepEqual(historyOptions({ period1: '1700000000', interval: '1h', adjusted: 'false' }), {
+    period1: 1700000000, period2: null, interval: '1h', adjusted: false
+  });
+  assert.equal(historyOptions({ adjusted: '0' }).adjusted, false);
+  assert.throws(() => historyOptions({ interval: '2d' }), { status: 400 });
+});
+
+test('getProvider rejects unknown names', () => {
+  assert.equal(getProvider().name, 'file');
+  assert.throws(() => getProvider('nope'), /Unknown data provider "nope"/);
+});
+
+test('file provider sorts JSON fixtures and filters by date', async () => {
+  await withFixtures({ 'RAW.json': RAW }, async () => {
+    const file = getProvider('file');
+    const all = await file.fetchHistory('raw', {});
+    assert.deepEqual(all.prices.map(p => p.date), ['2024-01-02', '2024-01-03', '2024-01-04']);
+    assert.deepEqual([all.ticker, all.name, all.currency, all.splitAdjusted], ['RAW', 'Raw Corp', 'USD', false]);
+    const some = await file.fetchHistory('RAW', { period1: unix('2024-01-03'), period2: unix('2024-01-03') });
+    assert.deepEqual(some.prices.map(p => p.date), ['2024-01-03']);
+  });
+});
+
+test('file provider reads Yahoo-style CSV and skips rows without a close', async () => {
+  await withFixtures({ 'CSVCO.csv': CSV }, async () => {
+    const { prices, splitAdjusted } = await getProvider('file').fetchHistory('CSVCO', {});
+    assert.equal(prices.length, 2);
+    assert.deepEqual(prices[0], { date: '2024-01-02', open: 10, high: 11, low: 9, close: 10.5, adjClose: 10.4, volume: 500 });
+    assert.equal(splitAdjusted, true);
+  });
+});
+
+test('file provider errors', async () => {
+  await withFixtures({}, async () => {
+    const file = getProvider('file');
+    assert.equal(await status(() => file.fetchHistory('MISSING', {})), 404);
+    assert.equal(await status(() => file.fetchHistory('../etc', {})), 404);
+    assert.equal(await status(() => file.fetchHistory('SPY', { interval: '5m' })), 400);
+  });
+});
+
+test('file provider search matches symbols and names', async () => {
+  await withFixtures({ 'RAW.json': RAW, 'CSVCO.csv': CSV, 'notes.txt': 'x' }, async () => {
+    const search = getProvider('file').search;
+    assert.deepEqual((await search('raw corp')).map(q => q.symbol), ['RAW']);
+    assert.deepEqual((await search('')).map(q => q.symbol).sort(), ['CSVCO', 'RAW']);
+  });
+});
+
+test('getHistory adjusts raw bars for splits unless asked not to', async () => {
+  await withFixtures({ 'RAW.json': RAW }, async () => {
+    const adjusted = await getHistory('RAW');
+    assert.equal(adjusted.adjusted, true);
+    assert.deepEqual(adjusted.prices.map(p => [p.close, p.volume]), [[49, 2000], [50, 2000], [51, 2000]]);
+    const raw = await getHistory('RAW', { adjusted: 'false' });
+    assert.deepEqual(raw.prices.map(p => p.close), [98, 100, 51]);
+    assert.equal(raw.events.splits.length, 1);
+  });
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fitMarkovSwitching, regimeHistory, priceRegimes } from '../src/regimes.js';
+
+// Deterministic normal draws (mulberry32 + Box-Muller)
+function gaussian(seed) {
+  let s = seed;
+  const uniform = () => {
+    s = (s + 0x6d2b79f5) | 0;
+    let t = Math.imul(s ^ (s >>> 15), 1 | s);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return () => Math.sqrt(-2 * Math.log(1 - uniform())) * Math.cos(2 * Math.PI * uniform());
+}
+
+// Calm, stormy, calm: 1% then 4% then 1% daily vol
+function returns(n = 300) {
+  const draw = gaussian(7);
+  return Array.from({ length: n }, (_, i) => draw() * (i >= 100 && i < 200 ? 0.04 : 0.01));
+}
+
+function prices(rets) {
+  let close = 100;
+  return [{ date: '2023-01-01', close }, ...rets.map((r, i) => {
+    close *= Math.exp(r);
+    return { date: new Date(Date.UTC(2023, 0, 2 + i)).toISOString().slice(0, 10), close };
+  })];
+}
+
+test('EM separates the low and high volatility states', () => {
+  const { params, pHigh } = fitMarkovSwitching(returns());
+  assert.ok(Math.abs(params.sd[0] - 0.01) < 0.003, `low σ ${params.sd[0]}`);
+  assert.ok(Math.abs(params.sd[1] - 0.04) < 0.008, `high σ ${params.sd[1]}`);
+  assert.ok(params.p00 > 0.9 && params.p11 > 0.9);
+  const mean = (a, b) => pHigh.slice(a, b).reduce((s, p) => s + p, 0) / (b - a);
+  assert.ok(mean(110, 190) > 0.9);
+  assert.ok(mean(10, 90) < 0.1 && mean(210, 290) < 0.1);
+});
+
+test('markov regimes never look ahead', () => {
+  const history = priceRegimes(prices(returns()), { method: 'markov' }).volHistory;
+  const full = regimeHistory(history, { method: 'markov' }).rows;
+  const prefix = regimeHistory(history.slice(0, 150), { method: 'markov' }).rows;
+  assert.deepEqual(prefix, full.slice(0, 150));
+  assert.equal(full[48].key, null);
+  assert.equal(full[160].key, 'expanding');
+  assert.equal(full[280].key, 'contracting');
+});
+
+test('ratio compares short against long realized vol', () => {
+  const history = [
+    { date: 'a', '20d': 30, '252d': 20 },
+    { date: 'b', '20d': 20, '252d': 20 },
+    { date: 'c', '20d': 10, '252d': 20 },
+    { date: 'd', '20d': 10, '252d': null },
+  ];
+  const { rows, model } = regimeHistory(history, { method: 'ratio' });
+  assert.deepEqual(rows.map(r => r.key), ['expanding', 'stable', 'contracting', null]);
+  assert.equal(rows[0].score, 1.5);
+  assert.equal(model, null);
+});
+
+test('volOfVol ranks the change in short vol against its own history', () => {
+  const history = Array.from({ length: 130 }, (_, i) => ({ date: String(i), '20d': i < 120 ? 10 + (i % 2) : 30 }));
+  const { rows } = regimeHistory(history, { method: 'volOfVol', horizon: 5, lookback: 60 });
+  assert.equal(rows[60].key, null);
+  assert.equal(rows[120].key, 'expanding');
+  assert.equal(rows[120].score, 100);
+});
+
+test('priceRegimes rows line up with the volatility history', () => {
+  const out = priceRegimes(prices(returns(120)), { method: 'ratio', long: '60d' });
+  assert.equal(out.volHistory.length, 120);
+  assert.deepEqual(out.rows.map(r => r.date), out.volHistory.map(h => h.date));
+  assert.equal(out.rows[58].key, null);
+  assert.notEqual(out.rows[59].key, null);
+  assert.deepEqual(priceRegimes(undefined, {}).rows, []);
+});
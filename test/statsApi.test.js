@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { zscoreReport, volatilityReport, signalReport } from '../lib/statsApi.js';
+import { registerProvider } from '../lib/providers/index.js';
+
+// A provider that counts fetches: 300 calm days ending in a +10% jump on 2023-10-28
+let fetches = 0;
+const closes = Array.from({ length: 300 }, (_, i) => 100 * Math.exp(0.01 * Math.sin(i) + (i === 299 ? 0.1 : 0)));
+registerProvider({
+  name: 'counting',
+  async fetchHistory(ticker) {
+    fetches++;
+    const start = Date.parse('2023-01-02T00:00:00Z');
+    return {
+      ticker: ticker.toUpperCase(),
+      name: 'Test',
+      currency: 'USD',
+      interval: '1d',
+      prices: closes.map((close, i) => ({ date: new Date(start + i * 86400000).toISOString().slice(0, 10), close, adjClose: close })),
+      events: { splits: [], dividends: [] }
+    };
+  }
+});
+process.env.DATA_PROVIDER = 'counting';
+
+test('zscoreReport trims to the range after scoring the full history', async () => {
+  const report = await zscoreReport('spy', { from: '2023-06-01', to: '2023-06-30', window: '20' });
+  assert.equal(report.ticker, 'SPY');
+  assert.equal(report.settings.window, 20);
+  assert.equal(report.bars.length, 30);
+  assert.ok(report.bars.every(b => Number.isFinite(b.z) && b.localStd > 0));
+});
+
+test('signalReport finds the shock on the last bar and filters by direction', async () => {
+  const up = await signalReport('SPY', { threshold: '4', direction: 'up' });
+  assert.deepEqual(up.signals.map(s => s.date), ['2023-10-28']);
+  assert.equal(up.signals[0].direction, 'up');
+  const down = await signalReport('SPY', { threshold: '4', direction: 'down' });
+  assert.equal(down.count, 0);
+});
+
+test('volatilityReport adds history only when asked', async () => {
+  const plain = await volatilityReport('SPY');
+  assert.equal(plain.date, '2023-10-28');
+  assert.equal(plain.history, undefined);
+  assert.ok(plain.volatility.some(v => v.vol > 0));
+  const withHistory = await volatilityReport('SPY', { history: 'true', from: '2023-10-01' });
+  assert.equal(withHistory.history[0].date, '2023-10-01');
+});
+
+test('bad parameters are a 400 before anything is fetched', async () => {
+  const before = fetches;
+  await assert.rejects(zscoreReport('SPY', { estimator: 'magic' }), { status: 400 });
+  await assert.rejects(signalReport('SPY', { direction: 'sideways' }), { status: 400 });
+  await assert.rejects(signalReport('SPY', { threshold: '0' }), { status: 400 });
+  await assert.rejects(volatilityReport('SPY', { to: 'tomorrow' }), { status: 400 });
+  assert.equal(fetches, before);
+});
@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { readCsv, parseDateCell, detectDayFirst, validateSeries, parseUpload, createUploadStore } from '../lib/uploads.js';
+
+const COLUMNS = { date: 'date', close: 'close', label: 'label' };
+
+const errorOf = fn => {
+  try {
+    fn();
+  } catch (err) {
+    return err;
+  }
+  return null;
+};
+
+// ── CSV ──
+
+test('readCsv maps headers and detects the delimiter', () => {
+  const { header, rows, delimiter } = readCsv('﻿Date;Close;Other\r\n2024-01-02;1,5;x\r\n\r\n', COLUMNS);
+  assert.equal(delimiter, ';');
+  assert.deepEqual(header, ['date', 'close', null]);
+  assert.deepEqual(rows, [{ line: 2, date: '2024-01-02', close: '1,5' }]);
+});
+
+test('readCsv parses RFC 4180 quoted fields', () => {
+  const text = 'Date,Label\n2024-01-31,"FOMC, January"\n2024-02-01,"say ""hi"""\n2024-02-02,"two\nlines"\n2024-02-05,plain\n';
+  const { rows } = readCsv(text, COLUMNS);
+  assert.deepEqual(rows.map(r => r.label), ['FOMC, January', 'say "hi"', 'two\nlines', 'plain']);
+  // Rows are numbered by the line they start on
+  assert.deepEqual(rows.map(r => r.line), [2, 3, 4, 6]);
+});
+
+test('readCsv rejects rows wider than the header instead of truncating them', () => {
+  const err = errorOf(() => readCsv('Date,Close\n2024-01-02,1,234\n2024-01-03,5\n', COLUMNS));
+  assert.equal(err.status, 400);
+  assert.match(err.details.errors[0], /^Row 2: 3 cells but the header has 2/);
+  // A trailing delimiter is harmless
+  assert.equal(readCsv('Date,Close,\n2024-01-02,5,\n', COLUMNS).rows[0].close, '5');
+});
+
+test('readCsv rejects empty input and unterminated quotes', () => {
+  assert.equal(errorOf(() => readCsv('  \n', COLUMNS)).status, 400);
+  assert.match(errorOf(() => readCsv('Date,Close\n2024-01-02,"5\n', COLUMNS)).message, /never closed/);
+});
+
+test('parseDateCell understands the common date formats', () => {
+  assert.equal(parseDateCell('2024-03-05'), '2024-03-05');
+  assert.equal(parseDateCell('2024-03-05T16:00:00Z'), '2024-03-05');
+  assert.equal(parseDateCell('20240305'), '2024-03-05');
+  assert.equal(parseDateCell('3/5/2024'), '2024-03-05');
+  assert.equal(parseDateCell('3/5/2024', true), '2024-05-03');
+  assert.equal(parseDateCell('1709596800'), '2024-03-05');
+  assert.equal(parseDateCell('2024-02-30'), null);
+  assert.equal(parseDateCell('yesterday'), null);
+  assert.equal(detectDayFirst([{ date: '3/5/2024' }, { date: '25/5/2024' }]), true);
+  assert.equal(detectDayFirst([{ date: '3/5/2024' }]), false);
+});
+
+// ── Validation ──
+
+test('validateSeries sorts, drops exact duplicates and warns about gaps', () => {
+  const { prices, warnings } = validateSeries([
+    { date: '2024-01-03', close: '11' },
+    { date: '2024-01-02', close: '10' },
+    { date: '2024-01-03', close: '11' },
+    { date: '2024-01-04', close: '12' },
+    { date: '2024-01-05', close: '13' },
+    { date: '2024-03-01', close: '14' }
+  ]);
+  assert.deepEqual(prices.map(p => p.date), ['2024-01-02', '2024-01-03', '2024-01-04', '2024-01-05', '2024-03-01']);
+  assert.deepEqual(warnings.map(w => w.split(' ').slice(1, 3).join(' ')), ['row(s) were', 'exact duplicate', 'gap(s) longer']);
+});
+
+test('validateSeries lists every unusable row', () => {
+  const err = errorOf(() => validateSeries([
+    { line: 2, date: 'nope', close: '1' },
+    { line: 3, date: '2024-01-02', close: '0' },
+    { line: 4, date: '2024-01-03', close: 'abc' },
+    { line: 5, date: '2024-01-04', close: '5', high: '4', low: '6' },
+    { line: 6, date: '2024-01-05', close: '5' },
+    { line: 7, date: '2024-01-05', close: '6' }
+  ]));
+  assert.equal(err.status, 400);
+  assert.deepEqual(err.details.errors.map(e => e.slice(0, 6)), ['Row 2:', 'Row 3:', 'Row 4:', 'Row 5:', 'Row 7:']);
+});
+
+test('parseUpload takes CSV text or JSON and validates the symbol', () => {
+  const csv = parseUpload('Date,Close\n2024-01-02,5\n', { symbol: 'nav1' });
+  assert.equal(csv.symbol, 'NAV1');
+  assert.deepEqual(csv.rows, [{ line: 2, date: '2024-01-02', close: '5' }]);
+  const json = parseUpload({ symbol: 'X', prices: [{ date: '2024-01-02', close: 5 }] });
+  assert.equal(json.rows[0].line, 1);
+  assert.equal(errorOf(() => parseUpload('Date,Close\n', { symbol: 'bad symbol' })).status, 400);
+  assert.equal(errorOf(() => parseUpload({ symbol: 'X' })).status, 400);
+});
+
+// ── Store ──
+
+test('the store saves, serves and removes uploads', async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'sigma-uploads-'));
+  try {
+    const uploads = createUploadStore({ dir });
+    const csv = 'Date,Close\n2024-01-02,10\n2024-01-03,11\n2024-01-04,12\n';
+
+    assert.equal((await uploads.add(csv, { symbol: 'NAV', dryRun: 'true' })).dryRun, true);
+    assert.deepEqual(await uploads.list(), []);
+
+    const saved = await uploads.add(csv, { symbol: 'NAV' });
+    assert.deepEqual([saved.bars, saved.from, saved.to], [3, '2024-01-02', '2024-01-04']);
+    await assert.rejects(uploads.add(csv, { symbol: 'NAV' }), { status: 409 });
+    await uploads.add(csv, { symbol: 'NAV', replace: 'true' });
+
+    const history = await uploads.fetchHistory('nav', { period1: Date.parse('2024-01-03') / 1000 });
+    assert.deepEqual(history.prices.map(p => p.close), [11, 12]);
+    assert.equal(await uploads.fetchHistory('SPY'), null);
+    await assert.rejects(uploads.fetchHistory('NAV', { interval: '5m' }), { status: 400 });
+
+    await uploads.remove('nav');
+    assert.equal(await uploads.fetchHistory('NAV'), null);
+    await assert.rejects(uploads.get('NAV'), { status: 404 });
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,147 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createUpstream } from '../lib/upstream.js';
+import { rateLimit } from '../lib/rateLimit.js';
+import { createCoalescer } from '../lib/coalesce.js';
+import { errorResponse } from '../lib/errors.js';
+
+const realFetch = globalThis.fetch;
+afterEach(() => { globalThis.fetch = realFetch; });
+
+// Answers with `statuses` in turn (the last one repeats), after `delayMs`
+function fakeFetch(statuses, { delayMs = 0, headers = {} } = {}) {
+  const calls = [];
+  globalThis.fetch = async (url, { signal } = {}) => {
+    calls.push(url);
+    const status = statuses[Math.min(calls.length - 1, statuses.length - 1)];
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, delayMs);
+      signal?.addEventListener('abort', () => { clearTimeout(timer); reject(signal.reason); });
+    });
+    return new Response(status === 200 ? '{"ok":true}' : '', { status, headers });
+  };
+  return calls;
+}
+
+const upstream = options => createUpstream({ name: 'Test', baseDelayMs: 1, retries: 2, ...options });
+
+// ── Upstream ──
+
+test('5xx answers are retried, then reported as a 502', async () => {
+  const calls = fakeFetch([503, 200]);
+  assert.deepEqual(await upstream().fetchJson('u'), { ok: true });
+  assert.equal(calls.length, 2);
+
+  const failing = fakeFetch([500]);
+  await assert.rejects(upstream().fetchJson('u'), { status: 502, details: { code: 'UPSTREAM_ERROR' } });
+  assert.equal(failing.length, 3);
+});
+
+test('4xx answers keep their status and are not retried', async () => {
+  const calls = fakeFetch([404]);
+  await assert.rejects(upstream().fetchJson('u'), { status: 404 });
+  assert.equal(calls.length, 1);
+});
+
+test('slow answers time out as a 504', async () => {
+  fakeFetch([200], { delayMs: 200 });
+  await assert.rejects(upstream({ timeoutMs: 20, retries: 0 }).fetchJson('u'), { status: 504, details: { code: 'UPSTREAM_TIMEOUT' } });
+});
+
+test('repeated 429s open the breaker, which then fails fast', async () => {
+  const calls = fakeFetch([429], { headers: { 'Retry-After': '30' } });
+  const up = upstream({ breakerThreshold: 2 });
+  await assert.rejects(up.fetchJson('u'), { status: 503 });
+  assert.equal(up.status().state, 'closed');
+  await assert.rejects(up.fetchJson('u'), err => err.status === 503 && err.details.code === 'UPSTREAM_RATE_LIMITED');
+  assert.equal(up.status().state, 'open');
+
+  const err = await up.fetchJson('u').catch(e => e);
+  assert.ok(err.details.retryAfter >= 29);
+  // 429s are never retried, and an open breaker doesn't call out at all
+  assert.equal(calls.length, 2);
+});
+
+test('a half-open breaker lets one trial call through at a time', async () => {
+  fakeFetch([429]);
+  const up = upstream({ breakerThreshold: 1, cooldownMs: 20 });
+  await assert.rejects(up.fetchJson('u'));
+  await new Promise(resolve => setTimeout(resolve, 30));
+
+  const calls = fakeFetch([200], { delayMs: 20 });
+  const results = await Promise.allSettled([1, 2, 3].map(() => up.fetchJson('u')));
+  assert.deepEqual(results.map(r => r.status), ['fulfilled', 'rejected', 'rejected']);
+  assert.equal(results[1].reason.status, 503);
+  assert.equal(calls.length, 1);
+  assert.equal(up.status().state, 'closed');
+});
+
+test('a failed trial reopens the breaker for twice as long', async () => {
+  fakeFetch([429]);
+  const up = upstream({ breakerThreshold: 1, cooldownMs: 1000 });
+  await assert.rejects(up.fetchJson('u'));
+  const firstUntil = Date.parse(up.status().openUntil);
+  await new Promise(resolve => setTimeout(resolve, 1010));
+  await assert.rejects(up.fetchJson('u'));
+  assert.equal(up.status().state, 'open');
+  assert.ok(Date.parse(up.status().openUntil) - firstUntil > 1500);
+});
+
+// ── Rate limit ──
+
+function fakeRes() {
+  return {
+    statusCode: 200, headers: {}, body: null,
+    set(name, value) { this.headers[name] = value; return this; },
+    setHeader(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+test('rateLimit lets a burst through, then answers 429 until tokens refill', t => {
+  let now = 1_000_000;
+  t.mock.method(Date, 'now', () => now);
+  const limit = rateLimit({ perMinute: 60, burst: 2 });
+  const hit = ip => {
+    const res = fakeRes();
+    let passed = false;
+    limit({ ip }, res, () => { passed = true; });
+    return { passed, res };
+  };
+
+  assert.equal(hit('a').passed, true);
+  assert.equal(hit('a').passed, true);
+  const blocked = hit('a');
+  assert.equal(blocked.passed, false);
+  assert.equal(blocked.res.statusCode, 429);
+  assert.equal(blocked.res.body.code, 'RATE_LIMITED');
+  assert.equal(blocked.res.headers['Retry-After'], '1');
+
+  // Other clients have their own bucket
+  assert.equal(hit('b').passed, true);
+  now += 1000;
+  assert.equal(hit('a').passed, true);
+});
+
+// ── Coalescing and error bodies ──
+
+test('concurrent calls with the same key share one promise', async () => {
+  const coalesce = createCoalescer();
+  let runs = 0;
+  const job = () => new Promise(resolve => setTimeout(() => resolve(++runs), 5));
+  const [a, b, c] = await Promise.all([coalesce('k', job), coalesce('k', job), coalesce('other', job)]);
+  assert.equal(a, b);
+  assert.notEqual(a, c);
+  // Nothing is kept once settled
+  assert.equal(await coalesce('k', job), 3);
+});
+
+test('errorResponse gives every error a code and hides unexpected ones', () => {
+  assert.deepEqual(errorResponse({ status: 404, message: 'Nope' }, 'x'), { status: 404, body: { error: 'Nope', code: 'NOT_FOUND' } });
+  assert.deepEqual(
+    errorResponse({ status: 503, message: 'Busy', details: { code: 'UPSTREAM_RATE_LIMITED', retryAfter: 5 } }, 'x').body,
+    { error: 'Busy', code: 'UPSTREAM_RATE_LIMITED', retryAfter: 5 }
+  );
+  assert.deepEqual(errorResponse(new Error('secret path'), 'Failed'), { status: 500, body: { error: 'Failed', code: 'INTERNAL_ERROR' } });
+});